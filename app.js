@@ -1,11 +1,18 @@
 /* Adams Apples v2 — Luna-style Schema Explorer (Enhanced v2)
  * Features:
- * - Diagram: tables with FK edges, isolate mode (1-hop)
+ * - Diagram: tables with FK edges, isolate mode (1–4 hops upstream, downstream or both)
  * - Docs: comprehensive business-focused explanations for ALL objects
  * - Glossary: plain-language database terms
  * - FK Index Audit: warns about missing indexes
  * - Print: clean PDF generation with full documentation
  * - "Why These Links Exist": workflow-based FK explanations
+ * - Import: load a Flyway .sql migration via file picker or drag-and-drop
+ * - Timeline: replay V001..Vnnn migrations and step through versions
+ * - Diff: compare against a baseline schema, overlay changes on the diagram
+ * - Problems: integrity validation of the object model at startup
+ * - Soft references: IDs held in arrays/JSONB drawn as dashed, unenforced links
+ * - Lineage: view columns traced back to base table columns
+ * - Functions: signatures, highlighted bodies, tables/columns each body reads and writes
  */
 
 (function () {
@@ -19,15 +26,25 @@
     return;
   }
 
-  const SCHEMA = window.SCHEMA;
-  const objects = SCHEMA.objects;
-  const byKey = new Map(objects.map(o => [o.key, o]));
-  const byType = new Map();
-  for (const o of objects) {
-    if (!byType.has(o.type)) byType.set(o.type, []);
-    byType.get(o.type).push(o);
+  // Replaced wholesale by loadSchema() when a migration is imported
+  let SCHEMA = window.SCHEMA;
+  // Curated data.js objects: imports borrow their domains and descriptions
+  const bundledObjects = SCHEMA.objects;
+  let objects = SCHEMA.objects;
+  let byKey = new Map();
+  let byType = new Map();
+
+  function indexObjects() {
+    byKey = new Map(objects.map(o => [o.key, o]));
+    byType = new Map();
+    for (const o of objects) {
+      if (!byType.has(o.type)) byType.set(o.type, []);
+      byType.get(o.type).push(o);
+    }
   }
 
+  indexObjects();
+
   // ==========================================================================
   // GLOSSARY - Plain-language database terms
   // ==========================================================================
@@ -63,7 +80,9 @@
       "Function": "Reusable code stored in the database. generate_tree_number() creates unique tree IDs following the A-HON-0001 format. Called by triggers or directly from application code.",
       "Trigger": "Automatic code that runs when data changes. When you insert a tree health record, a trigger automatically updates the tree's health status. Ensures data stays consistent without application code remembering to do it.",
       "Enum": "A predefined list of allowed values. work_order_status can only be DRAFT, PROPOSED, APPROVED, etc.—not arbitrary text. Prevents typos and ensures consistent values.",
-      "Sequence": "A counter that generates unique numbers. Used for sequential identifiers like WO-2025-0001. Increments atomically so concurrent users get different numbers."
+      "Sequence": "A counter that generates unique numbers. Used for sequential identifiers like WO-2025-0001. Increments atomically so concurrent users get different numbers.",
+      "Extension": "An add-on installed into the database that brings extra types and functions. uuid-ossp generates IDs, citext makes email comparisons case-insensitive, postgis stores map data.",
+      "Schema (namespace)": "A folder for database objects. Everything here lives in 'public'; an object in another schema is written with its schema first, like audit.change_log."
     },
     "Relationships & Architecture": {
       "One-to-Many": "One record relates to many others. One client has many locations; one location has many trees. Implemented with a FK on the 'many' side pointing to the 'one' side.",
@@ -72,6 +91,7 @@
       "Normalization": "Organizing data to reduce redundancy. Instead of storing 'Honeycrisp' on every tree, we store it once in varieties and link to it. Changes only need to happen in one place.",
       "Multi-tenant": "Multiple clients share the same database, separated by client_id. Each client sees only their data through application-level filtering.",
       "Audit Trail": "Recording every change. The audit_log table captures who changed what, when, and the before/after values. Critical for compliance and debugging.",
+      "Soft Reference": "A column that holds IDs of another table's rows without a foreign key—like work_orders.tree_ids, an array of tree IDs. The database does not check them, so a deleted tree can leave a stale ID behind; the application has to keep them in sync.",
       "Soft Delete": "Marking records as is_active=FALSE instead of actually deleting them. Preserves history and allows restoration.",
       "Source of Truth": "The authoritative location for a piece of data. Clients table is the source of truth for client names—other tables reference it rather than copying the name."
     }
@@ -686,6 +706,59 @@
       why: "PROACTIVE ALERTING. Health change automatically triggers appropriate alerts based on configurable rules.",
       dataFlow: "Health record committed → check_health_alert_rules() loops through rules → Evaluates status_change triggers → Creates tree_health_alert if matched → Respects cooldown.",
       example: "Tree goes DISEASED → Rule 'Alert on disease' matches → No recent alert (cooldown OK) → HIGH priority alert created."
+    },
+
+    // -------------------------------------------------------------------------
+    // SEQUENCES, EXTENSIONS, SCHEMAS
+    // -------------------------------------------------------------------------
+    work_order_number_seq: {
+      what: "Counter that numbers work orders: the 0042 in WO-2025-0042.",
+      where: "Read by: generate_document_number('WO', 'work_order_number_seq').",
+      why: "COLLISION-FREE NUMBERS. Two office users creating work orders at once still get different numbers.",
+      dataFlow: "New work order → generate_document_number() calls nextval → Number formatted with prefix and year → work_orders.work_order_number.",
+      example: "Counter at 41 → next work order becomes WO-2025-0042."
+    },
+    invoice_number_seq: {
+      what: "Counter that numbers invoices: the 0007 in INV-2025-0007.",
+      where: "Read by: generate_document_number('INV', 'invoice_number_seq').",
+      why: "UNIQUE INVOICE NUMBERS. Accounting needs every invoice number issued once; the sequence never hands out the same value twice.",
+      dataFlow: "New invoice → generate_document_number() calls nextval → invoices.invoice_number.",
+      example: "Counter at 6 → next invoice becomes INV-2025-0007."
+    },
+    nursery_order_number_seq: {
+      what: "Counter that numbers nursery orders: the 0003 in NO-2025-0003.",
+      where: "Read by: generate_document_number('NO', 'nursery_order_number_seq').",
+      why: "SEPARATE NUMBERING PER DOCUMENT TYPE. Nursery sales count independently of work orders and invoices.",
+      dataFlow: "New nursery order → generate_document_number() calls nextval → nursery_orders.order_number.",
+      example: "Counter at 2 → next nursery order becomes NO-2025-0003."
+    },
+    "uuid-ossp": {
+      what: "PostgreSQL add-on that generates UUIDs.",
+      where: "Used by: the id default (uuid_generate_v4()) of every table.",
+      why: "IDS WITHOUT A CENTRAL COUNTER. Random UUIDs can be created offline by the field app and merged later without clashes.",
+      dataFlow: "Row inserted without id → uuid_generate_v4() → random 128-bit id.",
+      example: "New tree row → id 550e8400-e29b-41d4-a716-446655440000."
+    },
+    citext: {
+      what: "PostgreSQL add-on providing case-insensitive text.",
+      where: "Used by: email columns (clients.email, users.email).",
+      why: "NO DUPLICATE ACCOUNTS BY CASING. John@Example.com and john@example.com count as the same address for UNIQUE checks and lookups.",
+      dataFlow: "Email stored as typed → comparisons ignore case.",
+      example: "Login with JOHN@EXAMPLE.COM finds the user registered as john@example.com."
+    },
+    postgis: {
+      what: "PostgreSQL add-on for maps and geographic data.",
+      where: "Used by: locations.centroid and locations.boundary.",
+      why: "SPATIAL QUERIES IN THE DATABASE. Orchard boundaries and GPS points can be searched by distance or containment without exporting to a GIS tool.",
+      dataFlow: "Boundary drawn in the app → stored as geometry(Polygon,4326) → queried with ST_Contains / ST_DWithin.",
+      example: "Find all locations within 20 km of the nursery."
+    },
+    public: {
+      what: "The default namespace every V001 object lives in.",
+      where: "Contains: all tables, views, enums, functions, triggers and sequences.",
+      why: "ONE NAMESPACE IS ENOUGH TODAY. Objects moved to other schemas (e.g. audit) show up with qualified names like audit.change_log.",
+      dataFlow: "Unqualified names in SQL resolve to public via search_path.",
+      example: "SELECT * FROM trees reads public.trees."
     }
   };
 
@@ -786,6 +859,18 @@
       debugging: "Rule tuning—see which rules generate most alerts.",
       management: "Configuration—disable rule to stop certain alerts.",
       example: "Alert has alert_rule_id='Fire Blight Alert rule'. Can see rule's cooldown_hours, priority settings."
+    },
+
+    // -------------------------------------------------------------------------
+    // Soft references - IDs in arrays, not enforced by the database
+    // -------------------------------------------------------------------------
+    "tree_ids": {
+      general: "Lists the trees this work order covers. One work order can touch many trees without a junction table. Not a real foreign key—deleting a tree does not remove its ID here.",
+      example: "Pruning order WO-2025-0042 has tree_ids for A-HON-0001 through A-HON-0040. Crews see exactly which trees to visit."
+    },
+    "notify_user_ids": {
+      general: "Extra users to notify when this rule fires, on top of notify_roles. Not a real foreign key—a deactivated or deleted user's ID stays in the list.",
+      example: "Fire Blight rule notifies the orchard manager's user ID directly, even though they are not in the notified role."
     }
   };
 
@@ -800,9 +885,16 @@
     selected: null,            // currently selected object key
     hovered: null,             // currently hovered object key
     showEdges: "focus",        // "focus" | "all" | "off"
-    isolateMode: false,        // true = dim non-adjacent nodes
+    isolateMode: false,        // true = only the selected table and the tables within `hops` of it
+    hops: 1,                   // isolate depth, 1–4 FK hops
+    direction: "both",         // isolate direction: "upstream" (what it references) | "downstream" | "both"
+    joinPath: null,            // join path panel: { from, to, index, hubs } table names, path shown, hub tables allowed
+    layout: "layered",         // GraphLayout.LAYOUTS id: "layered" | "force" | "domains"
+    cards: "collapsed",        // table cards: "collapsed" | "keys" (key columns) | "all" (every column)
     zoom: 1,
-    pan: { x: 0, y: 0 }
+    pan: { x: 0, y: 0 },
+    timeline: null,            // { versions: [{ label, description, schema }], index } after a history import
+    compare: null              // { label, schema } baseline loaded with "Compare…"
   };
 
   // ==========================================================================
@@ -810,30 +902,50 @@
   // ==========================================================================
   let fkIndexIssues = [];
 
+  // Table-level FKs from table.constraints (multi-column foreign keys)
+  function constraintForeignKeys(tbl) {
+    return (tbl.constraints || []).filter(c => c.type === "fk" && c.fk);
+  }
+
+  // Columns holding IDs of another table in an array or JSONB (col.softRef), not enforced by the database
+  function softReferences(tbl) {
+    return (tbl.columns || []).filter(c => c.softRef);
+  }
+
+  // "array of trees.id", "JSONB $.tree_ids[*] → trees.id"
+  function softRefText(ref) {
+    const target = `${ref.table}.${ref.column || "id"}`;
+    if (ref.via !== "jsonb") return `array of ${target}`;
+    return ref.path ? `JSONB ${ref.path} → ${target}` : `JSONB → ${target}`;
+  }
+
   function auditFkIndexes() {
     fkIndexIssues = [];
     const tables = byType.get("table") || [];
     
     for (const tbl of tables) {
       if (!tbl.columns) continue;
-      
-      for (const col of tbl.columns) {
-        if (!col.fk) continue;
-        
-        // Check if there's an index on this FK column
-        const fkColName = col.name;
-        const hasIndex = (tbl.indexes || []).some(idx => {
-          const idxCols = idx.columns || [];
-          // Index covers FK if FK column is first in index
-          return idxCols.length > 0 && idxCols[0] === fkColName;
+
+      // Every FK, single-column (col.fk) or composite (constraints), as a column list
+      const fks = tbl.columns.filter(col => col.fk).map(col => ({ columns: [col.name], table: col.fk.table }));
+      for (const con of constraintForeignKeys(tbl)) fks.push({ columns: con.columns, table: con.fk.table });
+      // Column lists backed by an index, as the validator sees them
+      const indexed = window.SchemaValidate.indexedLists(tbl).map(list => list.columns);
+
+      for (const fk of fks) {
+        // Index covers FK if the FK columns are its leading columns (in any order)
+        const hasIndex = indexed.some(idxCols => {
+          const leading = idxCols.slice(0, fk.columns.length);
+          return leading.length === fk.columns.length && fk.columns.every(c => leading.includes(c));
         });
         
         if (!hasIndex) {
           fkIndexIssues.push({
             table: tbl.name,
-            column: col.name,
-            referencedTable: col.fk.table,
-            suggestion: `CREATE INDEX idx_${tbl.name}_${col.name} ON ${tbl.name}(${col.name});`
+            column: fk.columns.join(", "),
+            columns: fk.columns,
+            referencedTable: fk.table,
+            suggestion: `CREATE INDEX idx_${tbl.name}_${fk.columns.join("_")} ON ${tbl.name}(${fk.columns.join(", ")});`
           });
         }
       }
@@ -846,38 +958,689 @@
   auditFkIndexes();
 
   // ==========================================================================
-  // DIAGRAM LAYOUT (simple grid, tables only)
+  // INTEGRITY VALIDATION - Problems panel (schema-validate.js)
+  // ==========================================================================
+  let problems = [];
+
+  function validateSchema() {
+    problems = window.SchemaValidate ? window.SchemaValidate.validateSchema(SCHEMA) : [];
+    const errors = problems.filter(p => p.severity === "error");
+    if (errors.length) {
+      console.warn(`Schema has ${errors.length} integrity errors. Open "Problems" for details.`, errors);
+    }
+    return problems;
+  }
+
+  validateSchema();
+
+  // ==========================================================================
+  // VIEW LINEAGE - output columns traced to base tables (view-lineage.js)
+  // ==========================================================================
+  let viewLineage = new Map();
+
+  function analyzeViews() {
+    viewLineage = window.ViewLineage ? window.ViewLineage.analyzeAll(objects) : new Map();
+    return viewLineage;
+  }
+
+  analyzeViews();
+
+  // View columns fed by a table: [{ view, column, kind, sources }] for the table's columns.
+  // Views known only by their base tables give one entry with column null.
+  function viewsUsingTable(tableName) {
+    const out = [];
+    for (const [view, lineage] of viewLineage) {
+      if (lineage.baseTablesOnly) {
+        if (lineage.relations.some(rel => rel.name === tableName)) out.push({ view, column: null, kind: null, sources: [] });
+        continue;
+      }
+      for (const col of lineage.columns) {
+        const from = col.sources.filter(s => s.table === tableName);
+        if (from.length) out.push({ view, column: col.name, kind: col.kind, sources: from });
+      }
+    }
+    return out;
+  }
+
+  // ==========================================================================
+  // FUNCTION ANALYSIS - tables read and written by function bodies (function-analysis.js)
+  // ==========================================================================
+  let functionAnalysis = new Map();
+
+  function analyzeFunctions() {
+    functionAnalysis = window.FunctionAnalysis ? window.FunctionAnalysis.analyzeAll(objects) : new Map();
+    return functionAnalysis;
+  }
+
+  analyzeFunctions();
+
+  // "generate_tree_number(p_species_code VARCHAR, p_variety_code VARCHAR) RETURNS VARCHAR(50)".
+  // Without params (data.js doesn't model them) the list reads "/* parameters unknown */";
+  // trigger functions never take any.
+  function functionSignature(fn) {
+    if (!fn.params && !/^TRIGGER$/i.test(fn.returnType || "")) {
+      return `${fn.name}(/* parameters unknown */)${fn.returnType ? ` RETURNS ${fn.returnType}` : ""}`;
+    }
+    const params = (fn.params || []).map(p => [p.mode, p.name, p.type].filter(Boolean).join(" ") + (p.default ? ` DEFAULT ${p.default}` : ""));
+    return `${fn.name}(${params.join(", ")})${fn.returnType ? ` RETURNS ${fn.returnType}` : ""}`;
+  }
+
+  // ==========================================================================
+  // SEQUENCES, EXTENSIONS & SCHEMAS - who uses them
+  // ==========================================================================
+  // Column defaults and function bodies that name the sequence: [{ key, label }]
+  function sequenceUsers(seq) {
+    const pattern = new RegExp(`\\b${seq.name.replace(/[.$]/g, "\\$&")}\\b`, "i");
+    const out = [];
+    for (const t of byType.get("table") || []) {
+      for (const col of t.columns || []) {
+        if (col.default && pattern.test(col.default)) out.push({ key: t.key, label: `${t.name}.${col.name}` });
+      }
+    }
+    for (const fn of byType.get("function") || []) {
+      if (fn.definition && pattern.test(fn.definition)) out.push({ key: fn.key, label: `${fn.name}()` });
+    }
+    return out;
+  }
+
+  // Columns typed with one of the extension's types or defaulting to one of its functions
+  function extensionUsers(ext) {
+    const types = new Set((ext.types || []).map(t => t.toLowerCase()));
+    const fns = new Set((ext.functions || []).map(f => f.toLowerCase()));
+    const out = [];
+    for (const t of byType.get("table") || []) {
+      for (const col of t.columns || []) {
+        const base = String(col.type).toLowerCase().replace(/\(.*$|\[\]$/g, "").trim();
+        const calls = Array.from(String(col.default || "").matchAll(/(\w+)\s*\(/g), m => m[1].toLowerCase());
+        const via = types.has(base) ? col.type : calls.find(c => fns.has(c));
+        if (via) out.push({ key: t.key, table: t.name, column: col.name, via: types.has(base) ? via : `${via}()` });
+      }
+    }
+    return out;
+  }
+
+  // "BIGINT START 1 INCREMENT 1 NO CYCLE OWNED BY trees.id"
+  function sequenceText(seq) {
+    const parts = [seq.dataType || "BIGINT", `START ${seq.start}`, `INCREMENT ${seq.increment}`];
+    if (seq.minValue != null) parts.push(`MINVALUE ${seq.minValue}`);
+    if (seq.maxValue != null) parts.push(`MAXVALUE ${seq.maxValue}`);
+    if (seq.cache != null) parts.push(`CACHE ${seq.cache}`);
+    parts.push(seq.cycle ? "CYCLE" : "NO CYCLE");
+    if (seq.ownedBy) parts.push(`OWNED BY ${seq.ownedBy.table}.${seq.ownedBy.column}`);
+    return parts.join(" ");
+  }
+
+  // Objects that live in a schema; public objects carry no schema property
+  function schemaMembers(name) {
+    return objects.filter(o => o.type !== "schema" && (o.schema || "public") === name);
+  }
+
+  // "trees (health_status, last_inspection_date)" with the table as a link
+  function tableColumnsHtml(table, columns) {
+    const key = `table_${table}`;
+    const label = byKey.has(key) ? `<a href="#" class="link lineage-link" data-key="${key}">${table}</a>` : table;
+    return `${label}${columns.length ? ` <code>${columns.map(escapeHtml).join(", ")}</code>` : ""}`;
+  }
+
+  function renderProblemsButton() {
+    const btn = $("#btnProblems");
+    if (!btn) return;
+    const errors = problems.filter(p => p.severity === "error").length;
+    btn.textContent = `Problems (${problems.length})`;
+    btn.classList.toggle("has-errors", errors > 0);
+    btn.classList.toggle("has-warnings", errors === 0 && problems.length > 0);
+  }
+
+  function buildProblems() {
+    const body = $("#problemsBody");
+    if (!body) return;
+    body.innerHTML = "";
+
+    if (!problems.length) {
+      body.innerHTML = '<p class="hint">No problems found. Every FK, trigger, view and column type resolves.</p>';
+      return;
+    }
+
+    for (const p of problems) {
+      const row = document.createElement("div");
+      row.className = `problem ${p.severity}`;
+      const obj = p.key && byKey.get(p.key);
+      row.innerHTML = `<span class="problem-severity">${p.severity}</span>`;
+      if (obj) {
+        const link = document.createElement("a");
+        link.className = "toc-link problem-link";
+        link.href = "#";
+        link.textContent = obj.name;
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          selectObject(obj.key);
+          $("#problemsDialog").close();
+        });
+        row.appendChild(link);
+      }
+      const msg = document.createElement("span");
+      msg.className = "problem-message";
+      msg.textContent = p.message;
+      row.appendChild(msg);
+      body.appendChild(row);
+    }
+  }
+
+  // ==========================================================================
+  // DIAGRAM LAYOUT (tables only, arranged by graph-layout.js)
   // ==========================================================================
   const NODE_W = 200;
+  const NODE_H = 80;
   const NODE_PAD = 40;
-  const COL_COUNT = 6;
   const ROW_HEIGHT = 160;
-
-  const tables = objects.filter(o => o.type === "table");
+  const LAYOUT_MS = 450;       // how long tables take to move to a new layout
+  const GRID = 20;             // dragged tables snap to this grid
+  const LAYOUT_FORMAT = "adams-apples-layout";
+  const LAYOUT_KEY_PREFIX = "adams-apples.layout:";
+  const CARD_W = 280;          // expanded cards list their columns
+  const CARD_HEAD = 32;
+  const CARD_ROW = 18;
+  const CARD_FOOT = 8;
+  const CARD_MODES = ["collapsed", "keys", "all"];
+
+  let tables = [];
   const nodePos = new Map();
+  let edges = [];
+  let schemaDiff = null;       // SchemaDiff.diffSchemas(baseline, current), see computeDiff()
+  // Last layout run: the tables it placed, bend points of routed FKs, domain frames
+  let diagramLayout = { keys: new Set(), routes: new Map(), groups: [], signature: "" };
+  let layoutAnimation = null;  // requestAnimationFrame id while tables are moving
+  let fitPending = true;       // fit the view to the tables on the next render
+  let pinned = new Map();      // table name → { x, y } placed by hand; layouts leave these alone
+  let cardModes = new Map();   // table name → card mode toggled on that table, over state.cards
+  let tableByKey = new Map();  // tables on the diagram, ghosts included
+
+  function buildGraph() {
+    // Tables removed since the diff baseline stay on the diagram as red ghosts
+    const ghosts = schemaDiff ? schemaDiff.removedObjects.filter(o => o.type === "table") : [];
+    tables = objects.filter(o => o.type === "table").concat(ghosts);
+    tableByKey = new Map(tables.map(t => [t.key, t]));
+    nodePos.clear();
+
+    // Build edge list from foreign keys
+    edges = [];
+    const added = new Set(schemaDiff ? schemaDiff.edges.added.map(e => e.id) : []);
+    const removed = new Set(schemaDiff ? schemaDiff.edges.removed.map(e => e.id) : []);
+    const changed = new Set(schemaDiff ? schemaDiff.edges.changed.map(e => e.id) : []);
+    const edgeDiff = id => (added.has(id) ? "added" : removed.has(id) ? "removed" : changed.has(id) ? "changed" : null);
+    for (const t of tables) {
+      if (!t.columns) continue;
+      for (const c of t.columns) {
+        if (c.fk) {
+          const target = tables.find(o => o.name === c.fk.table);
+          if (target) {
+            const diff = edgeDiff(`${t.name}.${c.name}→${c.fk.table}`);
+            edges.push({ from: t.key, to: target.key, label: c.name, diff, columns: [c.name], refColumns: [c.fk.column || "id"] });
+          }
+        }
+      }
+      for (const con of constraintForeignKeys(t)) {
+        const target = tables.find(o => o.name === con.fk.table);
+        if (!target) continue;
+        const diff = edgeDiff(`${t.name}.(${con.columns.join(", ")})→${con.fk.table}`);
+        edges.push({
+          from: t.key, to: target.key, label: con.columns.join(", "), diff,
+          columns: con.columns, refColumns: con.fk.columns || []
+        });
+      }
+      for (const c of softReferences(t)) {
+        const target = tables.find(o => o.name === c.softRef.table);
+        if (!target) continue;
+        edges.push({
+          from: t.key, to: target.key, label: c.name, diff: null, soft: true,
+          columns: [c.name], refColumns: [c.softRef.column || "id"]
+        });
+      }
+    }
+
+    // FKs dropped from tables that still exist
+    if (schemaDiff) {
+      for (const e of schemaDiff.edges.removed) {
+        const from = tables.find(o => o.name === e.from);
+        const to = tables.find(o => o.name === e.to);
+        if (!from || !to || !byKey.has(from.key)) continue;
+        // Composite FKs come as "(a, b)"; the referenced columns are gone with the FK
+        const columns = e.column.replace(/^\((.*)\)$/, "$1").split(", ");
+        edges.push({ from: from.key, to: to.key, label: e.column, diff: "removed", columns, refColumns: [] });
+      }
+    }
+
+    if (layoutAnimation) cancelAnimationFrame(layoutAnimation);
+    layoutAnimation = null;
+    restoreLayout();
+    for (const [key, pos] of computeLayout(true)) nodePos.set(key, pos);
+    fitPending = true;
+  }
+
+  // Tables on the canvas: all of them (ghosts included), narrowed to the domain chip and,
+  // in isolate mode, to the selected table and its neighbourhood
+  function visibleTableKeys() {
+    let list = tables;
+    if (state.domainFilter) list = list.filter(t => t.domain === state.domainFilter);
+    const selected = state.selected && byKey.get(state.selected);
+    if (state.isolateMode && selected && selected.type === "table") {
+      const keep = getNeighborKeys(selected.key);
+      list = list.filter(t => keep.has(t.key));
+    }
+    return new Set(list.map(t => t.key));
+  }
 
-  // Grid positions
-  tables.forEach((t, i) => {
-    const col = i % COL_COUNT;
-    const row = Math.floor(i / COL_COUNT);
-    nodePos.set(t.key, {
-      x: col * (NODE_W + NODE_PAD) + 50,
-      y: row * ROW_HEIGHT + 50
+  // Runs the chosen layout over the visible tables and returns their new positions, or
+  // null when neither the layout nor the visible set changed since the last run
+  function computeLayout(force) {
+    const keys = visibleTableKeys();
+    const nodes = tables.filter(t => keys.has(t.key)).map(t => ({ key: t.key, group: t.domain, ...nodeSize(t) }));
+    const signature = `${state.layout}|${nodes.map(n => `${n.key}:${n.height}`).join(",")}`;
+    if (!force && signature === diagramLayout.signature) return null;
+    if (!window.GraphLayout) {
+      console.error("GraphLayout not found. Make sure graph-layout.js loads before app.js.");
+      return new Map();
+    }
+    const fixed = new Map(tables.filter(t => keys.has(t.key) && pinned.has(t.name)).map(t => [t.key, pinned.get(t.name)]));
+    const result = window.GraphLayout.layout(state.layout, nodes, edges, {
+      nodeWidth: NODE_W,
+      nodeHeight: NODE_H,
+      gapX: NODE_PAD,
+      gapY: ROW_HEIGHT - NODE_H,
+      fixed: fixed.size ? fixed : null
     });
-  });
-
-  // Build edge list from foreign keys
-  const edges = [];
-  for (const t of tables) {
-    if (!t.columns) continue;
-    for (const c of t.columns) {
-      if (c.fk) {
-        const target = objects.find(o => o.type === "table" && o.name === c.fk.table);
-        if (target) {
-          edges.push({ from: t.key, to: target.key, label: c.name });
+    diagramLayout = { keys, routes: result.routes, groups: result.groups, signature };
+    return result.positions;
+  }
+
+  // ==========================================================================
+  // TABLE CARDS - collapsed, key columns only, or every column with its type
+  // ==========================================================================
+  function cardMode(t) {
+    return cardModes.get(t.name) || state.cards;
+  }
+
+  // "pk" / "fk" / "soft" / "uq" markers of a column, composite constraints included
+  function columnKeys(t, col) {
+    const cons = (t.constraints || []).filter(c => (c.columns || []).includes(col.name));
+    const keys = [];
+    if (col.pk || cons.some(c => c.type === "pk")) keys.push("pk");
+    if (col.fk || cons.some(c => c.type === "fk" && c.fk)) keys.push("fk");
+    else if (col.softRef) keys.push("soft");
+    if (col.unique || cons.some(c => c.type === "unique")) keys.push("uq");
+    return keys;
+  }
+
+  // Columns listed on the card in its current mode
+  function cardColumns(t) {
+    const mode = cardMode(t);
+    if (mode === "collapsed") return [];
+    const columns = t.columns || [];
+    return mode === "all" ? columns : columns.filter(col => columnKeys(t, col).length);
+  }
+
+  // Keys-only cards end with a "+ N more columns" row
+  function nodeSize(t) {
+    if (cardMode(t) === "collapsed") return { width: NODE_W, height: NODE_H };
+    const listed = cardColumns(t).length;
+    const rows = listed + (listed < (t.columns || []).length ? 1 : 0);
+    return { width: CARD_W, height: CARD_HEAD + rows * CARD_ROW + CARD_FOOT };
+  }
+
+  // Middle of the row listing the first of columns, from the card top; null on collapsed
+  // cards. FKs whose referenced columns are unknown point at the primary key, anything
+  // not listed at the header.
+  function columnRowY(t, columns) {
+    if (cardMode(t) === "collapsed") return null;
+    const listed = cardColumns(t);
+    let i = listed.findIndex(col => columns.includes(col.name));
+    if (i < 0 && !columns.length) i = listed.findIndex(col => columnKeys(t, col).includes("pk"));
+    return i < 0 ? CARD_HEAD / 2 : CARD_HEAD + i * CARD_ROW + CARD_ROW / 2;
+  }
+
+  // The ▸ on each card: collapsed → keys only → all columns → collapsed
+  function cycleCardMode(t) {
+    const next = CARD_MODES[(CARD_MODES.indexOf(cardMode(t)) + 1) % CARD_MODES.length];
+    if (next === state.cards) cardModes.delete(t.name);
+    else cardModes.set(t.name, next);
+    storeLayout();
+    redrawCards();
+  }
+
+  // The toolbar picker sets every card, dropping the per-table choices
+  function setCardMode(mode) {
+    state.cards = mode;
+    cardModes.clear();
+    storeLayout();
+    redrawCards();
+  }
+
+  // Cards changed size: draw them anew and let the layout make room
+  function redrawCards() {
+    if (state.view === "diagram") renderDiagram();
+    relayoutDiagram({ force: true, fit: false });
+  }
+
+  // ==========================================================================
+  // SAVED LAYOUTS - pinned tables per schema, in localStorage and as a JSON file
+  // ==========================================================================
+  // A migration history shares one layout across its versions
+  function layoutSchemaId() {
+    if (state.timeline) return `history:${state.timeline.versions[0].source}`;
+    return SCHEMA.source || "bundled";
+  }
+
+  function snapToGrid(value) {
+    return Math.round(value / GRID) * GRID;
+  }
+
+  // The shareable layout: the layout and card mode picked in the toolbar, the pinned tables
+  // and the cards toggled on their own, by table name
+  function layoutDocument() {
+    const names = Array.from(pinned.keys()).sort();
+    const carded = Array.from(cardModes.keys()).sort();
+    return {
+      format: LAYOUT_FORMAT,
+      version: 1,
+      schema: layoutSchemaId(),
+      layout: state.layout,
+      pinned: Object.fromEntries(names.map(name => [name, { ...pinned.get(name) }])),
+      cards: { mode: state.cards, tables: Object.fromEntries(carded.map(name => [name, cardModes.get(name)])) }
+    };
+  }
+
+  // Takes over a layout document. Returns the pinned names this schema has no table for
+  // (they are kept, a later migration may add them); throws if doc is not a layout.
+  function applyLayoutDocument(doc) {
+    if (!doc || doc.format !== LAYOUT_FORMAT || !doc.pinned || typeof doc.pinned !== "object") {
+      throw new Error("This is not an Adams Apples layout file.");
+    }
+    if (window.GraphLayout && window.GraphLayout.LAYOUTS.some(l => l.id === doc.layout)) state.layout = doc.layout;
+    pinned = new Map();
+    for (const [name, pos] of Object.entries(doc.pinned)) {
+      if (pos && isFinite(pos.x) && isFinite(pos.y)) pinned.set(name, { x: snapToGrid(pos.x), y: snapToGrid(pos.y) });
+    }
+    // Files saved before cards could expand have no cards entry
+    cardModes = new Map();
+    if (doc.cards && typeof doc.cards === "object") {
+      if (CARD_MODES.includes(doc.cards.mode)) state.cards = doc.cards.mode;
+      for (const [name, mode] of Object.entries(doc.cards.tables || {})) {
+        if (CARD_MODES.includes(mode) && mode !== state.cards) cardModes.set(name, mode);
+      }
+    }
+    const select = $("#layoutSelect");
+    if (select) select.value = state.layout;
+    const cardSelect = $("#cardModeSelect");
+    if (cardSelect) cardSelect.value = state.cards;
+    const names = new Set(tables.map(t => t.name));
+    return Array.from(pinned.keys()).filter(name => !names.has(name));
+  }
+
+  // Picks up the layout saved for this schema; browsers that block storage start fresh
+  function restoreLayout() {
+    pinned = new Map();
+    cardModes = new Map();
+    let doc = null;
+    try {
+      doc = JSON.parse(localStorage.getItem(LAYOUT_KEY_PREFIX + layoutSchemaId()));
+    } catch (err) {
+      return;
+    }
+    if (!doc) return;
+    try {
+      applyLayoutDocument(doc);
+    } catch (err) {
+      console.error(`Ignoring the saved diagram layout: ${err.message}`);
+    }
+  }
+
+  function storeLayout() {
+    try {
+      localStorage.setItem(LAYOUT_KEY_PREFIX + layoutSchemaId(), JSON.stringify(layoutDocument()));
+    } catch (err) {
+      console.error(`Could not save the diagram layout: ${err.message}`);
+    }
+  }
+
+  function importLayoutFile(file) {
+    file.text().then(text => {
+      let missing;
+      try {
+        missing = applyLayoutDocument(JSON.parse(text));
+      } catch (err) {
+        alert(`Could not load ${file.name}: ${err.message}`);
+        return;
+      }
+      storeLayout();
+      if (state.view === "diagram") renderDiagram();
+      relayoutDiagram({ force: true });
+      if (missing.length) {
+        alert(`${file.name} pins ${missing.length} table(s) this schema doesn't have: ${missing.join(", ")}.`);
+      }
+    }).catch(err => alert(`Could not load ${file.name}: ${err.message}`));
+  }
+
+  buildGraph();
+
+  // ==========================================================================
+  // SCHEMA LOADING - swap in an imported migration
+  // ==========================================================================
+  // keepSelection: stay on the selected object if it exists in the new schema
+  // (used when stepping through migration versions)
+  function loadSchema(schema, { keepSelection = false } = {}) {
+    window.SCHEMA = SCHEMA = schema;
+    objects = schema.objects;
+    indexObjects();
+    auditFkIndexes();
+    validateSchema();
+    analyzeViews();
+    analyzeFunctions();
+    computeDiff();
+
+    if (!keepSelection || !byKey.has(state.selected)) state.selected = null;
+    state.hovered = null;
+    if (!keepSelection) state.domainFilter = null;
+    if (state.joinPath) {
+      for (const end of ["from", "to"]) {
+        if (!objects.some(o => o.type === "table" && o.name === state.joinPath[end])) state.joinPath[end] = "";
+      }
+    }
+    buildGraph();
+
+    const sub = $(".brand-sub");
+    if (sub && schema.source) {
+      sub.textContent = `Schema explorer • ${schema.version ? schema.version + " • " : ""}${schema.source}`;
+    }
+
+    renderSidebar();
+    renderTimeline();
+    renderDiffStatus();
+    renderJoinPanel();
+    renderProblemsButton();
+    setView(state.view);
+    renderInspector();
+  }
+
+  // One file: plain import. Several files: replay them as a Flyway history.
+  function importSqlFiles(files) {
+    if (!window.SqlImport) {
+      console.error("SqlImport not found. Make sure sql-import.js loads before app.js.");
+      return;
+    }
+    Promise.all(files.map(f => f.text().then(sql => ({ name: f.name, sql })))).then(loaded => {
+      const versions = window.SqlImport.replayMigrations(loaded, { previous: bundledObjects });
+      const last = versions[versions.length - 1];
+      if (!last.schema.objects.some(o => o.type === "table")) {
+        alert(`No CREATE TABLE statements found in ${files.map(f => f.name).join(", ")}.`);
+        return;
+      }
+      for (const v of versions) {
+        if (v.schema.skipped.length) {
+          console.info(`Skipped ${v.schema.skipped.length} statements from ${v.source}:`, v.schema.skipped);
+        }
+      }
+      state.timeline = versions.length > 1 ? { versions, index: versions.length - 1 } : null;
+      loadSchema(last.schema);
+    }).catch(err => alert(`Could not import ${files.map(f => f.name).join(", ")}: ${err.message}`));
+  }
+
+  // ==========================================================================
+  // MIGRATION TIMELINE - version slider for Diagram and Docs
+  // ==========================================================================
+  function setTimelineIndex(index) {
+    if (!state.timeline) return;
+    state.timeline.index = index;
+    loadSchema(state.timeline.versions[index].schema, { keepSelection: true });
+  }
+
+  function renderTimeline() {
+    for (const el of $$(".timeline")) {
+      const tl = state.timeline;
+      el.classList.toggle("hidden", !tl);
+      if (!tl) {
+        el.innerHTML = "";
+        continue;
+      }
+      const current = tl.versions[tl.index];
+      el.innerHTML = `
+        <span class="timeline-label">Version</span>
+        <input type="range" min="0" max="${tl.versions.length - 1}" step="1" value="${tl.index}"
+               aria-label="Migration version" />
+        <span class="timeline-current"><strong>${escapeHtml(current.label)}</strong> ${escapeHtml(current.description)}</span>
+      `;
+      const range = el.querySelector("input");
+      range.addEventListener("change", () => setTimelineIndex(Number(range.value)));
+      range.addEventListener("input", () => {
+        const v = tl.versions[Number(range.value)];
+        el.querySelector(".timeline-current").innerHTML = `<strong>${escapeHtml(v.label)}</strong> ${escapeHtml(v.description)}`;
+      });
+    }
+  }
+
+  /**
+   * First migration in the current timeline from which the object (or one of its
+   * columns) exists without interruption up to the selected version. Answers
+   * "when did this column appear?". Returns null without a timeline.
+   */
+  function introducedIn(key, columnName) {
+    const tl = state.timeline;
+    if (!tl) return null;
+    const present = v => {
+      const obj = v.schema.objects.find(o => o.key === key);
+      if (!obj) return false;
+      return !columnName || (obj.columns || []).some(c => c.name === columnName);
+    };
+    let first = null;
+    for (let i = tl.index; i >= 0 && present(tl.versions[i]); i--) first = tl.versions[i];
+    return first;
+  }
+
+  // ==========================================================================
+  // SCHEMA DIFF - compare against a baseline, overlay on the diagram
+  // ==========================================================================
+
+  // Baseline: an explicitly loaded comparison, else the previous timeline version
+  function diffBaseline() {
+    if (state.compare) return state.compare;
+    const tl = state.timeline;
+    if (tl && tl.index > 0) {
+      const prev = tl.versions[tl.index - 1];
+      return { label: prev.label, schema: prev.schema };
+    }
+    return null;
+  }
+
+  function computeDiff() {
+    const baseline = diffBaseline();
+    schemaDiff = baseline && window.SchemaDiff
+      ? Object.assign(window.SchemaDiff.diffSchemas(baseline.schema, SCHEMA), { label: baseline.label })
+      : null;
+  }
+
+  // Current object, or a removed one from the diff baseline (ghost node)
+  function findObjectOrGhost(key) {
+    return byKey.get(key) || (schemaDiff && schemaDiff.removedObjects.find(o => o.key === key)) || null;
+  }
+
+  function diffStatusOf(key) {
+    const entry = schemaDiff && schemaDiff.byKey.get(key);
+    return entry ? entry.status : null;
+  }
+
+  function renderDiffStatus() {
+    const el = $("#diffStatus");
+    if (!el) return;
+    el.classList.toggle("hidden", !schemaDiff);
+    if (!schemaDiff) {
+      el.innerHTML = "";
+      return;
+    }
+    const { added, removed, changed } = schemaDiff.summary;
+    el.innerHTML = `
+      <span>Changes vs <strong>${escapeHtml(schemaDiff.label)}</strong>:</span>
+      <span class="diff-pill added">+${added}</span>
+      <span class="diff-pill changed">~${changed}</span>
+      <span class="diff-pill removed">−${removed}</span>
+      ${state.compare ? '<button class="btn ghost small" id="btnClearCompare">Clear</button>' : ""}
+    `;
+    const clear = $("#btnClearCompare", el);
+    if (clear) clear.addEventListener("click", () => setCompare(null));
+  }
+
+  function setCompare(compare) {
+    state.compare = compare;
+    loadSchema(SCHEMA, { keepSelection: true });
+  }
+
+  // Baseline from one data.js build or a set of migrations (last version wins)
+  function importCompareFiles(files) {
+    Promise.all(files.map(f => f.text().then(text => ({ name: f.name, sql: text })))).then(loaded => {
+      let schema;
+      try {
+        if (loaded.length === 1 && /\.(js|json)$/i.test(loaded[0].name)) {
+          schema = window.SqlImport.readSchemaScript(loaded[0].sql);
+        } else {
+          const versions = window.SqlImport.replayMigrations(loaded, { previous: bundledObjects });
+          schema = versions[versions.length - 1].schema;
         }
+      } catch (err) {
+        alert(`Could not read ${loaded.map(f => f.name).join(", ")}: ${err.message}`);
+        return;
       }
+      setCompare({ label: loaded.map(f => f.name).join(", "), schema });
+    }).catch(err => alert(`Could not compare with ${files.map(f => f.name).join(", ")}: ${err.message}`));
+  }
+
+  function renderChangesTab(container, obj) {
+    container.innerHTML = "";
+    const div = document.createElement("div");
+    div.className = "inspector-section";
+
+    if (!schemaDiff) {
+      div.innerHTML = `<p class="hint">Use "Compare…" to load a baseline (a data.js build, a JSON export or migrations), or import a migration history to compare versions.</p>`;
+      container.appendChild(div);
+      return;
     }
+
+    const entry = schemaDiff.byKey.get(obj.key);
+    if (!entry) {
+      div.innerHTML = `<p class="hint">No changes to this ${obj.type} since ${escapeHtml(schemaDiff.label)}.</p>`;
+    } else if (entry.status === "added") {
+      div.innerHTML = `<h3><span class="diff-pill added">Added</span></h3><p>This ${obj.type} does not exist in ${escapeHtml(schemaDiff.label)}.</p>`;
+    } else if (entry.status === "removed") {
+      div.innerHTML = `<h3><span class="diff-pill removed">Removed</span></h3><p>This ${obj.type} exists in ${escapeHtml(schemaDiff.label)} but not in the current schema.</p>`;
+    } else {
+      div.innerHTML = `<h3>Changes since ${escapeHtml(schemaDiff.label)}</h3>${renderChangeList(entry.changes)}`;
+    }
+    container.appendChild(div);
+  }
+
+  function renderChangeList(changes) {
+    const items = changes.map(ch => `<li class="diff-${ch.status}">
+        <span class="diff-pill ${ch.status}">${ch.status}</span>
+        ${ch.what} <code>${escapeHtml(ch.name)}</code>${ch.detail ? ` — ${escapeHtml(ch.detail)}` : ""}
+      </li>`);
+    return `<ul class="change-list">${items.join("")}</ul>`;
   }
 
   // ==========================================================================
@@ -890,6 +1653,9 @@
     const views = byType.get("view") || [];
     const functions = byType.get("function") || [];
     const triggers = byType.get("trigger") || [];
+    const sequences = byType.get("sequence") || [];
+    const extensions = byType.get("extension") || [];
+    const schemas = byType.get("schema") || [];
     
     let indexCount = 0;
     tbls.forEach(t => { if (t.indexes) indexCount += t.indexes.length; });
@@ -900,6 +1666,9 @@
     const countFunctions = $("#countFunctions");
     const countTriggers = $("#countTriggers");
     const countIndexes = $("#countIndexes");
+    const countSequences = $("#countSequences");
+    const countExtensions = $("#countExtensions");
+    const countSchemas = $("#countSchemas");
 
     if (countTables) countTables.textContent = tbls.length;
     if (countEnums) countEnums.textContent = enums.length;
@@ -907,6 +1676,9 @@
     if (countFunctions) countFunctions.textContent = functions.length;
     if (countTriggers) countTriggers.textContent = triggers.length;
     if (countIndexes) countIndexes.textContent = indexCount;
+    if (countSequences) countSequences.textContent = sequences.length;
+    if (countExtensions) countExtensions.textContent = extensions.length;
+    if (countSchemas) countSchemas.textContent = schemas.length;
 
     // Build domain chips
     const domainChips = $("#domainChips");
@@ -921,6 +1693,7 @@
         chip.addEventListener("click", () => {
           state.domainFilter = state.domainFilter === domain ? null : domain;
           renderSidebar();
+          relayoutDiagram();
         });
         domainChips.appendChild(chip);
       });
@@ -943,8 +1716,11 @@
       filtered = filtered.filter(o => o.name.toLowerCase().includes(state.filter));
     }
 
-    const groups = ["table", "enum", "view", "function", "trigger"];
-    const labels = { table: "Tables", view: "Views", function: "Functions", trigger: "Triggers", enum: "Enums" };
+    const groups = ["table", "enum", "view", "function", "trigger", "sequence", "extension", "schema"];
+    const labels = {
+      table: "Tables", view: "Views", function: "Functions", trigger: "Triggers", enum: "Enums",
+      sequence: "Sequences", extension: "Extensions", schema: "Schemas"
+    };
 
     for (const g of groups) {
       const items = filtered.filter(o => o.type === g);
@@ -969,6 +1745,79 @@
   // ==========================================================================
   // DIAGRAM SVG
   // ==========================================================================
+  const nodeEls = new Map();   // table key → its <g> on the canvas
+  let edgeEls = [];            // [{ edge, el }] for every drawn FK line
+
+  function cardCentre(key) {
+    const pos = nodePos.get(key);
+    const size = nodeSize(tableByKey.get(key));
+    return { x: pos.x + size.width / 2, y: pos.y + size.height / 2 };
+  }
+
+  // Where an FK line meets a table: the centre of a collapsed card, or the left or right
+  // edge of an expanded one at the column's row, on the side facing `toward`
+  function edgeAnchor(key, columns, toward) {
+    const t = tableByKey.get(key);
+    const rowY = columnRowY(t, columns);
+    const centre = cardCentre(key);
+    if (rowY === null) return { ...centre, side: 0 };
+    const pos = nodePos.get(key);
+    const side = toward.x < centre.x ? -1 : 1;
+    return { x: side < 0 ? pos.x : pos.x + nodeSize(t).width, y: pos.y + rowY, side };
+  }
+
+  // Curve from the FK column to the referenced column (table centres on collapsed cards).
+  // FKs the layered layout routed past other rows follow their bend points, except while
+  // tables are moving (plain).
+  function edgePath(e, plain) {
+    if (!nodePos.has(e.from) || !nodePos.has(e.to)) return null;
+    const bends = (!plain && diagramLayout.routes.get(`${e.from}\n${e.to}`)) || [];
+    const start = edgeAnchor(e.from, e.columns || [], bends[0] || cardCentre(e.to));
+    const end = edgeAnchor(e.to, e.refColumns || [], bends[bends.length - 1] || cardCentre(e.from));
+    if (!bends.length && !start.side && !end.side) {
+      const mx = (start.x + end.x) / 2;
+      const my = (start.y + end.y) / 2 - 30;
+      return `M${start.x},${start.y} Q${mx},${my} ${end.x},${end.y}`;
+    }
+    // Leave and enter card edges horizontally, pass bend points vertically
+    const points = [start, ...bends, end];
+    let d = `M${start.x},${start.y}`;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const my = (a.y + b.y) / 2;
+      const reach = Math.max(40, Math.abs(b.x - a.x) / 2);
+      const c1 = a.side ? `${a.x + a.side * reach},${a.y}` : `${a.x},${my}`;
+      const c2 = b.side ? `${b.x + b.side * reach},${b.y}` : `${b.x},${my}`;
+      d += ` C${c1} ${c2} ${b.x},${b.y}`;
+    }
+    return d;
+  }
+
+  // Labelled frames behind the tables of each domain ("By domain" layout only)
+  function drawDomainFrames(hidden) {
+    const layer = $("#viewport .domain-frames");
+    if (!layer) return;
+    layer.innerHTML = "";
+    if (hidden) return;
+    for (const g of diagramLayout.groups) {
+      const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+      rect.setAttribute("x", g.x);
+      rect.setAttribute("y", g.y);
+      rect.setAttribute("width", g.width);
+      rect.setAttribute("height", g.height);
+      rect.setAttribute("rx", 10);
+      rect.setAttribute("class", "domain-frame");
+      const label = document.createElementNS("http://www.w3.org/2000/svg", "text");
+      label.setAttribute("x", g.x + 12);
+      label.setAttribute("y", g.y + 22);
+      label.setAttribute("class", "domain-label");
+      label.textContent = g.name;
+      layer.appendChild(rect);
+      layer.appendChild(label);
+    }
+  }
+
   function renderDiagram() {
     const svg = $("#schemaSvg");
     const viewport = $("#viewport");
@@ -976,26 +1825,32 @@
 
     // Clear viewport
     viewport.innerHTML = "";
+    nodeEls.clear();
+    edgeEls = [];
+
+    const frames = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    frames.setAttribute("class", "domain-frames");
+    viewport.appendChild(frames);
+    drawDomainFrames(!!layoutAnimation);
 
     // Edges
     for (const e of edges) {
-      const p1 = nodePos.get(e.from);
-      const p2 = nodePos.get(e.to);
-      if (!p1 || !p2) continue;
+      const d = edgePath(e, !!layoutAnimation);
+      if (!d) continue;
 
       const line = document.createElementNS("http://www.w3.org/2000/svg", "path");
-      const x1 = p1.x + NODE_W / 2;
-      const y1 = p1.y + 40;
-      const x2 = p2.x + NODE_W / 2;
-      const y2 = p2.y + 40;
-      const mx = (x1 + x2) / 2;
-      const my = (y1 + y2) / 2 - 30;
-      line.setAttribute("d", `M${x1},${y1} Q${mx},${my} ${x2},${y2}`);
-      line.setAttribute("class", "edge-line");
+      line.setAttribute("d", d);
+      line.setAttribute("class", "edge-line" + (e.diff ? ` diff-${e.diff}` : "") + (e.soft ? " soft" : ""));
       line.setAttribute("marker-end", "url(#arrow)");
       line.dataset.from = e.from;
       line.dataset.to = e.to;
+      if (e.soft) {
+        const tip = document.createElementNS("http://www.w3.org/2000/svg", "title");
+        tip.textContent = `${e.label}: soft reference, not enforced by the database`;
+        line.appendChild(tip);
+      }
       viewport.appendChild(line);
+      edgeEls.push({ edge: e, el: line });
     }
 
     // Nodes (tables only)
@@ -1005,75 +1860,407 @@
       
       const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
       group.setAttribute("transform", `translate(${pos.x}, ${pos.y})`);
-      group.setAttribute("class", "diagram-node");
+      const diffStatus = diffStatusOf(t.key);
+      group.setAttribute("class", "diagram-node" + (diffStatus ? ` diff-${diffStatus}` : ""));
       group.dataset.key = t.key;
 
+      const size = nodeSize(t);
+      const collapsed = cardMode(t) === "collapsed";
       const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-      rect.setAttribute("width", NODE_W);
-      rect.setAttribute("height", 80);
+      rect.setAttribute("width", size.width);
+      rect.setAttribute("height", size.height);
       rect.setAttribute("rx", 6);
       rect.setAttribute("class", "node-rect" + (state.selected === t.key ? " selected" : ""));
 
       const title = document.createElementNS("http://www.w3.org/2000/svg", "text");
       title.setAttribute("x", 10);
-      title.setAttribute("y", 24);
+      title.setAttribute("y", collapsed ? 24 : 21);
       title.setAttribute("class", "node-title");
       title.textContent = t.name;
 
-      const subtitle = document.createElementNS("http://www.w3.org/2000/svg", "text");
-      subtitle.setAttribute("x", 10);
-      subtitle.setAttribute("y", 44);
-      subtitle.setAttribute("class", "node-subtitle");
-      subtitle.textContent = `${(t.columns || []).length} columns`;
-
-      // FK index warning indicator
-      const hasWarning = fkIndexIssues.some(i => i.table === t.name);
-      if (hasWarning) {
-        const warn = document.createElementNS("http://www.w3.org/2000/svg", "text");
-        warn.setAttribute("x", NODE_W - 24);
-        warn.setAttribute("y", 24);
-        warn.setAttribute("class", "node-warning");
-        warn.textContent = "⚠";
-        warn.setAttribute("title", "Missing FK index");
-        group.appendChild(warn);
-      }
-
       group.appendChild(rect);
       group.appendChild(title);
-      group.appendChild(subtitle);
 
-      group.addEventListener("click", () => selectObject(t.key));
+      if (collapsed) {
+        const subtitle = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        subtitle.setAttribute("x", 10);
+        subtitle.setAttribute("y", 44);
+        subtitle.setAttribute("class", "node-subtitle");
+        subtitle.textContent = `${(t.columns || []).length} columns`;
+        group.appendChild(subtitle);
+
+        // FK index warning indicator (expanded cards flag the column itself)
+        const hasWarning = fkIndexIssues.some(i => i.table === t.name);
+        if (hasWarning) {
+          const warn = document.createElementNS("http://www.w3.org/2000/svg", "text");
+          warn.setAttribute("x", NODE_W - 24);
+          warn.setAttribute("y", 24);
+          warn.setAttribute("class", "node-warning");
+          warn.textContent = "⚠";
+          warn.setAttribute("title", "Missing FK index");
+          group.appendChild(warn);
+        }
+      } else {
+        drawCardRows(group, t, size.width);
+      }
+
+      group.appendChild(cardToggle(t, size));
+      showPinMarker(group, t);
+
+      group.addEventListener("mousedown", e => startNodeDrag(e, t));
+      group.addEventListener("dblclick", () => togglePin(t));
+      group.addEventListener("click", () => {
+        if (dragJustEnded) return;
+        selectObject(t.key);
+      });
       group.addEventListener("mouseenter", () => hoverObject(t.key));
       group.addEventListener("mouseleave", () => hoverObject(null));
 
       viewport.appendChild(group);
+      nodeEls.set(t.key, group);
     }
 
-    // Apply pan/zoom, isolate mode, and edge visibility
+    // Apply pan/zoom, layout visibility, join path, isolate mode, and edge visibility
+    if (fitPending) fitPending = !fitDiagram();
     applyPanZoom();
+    applyLayoutVisibility();
+    applyJoinPath();
     updateEdgeVisibility();
     applyIsolateMode();
   }
 
-  function applyPanZoom(g) {
-    if (!g) g = $("#viewport");
-    if (!g) return;
-    g.setAttribute("transform", `translate(${state.pan.x}, ${state.pan.y}) scale(${state.zoom})`);
+  function clipText(text, max) {
+    return text.length > max ? text.slice(0, Math.max(1, max - 1)) + "…" : text;
   }
 
-  // ==========================================================================
-  // EDGE VISIBILITY & HIGHLIGHTING
-  // ==========================================================================
-  function updateEdgeVisibility() {
-    const edgeLines = $$("#schemaSvg .edge-line");
-    const activeKey = state.selected || state.hovered;
-
-    for (const line of edgeLines) {
+  // Soft references get REF, not FK: the database does not enforce them
+  const KEY_LABELS = { pk: "PK", fk: "FK", soft: "REF", uq: "UQ" };
+  const KEY_CHAR_W = 6;        // width of one marker character at the card's 9px monospace
+
+  // Column rows under the card header: key markers, name, type, and ⚠ on FK columns
+  // no index covers. Keys-only cards count the columns they leave out.
+  function drawCardRows(group, t, width) {
+    const ns = "http://www.w3.org/2000/svg";
+    const divider = document.createElementNS(ns, "line");
+    divider.setAttribute("x1", 0);
+    divider.setAttribute("x2", width);
+    divider.setAttribute("y1", CARD_HEAD);
+    divider.setAttribute("y2", CARD_HEAD);
+    divider.setAttribute("class", "card-divider");
+    group.appendChild(divider);
+
+    const listed = cardColumns(t);
+    const markers = new Map(listed.map(col => [col.name, columnKeys(t, col)]));
+    const markerChars = keys => keys.reduce((n, key) => n + KEY_LABELS[key].length + 1, 0);
+    const keyWidth = Math.max(0, ...Array.from(markers.values(), markerChars)) * KEY_CHAR_W;
+    const nameX = 10 + keyWidth;
+    listed.forEach((col, i) => {
+      const y = CARD_HEAD + i * CARD_ROW + 13;
+      const keys = markers.get(col.name);
+      const row = document.createElementNS(ns, "g");
+      row.setAttribute("class", "card-row");
+      row.dataset.column = col.name;
+      const tip = document.createElementNS(ns, "title");
+      tip.textContent = `${col.name} ${col.type}${col.nullable ? "" : " NOT NULL"}` +
+        (col.softRef ? ` — ${softRefText(col.softRef)}, not enforced` : "");
+      row.appendChild(tip);
+
+      if (keys.length) {
+        const marks = document.createElementNS(ns, "text");
+        marks.setAttribute("x", 10);
+        marks.setAttribute("y", y);
+        marks.setAttribute("class", "card-keys");
+        for (const key of keys) {
+          const mark = document.createElementNS(ns, "tspan");
+          mark.setAttribute("class", `key-${key}`);
+          mark.textContent = KEY_LABELS[key] + " ";
+          if (key === "soft") {
+            const why = document.createElementNS(ns, "title");
+            why.textContent = "Soft reference: not enforced by the database";
+            mark.appendChild(why);
+          }
+          marks.appendChild(mark);
+        }
+        row.appendChild(marks);
+      }
+
+      const type = clipText(String(col.type || ""), 14);
+      const name = document.createElementNS(ns, "text");
+      name.setAttribute("x", nameX);
+      name.setAttribute("y", y);
+      name.setAttribute("class", "card-column" + (keys.includes("pk") ? " is-pk" : ""));
+      name.textContent = clipText(col.name, Math.floor((width - nameX - 32 - type.length * 6) / 6.5));
+      row.appendChild(name);
+
+      const typeEl = document.createElementNS(ns, "text");
+      typeEl.setAttribute("x", width - 24);
+      typeEl.setAttribute("y", y);
+      typeEl.setAttribute("text-anchor", "end");
+      typeEl.setAttribute("class", "card-type");
+      typeEl.textContent = type;
+      row.appendChild(typeEl);
+
+      const issue = fkIndexIssues.find(is => is.table === t.name && is.columns.includes(col.name));
+      if (issue) {
+        const warn = document.createElementNS(ns, "text");
+        warn.setAttribute("x", width - 19);
+        warn.setAttribute("y", y);
+        warn.setAttribute("class", "node-warning card-warning");
+        warn.textContent = "⚠";
+        const why = document.createElementNS(ns, "title");
+        why.textContent = `No index for this FK → ${issue.referencedTable}: ${issue.suggestion}`;
+        warn.appendChild(why);
+        row.appendChild(warn);
+      }
+      group.appendChild(row);
+    });
+
+    const more = (t.columns || []).length - listed.length;
+    if (more > 0) {
+      const note = document.createElementNS(ns, "text");
+      note.setAttribute("x", 10);
+      note.setAttribute("y", CARD_HEAD + listed.length * CARD_ROW + 13);
+      note.setAttribute("class", "card-more");
+      note.textContent = `+ ${more} more column${more === 1 ? "" : "s"}`;
+      group.appendChild(note);
+    }
+  }
+
+  const CARD_GLYPHS = { collapsed: "▸", keys: "▿", all: "▾" };
+  const CARD_NAMES = { collapsed: "collapsed", keys: "key columns only", all: "all columns" };
+
+  // Bottom-right on collapsed cards, in the header of expanded ones
+  function cardIconY(t) {
+    return cardMode(t) === "collapsed" ? NODE_H - 12 : 21;
+  }
+
+  function cardToggle(t, size) {
+    const mode = cardMode(t);
+    const next = CARD_MODES[(CARD_MODES.indexOf(mode) + 1) % CARD_MODES.length];
+    const toggle = document.createElementNS("http://www.w3.org/2000/svg", "text");
+    toggle.setAttribute("x", size.width - 20);
+    toggle.setAttribute("y", cardIconY(t));
+    toggle.setAttribute("class", "card-toggle");
+    toggle.textContent = CARD_GLYPHS[mode];
+    const tip = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    tip.textContent = `Card: ${CARD_NAMES[mode]}. Click for ${CARD_NAMES[next]}.`;
+    toggle.appendChild(tip);
+    toggle.addEventListener("mousedown", e => e.stopPropagation());
+    toggle.addEventListener("dblclick", e => e.stopPropagation());
+    toggle.addEventListener("click", e => {
+      e.stopPropagation();
+      cycleCardMode(t);
+    });
+    return toggle;
+  }
+
+  // ==========================================================================
+  // DRAGGING & PINNING
+  // ==========================================================================
+  let dragJustEnded = false;   // swallows the click that ends a drag
+
+  // 📌 next to the card toggle of pinned tables
+  function showPinMarker(group, t) {
+    const marker = group.querySelector(".node-pin");
+    if (!pinned.has(t.name)) {
+      if (marker) marker.remove();
+      return;
+    }
+    if (marker) return;
+    const pin = document.createElementNS("http://www.w3.org/2000/svg", "text");
+    pin.setAttribute("x", nodeSize(t).width - 40);
+    pin.setAttribute("y", cardIconY(t));
+    pin.setAttribute("class", "node-pin");
+    pin.textContent = "📌";
+    const tip = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    tip.textContent = "Pinned: layouts leave this table here. Double-click to unpin.";
+    pin.appendChild(tip);
+    group.appendChild(pin);
+  }
+
+  // The table follows the pointer on the grid with its FKs redrawn as it goes, and is
+  // pinned where it is dropped. Tables it lands on make way.
+  function startNodeDrag(e, t) {
+    const start = nodePos.get(t.key);
+    const group = nodeEls.get(t.key);
+    if (e.button !== 0 || !start || !group || layoutAnimation) return;
+    e.preventDefault();
+    dragJustEnded = false;
+    const from = { x: e.clientX, y: e.clientY };
+    const touching = edgeEls.filter(({ edge }) => edge.from === t.key || edge.to === t.key);
+    let dragging = false;
+
+    const onMove = ev => {
+      if (!dragging && Math.hypot(ev.clientX - from.x, ev.clientY - from.y) < 4) return;
+      if (!dragging) {
+        dragging = true;
+        group.classList.add("is-dragging");
+        for (const { edge } of touching) diagramLayout.routes.delete(`${edge.from}\n${edge.to}`);
+      }
+      const pos = {
+        x: snapToGrid(start.x + (ev.clientX - from.x) / state.zoom),
+        y: snapToGrid(start.y + (ev.clientY - from.y) / state.zoom)
+      };
+      nodePos.set(t.key, pos);
+      group.setAttribute("transform", `translate(${pos.x}, ${pos.y})`);
+      for (const { edge, el } of touching) el.setAttribute("d", edgePath(edge));
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+      if (!dragging) return;
+      dragJustEnded = true;
+      group.classList.remove("is-dragging");
+      pinned.set(t.name, { ...nodePos.get(t.key) });
+      showPinMarker(group, t);
+      storeLayout();
+      relayoutDiagram({ force: true, fit: false });
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  }
+
+  // Pins a table where it stands, or hands it back to the layout
+  function togglePin(t) {
+    const pos = nodePos.get(t.key);
+    if (pinned.has(t.name)) pinned.delete(t.name);
+    else if (pos) pinned.set(t.name, { x: snapToGrid(pos.x), y: snapToGrid(pos.y) });
+    const group = nodeEls.get(t.key);
+    if (group) showPinMarker(group, t);
+    storeLayout();
+    relayoutDiagram({ force: true, fit: false });
+  }
+
+  function unpinAll() {
+    pinned.clear();
+    for (const [key, group] of nodeEls) showPinMarker(group, tableByKey.get(key));
+    storeLayout();
+    relayoutDiagram({ force: true, fit: false });
+  }
+
+  // Tables the last layout left out (and FKs touching them) fade away
+  function applyLayoutVisibility() {
+    const keys = diagramLayout.keys;
+    for (const [key, el] of nodeEls) el.classList.toggle("is-out", !keys.has(key));
+    for (const { edge, el } of edgeEls) el.classList.toggle("is-out", !keys.has(edge.from) || !keys.has(edge.to));
+  }
+
+  // Moves the drawn tables and FK lines to nodePos
+  function positionDiagram(moving) {
+    for (const [key, el] of nodeEls) {
+      const pos = nodePos.get(key);
+      if (pos) el.setAttribute("transform", `translate(${pos.x}, ${pos.y})`);
+    }
+    for (const { edge, el } of edgeEls) {
+      const d = edgePath(edge, moving);
+      if (d) el.setAttribute("d", d);
+    }
+    drawDomainFrames(moving);
+  }
+
+  // Zoom and pan that show every visible table, at most at 100%; null while the canvas
+  // has no size (another view is open)
+  function fitView(positions = nodePos) {
+    const svg = $("#schemaSvg");
+    const box = svg && svg.getBoundingClientRect();
+    if (!box || !box.width || !box.height) return null;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const key of diagramLayout.keys) {
+      const pos = positions.get(key);
+      if (!pos) continue;
+      minX = Math.min(minX, pos.x);
+      minY = Math.min(minY, pos.y);
+      const size = nodeSize(tableByKey.get(key));
+      maxX = Math.max(maxX, pos.x + size.width);
+      maxY = Math.max(maxY, pos.y + size.height);
+    }
+    if (minX === Infinity) return null;
+    const width = maxX - minX + NODE_PAD * 2;
+    const height = maxY - minY + NODE_PAD * 2;
+    const zoom = Math.max(0.25, Math.min(1, box.width / width, box.height / height));
+    return {
+      zoom,
+      pan: {
+        x: Math.round((box.width - width * zoom) / 2 - (minX - NODE_PAD) * zoom),
+        y: Math.round((box.height - height * zoom) / 2 - (minY - NODE_PAD) * zoom)
+      }
+    };
+  }
+
+  function fitDiagram() {
+    const view = fitView();
+    if (!view) return false;
+    state.zoom = view.zoom;
+    state.pan = view.pan;
+    applyPanZoom();
+    return true;
+  }
+
+  // Reruns the layout when it or the visible set changed (or always, with force). Tables
+  // glide to their new places while the view refits, unless the user prefers reduced
+  // motion. fit: false keeps the current zoom and pan.
+  function relayoutDiagram({ force = false, fit = true } = {}) {
+    const target = computeLayout(force);
+    if (!target) return;
+    if (layoutAnimation) cancelAnimationFrame(layoutAnimation);
+    layoutAnimation = null;
+    const start = new Map(Array.from(target.keys(), key => [key, nodePos.get(key) || target.get(key)]));
+    const view = fit ? fitView(target) : { zoom: state.zoom, pan: { ...state.pan } };
+    const drawn = Array.from(target.keys()).every(key => nodeEls.has(key));
+    const still = !window.requestAnimationFrame ||
+      (window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+
+    if (state.view !== "diagram" || !drawn || still || !view) {
+      for (const [key, pos] of target) nodePos.set(key, pos);
+      fitPending = fit && !view;
+      if (view) {
+        state.zoom = view.zoom;
+        state.pan = view.pan;
+      }
+      if (state.view === "diagram") renderDiagram();
+      return;
+    }
+
+    const from = { zoom: state.zoom, pan: { ...state.pan } };
+    const mix = (a, b, t) => a + (b - a) * t;
+    let began = null;
+    applyLayoutVisibility();
+    const step = now => {
+      if (began === null) began = now;
+      const t = Math.min(1, (now - began) / LAYOUT_MS);
+      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+      for (const [key, to] of target) {
+        const at = start.get(key);
+        nodePos.set(key, { x: mix(at.x, to.x, ease), y: mix(at.y, to.y, ease) });
+      }
+      state.zoom = mix(from.zoom, view.zoom, ease);
+      state.pan = { x: mix(from.pan.x, view.pan.x, ease), y: mix(from.pan.y, view.pan.y, ease) };
+      layoutAnimation = t < 1 ? requestAnimationFrame(step) : null;
+      positionDiagram(t < 1);
+      applyPanZoom();
+    };
+    layoutAnimation = requestAnimationFrame(step);
+  }
+
+  function applyPanZoom(g) {
+    if (!g) g = $("#viewport");
+    if (!g) return;
+    g.setAttribute("transform", `translate(${state.pan.x}, ${state.pan.y}) scale(${state.zoom})`);
+  }
+
+  // ==========================================================================
+  // EDGE VISIBILITY & HIGHLIGHTING
+  // ==========================================================================
+  function updateEdgeVisibility() {
+    const edgeLines = $$("#schemaSvg .edge-line");
+    const activeKey = state.selected || state.hovered;
+
+    for (const line of edgeLines) {
       const from = line.dataset.from;
       const to = line.dataset.to;
 
-      // Determine if this edge should be highlighted
-      const isHighlighted = activeKey && (from === activeKey || to === activeKey);
+      // Determine if this edge should be highlighted (FKs of the join path too)
+      const isHighlighted = (activeKey && (from === activeKey || to === activeKey)) || line.classList.contains("on-path");
 
       // Apply highlighting
       if (isHighlighted) {
@@ -1090,25 +2277,57 @@
       } else if (state.showEdges === "all") {
         line.style.opacity = isHighlighted ? "1" : "0.4";
       } else {
-        // "focus" mode - show only highlighted edges
-        line.style.opacity = isHighlighted ? "1" : "0";
+        // "focus" mode - show only highlighted edges (and diff overlay edges)
+        const isDiff = ["diff-added", "diff-removed", "diff-changed"].some(c => line.classList.contains(c));
+        line.style.opacity = isHighlighted ? "1" : isDiff ? "0.85" : "0";
       }
     }
   }
 
   // ==========================================================================
-  // ISOLATE MODE (1-hop neighbors)
+  // ISOLATE MODE (N-hop neighbourhood, upstream / downstream / both)
   // ==========================================================================
-  function getNeighborKeys(key) {
-    const neighbors = new Set();
-    neighbors.add(key);
-    
-    for (const e of edges) {
-      if (e.from === key) neighbors.add(e.to);
-      if (e.to === key) neighbors.add(e.from);
+  // Tables within state.hops FKs of key (key itself included) → their distance in hops.
+  // Upstream follows FKs to the tables they reference, downstream the FKs pointing back.
+  function neighborDistances(key) {
+    const distance = new Map([[key, 0]]);
+    const up = state.direction !== "downstream";
+    const down = state.direction !== "upstream";
+    let frontier = [key];
+    for (let hop = 1; hop <= state.hops && frontier.length; hop++) {
+      const next = [];
+      const reach = other => {
+        if (distance.has(other)) return;
+        distance.set(other, hop);
+        next.push(other);
+      };
+      // FK and soft-reference edges alike
+      for (const e of edges) {
+        if (up && frontier.includes(e.from)) reach(e.to);
+        if (down && frontier.includes(e.to)) reach(e.from);
+      }
+      frontier = next;
     }
-    
-    return neighbors;
+    return distance;
+  }
+
+  function getNeighborKeys(key) {
+    return new Set(neighborDistances(key).keys());
+  }
+
+  // "invoices and its direct neighbours", "invoices and what references it (2 hops)"
+  function neighbourhoodLabel(name) {
+    if (state.hops === 1 && state.direction === "both") return `${name} and its direct neighbours`;
+    const what = { both: "its neighbours", upstream: "what it references", downstream: "what references it" }[state.direction];
+    return `${name} and ${what} (${state.hops} hop${state.hops === 1 ? "" : "s"})`;
+  }
+
+  // Tables and FKs further from the selected table fade more
+  const HOP_CLASSES = ["hop-2", "hop-3", "hop-4"];
+
+  function setHopClass(el, distance) {
+    el.classList.remove(...HOP_CLASSES);
+    if (distance >= 2) el.classList.add(`hop-${distance}`);
   }
 
   function applyIsolateMode() {
@@ -1117,31 +2336,189 @@
 
     if (!state.isolateMode || !state.selected) {
       // Remove all dimming
-      nodes.forEach(n => n.classList.remove("is-dim"));
-      edgeLines.forEach(e => e.classList.remove("is-dim"));
+      nodes.forEach(n => {
+        n.classList.remove("is-dim");
+        setHopClass(n, 0);
+      });
+      edgeLines.forEach(e => {
+        e.classList.remove("is-dim");
+        setHopClass(e, 0);
+      });
       return;
     }
 
-    const visibleKeys = getNeighborKeys(state.selected);
+    const distance = neighborDistances(state.selected);
 
     // Dim nodes not in visible set
     for (const node of nodes) {
-      if (visibleKeys.has(node.dataset.key)) {
-        node.classList.remove("is-dim");
-      } else {
-        node.classList.add("is-dim");
-      }
+      node.classList.toggle("is-dim", !distance.has(node.dataset.key));
+      setHopClass(node, distance.get(node.dataset.key) || 0);
     }
 
-    // Dim edges not connecting visible nodes
+    // Dim edges not connecting visible nodes; an edge fades like its further table
     for (const edge of edgeLines) {
-      const from = edge.dataset.from;
-      const to = edge.dataset.to;
-      if (visibleKeys.has(from) && visibleKeys.has(to)) {
-        edge.classList.remove("is-dim");
-      } else {
-        edge.classList.add("is-dim");
-      }
+      const from = distance.get(edge.dataset.from);
+      const to = distance.get(edge.dataset.to);
+      const shown = from !== undefined && to !== undefined;
+      edge.classList.toggle("is-dim", !shown);
+      setHopClass(edge, shown ? Math.max(from, to) : 0);
+    }
+  }
+
+  // ==========================================================================
+  // JOIN PATHS - shortest FK paths between two tables, with their JOIN SQL
+  // ==========================================================================
+  let joinPaths = [];          // JoinPaths.findPaths() for the two tables in the panel
+
+  // Hub tables (users) are routed around unless the panel allows them or there's no other way
+  function findJoinPaths() {
+    const jp = state.joinPath;
+    joinPaths = [];
+    if (!jp || !jp.from || !jp.to || jp.from === jp.to) return;
+    if (!window.JoinPaths) {
+      console.error("JoinPaths not found. Make sure join-paths.js loads before app.js.");
+      return;
+    }
+    const list = byType.get("table") || [];
+    const avoid = jp.hubs ? [] : window.JoinPaths.hubTables(list);
+    joinPaths = window.JoinPaths.findPaths(list, jp.from, jp.to, { avoid });
+    if (!joinPaths.length && avoid.length) joinPaths = window.JoinPaths.findPaths(list, jp.from, jp.to);
+    jp.index = Math.min(jp.index, Math.max(0, joinPaths.length - 1));
+  }
+
+  // "payments ─invoice_id→ invoices ←invoice_id─ invoice_line_items": arrows point at the
+  // referenced table
+  function joinPathHtml(path, from) {
+    let html = `<code>${escapeHtml(from)}</code>`;
+    for (const step of path.steps) {
+      const cols = escapeHtml(step.fk.columns.join(", "));
+      html += step.from === step.fk.table ? ` ─${cols}→ ` : ` ←${cols}─ `;
+      html += `<code>${escapeHtml(step.to)}</code>`;
+    }
+    return html;
+  }
+
+  function toggleJoinPanel() {
+    const selected = state.selected && byKey.get(state.selected);
+    state.joinPath = state.joinPath ? null : {
+      from: selected && selected.type === "table" ? selected.name : "",
+      to: "",
+      index: 0,
+      hubs: false
+    };
+    renderJoinPanel();
+  }
+
+  // Clicking tables while the panel is open fills From, then To
+  function pickJoinTable(obj) {
+    const jp = state.joinPath;
+    if (!jp || !obj || obj.type !== "table") return;
+    if (!jp.from) jp.from = obj.name;
+    else if (!jp.to && obj.name !== jp.from) jp.to = obj.name;
+    else return;
+    jp.index = 0;
+    renderJoinPanel();
+  }
+
+  function renderJoinPanel() {
+    const el = $("#joinPanel");
+    if (!el) return;
+    const jp = state.joinPath;
+    el.classList.toggle("hidden", !jp);
+    findJoinPaths();
+    applyJoinPath();
+    updateEdgeVisibility();
+    if (!jp) {
+      el.innerHTML = "";
+      return;
+    }
+
+    const list = byType.get("table") || [];
+    const names = list.map(t => t.name).sort();
+    const options = current => `<option value="">Pick a table…</option>` +
+      names.map(n => `<option value="${escapeHtml(n)}"${n === current ? " selected" : ""}>${escapeHtml(n)}</option>`).join("");
+    const hubs = window.JoinPaths ? window.JoinPaths.hubTables(list).filter(n => n !== jp.from && n !== jp.to) : [];
+
+    let result;
+    if (!jp.from || !jp.to) {
+      result = `<p class="hint">Pick two tables here or click them on the diagram.</p>`;
+    } else if (jp.from === jp.to) {
+      result = `<p class="hint">Pick two different tables.</p>`;
+    } else if (!joinPaths.length) {
+      result = `<p class="hint">No FK path connects <code>${escapeHtml(jp.from)}</code> and <code>${escapeHtml(jp.to)}</code>.</p>`;
+    } else {
+      const joins = joinPaths[0].steps.length;
+      const capped = joinPaths.length === window.JoinPaths.MAX_PATHS ? ", the first ones shown" : "";
+      const sql = window.JoinPaths.joinSql(joinPaths[jp.index], jp.from);
+      result = `
+        <p class="hint">${joinPaths.length} shortest path${joinPaths.length === 1 ? "" : "s"}, ${joins} join${joins === 1 ? "" : "s"} each${capped}:</p>
+        <div class="join-paths">
+          ${joinPaths.map((path, i) => `
+            <label class="join-path-option">
+              <input type="radio" name="joinPathChoice" value="${i}"${i === jp.index ? " checked" : ""} />
+              <span>${joinPathHtml(path, jp.from)}</span>
+            </label>`).join("")}
+        </div>
+        <div class="join-sql">
+          <pre><code>${escapeHtml(sql)}</code></pre>
+          <button type="button" class="btn ghost small" id="btnJoinCopy">Copy SQL</button>
+        </div>`;
+    }
+
+    el.innerHTML = `
+      <div class="join-head">
+        <label>From <select id="joinFrom">${options(jp.from)}</select></label>
+        <button type="button" class="btn ghost small" id="btnJoinSwap" title="Swap the two tables">⇄</button>
+        <label>To <select id="joinTo">${options(jp.to)}</select></label>
+        ${hubs.length ? `
+          <label class="small-toggle" title="Paths through tables most FKs point at (created_by and the like) are short but rarely what a report means">
+            <input type="checkbox" id="joinHubs"${jp.hubs ? " checked" : ""} />
+            <span>Allow paths through ${hubs.map(escapeHtml).join(", ")}</span>
+          </label>` : ""}
+        <button type="button" class="btn ghost small" id="btnJoinClose">Close</button>
+      </div>
+      ${result}
+    `;
+
+    const change = update => () => {
+      update();
+      jp.index = 0;
+      renderJoinPanel();
+    };
+    $("#joinFrom", el).addEventListener("change", change(() => { jp.from = $("#joinFrom", el).value; }));
+    $("#joinTo", el).addEventListener("change", change(() => { jp.to = $("#joinTo", el).value; }));
+    $("#btnJoinSwap", el).addEventListener("click", change(() => { [jp.from, jp.to] = [jp.to, jp.from]; }));
+    const hubBox = $("#joinHubs", el);
+    if (hubBox) hubBox.addEventListener("change", change(() => { jp.hubs = hubBox.checked; }));
+    $("#btnJoinClose", el).addEventListener("click", toggleJoinPanel);
+    for (const radio of el.querySelectorAll('input[name="joinPathChoice"]')) {
+      radio.addEventListener("change", () => {
+        jp.index = Number(radio.value);
+        renderJoinPanel();
+      });
+    }
+    const copy = $("#btnJoinCopy", el);
+    if (copy) {
+      copy.addEventListener("click", () => {
+        copyText($(".join-sql code", el).textContent);
+      });
+    }
+  }
+
+  // Marks the tables and FK lines of the chosen path on the diagram
+  function applyJoinPath() {
+    const path = state.joinPath && joinPaths[state.joinPath.index];
+    const names = new Set();
+    const fks = new Set();
+    for (const step of path ? path.steps : []) {
+      names.add(step.from);
+      names.add(step.to);
+      fks.add(`${step.fk.table}(${step.fk.columns.join(",")})→${step.fk.refTable}`);
+    }
+    for (const [key, el] of nodeEls) el.classList.toggle("on-path", names.has(tableByKey.get(key).name));
+    for (const { edge, el } of edgeEls) {
+      const id = `${tableByKey.get(edge.from).name}(${(edge.columns || []).join(",")})→${tableByKey.get(edge.to).name}`;
+      el.classList.toggle("on-path", !edge.soft && edge.diff !== "removed" && fks.has(id));
     }
   }
 
@@ -1163,14 +2540,14 @@
         <div class="inspector-content">
           <div class="inspector-empty">
             <p>Click a table in the diagram or select any object from the left sidebar to see its documentation.</p>
-            <p class="hint">Tip: Enable "Isolate (1-hop)" to focus on a table and its direct relationships.</p>
+            <p class="hint">Tip: Enable "Isolate" to focus on a table and the tables up to four FK hops away.</p>
           </div>
         </div>
       `;
       return;
     }
 
-    const obj = byKey.get(activeKey);
+    const obj = findObjectOrGhost(activeKey);
     if (!obj) {
       panel.innerHTML = '<div class="inspector-empty">Object not found.</div>';
       return;
@@ -1193,6 +2570,7 @@
     tabs.innerHTML = `
       <button class="inspector-tab active" data-tab="business">Business</button>
       <button class="inspector-tab" data-tab="technical">Technical</button>
+      ${schemaDiff ? '<button class="inspector-tab" data-tab="changes">Changes</button>' : ""}
     `;
     panel.appendChild(tabs);
 
@@ -1208,6 +2586,8 @@
         btn.classList.add("active");
         if (btn.dataset.tab === "business") {
           renderBusinessTab(content, obj);
+        } else if (btn.dataset.tab === "changes") {
+          renderChangesTab(content, obj);
         } else {
           renderTechnicalTab(content, obj);
         }
@@ -1258,6 +2638,13 @@
     // Relationships (for tables) - "Why These Links Exist"
     if (obj.type === "table" && obj.columns) {
       const fks = obj.columns.filter(c => c.fk);
+      // Composite FKs read like a column FK: "(a, b) → table.(x, y)"
+      for (const con of constraintForeignKeys(obj)) {
+        fks.push({ name: `(${con.columns.join(", ")})`, fk: { table: con.fk.table, column: `(${con.fk.columns.join(", ")})` } });
+      }
+      for (const col of softReferences(obj)) {
+        fks.push({ name: col.name, fk: { table: col.softRef.table, column: col.softRef.column || "id" }, soft: true });
+      }
       if (fks.length > 0) {
         const div = document.createElement("div");
         div.className = "inspector-section";
@@ -1266,7 +2653,7 @@
         for (const fk of fks) {
           const why = explainFkWhy(obj, fk);
           html += `<li>
-            <strong>${fk.name}</strong> → <code>${fk.fk.table}.${fk.fk.column}</code>
+            <strong>${fk.name}</strong> → <code>${fk.fk.table}.${fk.fk.column}</code>${fk.soft ? ' <span class="badge soft">Soft · unenforced</span>' : ""}
             <div class="fk-explanation">${why}</div>
           </li>`;
         }
@@ -1283,7 +2670,7 @@
         let html = "<h3>📥 Referenced By</h3>";
         html += "<p class='hint'>Other tables point to this one:</p><ul class='incoming-list'>";
         for (const ref of incomingRefs) {
-          html += `<li><code>${ref.table}.${ref.column}</code></li>`;
+          html += `<li><code>${ref.table}.${ref.column}</code>${ref.soft ? ' <span class="badge soft" title="Soft reference: not enforced by the database">Soft · unenforced</span>' : ""}</li>`;
         }
         html += "</ul>";
         div.innerHTML = html;
@@ -1322,6 +2709,16 @@
           refs.push({ table: tbl.name, column: col.name });
         }
       }
+      for (const con of constraintForeignKeys(tbl)) {
+        if (con.fk.table === tableName) {
+          refs.push({ table: tbl.name, column: `(${con.columns.join(", ")})` });
+        }
+      }
+      for (const col of softReferences(tbl)) {
+        if (col.softRef.table === tableName) {
+          refs.push({ table: tbl.name, column: col.name, soft: true });
+        }
+      }
     }
     return refs;
   }
@@ -1329,6 +2726,14 @@
   function renderTechnicalTab(container, obj) {
     container.innerHTML = "";
 
+    const since = introducedIn(obj.key);
+    if (since) {
+      const div = document.createElement("div");
+      div.className = "inspector-section";
+      div.innerHTML = `<p class="hint">Present since <strong>${escapeHtml(since.label)}</strong> — ${escapeHtml(since.description)}</p>`;
+      container.appendChild(div);
+    }
+
     // Columns table for tables
     if (obj.type === "table" && obj.columns) {
       const div = document.createElement("div");
@@ -1341,12 +2746,21 @@
         if (col.pk) badges.push('<span class="badge pk">PK</span>');
         if (col.fk) badges.push(`<span class="badge fk">FK → ${col.fk.table}</span>`);
         if (col.unique) badges.push('<span class="badge unique">UNIQUE</span>');
+        if (col.identity) badges.push(`<span class="badge" title="GENERATED ${col.identity} AS IDENTITY">IDENTITY</span>`);
+        if (col.softRef) badges.push(softRefBadge(col));
+        badges.push(...constraintBadges(obj, col));
         
         // Check for missing FK index
-        const hasWarning = fkIndexIssues.some(i => i.table === obj.name && i.column === col.name);
+        const hasWarning = fkIndexIssues.some(i => i.table === obj.name && i.columns.includes(col.name));
         if (hasWarning) {
           badges.push('<span class="badge warning">⚠️ No Index</span>');
         }
+
+        // Column added by a later migration than the table itself
+        const since = introducedIn(obj.key, col.name);
+        if (since && since !== introducedIn(obj.key)) {
+          badges.push(`<span class="badge since" title="${escapeHtml(since.description)}">since ${escapeHtml(since.label)}</span>`);
+        }
         
         html += `<tr>
           <td><code>${col.name}</code></td>
@@ -1361,6 +2775,19 @@
       container.appendChild(div);
     }
 
+    // Table-level constraints: CHECKs, composite PK/UNIQUE/FK
+    if (obj.type === "table" && obj.constraints && obj.constraints.length > 0) {
+      const div = document.createElement("div");
+      div.className = "inspector-section";
+      let html = "<h3>Constraints</h3><ul class='constraint-list'>";
+      for (const con of obj.constraints) {
+        html += `<li><code>${con.name}</code><div><code>${escapeHtml(constraintText(con))}</code></div></li>`;
+      }
+      html += "</ul>";
+      div.innerHTML = html;
+      container.appendChild(div);
+    }
+
     // Indexes
     if (obj.indexes && obj.indexes.length > 0) {
       const div = document.createElement("div");
@@ -1380,11 +2807,222 @@
       container.appendChild(div);
     }
 
+    // Column lineage for views
+    if (obj.type === "view" && viewLineage.has(obj.name)) {
+      const lineage = viewLineage.get(obj.name);
+      const div = document.createElement("div");
+      div.className = "inspector-section";
+      let html = "<h3>Column Lineage</h3>";
+      if (lineage.baseTablesOnly) {
+        const bases = lineage.relations.map(rel => {
+          const key = `${rel.kind}_${rel.name}`;
+          return byKey.has(key) ? `<a href="#" class="link lineage-link" data-key="${key}">${rel.name}</a>` : escapeHtml(rel.name);
+        });
+        html += `<p class="hint">The SELECT behind this view isn't part of data.js, so lineage stops at the tables it reads. Import the migration that creates it for column-level lineage.</p>`;
+        html += `<p>Base tables: ${bases.join(", ") || "<em>none listed</em>"}</p>`;
+      } else if (lineage.error) {
+        html += `<p class="hint">Could not parse the definition: ${escapeHtml(lineage.error)}</p>`;
+      } else if (!lineage.columns.length) {
+        html += `<p class="hint">No column list could be derived from the definition.</p>`;
+      } else {
+        html += "<p class='hint'>Where each output column comes from. Click a table to open it.</p>";
+        html += "<table class='columns-table lineage-table'><thead><tr><th>Column</th><th>From</th><th>How</th></tr></thead><tbody>";
+        for (const col of lineage.columns) {
+          const from = col.sources.map(src => {
+            const key = `table_${src.table}`;
+            const label = byKey.has(key)
+              ? `<a href="#" class="link lineage-link" data-key="${key}">${src.table}</a>`
+              : src.table;
+            return `<code>${label}.${src.column}</code>`;
+          }).join("<br>") || "<em>none</em>";
+          let how = `<span class="badge lineage-${col.kind}">${col.kind}</span>`;
+          if (col.kind !== "direct") how += `<div><code>${escapeHtml(col.expression)}</code></div>`;
+          if (col.via.length) how += `<div class="hint">via ${col.via.map(escapeHtml).join(" → ")}</div>`;
+          html += `<tr><td><code>${escapeHtml(col.name)}</code></td><td>${from}</td><td>${how}</td></tr>`;
+        }
+        html += "</tbody></table>";
+      }
+      div.innerHTML = html;
+      for (const link of div.querySelectorAll(".lineage-link")) {
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          selectObject(link.dataset.key);
+        });
+      }
+      container.appendChild(div);
+    }
+
+    // Views reading this table's columns
+    if (obj.type === "table") {
+      const uses = viewsUsingTable(obj.name);
+      if (uses.length) {
+        const div = document.createElement("div");
+        div.className = "inspector-section";
+        let html = "<h3>Used in Views</h3><p class='hint'>Views reading this table, with the view columns computed from it where the definition is known (view column ← table columns):</p><ul class='lineage-uses'>";
+        for (const view of new Set(uses.map(u => u.view))) {
+          const cols = uses.filter(u => u.view === view)
+            .map(u => (u.column === null ? "<em>reads this table, columns not traced</em>"
+              : `<code>${escapeHtml(u.column)}</code> ← ${u.sources.map(src => src.column).join(", ")}`));
+          html += `<li><a href="#" class="link lineage-link" data-key="view_${view}">${view}</a>: ${cols.join("; ")}</li>`;
+        }
+        html += "</ul>";
+        div.innerHTML = html;
+        for (const link of div.querySelectorAll(".lineage-link")) {
+          link.addEventListener("click", e => {
+            e.preventDefault();
+            selectObject(link.dataset.key);
+          });
+        }
+        container.appendChild(div);
+      }
+    }
+
+    // Functions reading or writing this table
+    if (obj.type === "table" && window.FunctionAnalysis) {
+      const usage = window.FunctionAnalysis.tableUsage(functionAnalysis, obj.name);
+      if (usage.readBy.length || usage.writtenBy.length) {
+        const div = document.createElement("div");
+        div.className = "inspector-section";
+        let html = "<h3>Functions</h3>";
+        const fnLink = name => `<a href="#" class="link lineage-link" data-key="function_${name}">${name}()</a>`;
+        if (usage.writtenBy.length) {
+          html += "<h4>Written by</h4><ul class='lineage-uses'>";
+          for (const w of usage.writtenBy) {
+            const actions = w.actions.map(a => `<span class="badge fn-${a.toLowerCase()}">${a === "NEW" ? "sets NEW row" : a}</span>`).join(" ");
+            html += `<li>${fnLink(w.fn)} ${actions}${w.columns.length ? ` <code>${w.columns.map(escapeHtml).join(", ")}</code>` : ""}</li>`;
+          }
+          html += "</ul>";
+        }
+        if (usage.readBy.length) {
+          html += "<h4>Read by</h4><ul class='lineage-uses'>";
+          for (const r of usage.readBy) {
+            html += `<li>${fnLink(r.fn)}${r.columns.length ? ` <code>${r.columns.map(escapeHtml).join(", ")}</code>` : ""}</li>`;
+          }
+          html += "</ul>";
+        }
+        div.innerHTML = html;
+        for (const link of div.querySelectorAll(".lineage-link")) {
+          link.addEventListener("click", e => {
+            e.preventDefault();
+            selectObject(link.dataset.key);
+          });
+        }
+        container.appendChild(div);
+      }
+    }
+
+    // Signature and read/write sets for functions
+    if (obj.type === "function") {
+      const div = document.createElement("div");
+      div.className = "inspector-section";
+      let html = `<h3>Signature</h3><pre class="code-block">${highlightSql(functionSignature(obj))}</pre>`;
+      html += `<p class="fn-meta">`;
+      if (obj.language) html += `<span class="badge">${escapeHtml(obj.language)}</span> `;
+      if (obj.volatility) html += `<span class="badge fn-${obj.volatility.toLowerCase()}">${obj.volatility}</span>`;
+      html += `</p>`;
+
+      const analysis = functionAnalysis.get(obj.name);
+      if (analysis) {
+        html += "<h3>Reads &amp; Writes</h3>";
+        if (analysis.triggerTables.length) {
+          html += `<p class="hint">Runs as a trigger on ${analysis.triggerTables.map(t => tableColumnsHtml(t, [])).join(", ")}; <code>NEW</code>/<code>OLD</code> refer to that row.</p>`;
+        }
+        if (analysis.bodyUnknown) {
+          html += `<p class="hint">The body of this function isn't part of data.js, so what it reads and writes is unknown. Import the migration that creates it to see both.</p>`;
+        } else if (!analysis.writes.length && !analysis.reads.length) {
+          html += `<p class="hint">The body touches no tables.</p>`;
+        }
+        if (analysis.writes.length) {
+          html += "<h4>Writes</h4><ul class='lineage-uses'>";
+          for (const w of analysis.writes) {
+            const actions = w.actions.map(a => `<span class="badge fn-${a.toLowerCase()}">${a === "NEW" ? "sets NEW row" : a}</span>`).join(" ");
+            html += `<li>${actions} ${tableColumnsHtml(w.table, w.columns)}</li>`;
+          }
+          html += "</ul>";
+        }
+        if (analysis.reads.length) {
+          html += "<h4>Reads</h4><ul class='lineage-uses'>";
+          for (const r of analysis.reads) html += `<li>${tableColumnsHtml(r.table, r.columns)}</li>`;
+          html += "</ul>";
+        }
+      }
+      div.innerHTML = html;
+      for (const link of div.querySelectorAll(".lineage-link")) {
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          selectObject(link.dataset.key);
+        });
+      }
+      container.appendChild(div);
+    }
+
     // Definition for views/functions/triggers
     if (obj.definition) {
       const div = document.createElement("div");
       div.className = "inspector-section";
-      div.innerHTML = `<h3>Definition</h3><pre class="code-block">${escapeHtml(obj.definition)}</pre>`;
+      div.innerHTML = `<h3>Definition</h3><pre class="code-block">${highlightSql(dedent(obj.definition))}</pre>`;
+      container.appendChild(div);
+    }
+
+    // Sequence settings, extension contents, schema members
+    if (obj.type === "sequence" || obj.type === "extension" || obj.type === "schema") {
+      const div = document.createElement("div");
+      div.className = "inspector-section";
+      let html = "";
+      if (obj.type === "sequence") {
+        const rows = [
+          ["Type", obj.dataType], ["Start", obj.start], ["Increment", obj.increment],
+          ["Min value", obj.minValue], ["Max value", obj.maxValue], ["Cache", obj.cache],
+          ["Cycle", obj.cycle ? "yes" : "no"]
+        ].filter(([, v]) => v != null);
+        html += "<h3>Sequence</h3><table class='columns-table'><tbody>";
+        for (const [label, value] of rows) html += `<tr><td>${label}</td><td><code>${escapeHtml(String(value))}</code></td></tr>`;
+        html += "</tbody></table>";
+        if (obj.ownedBy) {
+          html += `<p class="hint">Owned by ${tableColumnsHtml(obj.ownedBy.table, [obj.ownedBy.column])}; dropped with that column.</p>`;
+        }
+        const users = sequenceUsers(obj);
+        html += "<h3>Referenced By</h3>";
+        if (users.length) {
+          html += "<ul class='lineage-uses'>";
+          for (const u of users) html += `<li><a href="#" class="link lineage-link" data-key="${u.key}">${escapeHtml(u.label)}</a></li>`;
+          html += "</ul>";
+        } else {
+          html += `<p class="hint">No column default or function body names this sequence; it is passed by name to <code>nextval()</code> at runtime.</p>`;
+        }
+      } else if (obj.type === "extension") {
+        html += "<h3>Provides</h3><ul class='ext-provides'>";
+        for (const t of obj.types || []) html += `<li><span class="badge">type</span> <code>${escapeHtml(t)}</code></li>`;
+        for (const f of obj.functions || []) html += `<li><span class="badge">function</span> <code>${escapeHtml(f)}()</code></li>`;
+        html += "</ul>";
+        html += `<p class="hint">Installed in schema <code>${escapeHtml(obj.schema || "public")}</code>${obj.version ? `, version ${escapeHtml(obj.version)}` : ""}.</p>`;
+        const users = extensionUsers(obj);
+        html += `<h3>Used By (${users.length} columns)</h3>`;
+        if (users.length) {
+          html += "<ul class='lineage-uses'>";
+          for (const u of users) html += `<li>${tableColumnsHtml(u.table, [u.column])} <span class="hint">via ${escapeHtml(u.via)}</span></li>`;
+          html += "</ul>";
+        } else {
+          html += `<p class="hint">No column uses this extension's types or default functions.</p>`;
+        }
+      } else {
+        const members = schemaMembers(obj.name);
+        html += `<h3>Contents (${members.length})</h3>`;
+        for (const type of ["table", "view", "enum", "function", "trigger", "sequence", "extension"]) {
+          const items = members.filter(o => o.type === type);
+          if (!items.length) continue;
+          html += `<h4>${type} (${items.length})</h4><ul class="schema-members">`;
+          for (const o of items) html += `<li><a href="#" class="link lineage-link" data-key="${o.key}">${escapeHtml(o.name)}</a></li>`;
+          html += "</ul>";
+        }
+      }
+      div.innerHTML = html;
+      for (const link of div.querySelectorAll(".lineage-link")) {
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          selectObject(link.dataset.key);
+        });
+      }
       container.appendChild(div);
     }
 
@@ -1460,6 +3098,78 @@
     return explanations[colName] || `Connects to ${refTable} to maintain referential integrity and enable JOINs.`;
   }
 
+  // "FOREIGN KEY (a, b) REFERENCES t (x, y) ON DELETE CASCADE", "CHECK (score BETWEEN 1 AND 5)"
+  function constraintText(con) {
+    const cols = `(${(con.columns || []).join(", ")})`;
+    if (con.type === "pk") return `PRIMARY KEY ${cols}`;
+    if (con.type === "unique") return `UNIQUE ${cols}`;
+    if (con.type === "check") return `CHECK (${con.expression})`;
+    if (con.type === "fk") {
+      let text = `FOREIGN KEY ${cols} REFERENCES ${con.fk.table} (${con.fk.columns.join(", ")})`;
+      if (con.fk.onDelete) text += ` ON DELETE ${con.fk.onDelete}`;
+      if (con.fk.onUpdate) text += ` ON UPDATE ${con.fk.onUpdate}`;
+      return text;
+    }
+    return con.type;
+  }
+
+  // Badges for a column's part in table-level constraints (composite keys, CHECKs)
+  function constraintBadges(tbl, col) {
+    const badges = [];
+    for (const con of tbl.constraints || []) {
+      if (!(con.columns || []).includes(col.name)) continue;
+      if (con.type === "pk" && !col.pk) badges.push('<span class="badge pk" title="Part of a composite primary key">PK*</span>');
+      if (con.type === "unique") badges.push(`<span class="badge unique" title="${escapeHtml(constraintText(con))}">UNIQUE*</span>`);
+      if (con.type === "fk") badges.push(`<span class="badge fk" title="${escapeHtml(constraintText(con))}">FK* → ${con.fk.table}</span>`);
+      if (con.type === "check") badges.push(`<span class="badge check" title="${escapeHtml(constraintText(con))}">CHECK</span>`);
+    }
+    return badges;
+  }
+
+  function softRefBadge(col) {
+    return `<span class="badge soft" title="Soft reference (${escapeHtml(softRefText(col.softRef))}): not enforced by the database">Soft → ${col.softRef.table}</span>`;
+  }
+
+  // Strips the indentation shared by every line (definitions are indented inside data.js)
+  function dedent(text) {
+    const lines = String(text).replace(/^\s*\n/, "").replace(/\s+$/, "").split("\n");
+    // An imported "SELECT ..." starts right after AS, so its first line has no indent to share
+    const rest = /^\S/.test(lines[0]) ? lines.slice(1) : lines;
+    const indents = rest.filter(l => l.trim()).map(l => l.match(/^ */)[0].length);
+    const cut = indents.length ? Math.min(...indents) : 0;
+    return lines.map(l => l.replace(new RegExp(`^ {0,${cut}}`), "")).join("\n");
+  }
+
+  const SQL_KEYWORDS = new Set([
+    "SELECT", "FROM", "WHERE", "JOIN", "LEFT", "RIGHT", "INNER", "OUTER", "FULL", "CROSS", "ON", "USING",
+    "AS", "AND", "OR", "NOT", "NULL", "IS", "IN", "LIKE", "ILIKE", "BETWEEN", "EXISTS", "DISTINCT", "ALL",
+    "GROUP", "BY", "ORDER", "HAVING", "LIMIT", "OFFSET", "ASC", "DESC", "WITH", "UNION", "INTERSECT", "EXCEPT",
+    "CASE", "WHEN", "THEN", "ELSE", "END", "FILTER", "OVER", "PARTITION", "INTERVAL", "TRUE", "FALSE",
+    "INSERT", "INTO", "VALUES", "UPDATE", "SET", "DELETE", "RETURNING", "RETURNS", "RETURN",
+    "DECLARE", "BEGIN", "IF", "ELSIF", "LOOP", "FOR", "WHILE", "CONTINUE", "EXIT", "PERFORM", "RAISE",
+    "EXCEPTION", "NOTICE", "STRICT", "RECORD", "NEW", "OLD", "FOUND", "DEFAULT", "OUT", "INOUT",
+    "CURRENT_DATE", "CURRENT_TIMESTAMP", "LATERAL", "EXTRACT", "EPOCH", "YEAR", "MONTH", "DAY"
+  ]);
+
+  // Escaped SQL with keyword, string, number and comment spans for .code-block
+  function highlightSql(code) {
+    const re = /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^']|'')*')|\b(\d+(?:\.\d+)?)\b|([A-Za-z_][A-Za-z0-9_]*)/g;
+    const text = String(code);
+    let out = "";
+    let last = 0;
+    for (const m of text.matchAll(re)) {
+      out += escapeHtml(text.slice(last, m.index));
+      last = m.index + m[0].length;
+      const token = escapeHtml(m[0]);
+      if (m[1]) out += `<span class="sql-comment">${token}</span>`;
+      else if (m[2]) out += `<span class="sql-string">${token}</span>`;
+      else if (m[3]) out += `<span class="sql-number">${token}</span>`;
+      else if (SQL_KEYWORDS.has(m[4].toUpperCase())) out += `<span class="sql-keyword">${token}</span>`;
+      else out += token;
+    }
+    return out + escapeHtml(text.slice(last));
+  }
+
   function escapeHtml(str) {
     return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
@@ -1516,7 +3226,10 @@
       { type: "view", title: "Views", desc: "Pre-built queries for reporting and dashboards" },
       { type: "function", title: "Functions", desc: "Reusable database code" },
       { type: "trigger", title: "Triggers", desc: "Automatic code that runs on data changes" },
-      { type: "enum", title: "Enums", desc: "Predefined value lists" }
+      { type: "enum", title: "Enums", desc: "Predefined value lists" },
+      { type: "sequence", title: "Sequences", desc: "Counters behind generated numbers" },
+      { type: "extension", title: "Extensions", desc: "Add-on types and functions installed in the database" },
+      { type: "schema", title: "Schemas", desc: "Namespaces that group the objects above" }
     ];
 
     for (const { type, title, desc } of groups) {
@@ -1553,10 +3266,21 @@
             const badges = [];
             if (col.pk) badges.push('<span class="badge pk">PK</span>');
             if (col.fk) badges.push(`<span class="badge fk">FK → ${col.fk.table}</span>`);
+            if (col.softRef) badges.push(softRefBadge(col));
+            badges.push(...constraintBadges(obj, col));
             if (!col.nullable) badges.push('<span class="badge required">Required</span>');
+            const since = introducedIn(obj.key, col.name);
+            if (since && since !== introducedIn(obj.key)) badges.push(`<span class="badge since">since ${escapeHtml(since.label)}</span>`);
             html += `<tr><td><code>${col.name}</code></td><td><code>${col.type}</code></td><td>${badges.join(' ')}</td></tr>`;
           }
           html += `</tbody></table></details>`;
+          if (obj.constraints && obj.constraints.length) {
+            html += `<details><summary>Constraints (${obj.constraints.length})</summary><ul class="constraint-list">`;
+            for (const con of obj.constraints) {
+              html += `<li><code>${con.name}</code>: <code>${escapeHtml(constraintText(con))}</code></li>`;
+            }
+            html += `</ul></details>`;
+          }
         }
 
         // Values for enums
@@ -1564,6 +3288,15 @@
           html += `<p><strong>Values:</strong> <code>${obj.values.join('</code> · <code>')}</code></p>`;
         }
 
+        if (type === "sequence") {
+          html += `<p><code>${escapeHtml(sequenceText(obj))}</code></p>`;
+        } else if (type === "extension") {
+          const provides = [...(obj.types || []), ...(obj.functions || []).map(f => `${f}()`)];
+          if (provides.length) html += `<p><strong>Provides:</strong> <code>${provides.map(escapeHtml).join('</code> · <code>')}</code></p>`;
+        } else if (type === "schema") {
+          html += `<p><strong>Objects:</strong> ${schemaMembers(obj.name).length}</p>`;
+        }
+
         article.innerHTML = html;
         section.appendChild(article);
       }
@@ -1622,28 +3355,379 @@
   // ==========================================================================
   // PRINT / PDF GENERATION
   // ==========================================================================
-  function buildPrintDoc() {
-    const printWindow = window.open('', '_blank');
-    if (!printWindow) {
-      alert('Please allow popups to generate the PDF document.');
-      return;
+  // Print builder: which domains and object types go in, optional chapters, the cover
+  // page and the audience. The options are kept as named presets in localStorage.
+  const PRINT_TYPES = [
+    { type: "table", title: "Tables" },
+    { type: "view", title: "Views" },
+    { type: "function", title: "Functions" },
+    { type: "trigger", title: "Triggers" },
+    { type: "enum", title: "Enums" },
+    { type: "sequence", title: "Sequences" },
+    { type: "extension", title: "Extensions" },
+    { type: "schema", title: "Schemas" }
+  ];
+  const PRINT_DEFAULTS = {
+    domains: null,                 // null: every domain, including ones added by an import
+    types: PRINT_TYPES.map(t => t.type),
+    technical: true, glossary: true, fkAudit: true, diagrams: false,
+    title: "Adams Apples v2 - Database Schema", client: "", logo: "",
+    audience: "engineering"
+  };
+  // The packs we hand out regularly; saved presets are listed after these
+  const BUILTIN_PRINT_PRESETS = {
+    "Full reference": {},
+    "Billing pack (accountants)": {
+      domains: ["Billing"], types: ["table", "view", "enum"], technical: false, fkAudit: false, diagrams: true,
+      title: "Adams Apples - Billing Data Guide", audience: "client"
+    },
+    "Health pack (agronomists)": {
+      domains: ["Health"], types: ["table", "view", "trigger", "enum"], technical: false, fkAudit: false, diagrams: true,
+      title: "Adams Apples - Tree Health Data Guide", audience: "client"
     }
+  };
+  const PRINT_PRESETS_KEY = "adams-apples.print-presets";
+  const MAX_LOGO_BYTES = 512 * 1024;
+  let printOptions = printPreset({});
+  let printPresetName = "Full reference";
+
+  function printPreset(preset) {
+    const options = { ...PRINT_DEFAULTS, ...preset };
+    options.types = options.types.slice();
+    options.domains = options.domains ? options.domains.slice() : null;
+    return options;
+  }
 
-    const today = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-    const tbls = byType.get('table') || [];
-    const views = byType.get('view') || [];
-    const functions = byType.get('function') || [];
-    const triggers = byType.get('trigger') || [];
-    const enums = byType.get('enum') || [];
+  // Saved presets; browsers that block storage (private windows, file:// in some) get none
+  function savedPrintPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(PRINT_PRESETS_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
 
-    let html = `<!DOCTYPE html>
-<html>
-<head>
-  <title>Adams Apples v2 - Schema Documentation</title>
-  <style>
-    * { box-sizing: border-box; }
-    body { 
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; 
+  function storePrintPresets(presets) {
+    try {
+      localStorage.setItem(PRINT_PRESETS_KEY, JSON.stringify(presets));
+      return true;
+    } catch (err) {
+      alert(`Could not save the preset: ${err.message}`);
+      return false;
+    }
+  }
+
+  // The objects a print document covers under `options`
+  function printScope(options) {
+    const domains = options.domains ? new Set(options.domains) : null;
+    const inDomain = obj => !domains || domains.has(obj.domain);
+    const ofType = type => (byType.get(type) || []).filter(inDomain);
+    return {
+      inDomain,
+      // Tables behind the FK audit, soft references and diagrams, even when table chapters are off
+      tables: ofType("table"),
+      pick: type => (options.types.includes(type) ? ofType(type) : [])
+    };
+  }
+
+  function objectNamed(type, name) {
+    return (byType.get(type) || []).find(o => o.name === name);
+  }
+
+  function printDomains() {
+    return Array.from(new Set(objects.map(o => o.domain).filter(Boolean))).sort();
+  }
+
+  // A light diagram of one domain for paper. Tables are layered by their FKs, referenced
+  // tables above the ones pointing at them; tables from other domains are drawn faded.
+  function printDiagramSvg(domainTables) {
+    const W = 170, H = 44, GAP_X = 30, GAP_Y = 60;
+    const names = new Set(domainTables.map(t => t.name));
+    const parents = new Map(domainTables.map(t => [t.name, new Set()]));
+    for (const t of domainTables) {
+      const targets = (t.columns || []).filter(c => c.fk).map(c => c.fk.table)
+        .concat(constraintForeignKeys(t).map(con => con.fk.table));
+      for (const target of targets) {
+        if (target !== t.name && objectNamed("table", target)) parents.get(t.name).add(target);
+      }
+    }
+    for (const set of Array.from(parents.values())) {
+      for (const name of set) if (!parents.has(name)) parents.set(name, new Set());
+    }
+
+    // Layer = longest FK chain up to a table that references nothing drawn (cycles cut)
+    const layer = new Map();
+    const layerOf = (name, seen = new Set()) => {
+      if (layer.has(name)) return layer.get(name);
+      seen.add(name);
+      let n = 0;
+      for (const p of parents.get(name)) if (!seen.has(p)) n = Math.max(n, layerOf(p, seen) + 1);
+      seen.delete(name);
+      layer.set(name, n);
+      return n;
+    };
+    const rows = [];
+    for (const name of Array.from(parents.keys()).sort()) {
+      const n = layerOf(name);
+      (rows[n] = rows[n] || []).push(name);
+    }
+
+    // Rows are centred; below the top row each table sits near the tables it references
+    const pos = new Map();
+    const widest = Math.max(...rows.map(r => (r ? r.length : 0)));
+    const width = widest * (W + GAP_X) - GAP_X;
+    rows.forEach((row, i) => {
+      if (!row) return;
+      const pull = name => {
+        const xs = Array.from(parents.get(name)).map(p => pos.get(p)).filter(Boolean).map(p => p.x);
+        return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : width / 2;
+      };
+      if (i > 0) row.sort((a, b) => pull(a) - pull(b));
+      const left = (width - (row.length * (W + GAP_X) - GAP_X)) / 2;
+      row.forEach((name, j) => pos.set(name, { x: left + j * (W + GAP_X), y: i * (H + GAP_Y) }));
+    });
+    const height = (rows.length - 1) * (H + GAP_Y) + H;
+
+    // FKs run from the top of a table to the bottom of the one it references. One that
+    // skips rows goes through the gap between boxes nearest its straight line in each row.
+    const gapNear = (row, x) => {
+      const xs = rows[row].map(n => pos.get(n).x);
+      const gaps = [xs[0] - GAP_X / 2, ...xs.map(v => v + W + GAP_X / 2)];
+      return gaps.reduce((best, g) => (Math.abs(g - x) < Math.abs(best - x) ? g : best));
+    };
+    const curve = (p, q) => (p.x === q.x
+      ? ` L${q.x},${q.y}`
+      : ` C${p.x},${(p.y + q.y) / 2} ${q.x},${(p.y + q.y) / 2} ${q.x},${q.y}`);
+    const lines = [];
+    for (const [child, set] of parents) {
+      for (const parent of set) {
+        const a = pos.get(child);
+        const b = pos.get(parent);
+        const from = layer.get(child);
+        const to = layer.get(parent);
+        const points = [{ x: a.x + W / 2, y: from > to ? a.y : a.y + H }];
+        const end = { x: b.x + W / 2, y: from > to ? b.y + H : b.y };
+        for (let r = from - 1; r > to; r--) {
+          const x = gapNear(r, points[0].x + (end.x - points[0].x) * (from - r) / (from - to));
+          points.push({ x, y: r * (H + GAP_Y) + H }, { x, y: r * (H + GAP_Y) });
+        }
+        points.push(end);
+        const d = points.slice(1).reduce((path, q, i) => path + curve(points[i], q), `M${points[0].x},${points[0].y}`);
+        lines.push(`<path d="${d}" fill="none" stroke="#6b7280" stroke-width="1.2" marker-end="url(#printArrow)" transform="translate(1,1)"/>`);
+      }
+    }
+    const boxes = Array.from(pos.entries()).map(([name, p]) => {
+      const faded = !names.has(name);
+      const tbl = objectNamed("table", name);
+      return `<g transform="translate(${p.x + 1},${p.y + 1})"${faded ? ' opacity="0.5"' : ""}>` +
+        `<rect width="${W}" height="${H}" rx="6" fill="${faded ? "#f3f4f6" : "#f0fdf4"}" stroke="${faded ? "#9ca3af" : "#4a7c23"}"${faded ? ' stroke-dasharray="4 3"' : ""}/>` +
+        `<text x="10" y="19" font-size="12" font-weight="600" fill="#2d5016">${escapeHtml(name)}</text>` +
+        `<text x="10" y="35" font-size="10" fill="#666">${faded ? escapeHtml(tbl.domain || "") : `${(tbl.columns || []).length} columns`}</text></g>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width + 2} ${height + 2}" width="${width + 2}" height="${height + 2}" font-family="-apple-system, Segoe UI, Arial, sans-serif">` +
+      '<defs><marker id="printArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#6b7280"/></marker></defs>' +
+      lines.join("") + boxes.join("") + "</svg>";
+  }
+
+  function buildPrintBuilder() {
+    const body = $("#printBody");
+    if (!body) return;
+    const domains = printDomains();
+    const saved = savedPrintPresets();
+    // Built-in presets can't be replaced or deleted, even by a stored preset of the same name
+    for (const name of Object.keys(BUILTIN_PRINT_PRESETS)) delete saved[name];
+    const presetOptions = names => names.map(n => `<option>${escapeHtml(n)}</option>`).join("");
+
+    body.innerHTML = `
+      <div class="export-options">
+        <label>Preset <select id="printPreset">
+          <optgroup label="Built in">${presetOptions(Object.keys(BUILTIN_PRINT_PRESETS))}</optgroup>
+          ${Object.keys(saved).length ? `<optgroup label="Saved">${presetOptions(Object.keys(saved).sort())}</optgroup>` : ""}
+        </select></label>
+        <button type="button" class="btn ghost small" id="btnPrintSavePreset">Save as preset…</button>
+        <button type="button" class="btn ghost small" id="btnPrintDeletePreset">Delete preset</button>
+      </div>
+      <h4 class="print-heading">Cover page</h4>
+      <div class="export-options">
+        <label>Title <input type="text" id="printTitle" size="36" /></label>
+        <label>Client <input type="text" id="printClient" placeholder="Prepared for…" /></label>
+        <label>Logo <input type="file" id="printLogo" accept="image/*" /></label>
+        <img id="printLogoPreview" class="print-logo" alt="Cover logo" />
+        <button type="button" class="btn ghost small" id="btnPrintClearLogo">Remove logo</button>
+      </div>
+      <h4 class="print-heading">Audience</h4>
+      <div class="export-options">
+        <label title="Every business section in plain words; column tables list what is required and what links where"><input type="radio" name="printAudience" value="client"> Client-friendly</label>
+        <label title="Types, keys, constraints, function signatures, soft references and schema changes"><input type="radio" name="printAudience" value="engineering"> Engineering</label>
+      </div>
+      <h4 class="print-heading">Domains <button type="button" class="btn ghost small" id="btnPrintAllDomains">All</button></h4>
+      <div class="export-tables" id="printDomains">
+        ${domains.map(d => `<label><input type="checkbox" value="${escapeHtml(d)}"> ${escapeHtml(d)}</label>`).join("")}
+      </div>
+      <h4 class="print-heading">Contents</h4>
+      <div class="export-options" id="printTypes">
+        ${PRINT_TYPES.filter(t => byType.has(t.type)).map(t => `<label><input type="checkbox" value="${t.type}"> ${t.title}</label>`).join("")}
+      </div>
+      <div class="export-options">
+        <label class="small-toggle" title="Column and constraint tables under each table"><input type="checkbox" id="printTechnical"> Column tables</label>
+        <label class="small-toggle"><input type="checkbox" id="printGlossary"> Glossary</label>
+        <label class="small-toggle" title="Foreign keys without a supporting index, and soft references"><input type="checkbox" id="printFkAudit"> FK audit</label>
+        <label class="small-toggle" title="One diagram per domain"><input type="checkbox" id="printDiagrams"> Diagrams</label>
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="printSummary"></span>
+        <button type="button" class="btn small" id="btnPrintBuild">Build document</button>
+      </div>
+    `;
+
+    const fill = () => {
+      const o = printOptions;
+      $("#printPreset").value = printPresetName;
+      $("#btnPrintDeletePreset").disabled = !saved[printPresetName];
+      $("#printTitle").value = o.title;
+      $("#printClient").value = o.client;
+      if (o.logo) $("#printLogoPreview").src = o.logo;
+      else $("#printLogoPreview").removeAttribute("src");
+      $("#printLogoPreview").classList.toggle("hidden", !o.logo);
+      $("#btnPrintClearLogo").classList.toggle("hidden", !o.logo);
+      body.querySelector(`input[name="printAudience"][value="${o.audience}"]`).checked = true;
+      for (const box of body.querySelectorAll("#printDomains input")) box.checked = !o.domains || o.domains.includes(box.value);
+      for (const box of body.querySelectorAll("#printTypes input")) box.checked = o.types.includes(box.value);
+      $("#printTechnical").checked = o.technical;
+      $("#printGlossary").checked = o.glossary;
+      $("#printFkAudit").checked = o.fkAudit;
+      $("#printDiagrams").checked = o.diagrams;
+      summarize();
+    };
+    const summarize = () => {
+      const scope = printScope(printOptions);
+      const count = printOptions.types.reduce((n, type) => n + scope.pick(type).length, 0);
+      const domainCount = printOptions.domains ? printOptions.domains.length : domains.length;
+      $("#printSummary").textContent = count
+        ? `${count} objects from ${domainCount} of ${domains.length} domains`
+        : "Nothing selected: tick at least one domain and object type";
+      $("#btnPrintBuild").disabled = !count;
+    };
+
+    $("#printPreset").addEventListener("change", e => {
+      printPresetName = e.target.value;
+      printOptions = printPreset(saved[printPresetName] || BUILTIN_PRINT_PRESETS[printPresetName] || {});
+      fill();
+    });
+    $("#btnPrintSavePreset").addEventListener("click", () => {
+      const name = (prompt("Preset name", saved[printPresetName] ? printPresetName : "") || "").trim();
+      if (!name) return;
+      if (BUILTIN_PRINT_PRESETS[name]) {
+        alert(`"${name}" is a built-in preset; pick another name.`);
+        return;
+      }
+      if (!storePrintPresets({ ...saved, [name]: printOptions })) return;
+      printPresetName = name;
+      buildPrintBuilder();
+    });
+    $("#btnPrintDeletePreset").addEventListener("click", () => {
+      if (!saved[printPresetName]) {
+        alert(`"${printPresetName}" is a built-in preset and can't be deleted.`);
+        return;
+      }
+      const rest = { ...saved };
+      delete rest[printPresetName];
+      if (!storePrintPresets(rest)) return;
+      printPresetName = "Full reference";
+      printOptions = printPreset({});
+      buildPrintBuilder();
+    });
+    $("#printTitle").addEventListener("input", e => { printOptions.title = e.target.value; });
+    $("#printClient").addEventListener("input", e => { printOptions.client = e.target.value; });
+    $("#printLogo").addEventListener("change", e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      if (file.size > MAX_LOGO_BYTES) {
+        alert(`The logo is ${Math.round(file.size / 1024)} KB; use an image under ${MAX_LOGO_BYTES / 1024} KB so it fits in a preset.`);
+        e.target.value = "";
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => { printOptions.logo = reader.result; fill(); };
+      reader.onerror = () => alert(`Could not read ${file.name}.`);
+      reader.readAsDataURL(file);
+    });
+    $("#btnPrintClearLogo").addEventListener("click", () => {
+      printOptions.logo = "";
+      $("#printLogo").value = "";
+      fill();
+    });
+    for (const radio of body.querySelectorAll('input[name="printAudience"]')) {
+      radio.addEventListener("change", () => { printOptions.audience = radio.value; });
+    }
+    const readDomains = () => {
+      const ticked = Array.from(body.querySelectorAll("#printDomains input")).filter(b => b.checked).map(b => b.value);
+      printOptions.domains = ticked.length === domains.length ? null : ticked;
+      summarize();
+    };
+    for (const box of body.querySelectorAll("#printDomains input")) box.addEventListener("change", readDomains);
+    $("#btnPrintAllDomains").addEventListener("click", () => {
+      printOptions.domains = printOptions.domains ? null : [];
+      fill();
+    });
+    for (const box of body.querySelectorAll("#printTypes input")) {
+      box.addEventListener("change", () => {
+        printOptions.types = Array.from(body.querySelectorAll("#printTypes input")).filter(b => b.checked).map(b => b.value);
+        summarize();
+      });
+    }
+    for (const [id, key] of [["#printTechnical", "technical"], ["#printGlossary", "glossary"], ["#printFkAudit", "fkAudit"], ["#printDiagrams", "diagrams"]]) {
+      $(id).addEventListener("change", e => { printOptions[key] = e.target.checked; summarize(); });
+    }
+    $("#btnPrintBuild").addEventListener("click", () => {
+      buildPrintDoc(printOptions);
+      $("#printDialog").close();
+    });
+    fill();
+  }
+
+  function buildPrintDoc(options = printOptions) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('Please allow popups to generate the PDF document.');
+      return;
+    }
+
+    const today = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const engineering = options.audience !== "client";
+    const scope = printScope(options);
+    const tbls = scope.pick('table');
+    const issues = options.fkAudit ? fkIndexIssues.filter(i => scope.tables.some(t => t.name === i.table)) : [];
+    const softRefs = options.fkAudit ? scope.tables.flatMap(t => softReferences(t).map(col => ({ table: t, col }))) : [];
+    const views = scope.pick('view');
+    const functions = scope.pick('function');
+    const triggers = scope.pick('trigger');
+    const enums = scope.pick('enum');
+    const sequences = scope.pick('sequence');
+    const extensions = scope.pick('extension');
+    const schemas = scope.pick('schema');
+    const chapters = [
+      ["tables", "Tables", tbls], ["views", "Views", views], ["functions", "Functions", functions],
+      ["triggers", "Triggers", triggers], ["enums", "Enums", enums], ["sequences", "Sequences", sequences],
+      ["extensions", "Extensions", extensions], ["schemas", "Schemas", schemas]
+    ].filter(([, , items]) => items.length);
+    const diagramDomains = options.diagrams
+      ? printDomains().filter(d => (!options.domains || options.domains.includes(d)) && scope.tables.some(t => t.domain === d))
+      : [];
+    // Engineering readers get the diff against the baseline, limited to the chosen domains
+    const changes = engineering && schemaDiff
+      ? schemaDiff.objects.filter(e => !options.domains || scope.inDomain(objectNamed(e.type, e.name) || {}))
+      : null;
+    const title = options.title.trim() || PRINT_DEFAULTS.title;
+
+    let html = `<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { 
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; 
       line-height: 1.6; 
       color: #333; 
       max-width: 900px; 
@@ -1664,7 +3748,17 @@
     .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 0.75em; font-weight: 600; margin-right: 4px; }
     .badge.pk { background: #dbeafe; color: #1e40af; }
     .badge.fk { background: #fef3c7; color: #92400e; }
+    .badge.unique, .badge.check { background: #ede9fe; color: #5b21b6; }
+    .badge.soft { background: #f3f4f6; color: #374151; border: 1px dashed #6b7280; }
     .badge.required { background: #fee2e2; color: #991b1b; }
+    .badge.diff-added { background: #dcfce7; color: #166534; }
+    .badge.diff-removed { background: #fee2e2; color: #991b1b; }
+    .badge.diff-changed { background: #fef3c7; color: #92400e; }
+    .cover { min-height: 60vh; display: flex; flex-direction: column; justify-content: center; }
+    .cover img { max-width: 240px; max-height: 120px; object-fit: contain; margin-bottom: 30px; }
+    .cover h1 { font-size: 28pt; }
+    .cover p { margin: 4px 0; }
+    .cover .client { font-size: 14pt; color: #2d5016; }
     .toc { background: #f8f8f8; padding: 20px; border-radius: 8px; margin-bottom: 30px; }
     .toc h2 { margin-top: 0; border: none; }
     .toc ul { columns: 2; column-gap: 30px; list-style: none; padding: 0; }
@@ -1679,6 +3773,9 @@
     article { margin-bottom: 25px; padding-bottom: 15px; border-bottom: 1px solid #eee; page-break-inside: avoid; }
     .doc-business { background: #f0fdf4; border-left: 4px solid #4a7c23; padding: 10px 15px; margin: 10px 0; }
     .doc-business p { margin: 5px 0; }
+    figure { margin: 20px 0; page-break-inside: avoid; }
+    figure svg { max-width: 100%; height: auto; }
+    figcaption { font-weight: 600; color: #4a7c23; margin-bottom: 8px; }
     em { color: #666; }
     .stats { display: flex; gap: 20px; flex-wrap: wrap; margin: 20px 0; }
     .stat { background: #f0fdf4; padding: 15px 20px; border-radius: 8px; text-align: center; }
@@ -1690,154 +3787,223 @@
       h2 { font-size: 14pt; page-break-after: avoid; }
       h3 { font-size: 12pt; }
       article { page-break-inside: avoid; }
+      .cover { page-break-after: always; }
+      .cover h1 { font-size: 24pt; }
       .toc { page-break-after: always; }
       .warning-box, .glossary-section { page-break-inside: avoid; }
     }
   </style>
 </head>
 <body>
-  <h1>🍎 Adams Apples v2 - Database Schema</h1>
-  <p><em>Generated ${today}</em></p>
-  
+  <section class="cover">
+    ${options.logo ? `<img src="${options.logo.replace(/"/g, '&quot;')}" alt="">` : ""}
+    <h1>${options.logo ? "" : "🍎 "}${escapeHtml(title)}</h1>
+    ${options.client.trim() ? `<p class="client">Prepared for ${escapeHtml(options.client.trim())}</p>` : ""}
+    <p>${engineering ? "Engineering reference" : "Guide for business readers"}${options.domains ? ` · ${options.domains.map(escapeHtml).join(", ")}` : ""}</p>
+    <p><em>Generated ${today}</em></p>
+  </section>
+
   <div class="stats">
-    <div class="stat"><div class="stat-num">${tbls.length}</div><div class="stat-label">Tables</div></div>
-    <div class="stat"><div class="stat-num">${views.length}</div><div class="stat-label">Views</div></div>
-    <div class="stat"><div class="stat-num">${functions.length}</div><div class="stat-label">Functions</div></div>
-    <div class="stat"><div class="stat-num">${triggers.length}</div><div class="stat-label">Triggers</div></div>
-    <div class="stat"><div class="stat-num">${enums.length}</div><div class="stat-label">Enums</div></div>
+    ${chapters.map(([, label, items]) => `<div class="stat"><div class="stat-num">${items.length}</div><div class="stat-label">${label}</div></div>`).join('\n    ')}
   </div>
-  
+
   <div class="toc">
     <h2>Table of Contents</h2>
     <ul>
-      <li><a href="#tables">Tables (${tbls.length})</a></li>
-      <li><a href="#views">Views (${views.length})</a></li>
-      <li><a href="#functions">Functions (${functions.length})</a></li>
-      <li><a href="#triggers">Triggers (${triggers.length})</a></li>
-      <li><a href="#enums">Enums (${enums.length})</a></li>
-      <li><a href="#glossary">Glossary</a></li>
-      ${fkIndexIssues.length > 0 ? '<li><a href="#fk-audit">FK Index Audit</a></li>' : ''}
+      ${chapters.map(([id, label, items]) => `<li><a href="#${id}">${label} (${items.length})</a></li>`).join('\n      ')}
+      ${diagramDomains.length ? '<li><a href="#diagrams">Diagrams</a></li>' : ''}
+      ${options.glossary ? '<li><a href="#glossary">Glossary</a></li>' : ''}
+      ${issues.length > 0 ? '<li><a href="#fk-audit">FK Index Audit</a></li>' : ''}
+      ${softRefs.length > 0 ? '<li><a href="#soft-refs">Soft References (unenforced)</a></li>' : ''}
+      ${changes ? '<li><a href="#changes">Changes since previous version</a></li>' : ''}
     </ul>
   </div>`;
 
+    // Changes since the diff baseline
+    if (changes) {
+      const { added, removed, changed } = schemaDiff.summary;
+      const statusLabel = { added: "Added", removed: "Removed", changed: "Changed" };
+      html += `
+  <h2 id="changes">Changes since previous version</h2>
+  <p>Compared with <strong>${escapeHtml(schemaDiff.label)}</strong>: ${options.domains ? `${changes.length} objects in these domains changed` : `${added} added, ${changed} changed, ${removed} removed`}.</p>`;
+      if (changes.length) {
+        html += `
+  <table>
+    <tr><th>Object</th><th>Type</th><th>Change</th><th>Details</th></tr>
+    ${changes.map(e => `<tr>
+      <td><code>${e.name}</code></td>
+      <td>${e.type}</td>
+      <td><span class="badge diff-${e.status}">${statusLabel[e.status]}</span></td>
+      <td>${e.changes.map(ch => `${ch.status} ${ch.what} <code>${escapeHtml(ch.name)}</code>${ch.detail ? `: ${escapeHtml(ch.detail)}` : ""}`).join("<br>")}</td>
+    </tr>`).join('')}
+  </table>`;
+      }
+    }
+
     // FK Warnings
-    if (fkIndexIssues.length > 0) {
+    if (issues.length > 0) {
       html += `
   <div class="warning-box" id="fk-audit">
     <h3>⚠️ Foreign Key Index Recommendations</h3>
-    <p>${fkIndexIssues.length} foreign key columns may benefit from indexes for better JOIN performance:</p>
+    <p>${issues.length} foreign key columns may benefit from indexes for better JOIN performance:</p>
     <table>
       <tr><th>Table</th><th>Column</th><th>References</th><th>Suggested Index</th></tr>
-      ${fkIndexIssues.map(i => `<tr><td><code>${i.table}</code></td><td><code>${i.column}</code></td><td><code>${i.referencedTable}</code></td><td><code>${i.suggestion}</code></td></tr>`).join('')}
+      ${issues.map(i => `<tr><td><code>${i.table}</code></td><td><code>${i.column}</code></td><td><code>${i.referencedTable}</code></td><td><code>${i.suggestion}</code></td></tr>`).join('')}
     </table>
   </div>`;
     }
 
+    // Soft references: relationships the database does not enforce
+    if (softRefs.length > 0) {
+      html += `
+  <div class="warning-box" id="soft-refs">
+    <h3>⚠️ Soft References (not enforced)</h3>
+    <p>${softRefs.length} columns hold IDs of other tables without a foreign key. The database does not stop these from pointing at deleted or missing rows; the application must keep them consistent.</p>
+    <table>
+      <tr><th>Table</th><th>Column</th><th>Points at</th><th>Stored as</th><th>Indexed</th></tr>
+      ${softRefs.map(r => `<tr><td><code>${r.table.name}</code></td><td><code>${r.col.name}</code></td><td><code>${r.col.softRef.table}.${r.col.softRef.column || "id"}</code></td><td>${escapeHtml(softRefText(r.col.softRef))}</td><td>${(r.table.indexes || []).some(i => i.columns.includes(r.col.name)) ? "Yes" : "<strong>No</strong>"}</td></tr>`).join('')}
+    </table>
+  </div>`;
+    }
+
+    // One diagram per domain
+    if (diagramDomains.length) {
+      html += `<h2 id="diagrams">Diagrams</h2>`;
+      for (const domain of diagramDomains) {
+        html += `<figure><figcaption>${escapeHtml(domain)}</figcaption>${printDiagramSvg(scope.tables.filter(t => t.domain === domain))}</figure>`;
+      }
+    }
+
+    // Business text: engineering readers get What/Why (and a table's example), business readers every section
+    const describe = (obj) => {
+      const bd = BUSINESS_DOCS[obj.name];
+      if (!bd) return obj.description ? `<p>${obj.description}</p>` : "";
+      const sections = engineering
+        ? [["What", bd.what], ["Why", bd.why], ["Example", obj.type === "table" && bd.example && `<em>${bd.example}</em>`]]
+        : [["What", bd.what], ["Where you see it", bd.where], ["Why", bd.why], ["How data flows", bd.dataFlow], ["Example", bd.example && `<em>${bd.example}</em>`]];
+      return `<div class="doc-business">
+          ${sections.filter(([, text]) => text).map(([label, text]) => `<p><strong>${label}:</strong> ${text}</p>`).join('\n          ')}
+        </div>`;
+    };
+
     // Tables
-    html += `<h2 id="tables">Tables (${tbls.length})</h2>`;
+    if (tbls.length) html += `<h2 id="tables">Tables (${tbls.length})</h2>`;
     for (const t of tbls) {
-      const bd = BUSINESS_DOCS[t.name];
       html += `<article>
-        <h3>${t.name}</h3>`;
-      if (bd) {
-        html += `<div class="doc-business">
-          <p><strong>What:</strong> ${bd.what}</p>
-          <p><strong>Why:</strong> ${bd.why}</p>
-          ${bd.example ? `<p><strong>Example:</strong> <em>${bd.example}</em></p>` : ''}
-        </div>`;
-      } else if (t.description) {
-        html += `<p>${t.description}</p>`;
-      }
-      if (t.columns) {
+        <h3>${t.name}</h3>${describe(t)}`;
+      if (options.technical && t.columns && engineering) {
         html += `<h4>Columns (${t.columns.length})</h4>
         <table><thead><tr><th>Name</th><th>Type</th><th>Notes</th></tr></thead><tbody>`;
         for (const c of t.columns) {
           const badges = [];
           if (c.pk) badges.push('<span class="badge pk">PK</span>');
           if (c.fk) badges.push(`<span class="badge fk">FK → ${c.fk.table}</span>`);
+          if (c.softRef) badges.push(softRefBadge(c));
+          badges.push(...constraintBadges(t, c));
           if (!c.nullable) badges.push('<span class="badge required">Req</span>');
           html += `<tr><td><code>${c.name}</code></td><td><code>${c.type}</code></td><td>${badges.join(' ')}</td></tr>`;
         }
         html += `</tbody></table>`;
+      } else if (options.technical && t.columns) {
+        // Business readers: what has to be filled in and what each field points at
+        html += `<h4>Fields (${t.columns.length})</h4>
+        <table><thead><tr><th>Field</th><th>Required</th><th>Links to</th></tr></thead><tbody>`;
+        for (const c of t.columns) {
+          const target = c.fk ? c.fk.table : c.softRef ? `${c.softRef.table} (not checked by the database)` : "";
+          html += `<tr><td><code>${c.name}</code></td><td>${c.nullable && !c.pk ? "" : "Yes"}</td><td>${target}</td></tr>`;
+        }
+        html += `</tbody></table>`;
+      }
+      if (options.technical && engineering && t.constraints && t.constraints.length) {
+        html += `<h4>Constraints (${t.constraints.length})</h4>
+        <table><thead><tr><th>Name</th><th>Definition</th></tr></thead><tbody>`;
+        for (const con of t.constraints) {
+          html += `<tr><td><code>${con.name}</code></td><td><code>${escapeHtml(constraintText(con))}</code></td></tr>`;
+        }
+        html += `</tbody></table>`;
       }
       html += `</article>`;
     }
 
     // Views
-    html += `<h2 id="views">Views (${views.length})</h2>`;
+    if (views.length) html += `<h2 id="views">Views (${views.length})</h2>`;
     for (const v of views) {
-      const bd = BUSINESS_DOCS[v.name];
-      html += `<article><h3>${v.name}</h3>`;
-      if (bd) {
-        html += `<div class="doc-business">
-          <p><strong>What:</strong> ${bd.what}</p>
-          <p><strong>Why:</strong> ${bd.why}</p>
-        </div>`;
-      } else if (v.description) {
-        html += `<p>${v.description}</p>`;
-      }
-      html += `</article>`;
+      html += `<article><h3>${v.name}</h3>${describe(v)}</article>`;
     }
 
     // Functions
-    html += `<h2 id="functions">Functions (${functions.length})</h2>`;
+    if (functions.length) html += `<h2 id="functions">Functions (${functions.length})</h2>`;
     for (const f of functions) {
-      const bd = BUSINESS_DOCS[f.name];
-      html += `<article><h3>${f.name}</h3>`;
-      if (bd) {
-        html += `<div class="doc-business">
-          <p><strong>What:</strong> ${bd.what}</p>
-          <p><strong>Why:</strong> ${bd.why}</p>
-        </div>`;
-      } else if (f.description) {
-        html += `<p>${f.description}</p>`;
+      html += `<article><h3>${f.name}</h3>${describe(f)}`;
+      if (engineering) {
+        html += `<p><code>${escapeHtml(functionSignature(f))}</code>${f.volatility ? ` · ${f.volatility}` : ""}</p>`;
+        const analysis = functionAnalysis.get(f.name);
+        if (analysis && analysis.bodyUnknown) html += `<p><em>Body not modelled; reads and writes unknown.</em></p>`;
+        if (analysis && analysis.writes.length) {
+          html += `<p><strong>Writes:</strong> ${analysis.writes.map(w => `${w.table}${w.columns.length ? ` (${w.columns.join(", ")})` : ""}`).join("; ")}</p>`;
+        }
+        if (analysis && analysis.reads.length) {
+          html += `<p><strong>Reads:</strong> ${analysis.reads.map(r => `${r.table}${r.columns.length ? ` (${r.columns.join(", ")})` : ""}`).join("; ")}</p>`;
+        }
       }
       html += `</article>`;
     }
 
     // Triggers
-    html += `<h2 id="triggers">Triggers (${triggers.length})</h2>`;
+    if (triggers.length) html += `<h2 id="triggers">Triggers (${triggers.length})</h2>`;
     for (const tr of triggers) {
-      const bd = BUSINESS_DOCS[tr.name];
-      html += `<article><h3>${tr.name}</h3>`;
-      if (bd) {
-        html += `<div class="doc-business">
-          <p><strong>What:</strong> ${bd.what}</p>
-          <p><strong>Why:</strong> ${bd.why}</p>
-        </div>`;
-      } else if (tr.description) {
-        html += `<p>${tr.description}</p>`;
-      }
-      html += `</article>`;
+      html += `<article><h3>${tr.name}</h3>${describe(tr)}</article>`;
     }
 
     // Enums
-    html += `<h2 id="enums">Enums (${enums.length})</h2>`;
+    if (enums.length) html += `<h2 id="enums">Enums (${enums.length})</h2>`;
     for (const e of enums) {
-      const bd = BUSINESS_DOCS[e.name];
-      html += `<article><h3>${e.name}</h3>`;
-      if (bd) {
-        html += `<div class="doc-business">
-          <p><strong>What:</strong> ${bd.what}</p>
-          <p><strong>Why:</strong> ${bd.why}</p>
-        </div>`;
-      } else if (e.description) {
-        html += `<p>${e.description}</p>`;
-      }
+      html += `<article><h3>${e.name}</h3>${describe(e)}`;
       if (e.values) {
         html += `<p><strong>Values:</strong> <code>${e.values.join('</code> · <code>')}</code></p>`;
       }
       html += `</article>`;
     }
 
+    // Sequences, extensions and schemas only get chapters when the model has them
+    if (sequences.length) {
+      html += `<h2 id="sequences">Sequences (${sequences.length})</h2>`;
+      for (const seq of sequences) {
+        html += `<article><h3>${seq.name}</h3>${describe(seq)}<p><code>${escapeHtml(sequenceText(seq))}</code></p>`;
+        const users = sequenceUsers(seq);
+        if (users.length) html += `<p><strong>Referenced by:</strong> ${users.map(u => escapeHtml(u.label)).join(", ")}</p>`;
+        html += `</article>`;
+      }
+    }
+    if (extensions.length) {
+      html += `<h2 id="extensions">Extensions (${extensions.length})</h2>`;
+      for (const ext of extensions) {
+        html += `<article><h3>${ext.name}</h3>${describe(ext)}`;
+        const provides = [...(ext.types || []), ...(ext.functions || []).map(f => `${f}()`)];
+        if (provides.length) html += `<p><strong>Provides:</strong> <code>${provides.map(escapeHtml).join('</code> · <code>')}</code></p>`;
+        const users = extensionUsers(ext);
+        if (users.length) html += `<p><strong>Used by:</strong> ${users.length} columns (${users.slice(0, 8).map(u => `${u.table}.${u.column}`).join(", ")}${users.length > 8 ? ", …" : ""})</p>`;
+        html += `</article>`;
+      }
+    }
+    if (schemas.length) {
+      html += `<h2 id="schemas">Schemas (${schemas.length})</h2>`;
+      for (const sch of schemas) {
+        const members = schemaMembers(sch.name);
+        html += `<article><h3>${sch.name}</h3>${describe(sch)}<p><strong>Objects:</strong> ${members.length}</p></article>`;
+      }
+    }
+
     // Glossary
-    html += `<h2 id="glossary">Glossary</h2>`;
-    for (const [section, terms] of Object.entries(GLOSSARY)) {
-      html += `<div class="glossary-section"><h3>${section}</h3><dl>`;
-      for (const [term, def] of Object.entries(terms)) {
-        html += `<dt>${term}</dt><dd>${def}</dd>`;
+    if (options.glossary) {
+      html += `<h2 id="glossary">Glossary</h2>`;
+      for (const [section, terms] of Object.entries(GLOSSARY)) {
+        html += `<div class="glossary-section"><h3>${section}</h3><dl>`;
+        for (const [term, def] of Object.entries(terms)) {
+          html += `<dt>${term}</dt><dd>${def}</dd>`;
+        }
+        html += `</dl></div>`;
       }
-      html += `</dl></div>`;
     }
 
     html += `</body></html>`;
@@ -1859,7 +4025,10 @@
       { type: "view", title: "Views" },
       { type: "function", title: "Functions" },
       { type: "trigger", title: "Triggers" },
-      { type: "enum", title: "Enums" }
+      { type: "enum", title: "Enums" },
+      { type: "sequence", title: "Sequences" },
+      { type: "extension", title: "Extensions" },
+      { type: "schema", title: "Schemas" }
     ];
 
     for (const { type, title } of groups) {
@@ -1887,6 +4056,965 @@
     }
   }
 
+  // ==========================================================================
+  // EXPORTS - SQL DDL (sql-export.js), ER diagram text (er-export.js), diagram images,
+  // Markdown docs site (docs-export.js), TypeScript types (ts-export.js),
+  // JPA entities and the entity drift check (jpa-export.js), OpenAPI (openapi-export.js),
+  // GraphQL SDL (graphql-export.js), seed data (seed-data.js),
+  // data dictionary workbook (data-dictionary.js, xlsx.js)
+  // ==========================================================================
+  const exportOptions = {
+    format: "sql", scope: "all", domain: null, dependencies: true, comments: true,
+    area: "visible", scale: 2, background: true,
+    numeric: "string", timestamps: "string", zod: true,
+    javaPackage: "com.adamsapples.domain", lombok: false,
+    apiFormat: "yaml", apiPaths: true, apiHidden: null,
+    connections: "auto", graphqlQuery: true,
+    seedFormat: "sql", seed: "1", seedRows: 10, seedCounts: {}, varyDefaults: false,
+    dictionaryFormat: "xlsx", dictionarySheet: "Columns"
+  };
+  // Upper bound for the row-count inputs; a bigger seed belongs in the Node CLI
+  const MAX_SEED_ROWS = 5000;
+  const IMAGE_FORMATS = { svg: { label: "SVG image", ext: "svg" }, png: { label: "PNG image", ext: "png" } };
+
+  function downloadText(filename, text, type = "text/plain") {
+    downloadBlob(filename, new Blob([text], { type }));
+  }
+
+  // Clipboard writes fail without permission or outside a secure context; say so
+  function copyText(text) {
+    if (!navigator.clipboard) {
+      alert("Copying needs clipboard access, which this page doesn't have (it must be served over HTTPS or from localhost).");
+      return;
+    }
+    navigator.clipboard.writeText(text).catch(err => alert(`Could not copy: ${err.message}`));
+  }
+
+  function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // { keys, label, file } for the current SQL export scope; keys null means everything
+  function exportScope() {
+    const selected = state.selected && byKey.get(state.selected);
+    if (exportOptions.scope === "selected" && selected) {
+      return { keys: [selected.key], label: `${selected.type} ${selected.name}`, file: selected.name };
+    }
+    if (exportOptions.scope === "domain" && exportOptions.domain) {
+      const keys = objects.filter(o => o.domain === exportOptions.domain).map(o => o.key);
+      return { keys, label: `domain ${exportOptions.domain}`, file: exportOptions.domain };
+    }
+    return { keys: null, label: "whole schema", file: "schema" };
+  }
+
+  function exportSqlText() {
+    const scope = exportScope();
+    const deps = scope.keys && exportOptions.dependencies ? " and its dependencies" : "";
+    return window.SqlExport.generateSql(objects, {
+      keys: scope.keys,
+      includeDependencies: exportOptions.dependencies,
+      comments: exportOptions.comments,
+      title: `Adams Apples v2 — ${scope.label}${deps}`
+    });
+  }
+
+  // Tables the diagram is focused on: the domain filter chip, then the isolate neighbourhood
+  function diagramScope() {
+    let list = objects.filter(o => o.type === "table");
+    const labels = [];
+    const files = [];
+    if (state.domainFilter) {
+      list = list.filter(t => t.domain === state.domainFilter);
+      labels.push(`domain ${state.domainFilter}`);
+      files.push(state.domainFilter);
+    }
+    const selected = state.selected && byKey.get(state.selected);
+    if (state.isolateMode && selected && selected.type === "table") {
+      const keep = getNeighborKeys(selected.key);
+      list = list.filter(t => keep.has(t.key));
+      labels.push(neighbourhoodLabel(selected.name));
+      files.push(selected.name);
+    }
+    return { tables: list, label: labels.join(", ") || "all tables", file: files.join("-") || "schema" };
+  }
+
+  function exportDiagramText() {
+    const scope = diagramScope();
+    return window.ErExport.render(exportOptions.format, {
+      tables: scope.tables,
+      enums: byType.get("enum") || [],
+      title: `Adams Apples v2 — ${scope.label}`
+    });
+  }
+
+  // Presentation properties copied from the live diagram onto the exported copy, so the
+  // file looks the same without styles.css (CSS variables are resolved by the browser)
+  const IMAGE_STYLE_PROPS = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+    "opacity", "font-family", "font-size", "font-weight", "letter-spacing", "vector-effect"
+  ];
+
+  // Region to export: the canvas as currently panned and zoomed, or the visible nodes' bounding box.
+  // Falls back to the full diagram when the canvas is not on screen (Docs or Glossary view).
+  function diagramImageArea(svg) {
+    const box = svg.getBoundingClientRect();
+    if (exportOptions.area === "visible" && box.width && box.height) {
+      return { kind: "visible", x: 0, y: 0, width: Math.round(box.width), height: Math.round(box.height) };
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const key of diagramLayout.keys) {
+      const pos = nodePos.get(key);
+      if (!pos) continue;
+      minX = Math.min(minX, pos.x);
+      minY = Math.min(minY, pos.y);
+      const size = nodeSize(tableByKey.get(key));
+      maxX = Math.max(maxX, pos.x + size.width);
+      maxY = Math.max(maxY, pos.y + size.height);
+    }
+    if (minX === Infinity) return { kind: "full", x: 0, y: 0, width: 800, height: 600 };
+    return {
+      kind: "full",
+      x: minX - NODE_PAD,
+      y: minY - NODE_PAD,
+      width: maxX - minX + NODE_PAD * 2,
+      height: maxY - minY + NODE_PAD * 2
+    };
+  }
+
+  // Serialises #schemaSvg as it looks right now (selection, isolate dimming, edge mode) into a
+  // self-contained SVG document. Returns { svg, width, height, kind }.
+  function diagramImageSvg() {
+    const live = $("#schemaSvg");
+    const area = diagramImageArea(live);
+    const copy = live.cloneNode(true);
+    const source = Array.from(live.querySelectorAll("*"));
+    const target = Array.from(copy.querySelectorAll("*"));
+    const invisible = [];
+    source.forEach((el, i) => {
+      const style = getComputedStyle(el);
+      if (style.opacity === "0") {
+        invisible.push(target[i]);   // edges hidden by the current edge mode
+        return;
+      }
+      const inline = IMAGE_STYLE_PROPS
+        .map(prop => [prop, style.getPropertyValue(prop)])
+        .filter(([, value]) => value)
+        .map(([prop, value]) => `${prop}: ${value}`);
+      if (inline.length) target[i].setAttribute("style", inline.join("; "));
+      else target[i].removeAttribute("style");
+    });
+    invisible.forEach(el => el.remove());
+    copy.querySelectorAll(".card-toggle").forEach(el => el.remove());   // a control, not part of the picture
+
+    for (const attr of ["id", "class", "style", "aria-label"]) copy.removeAttribute(attr);
+    copy.setAttribute("width", area.width);
+    copy.setAttribute("height", area.height);
+    copy.setAttribute("viewBox", `${area.x} ${area.y} ${area.width} ${area.height}`);
+    const viewport = copy.querySelector("#viewport");
+    if (viewport && area.kind === "full") viewport.removeAttribute("transform");
+
+    const ns = "http://www.w3.org/2000/svg";
+    const title = document.createElementNS(ns, "title");
+    title.textContent = "Adams Apples v2 — schema diagram";
+    copy.insertBefore(title, copy.firstChild);
+    if (exportOptions.background) {
+      const bg = document.createElementNS(ns, "rect");
+      for (const name of ["x", "y", "width", "height"]) bg.setAttribute(name, area[name]);
+      const color = getComputedStyle(document.documentElement).getPropertyValue("--bg").trim();
+      bg.setAttribute("fill", color || "#0b0f14");
+      copy.insertBefore(bg, viewport);
+    }
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}\n`;
+    return { svg, width: area.width, height: area.height, kind: area.kind };
+  }
+
+  function svgDataUrl(svg) {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }
+
+  // Rasterises diagramImageSvg() output at `scale` device pixels per diagram pixel
+  function diagramImagePng(image, scale) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        const ctx = canvas.getContext("2d");
+        if (!ctx) {
+          reject(new Error("this browser has no canvas support"));
+          return;
+        }
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, image.width, image.height);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("the image is too large, try a smaller scale"))), "image/png");
+      };
+      img.onerror = () => reject(new Error("the diagram could not be rasterised"));
+      img.src = svgDataUrl(image.svg);
+    });
+  }
+
+  function buildImageExport(format) {
+    const body = $("#exportBody");
+    if (!body) return;
+    const info = IMAGE_FORMATS[format];
+    const isPng = format === "png";
+    const title = $("#exportTitle");
+    if (title) title.textContent = `Export ${info.label}`;
+
+    body.innerHTML = `
+      <div class="export-options">
+        <label><input type="radio" name="exportArea" value="visible"> Visible area</label>
+        <label><input type="radio" name="exportArea" value="full"> Full diagram</label>
+        ${isPng ? `<label>Scale <select id="exportScale">${[1, 2, 3, 4].map(n => `<option value="${n}">${n}×</option>`).join("")}</select></label>` : ""}
+        <label class="small-toggle"><input type="checkbox" id="exportBackground"> Dark background</label>
+      </div>
+      <p class="hint">Selection, Isolate dimming and the Edges mode are exported as shown on the canvas.</p>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary"></span>
+        <button type="button" class="btn ghost small" id="btnExportCopy">Copy</button>
+        <button type="button" class="btn small" id="btnExportDownload">Download .${info.ext}</button>
+      </div>
+      <div class="export-preview export-image"><img id="exportImage" alt="Diagram preview"></div>
+    `;
+
+    let image = null;
+    const refresh = () => {
+      image = diagramImageSvg();
+      $("#exportImage").src = svgDataUrl(image.svg);
+      const scale = isPng ? exportOptions.scale : 1;
+      $("#exportSummary").textContent = `${Math.round(image.width * scale)} × ${Math.round(image.height * scale)} px`;
+    };
+    const filename = () => {
+      const selected = state.selected && byKey.get(state.selected);
+      const parts = ["adams-apples-diagram"];
+      if (state.isolateMode && selected) parts.push(selected.name.toLowerCase().replace(/[^a-z0-9]+/g, "-"));
+      parts.push(image.kind);
+      return `${parts.join("-")}.${info.ext}`;
+    };
+
+    body.querySelector(`input[name="exportArea"][value="${exportOptions.area}"]`).checked = true;
+    for (const radio of body.querySelectorAll('input[name="exportArea"]')) {
+      radio.addEventListener("change", () => { exportOptions.area = radio.value; refresh(); });
+    }
+    if (isPng) {
+      $("#exportScale").value = String(exportOptions.scale);
+      $("#exportScale").addEventListener("change", e => { exportOptions.scale = Number(e.target.value); refresh(); });
+    }
+    $("#exportBackground").checked = exportOptions.background;
+    $("#exportBackground").addEventListener("change", e => { exportOptions.background = e.target.checked; refresh(); });
+
+    const copyBtn = $("#btnExportCopy");
+    if (isPng && !(window.ClipboardItem && navigator.clipboard && navigator.clipboard.write)) copyBtn.disabled = true;
+    copyBtn.addEventListener("click", () => {
+      if (!isPng) {
+        copyText(image.svg);
+        return;
+      }
+      navigator.clipboard.write([new ClipboardItem({ "image/png": diagramImagePng(image, exportOptions.scale) })])
+        .catch(err => alert(`Could not copy the PNG: ${err.message}`));
+    });
+    $("#btnExportDownload").addEventListener("click", () => {
+      if (!isPng) {
+        downloadText(filename(), image.svg, "image/svg+xml");
+        return;
+      }
+      diagramImagePng(image, exportOptions.scale)
+        .then(blob => downloadBlob(filename(), blob))
+        .catch(err => alert(`Could not export the PNG: ${err.message}`));
+    });
+    refresh();
+  }
+
+  function docsSiteFiles() {
+    return window.DocsExport.generateSite(objects, {
+      businessDocs: BUSINESS_DOCS,
+      fkWhy: FK_WHY_DETAILED,
+      glossary: GLOSSARY,
+      fkIssues: fkIndexIssues
+    });
+  }
+
+  // Writes the files into a folder the user picks (File System Access API, Chromium only)
+  function writeFilesToFolder(files) {
+    return window.showDirectoryPicker({ mode: "readwrite" }).then(dir => files.reduce((chain, file) => chain.then(() => {
+      const parts = file.path.split("/");
+      const folder = parts.slice(0, -1).reduce((p, name) => p.then(d => d.getDirectoryHandle(name, { create: true })), Promise.resolve(dir));
+      return folder
+        .then(d => d.getFileHandle(parts[parts.length - 1], { create: true }))
+        .then(handle => handle.createWritable())
+        .then(stream => stream.write(file.content).then(() => stream.close()));
+    }), Promise.resolve()));
+  }
+
+  function buildDocsSiteExport() {
+    const body = $("#exportBody");
+    if (!body || !window.DocsExport || !window.ZipWriter) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = "Export Markdown docs site";
+
+    const files = docsSiteFiles();
+    const canWriteFolder = typeof window.showDirectoryPicker === "function";
+    body.innerHTML = `
+      <div class="export-options">
+        <label>Page <select id="exportPage">${files.map(f => `<option>${escapeHtml(f.path)}</option>`).join("")}</select></label>
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary">${files.length} Markdown files: one per object, one per domain, glossary.md and fk-audit.md</span>
+        ${canWriteFolder ? '<button type="button" class="btn ghost small" id="btnExportFolder">Save to folder…</button>' : ""}
+        <button type="button" class="btn small" id="btnExportDownload">Download .zip</button>
+      </div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    const show = path => {
+      const file = files.find(f => f.path === path);
+      $("#exportPreview").textContent = file ? file.content : "";
+    };
+    $("#exportPage").addEventListener("change", e => show(e.target.value));
+    $("#btnExportDownload").addEventListener("click", () => {
+      const zip = window.ZipWriter.createZip(files.map(f => ({ path: `schema-docs/${f.path}`, content: f.content })));
+      downloadBlob("adams-apples-schema-docs.zip", new Blob([zip], { type: "application/zip" }));
+    });
+    if (canWriteFolder) {
+      $("#btnExportFolder").addEventListener("click", () => {
+        writeFilesToFolder(files)
+          .then(() => { $("#exportSummary").textContent = `Wrote ${files.length} files.`; })
+          .catch(err => { if (err.name !== "AbortError") alert(`Could not write the docs folder: ${err.message}`); });
+      });
+    }
+    show("README.md");
+  }
+
+  function buildDictionaryExport() {
+    const body = $("#exportBody");
+    if (!body || !window.DataDictionary || !window.XlsxWriter) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = "Export data dictionary";
+
+    const sheets = window.DataDictionary.buildSheets(objects, { businessDocs: BUSINESS_DOCS, fkIssues: fkIndexIssues });
+    const count = name => sheets.find(s => s.name === name).rows.length;
+    const tableCount = (byType.get("table") || []).length;
+    body.innerHTML = `
+      <div class="export-options">
+        <label>Format <select id="exportDictionaryFormat">
+          <option value="xlsx">Excel workbook (.xlsx)</option><option value="csv">CSV, one sheet</option>
+        </select></label>
+        <label>Sheet <select id="exportPage">${sheets.map(s => `<option>${escapeHtml(s.name)}</option>`).join("")}</select></label>
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary">${count("Columns")} columns in ${tableCount} tables, ${count("Enums")} enum values, ${count("Views")} views, ${count("Triggers")} triggers</span>
+        <button type="button" class="btn ghost small" id="btnExportCopy" title="Copy the sheet as CSV">Copy</button>
+        <button type="button" class="btn small" id="btnExportDownload"></button>
+      </div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    const sheet = () => sheets.find(s => s.name === exportOptions.dictionarySheet) || sheets[0];
+    const refresh = () => {
+      $("#exportPage").value = sheet().name;
+      $("#exportPreview").textContent = window.DataDictionary.toCsv(sheet()).replace(/^\uFEFF/, "");
+      $("#btnExportDownload").textContent = `Download .${exportOptions.dictionaryFormat}`;
+    };
+    $("#exportDictionaryFormat").value = exportOptions.dictionaryFormat;
+    $("#exportDictionaryFormat").addEventListener("change", e => { exportOptions.dictionaryFormat = e.target.value; refresh(); });
+    $("#exportPage").addEventListener("change", e => { exportOptions.dictionarySheet = e.target.value; refresh(); });
+    $("#btnExportCopy").addEventListener("click", () => {
+      copyText($("#exportPreview").textContent);
+    });
+    $("#btnExportDownload").addEventListener("click", () => {
+      if (exportOptions.dictionaryFormat === "csv") {
+        downloadText(`adams-apples-data-dictionary-${sheet().name.toLowerCase()}.csv`, window.DataDictionary.toCsv(sheet()), "text/csv");
+        return;
+      }
+      const workbook = window.DataDictionary.createWorkbook(sheets);
+      downloadBlob("adams-apples-data-dictionary.xlsx",
+        new Blob([workbook], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }));
+    });
+    refresh();
+  }
+
+  function exportTypesText() {
+    const scope = exportScope();
+    return window.TsExport.generateTypes(objects, {
+      keys: scope.keys,
+      numeric: exportOptions.numeric,
+      timestamps: exportOptions.timestamps,
+      zod: exportOptions.zod,
+      title: `Adams Apples v2 — ${scope.label}`
+    });
+  }
+
+  // Whole schema / selected object / domain radios shared by the SQL and TypeScript exports
+  function scopeOptionsHtml() {
+    const selected = state.selected && byKey.get(state.selected);
+    const domains = Array.from(new Set(objects.map(o => o.domain).filter(Boolean))).sort();
+    if (exportOptions.scope === "selected" && !selected) exportOptions.scope = "all";
+    if (!domains.includes(exportOptions.domain)) exportOptions.domain = state.domainFilter || domains[0] || null;
+    return `
+        <label><input type="radio" name="exportScope" value="all"> Whole schema</label>
+        <label><input type="radio" name="exportScope" value="selected" ${selected ? "" : "disabled"}>
+          Selected ${selected ? `<code>${escapeHtml(selected.name)}</code>` : "(nothing selected)"}</label>
+        <label><input type="radio" name="exportScope" value="domain"> Domain
+          <select id="exportDomain">${domains.map(d => `<option>${escapeHtml(d)}</option>`).join("")}</select></label>`;
+  }
+
+  function wireScopeOptions(body, refresh) {
+    body.querySelector(`input[name="exportScope"][value="${exportOptions.scope}"]`).checked = true;
+    $("#exportDomain").value = exportOptions.domain || "";
+    for (const radio of body.querySelectorAll('input[name="exportScope"]')) {
+      radio.addEventListener("change", () => { exportOptions.scope = radio.value; refresh(); });
+    }
+    $("#exportDomain").addEventListener("change", e => {
+      exportOptions.domain = e.target.value;
+      exportOptions.scope = "domain";
+      body.querySelector('input[name="exportScope"][value="domain"]').checked = true;
+      refresh();
+    });
+  }
+
+  function sqlExportOptionsHtml() {
+    return `
+      <div class="export-options">${scopeOptionsHtml()}
+        <label class="small-toggle"><input type="checkbox" id="exportDeps"> Include dependencies</label>
+        <label class="small-toggle"><input type="checkbox" id="exportComments"> COMMENT ON descriptions</label>
+      </div>`;
+  }
+
+  function wireSqlExportOptions(body, refresh) {
+    wireScopeOptions(body, refresh);
+    $("#exportDeps").checked = exportOptions.dependencies;
+    $("#exportComments").checked = exportOptions.comments;
+    $("#exportDeps").addEventListener("change", e => { exportOptions.dependencies = e.target.checked; refresh(); });
+    $("#exportComments").addEventListener("change", e => { exportOptions.comments = e.target.checked; refresh(); });
+  }
+
+  function tsExportOptionsHtml() {
+    return `
+      <div class="export-options">${scopeOptionsHtml()}
+        <label>NUMERIC as <select id="exportNumeric"><option value="string">string</option><option value="number">number</option></select></label>
+        <label>TIMESTAMPTZ as <select id="exportTimestamps"><option value="string">ISO string</option><option value="date">Date</option></select></label>
+        <label class="small-toggle"><input type="checkbox" id="exportZod"> Zod validators</label>
+      </div>`;
+  }
+
+  function wireTsExportOptions(body, refresh) {
+    wireScopeOptions(body, refresh);
+    $("#exportNumeric").value = exportOptions.numeric;
+    $("#exportTimestamps").value = exportOptions.timestamps;
+    $("#exportZod").checked = exportOptions.zod;
+    $("#exportNumeric").addEventListener("change", e => { exportOptions.numeric = e.target.value; refresh(); });
+    $("#exportTimestamps").addEventListener("change", e => { exportOptions.timestamps = e.target.value; refresh(); });
+    $("#exportZod").addEventListener("change", e => { exportOptions.zod = e.target.checked; refresh(); });
+  }
+
+  function jpaEntityFiles() {
+    const scope = exportScope();
+    return window.JpaExport.generateEntities(objects, {
+      keys: scope.keys,
+      package: exportOptions.javaPackage,
+      lombok: exportOptions.lombok,
+      title: `Adams Apples v2 — ${scope.label}`
+    });
+  }
+
+  // Drift report rows, styled like the Problems dialog; table links select the table
+  function renderEntityCheck(container, findings, fileCount) {
+    const count = severity => findings.filter(f => f.severity === severity).length;
+    container.innerHTML = `<p class="hint">${fileCount} Java files: ${count("error")} errors, ${count("warning")} warnings, ${count("info")} notes</p>`;
+    for (const f of findings) {
+      const row = document.createElement("div");
+      row.className = `problem ${f.severity}`;
+      row.innerHTML = `<span class="problem-severity">${f.severity}</span>`;
+      const obj = f.key && byKey.get(f.key);
+      if (obj) {
+        const link = document.createElement("a");
+        link.className = "toc-link problem-link";
+        link.href = "#";
+        link.textContent = f.column ? `${obj.name}.${f.column}` : obj.name;
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          selectObject(obj.key);
+          $("#exportDialog").close();
+        });
+        row.appendChild(link);
+      }
+      const msg = document.createElement("span");
+      msg.className = "problem-message";
+      msg.textContent = f.file ? `${f.message} (${f.file})` : f.message;
+      row.appendChild(msg);
+      container.appendChild(row);
+    }
+  }
+
+  function buildJpaExport() {
+    const body = $("#exportBody");
+    if (!body || !window.JpaExport || !window.ZipWriter) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = "Export JPA entities";
+
+    body.innerHTML = `
+      <div class="export-options">${scopeOptionsHtml()}
+        <label>Package <input type="text" id="exportPackage" spellcheck="false" /></label>
+        <label class="small-toggle"><input type="checkbox" id="exportLombok"> Lombok accessors</label>
+      </div>
+      <div class="export-options">
+        <label>File <select id="exportPage"></select></label>
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary"></span>
+        <button type="button" class="btn ghost small" id="btnEntityCheck" title="Pick the folder with your entity sources; nothing is uploaded">Check existing entities…</button>
+        <input type="file" id="entityCheckInput" webkitdirectory multiple hidden />
+        <button type="button" class="btn small" id="btnExportDownload">Download .zip</button>
+      </div>
+      <div class="problems-body entity-check hidden" id="entityCheck"></div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    let files = [];
+    const show = path => {
+      const file = files.find(f => f.path === path) || files[0];
+      $("#exportPreview").textContent = file ? file.content : "";
+    };
+    const refresh = () => {
+      const current = $("#exportPage").value;
+      files = jpaEntityFiles();
+      $("#exportPage").innerHTML = files.map(f => `<option>${escapeHtml(f.path)}</option>`).join("");
+      if (files.some(f => f.path === current)) $("#exportPage").value = current;
+      const enumCount = files.filter(f => /^public enum /m.test(f.content)).length;
+      $("#exportSummary").textContent = `${files.length - enumCount} entities, ${enumCount} enums`;
+      show($("#exportPage").value);
+    };
+
+    wireScopeOptions(body, refresh);
+    $("#exportPackage").value = exportOptions.javaPackage;
+    $("#exportLombok").checked = exportOptions.lombok;
+    $("#exportPackage").addEventListener("change", e => {
+      const pkg = e.target.value.trim();
+      if (!/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/.test(pkg)) {
+        alert(`"${pkg}" is not a Java package name.`);
+        e.target.value = exportOptions.javaPackage;
+        return;
+      }
+      exportOptions.javaPackage = pkg;
+      refresh();
+    });
+    $("#exportLombok").addEventListener("change", e => { exportOptions.lombok = e.target.checked; refresh(); });
+    $("#exportPage").addEventListener("change", e => show(e.target.value));
+    $("#btnExportDownload").addEventListener("click", () => {
+      const zip = window.ZipWriter.createZip(files);
+      downloadBlob(`adams-apples-${exportScope().file.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-entities.zip`,
+        new Blob([zip], { type: "application/zip" }));
+    });
+
+    // The drift check always compares against the whole schema, whatever the export scope
+    $("#btnEntityCheck").addEventListener("click", () => $("#entityCheckInput").click());
+    $("#entityCheckInput").addEventListener("change", e => {
+      const picked = Array.from(e.target.files || []).filter(f => /\.java$/i.test(f.name));
+      e.target.value = "";
+      if (!picked.length) {
+        alert("No .java files in that folder.");
+        return;
+      }
+      Promise.all(picked.map(f => f.text().then(content => ({ path: f.webkitRelativePath || f.name, content }))))
+        .then(sources => {
+          const container = $("#entityCheck");
+          renderEntityCheck(container, window.JpaExport.checkEntities(objects, sources), sources.length);
+          container.classList.remove("hidden");
+        })
+        .catch(err => alert(`Could not read the entity sources: ${err.message}`));
+    });
+    refresh();
+  }
+
+  function exportOpenApiDocument() {
+    const hidden = exportOptions.apiHidden;
+    return window.OpenApiExport.buildDocument(objects, {
+      keys: objects.filter(o => o.type === "table" && !hidden.has(o.name)).map(o => o.key),
+      paths: exportOptions.apiPaths
+    });
+  }
+
+  function exportOpenApiText() {
+    return window.OpenApiExport.formatDocument(exportOpenApiDocument(), exportOptions.apiFormat);
+  }
+
+  function buildOpenApiExport() {
+    const body = $("#exportBody");
+    if (!body || !window.OpenApiExport) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = "Export OpenAPI 3.1";
+
+    const tables = (byType.get("table") || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+    if (!exportOptions.apiHidden) {
+      exportOptions.apiHidden = new Set(window.OpenApiExport.HIDDEN_TABLES.filter(name => tables.some(t => t.name === name)));
+    }
+    const hidden = exportOptions.apiHidden;
+    const ext = () => (exportOptions.apiFormat === "json" ? "json" : "yaml");
+    body.innerHTML = `
+      <div class="export-options">
+        <label>Format <select id="exportApiFormat"><option value="yaml">YAML</option><option value="json">JSON</option></select></label>
+        <label class="small-toggle"><input type="checkbox" id="exportApiPaths"> CRUD and nested FK paths</label>
+        <button type="button" class="btn ghost small" id="btnApiAll">All tables</button>
+        <button type="button" class="btn ghost small" id="btnApiNone">None</button>
+      </div>
+      <div class="export-tables" id="exportApiTables">
+        ${tables.map(t => `<label class="small-toggle"><input type="checkbox" value="${escapeHtml(t.name)}" ${hidden.has(t.name) ? "" : "checked"}> ${escapeHtml(t.name)}</label>`).join("")}
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary"></span>
+        <button type="button" class="btn ghost small" id="btnExportCopy">Copy</button>
+        <button type="button" class="btn small" id="btnExportDownload">Download .yaml</button>
+      </div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    const refresh = () => {
+      const doc = exportOpenApiDocument();
+      $("#exportPreview").textContent = window.OpenApiExport.formatDocument(doc, exportOptions.apiFormat);
+      const exposed = tables.length - tables.filter(t => hidden.has(t.name)).length;
+      const pathCount = Object.keys(doc.paths || {}).length;
+      $("#exportSummary").textContent = `${exposed} of ${tables.length} tables` +
+        (exportOptions.apiPaths ? `, ${pathCount} paths` : ", components only");
+      $("#btnExportDownload").textContent = `Download .${ext()}`;
+    };
+    const setAll = exposeAll => {
+      for (const box of body.querySelectorAll("#exportApiTables input")) {
+        box.checked = exposeAll;
+        if (exposeAll) hidden.delete(box.value);
+        else hidden.add(box.value);
+      }
+      refresh();
+    };
+
+    $("#exportApiFormat").value = exportOptions.apiFormat;
+    $("#exportApiPaths").checked = exportOptions.apiPaths;
+    $("#exportApiFormat").addEventListener("change", e => { exportOptions.apiFormat = e.target.value; refresh(); });
+    $("#exportApiPaths").addEventListener("change", e => { exportOptions.apiPaths = e.target.checked; refresh(); });
+    $("#btnApiAll").addEventListener("click", () => setAll(true));
+    $("#btnApiNone").addEventListener("click", () => setAll(false));
+    for (const box of body.querySelectorAll("#exportApiTables input")) {
+      box.addEventListener("change", () => {
+        if (box.checked) hidden.delete(box.value);
+        else hidden.add(box.value);
+        refresh();
+      });
+    }
+    $("#btnExportCopy").addEventListener("click", () => {
+      copyText(exportOpenApiText());
+    });
+    $("#btnExportDownload").addEventListener("click", () => {
+      downloadText(`adams-apples-openapi.${ext()}`, exportOpenApiText(),
+        ext() === "json" ? "application/json" : "application/yaml");
+    });
+    refresh();
+  }
+
+  function exportGraphqlText() {
+    const scope = exportScope();
+    return window.GraphqlExport.generateSdl(objects, {
+      keys: scope.keys,
+      connections: exportOptions.connections,
+      query: exportOptions.graphqlQuery,
+      title: `Adams Apples v2 — ${scope.label}`
+    });
+  }
+
+  function graphqlExportOptionsHtml() {
+    return `
+      <div class="export-options">${scopeOptionsHtml()}
+        <label>Connections for <select id="exportConnections">
+          <option value="auto">history tables</option><option value="all">every one-to-many</option><option value="none">none (plain lists)</option>
+        </select></label>
+        <label class="small-toggle"><input type="checkbox" id="exportGraphqlQuery"> Query type</label>
+      </div>`;
+  }
+
+  function wireGraphqlExportOptions(body, refresh) {
+    wireScopeOptions(body, refresh);
+    $("#exportConnections").value = exportOptions.connections;
+    $("#exportGraphqlQuery").checked = exportOptions.graphqlQuery;
+    $("#exportConnections").addEventListener("change", e => { exportOptions.connections = e.target.value; refresh(); });
+    $("#exportGraphqlQuery").addEventListener("change", e => { exportOptions.graphqlQuery = e.target.checked; refresh(); });
+  }
+
+  function exportSeedResult() {
+    return window.SeedData.generateSeed(objects, {
+      keys: exportScope().keys,
+      rows: exportOptions.seedRows,
+      counts: exportOptions.seedCounts,
+      seed: exportOptions.seed,
+      varyDefaults: exportOptions.varyDefaults
+    });
+  }
+
+  function buildSeedExport() {
+    const body = $("#exportBody");
+    if (!body || !window.SeedData || !window.ZipWriter) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = "Export seed data";
+
+    const tables = (byType.get("table") || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+    const counts = exportOptions.seedCounts;
+    body.innerHTML = `
+      <div class="export-options">${scopeOptionsHtml()}
+        <label>Format <select id="exportSeedFormat">
+          <option value="sql">SQL INSERTs</option><option value="csv">CSV per table</option><option value="json">JSON</option>
+        </select></label>
+      </div>
+      <div class="export-options">
+        <label>Seed <input type="text" id="exportSeed" spellcheck="false" /></label>
+        <label>Rows per table <input type="number" id="exportSeedRows" min="0" max="${MAX_SEED_ROWS}" /></label>
+        <label class="small-toggle" title="Columns with a literal default (status 'DRAFT', payment_terms 30) take it in about half the rows instead of all">
+          <input type="checkbox" id="exportVaryDefaults"> Vary defaulted columns</label>
+        <button type="button" class="btn ghost small" id="btnSeedReset">Same count everywhere</button>
+      </div>
+      <div class="export-tables seed-counts" id="exportSeedTables">
+        ${tables.map(t => `<label>${escapeHtml(t.name)} <input type="number" min="0" max="${MAX_SEED_ROWS}" data-table="${escapeHtml(t.name)}"></label>`).join("")}
+      </div>
+      <div class="export-options hidden" id="exportSeedFiles">
+        <label>File <select id="exportPage"></select></label>
+      </div>
+      <div class="export-actions">
+        <span class="hint" id="exportSummary"></span>
+        <button type="button" class="btn ghost small" id="btnExportCopy">Copy</button>
+        <button type="button" class="btn small" id="btnExportDownload">Download .sql</button>
+      </div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    const rowCount = value => {
+      const n = Number(value);
+      return value !== "" && Number.isInteger(n) && n >= 0 && n <= MAX_SEED_ROWS ? n : null;
+    };
+    let files = [];
+    let text = "";
+    const show = path => {
+      const file = files.find(f => f.path === path) || files[0];
+      $("#exportPreview").textContent = file ? file.content : text;
+    };
+    const refresh = () => {
+      const format = exportOptions.seedFormat;
+      const scope = exportScope();
+      for (const input of body.querySelectorAll("#exportSeedTables input")) {
+        input.placeholder = String(exportOptions.seedRows);
+        input.value = counts[input.dataset.table] !== undefined ? counts[input.dataset.table] : "";
+      }
+      $("#exportSeedFiles").classList.toggle("hidden", format !== "csv");
+      $("#btnExportCopy").classList.toggle("hidden", format === "csv");
+      $("#btnExportDownload").textContent = `Download .${format === "csv" ? "zip" : format}`;
+      let result;
+      try {
+        result = exportSeedResult();
+      } catch (err) {
+        files = [];
+        text = "";
+        $("#exportPreview").textContent = err.message;
+        $("#exportSummary").textContent = "Can't generate these rows";
+        $("#btnExportDownload").disabled = true;
+        return;
+      }
+      $("#btnExportDownload").disabled = false;
+      const heading = `Adams Apples v2 — ${scope.label}`;
+      files = format === "csv" ? window.SeedData.formatCsv(result, { title: heading }) : [];
+      text = format === "sql" ? window.SeedData.formatSql(result, { title: heading }) :
+        format === "json" ? window.SeedData.formatJson(result) : "";
+      const current = $("#exportPage").value;
+      $("#exportPage").innerHTML = files.map(f => `<option>${escapeHtml(f.path)}</option>`).join("");
+      if (files.some(f => f.path === current)) $("#exportPage").value = current;
+      show($("#exportPage").value);
+      const total = result.tables.reduce((sum, t) => sum + t.rows.length, 0);
+      $("#exportSummary").textContent = `${total} rows in ${result.tables.length} tables` +
+        (result.updates.length ? `, ${result.updates.length} set in a second pass` : "") +
+        (result.warnings.length ? `, ${result.warnings.length} note${result.warnings.length === 1 ? "" : "s"} in the header` : "");
+    };
+
+    wireScopeOptions(body, refresh);
+    $("#exportSeedFormat").value = exportOptions.seedFormat;
+    $("#exportSeed").value = exportOptions.seed;
+    $("#exportSeedRows").value = exportOptions.seedRows;
+    $("#exportVaryDefaults").checked = exportOptions.varyDefaults;
+    $("#exportSeedFormat").addEventListener("change", e => { exportOptions.seedFormat = e.target.value; refresh(); });
+    $("#exportSeed").addEventListener("change", e => { exportOptions.seed = e.target.value.trim() || "1"; refresh(); });
+    $("#exportSeedRows").addEventListener("change", e => {
+      const n = rowCount(e.target.value);
+      if (n === null) {
+        alert(`Rows per table must be a whole number from 0 to ${MAX_SEED_ROWS}.`);
+        e.target.value = exportOptions.seedRows;
+        return;
+      }
+      exportOptions.seedRows = n;
+      refresh();
+    });
+    $("#exportVaryDefaults").addEventListener("change", e => { exportOptions.varyDefaults = e.target.checked; refresh(); });
+    $("#btnSeedReset").addEventListener("click", () => {
+      for (const name of Object.keys(counts)) delete counts[name];
+      refresh();
+    });
+    for (const input of body.querySelectorAll("#exportSeedTables input")) {
+      input.addEventListener("change", () => {
+        const name = input.dataset.table;
+        const n = rowCount(input.value);
+        if (input.value === "") delete counts[name];
+        else if (n === null) alert(`Rows for ${name} must be a whole number from 0 to ${MAX_SEED_ROWS}.`);
+        else counts[name] = n;
+        refresh();
+      });
+    }
+    $("#exportPage").addEventListener("change", e => show(e.target.value));
+    $("#btnExportCopy").addEventListener("click", () => {
+      copyText(text);
+    });
+    $("#btnExportDownload").addEventListener("click", () => {
+      const name = `adams-apples-${exportScope().file.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-seed`;
+      if (exportOptions.seedFormat === "csv") {
+        const zip = window.ZipWriter.createZip(files.map(f => ({ path: `${name}/${f.path}`, content: f.content })));
+        downloadBlob(`${name}.zip`, new Blob([zip], { type: "application/zip" }));
+      } else if (exportOptions.seedFormat === "json") {
+        downloadText(`${name}.json`, text, "application/json");
+      } else {
+        downloadText(`${name}.sql`, text, "application/sql");
+      }
+    });
+    refresh();
+  }
+
+  // The text formats share one dialog: their options, a summary line, Copy, Download and a
+  // preview. spec: { label, ext, mime, options(), wire?(body, refresh), text(), highlight?(out),
+  // summary(out), file() }
+  function buildTextExport(spec) {
+    const body = $("#exportBody");
+    if (!body) return;
+    const title = $("#exportTitle");
+    if (title) title.textContent = `Export ${spec.label}`;
+    body.innerHTML = `
+      ${spec.options()}
+      <div class="export-actions">
+        <span class="hint" id="exportSummary"></span>
+        <button type="button" class="btn ghost small" id="btnExportCopy">Copy</button>
+        <button type="button" class="btn small" id="btnExportDownload">Download .${spec.ext}</button>
+      </div>
+      <pre class="code-block export-preview" id="exportPreview"></pre>
+    `;
+
+    const refresh = () => {
+      const out = spec.text();
+      if (spec.highlight) $("#exportPreview").innerHTML = spec.highlight(out);
+      else $("#exportPreview").textContent = out;
+      $("#exportSummary").textContent = spec.summary(out);
+    };
+
+    if (spec.wire) spec.wire(body, refresh);
+    $("#btnExportCopy").addEventListener("click", () => {
+      copyText(spec.text());
+    });
+    $("#btnExportDownload").addEventListener("click", () => {
+      const name = spec.file().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      downloadText(`adams-apples-${name}.${spec.ext}`, spec.text(), spec.mime);
+    });
+    refresh();
+  }
+
+  function buildSqlExport() {
+    if (!window.SqlExport) return;
+    buildTextExport({
+      label: "SQL DDL",
+      ext: "sql",
+      mime: "application/sql",
+      options: sqlExportOptionsHtml,
+      wire: wireSqlExportOptions,
+      text: exportSqlText,
+      highlight: highlightSql,
+      summary: out => `${(out.match(/^(CREATE|ALTER)\b/gm) || []).length} statements`,
+      file: () => exportScope().file
+    });
+  }
+
+  function buildTypesExport() {
+    if (!window.TsExport) return;
+    buildTextExport({
+      label: "TypeScript",
+      ext: "ts",
+      mime: "text/plain",
+      options: tsExportOptionsHtml,
+      wire: wireTsExportOptions,
+      text: exportTypesText,
+      summary: out => {
+        const tableCount = (out.match(/^export interface \w+Insert /gm) || []).length;
+        const enumCount = (out.match(/^export const \w+_VALUES /gm) || []).length;
+        return `${tableCount} tables, ${enumCount} enums`;
+      },
+      file: () => exportScope().file
+    });
+  }
+
+  function buildGraphqlExport() {
+    if (!window.GraphqlExport) return;
+    buildTextExport({
+      label: "GraphQL SDL",
+      ext: "graphql",
+      mime: "text/plain",
+      options: graphqlExportOptionsHtml,
+      wire: wireGraphqlExportOptions,
+      text: exportGraphqlText,
+      summary: out => {
+        const typeCount = (out.match(/^type (?!Query\b|PageInfo\b)\w+(?<!Connection|Edge) \{/gm) || []).length;
+        const connectionCount = (out.match(/^type \w+Connection \{/gm) || []).length;
+        return `${typeCount} types, ${connectionCount} connections`;
+      },
+      file: () => exportScope().file
+    });
+  }
+
+  // Mermaid, DBML, PlantUML and DOT follow the canvas: the Domain chip and Isolate pick the tables
+  function buildDiagramTextExport(format) {
+    if (!window.ErExport) return;
+    const info = window.ErExport.FORMATS[format];
+    const scope = diagramScope();
+    buildTextExport({
+      label: info.label,
+      ext: info.ext,
+      mime: "text/plain",
+      options: () => `<p class="hint">Exports ${escapeHtml(scope.label)}: ${scope.tables.length} tables. Use the Domain chips and Isolate to narrow it down.</p>`,
+      text: exportDiagramText,
+      summary: () => `${window.ErExport.relationships(scope.tables).length} relationships`,
+      file: () => scope.file
+    });
+  }
+
+  // Every format in the Export menu → the function that builds its dialog
+  const EXPORT_BUILDERS = {
+    sql: buildSqlExport,
+    typescript: buildTypesExport,
+    graphql: buildGraphqlExport,
+    mermaid: buildDiagramTextExport,
+    dbml: buildDiagramTextExport,
+    plantuml: buildDiagramTextExport,
+    dot: buildDiagramTextExport,
+    svg: buildImageExport,
+    png: buildImageExport,
+    markdown: buildDocsSiteExport,
+    dictionary: buildDictionaryExport,
+    jpa: buildJpaExport,
+    openapi: buildOpenApiExport,
+    seed: buildSeedExport
+  };
+
+  function buildExport(format = exportOptions.format) {
+    const builder = EXPORT_BUILDERS[format];
+    if (!builder) return;
+    exportOptions.format = format;
+    builder(format);
+  }
+
   // ==========================================================================
   // VIEW SWITCHING
   // ==========================================================================
@@ -1917,10 +5045,12 @@
   // ==========================================================================
   function selectObject(key) {
     state.selected = key;
+    pickJoinTable(byKey.get(key));
     renderSidebar();
     updateNodeSelection();
     updateEdgeVisibility();
     applyIsolateMode();
+    relayoutDiagram();
     renderInspector();
   }
 
@@ -1960,6 +5090,7 @@
   // ==========================================================================
   function init() {
     renderSidebar();
+    renderProblemsButton();
     renderDiagram();
     renderInspector();
     wireEvents();
@@ -2011,17 +5142,71 @@
       isolateCheckbox.addEventListener("change", () => {
         state.isolateMode = isolateCheckbox.checked;
         applyIsolateMode();
+        relayoutDiagram();
+      });
+    }
+
+    // Isolate depth and direction
+    const hopSelect = $("#hopSelect");
+    const directionSelect = $("#directionSelect");
+    if (hopSelect && directionSelect) {
+      hopSelect.value = String(state.hops);
+      directionSelect.value = state.direction;
+      const onChange = () => {
+        state.hops = Number(hopSelect.value);
+        state.direction = directionSelect.value;
+        applyIsolateMode();
+        relayoutDiagram();
+      };
+      hopSelect.addEventListener("change", onChange);
+      directionSelect.addEventListener("change", onChange);
+    }
+
+    // Layout picker
+    const layoutSelect = $("#layoutSelect");
+    if (layoutSelect) {
+      layoutSelect.value = state.layout;
+      layoutSelect.addEventListener("change", () => {
+        state.layout = layoutSelect.value;
+        storeLayout();
+        relayoutDiagram();
+      });
+    }
+
+    // Card picker: collapsed, keys only or all columns on every table
+    const cardSelect = $("#cardModeSelect");
+    if (cardSelect) {
+      cardSelect.value = state.cards;
+      cardSelect.addEventListener("change", () => setCardMode(cardSelect.value));
+    }
+
+    // Pinned tables: unpin, share as a JSON file, load one
+    const unpinBtn = $("#btnUnpinAll");
+    if (unpinBtn) unpinBtn.addEventListener("click", unpinAll);
+    const layoutExportBtn = $("#btnLayoutExport");
+    if (layoutExportBtn) {
+      layoutExportBtn.addEventListener("click", () => {
+        downloadText("adams-apples-layout.json", JSON.stringify(layoutDocument(), null, 2) + "\n", "application/json");
+      });
+    }
+    const layoutImportBtn = $("#btnLayoutImport");
+    const layoutImportInput = $("#layoutImportInput");
+    if (layoutImportBtn && layoutImportInput) {
+      layoutImportBtn.addEventListener("click", () => layoutImportInput.click());
+      layoutImportInput.addEventListener("change", () => {
+        if (layoutImportInput.files.length) importLayoutFile(layoutImportInput.files[0]);
+        layoutImportInput.value = "";
       });
     }
 
-    // Fit button
+    // Join path panel
+    const joinBtn = $("#btnJoinPath");
+    if (joinBtn) joinBtn.addEventListener("click", toggleJoinPanel);
+
+    // Fit button: zoom to the visible tables
     const fitBtn = $("#btnFit");
     if (fitBtn) {
-      fitBtn.addEventListener("click", () => {
-        state.zoom = 1;
-        state.pan = { x: 0, y: 0 };
-        applyPanZoom();
-      });
+      fitBtn.addEventListener("click", fitDiagram);
     }
 
     // Reset view button
@@ -2034,12 +5219,60 @@
       });
     }
 
-    // Build Print Doc button
+    // Build Print Doc button: pick the contents, then build
     const buildPrintBtn = $("#btnBuildPrint");
-    if (buildPrintBtn) {
-      buildPrintBtn.addEventListener("click", buildPrintDoc);
+    const printDialog = $("#printDialog");
+    if (buildPrintBtn && printDialog) {
+      buildPrintBtn.addEventListener("click", () => {
+        buildPrintBuilder();
+        printDialog.showModal();
+      });
     }
 
+    // Import SQL: file picker or drag-and-drop anywhere on the page
+    const importBtn = $("#btnImportSql");
+    const importInput = $("#importSqlInput");
+    if (importBtn && importInput) {
+      importBtn.addEventListener("click", () => importInput.click());
+      importInput.addEventListener("change", () => {
+        if (importInput.files.length) importSqlFiles(Array.from(importInput.files));
+        importInput.value = "";
+      });
+    }
+
+    // Compare: baseline from a data.js build or a migration set
+    const compareBtn = $("#btnCompare");
+    const compareInput = $("#compareInput");
+    if (compareBtn && compareInput) {
+      compareBtn.addEventListener("click", () => compareInput.click());
+      compareInput.addEventListener("change", () => {
+        if (compareInput.files.length) importCompareFiles(Array.from(compareInput.files));
+        compareInput.value = "";
+      });
+    }
+
+    document.addEventListener("dragover", e => {
+      if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes("Files")) return;
+      e.preventDefault();
+      document.body.classList.add("is-dropping");
+    });
+
+    document.addEventListener("dragleave", e => {
+      if (!e.relatedTarget) document.body.classList.remove("is-dropping");
+    });
+
+    document.addEventListener("drop", e => {
+      document.body.classList.remove("is-dropping");
+      if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+      e.preventDefault();
+      const sqlFiles = Array.from(e.dataTransfer.files).filter(f => /\.sql$/i.test(f.name));
+      if (sqlFiles.length) {
+        importSqlFiles(sqlFiles);
+      } else {
+        alert("Drop one .sql migration, or a set of V001..Vnnn migrations, to import them.");
+      }
+    });
+
     // Print button
     const printBtn = $("#btnPrint");
     if (printBtn) {
@@ -2056,6 +5289,42 @@
       });
     }
 
+    // Export menu
+    const exportBtn = $("#btnExport");
+    const exportList = $("#exportMenu .menu-list");
+    const exportDialog = $("#exportDialog");
+    if (exportBtn && exportList && exportDialog) {
+      const closeMenu = () => {
+        exportList.classList.add("hidden");
+        exportBtn.setAttribute("aria-expanded", "false");
+      };
+      exportBtn.addEventListener("click", e => {
+        e.stopPropagation();
+        const open = exportList.classList.toggle("hidden") === false;
+        exportBtn.setAttribute("aria-expanded", String(open));
+      });
+      for (const item of exportList.querySelectorAll("[data-export]")) {
+        item.addEventListener("click", () => {
+          closeMenu();
+          buildExport(item.dataset.export);
+          exportDialog.showModal();
+        });
+      }
+      document.addEventListener("click", e => {
+        if (!e.target.closest("#exportMenu")) closeMenu();
+      });
+    }
+
+    // Problems button
+    const problemsBtn = $("#btnProblems");
+    const problemsDialog = $("#problemsDialog");
+    if (problemsBtn && problemsDialog) {
+      problemsBtn.addEventListener("click", () => {
+        buildProblems();
+        problemsDialog.showModal();
+      });
+    }
+
     // Pan with mouse drag
     const svg = $("#schemaSvg");
     if (svg) {
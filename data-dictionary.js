@@ -0,0 +1,215 @@
+/* Adams Apples v2 — Data dictionary
+ * Flattens a SCHEMA dataset into spreadsheet sheets for people who review the model in
+ * Excel rather than in the app:
+ * - Columns: one row per column of every table, with type, nullability, default, keys,
+ *   FK target and ON DELETE, whether an index covers it, FK index warnings and the
+ *   table's business summary
+ * - Enums (one row per value), Views and Triggers
+ * Each sheet downloads as CSV, or all of them as one .xlsx workbook (xlsx.js).
+ * The business summaries (BUSINESS_DOCS) and FK index findings come from the caller.
+ * Runs in the browser (window.DataDictionary) and in Node (require("./data-dictionary.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  // Column lists backed by an index, shared with the validator and the FK index audit
+  const { indexedLists } = root.SchemaValidate || require("./schema-validate.js");
+
+  function xlsxWriter() {
+    if (root.XlsxWriter) return root.XlsxWriter;
+    return require("./xlsx.js");
+  }
+
+  function byName(a, b) {
+    return a.name.localeCompare(b.name);
+  }
+
+  // Business summary: the "What is this?" text, or the object's own description
+  function summary(obj, businessDocs) {
+    const doc = businessDocs[obj.name];
+    return String((doc && doc.what) || obj.description || "").replace(/\s+/g, " ").trim();
+  }
+
+  const ORDINALS = ["1st", "2nd", "3rd"];
+
+  // YES when an index leads with the column; otherwise where it sits inside one
+  function indexedText(col, lists) {
+    if (lists.some(l => l.columns[0] === col.name)) return "YES";
+    const inner = lists.find(l => l.columns.includes(col.name));
+    if (!inner) return "NO";
+    const pos = inner.columns.indexOf(col.name);
+    return `NO (${ORDINALS[pos] || `${pos + 1}th`} column of ${inner.label})`;
+  }
+
+  function constraintsOf(tbl, type, column) {
+    return (tbl.constraints || []).filter(c => c.type === type && (c.columns || []).includes(column));
+  }
+
+  function fkTarget(col, tbl) {
+    if (col.fk) return `${col.fk.table}.${col.fk.column || "id"}`;
+    const con = constraintsOf(tbl, "fk", col.name)[0];
+    if (con) return `${con.fk.table}(${(con.fk.columns || []).join(", ")})`;
+    if (col.softRef) {
+      const via = col.softRef.via === "jsonb" ? "JSONB" : "array";
+      return `${col.softRef.table}.${col.softRef.column || "id"} (${via}, not enforced)`;
+    }
+    return "";
+  }
+
+  function onDelete(col, tbl) {
+    if (col.fk) return col.fk.onDelete || "NO ACTION";
+    const con = constraintsOf(tbl, "fk", col.name)[0];
+    return con ? con.fk.onDelete || "NO ACTION" : "";
+  }
+
+  function uniqueText(col, tbl) {
+    if (col.unique) return "YES";
+    const con = constraintsOf(tbl, "unique", col.name)[0];
+    return con ? `composite (${con.columns.join(", ")})` : "";
+  }
+
+  function columnsSheet(tables, { businessDocs, fkIssues }) {
+    const rows = [];
+    for (const tbl of tables) {
+      const lists = indexedLists(tbl);
+      const about = summary(tbl, businessDocs);
+      for (const col of tbl.columns || []) {
+        const issue = fkIssues.find(i => i.table === tbl.name && (i.columns || [i.column]).includes(col.name));
+        rows.push([
+          tbl.name,
+          tbl.domain || "",
+          col.name,
+          col.type || "",
+          col.nullable === false || col.pk ? "NO" : "YES",
+          col.default == null ? "" : String(col.default),
+          col.pk || constraintsOf(tbl, "pk", col.name).length ? "YES" : "",
+          uniqueText(col, tbl),
+          fkTarget(col, tbl),
+          onDelete(col, tbl),
+          indexedText(col, lists),
+          issue ? `No index for FK → ${issue.referencedTable}: ${issue.suggestion}` : "",
+          about
+        ]);
+      }
+    }
+    return {
+      name: "Columns",
+      columns: [
+        { header: "Table", width: 24 },
+        { header: "Domain", width: 14 },
+        { header: "Column", width: 26 },
+        { header: "Type", width: 18 },
+        { header: "Nullable", width: 9 },
+        { header: "Default", width: 24 },
+        { header: "PK", width: 6 },
+        { header: "Unique", width: 12 },
+        { header: "FK target", width: 26 },
+        { header: "ON DELETE", width: 11 },
+        { header: "Indexed", width: 14 },
+        { header: "FK index warning", width: 40, wrap: true },
+        { header: "Business summary", width: 60, wrap: true }
+      ],
+      rows
+    };
+  }
+
+  // Bare type name, so "user_role[]" and "public.user_role" both match the user_role enum
+  function baseType(type) {
+    return String(type || "").replace(/\[\]$/, "").split(".").pop().replace(/"/g, "").toLowerCase();
+  }
+
+  function enumsSheet(enums, tables, { businessDocs }) {
+    const rows = [];
+    for (const en of enums) {
+      const usedBy = [];
+      for (const tbl of tables) {
+        for (const col of tbl.columns || []) {
+          if (baseType(col.type) === en.name.toLowerCase()) usedBy.push(`${tbl.name}.${col.name}`);
+        }
+      }
+      const about = summary(en, businessDocs);
+      (en.values || []).forEach((value, i) => {
+        rows.push([en.name, en.domain || "", value, i + 1, usedBy.join(", "), about]);
+      });
+    }
+    return {
+      name: "Enums",
+      columns: [
+        { header: "Enum", width: 26 },
+        { header: "Domain", width: 14 },
+        { header: "Value", width: 22 },
+        { header: "Position", width: 9 },
+        { header: "Used by", width: 40, wrap: true },
+        { header: "Business summary", width: 60, wrap: true }
+      ],
+      rows
+    };
+  }
+
+  function viewsSheet(views, { businessDocs }) {
+    return {
+      name: "Views",
+      columns: [
+        { header: "View", width: 30 },
+        { header: "Domain", width: 14 },
+        { header: "Base tables", width: 40, wrap: true },
+        { header: "Business summary", width: 60, wrap: true }
+      ],
+      rows: views.map(v => [v.name, v.domain || "", (v.baseTables || []).join(", "), summary(v, businessDocs)])
+    };
+  }
+
+  function triggersSheet(triggers, { businessDocs }) {
+    return {
+      name: "Triggers",
+      columns: [
+        { header: "Trigger", width: 32 },
+        { header: "Domain", width: 14 },
+        { header: "Table", width: 24 },
+        { header: "Timing", width: 22 },
+        { header: "Function", width: 30 },
+        { header: "Business summary", width: 60, wrap: true }
+      ],
+      rows: triggers.map(t => [t.name, t.domain || "", t.table || "", t.timing || "", t.function || "", summary(t, businessDocs)])
+    };
+  }
+
+  /**
+   * The dictionary sheets for a SCHEMA array: Columns, Enums, Views, Triggers.
+   * Each sheet is { name, columns: [{ header, width, wrap }], rows: [[...]] }.
+   */
+  function buildSheets(objects, { businessDocs = {}, fkIssues = [] } = {}) {
+    const of = type => objects.filter(o => o.type === type).sort(byName);
+    const tables = of("table");
+    const options = { businessDocs, fkIssues };
+    return [
+      columnsSheet(tables, options),
+      enumsSheet(of("enum"), tables, options),
+      viewsSheet(of("view"), options),
+      triggersSheet(of("trigger"), options)
+    ];
+  }
+
+  function csvField(value) {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // RFC 4180 CSV with a header row; the BOM makes Excel read it as UTF-8
+  function toCsv(sheet) {
+    const lines = [sheet.columns.map(c => c.header), ...sheet.rows].map(r => r.map(csvField).join(","));
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+  }
+
+  function createWorkbook(sheets, options) {
+    return xlsxWriter().createWorkbook(sheets, options);
+  }
+
+  const DataDictionary = { buildSheets, toCsv, createWorkbook };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = DataDictionary;
+  }
+  root.DataDictionary = DataDictionary;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -8,6 +8,9 @@
  * - 15 Views
  * - 9 Functions
  * - 23 Triggers
+ * - 3 Sequences
+ * - 3 Extensions
+ * - 1 Schema
  */
 
 window.SCHEMA = {
@@ -111,8 +114,8 @@ window.SCHEMA = {
         { name: "idx_locations_client_id", columns: ["client_id"] },
         { name: "idx_locations_type", columns: ["location_type"] },
         { name: "idx_locations_active", columns: ["is_active"] },
-        { name: "idx_locations_centroid", columns: ["centroid"], type: "GIST" },
-        { name: "idx_locations_boundary", columns: ["boundary"], type: "GIST" }
+        { name: "idx_locations_centroid", columns: ["centroid"], method: "GIST" },
+        { name: "idx_locations_boundary", columns: ["boundary"], method: "GIST" }
       ]
     },
     {
@@ -224,7 +227,7 @@ window.SCHEMA = {
       indexes: [
         { name: "idx_orchard_blocks_location", columns: ["location_id"] },
         { name: "idx_orchard_blocks_species", columns: ["primary_species_id"] },
-        { name: "idx_orchard_blocks_boundary", columns: ["boundary"], type: "GIST" },
+        { name: "idx_orchard_blocks_boundary", columns: ["boundary"], method: "GIST" },
         { name: "idx_orchard_blocks_active", columns: ["is_active"], where: "is_active = TRUE" }
       ]
     },
@@ -382,7 +385,7 @@ window.SCHEMA = {
         { name: "idx_trees_reserved_for_client_id", columns: ["reserved_for_client_id"] },
         { name: "idx_trees_sold_to_client_id", columns: ["sold_to_client_id"] },
         { name: "idx_trees_block_row", columns: ["location_id", "block", "row"] },
-        { name: "idx_trees_coordinates", columns: ["coordinates"], type: "GIST" },
+        { name: "idx_trees_coordinates", columns: ["coordinates"], method: "GIST" },
         { name: "idx_trees_active", columns: ["is_active"] },
         { name: "idx_trees_planted_year", columns: ["planted_year"] },
         { name: "idx_trees_active_health", columns: ["location_id", "health_status"], where: "is_active = TRUE" }
@@ -449,7 +452,7 @@ window.SCHEMA = {
         { name: "work_order_type_id", type: "UUID", nullable: true, fk: { table: "work_order_types", column: "id" } },
         { name: "nursery_order_id", type: "UUID", nullable: true, fk: { table: "nursery_orders", column: "id" } },
         { name: "nursery_batch_id", type: "UUID", nullable: true, fk: { table: "nursery_batches", column: "id" } },
-        { name: "tree_ids", type: "UUID[]", nullable: true },
+        { name: "tree_ids", type: "UUID[]", nullable: true, softRef: { table: "trees", column: "id", via: "array" } },
         { name: "title", type: "VARCHAR(200)", nullable: false },
         { name: "description", type: "TEXT", nullable: true },
         { name: "status", type: "work_order_status", nullable: false, default: "'DRAFT'" },
@@ -491,7 +494,7 @@ window.SCHEMA = {
         { name: "idx_work_orders_priority", columns: ["priority"] },
         { name: "idx_work_orders_assigned_to", columns: ["assigned_to_id"] },
         { name: "idx_work_orders_scheduled_start", columns: ["scheduled_start"] },
-        { name: "idx_work_orders_tree_ids", columns: ["tree_ids"], type: "GIN" }
+        { name: "idx_work_orders_tree_ids", columns: ["tree_ids"], method: "GIN" }
       ]
     },
     {
@@ -719,7 +722,7 @@ window.SCHEMA = {
         { name: "idx_tree_health_records_tree_id", columns: ["tree_id"] },
         { name: "idx_tree_health_records_date", columns: ["observation_date"] },
         { name: "idx_tree_health_records_status", columns: ["health_status"] },
-        { name: "idx_tree_health_records_issues", columns: ["issues_observed"], type: "GIN" },
+        { name: "idx_tree_health_records_issues", columns: ["issues_observed"], method: "GIN" },
         { name: "idx_tree_health_records_follow_up", columns: ["follow_up_date"], where: "follow_up_required = TRUE" }
       ]
     },
@@ -749,7 +752,7 @@ window.SCHEMA = {
         { name: "alert_title_template", type: "VARCHAR(200)", nullable: true },
         { name: "alert_message_template", type: "TEXT", nullable: true },
         { name: "notify_roles", type: "user_role[]", nullable: true },
-        { name: "notify_user_ids", type: "UUID[]", nullable: true },
+        { name: "notify_user_ids", type: "UUID[]", nullable: true, softRef: { table: "users", column: "id", via: "array" } },
         { name: "notify_client", type: "BOOLEAN", nullable: false, default: "FALSE" },
         { name: "delivery_method", type: "notification_delivery", nullable: false, default: "'BOTH'" },
         { name: "cooldown_hours", type: "INTEGER", nullable: true, default: "24" },
@@ -906,7 +909,7 @@ window.SCHEMA = {
         { name: "idx_audit_log_user_id", columns: ["user_id"] },
         { name: "idx_audit_log_created_at", columns: ["created_at"] },
         { name: "idx_audit_log_action", columns: ["action"] },
-        { name: "idx_audit_log_changed_fields", columns: ["changed_fields"], type: "GIN" }
+        { name: "idx_audit_log_changed_fields", columns: ["changed_fields"], method: "GIN" }
       ]
     },
     {
@@ -1515,6 +1518,85 @@ window.SCHEMA = {
       table: "tree_health_records",
       function: "check_health_alert_rules",
       timing: "AFTER INSERT"
+    },
+
+    // =========================================================================
+    // SEQUENCES (3)
+    // =========================================================================
+    {
+      key: "sequence_work_order_number_seq",
+      type: "sequence",
+      name: "work_order_number_seq",
+      domain: "Work Orders",
+      description: "Counter behind work_orders.work_order_number, read via generate_document_number('WO', 'work_order_number_seq').",
+      dataType: "BIGINT",
+      start: 1,
+      increment: 1,
+      cycle: false
+    },
+    {
+      key: "sequence_invoice_number_seq",
+      type: "sequence",
+      name: "invoice_number_seq",
+      domain: "Billing",
+      description: "Counter behind invoices.invoice_number, read via generate_document_number('INV', 'invoice_number_seq').",
+      dataType: "BIGINT",
+      start: 1,
+      increment: 1,
+      cycle: false
+    },
+    {
+      key: "sequence_nursery_order_number_seq",
+      type: "sequence",
+      name: "nursery_order_number_seq",
+      domain: "Nursery",
+      description: "Counter behind nursery_orders.order_number, read via generate_document_number('NO', 'nursery_order_number_seq').",
+      dataType: "BIGINT",
+      start: 1,
+      increment: 1,
+      cycle: false
+    },
+
+    // =========================================================================
+    // EXTENSIONS (3)
+    // =========================================================================
+    {
+      key: "extension_uuid-ossp",
+      type: "extension",
+      name: "uuid-ossp",
+      domain: "System",
+      description: "UUID generators. Every primary key defaults to uuid_generate_v4().",
+      types: [],
+      functions: ["uuid_generate_v1", "uuid_generate_v1mc", "uuid_generate_v3", "uuid_generate_v4", "uuid_generate_v5"]
+    },
+    {
+      key: "extension_citext",
+      type: "extension",
+      name: "citext",
+      domain: "System",
+      description: "Case-insensitive text type, used for email addresses so uniqueness ignores case.",
+      types: ["citext"],
+      functions: []
+    },
+    {
+      key: "extension_postgis",
+      type: "extension",
+      name: "postgis",
+      domain: "System",
+      description: "Spatial types and functions. Location centroids and boundaries are stored as geometry in SRID 4326.",
+      types: ["geometry", "geography"],
+      functions: []
+    },
+
+    // =========================================================================
+    // SCHEMAS (1)
+    // =========================================================================
+    {
+      key: "schema_public",
+      type: "schema",
+      name: "public",
+      domain: "System",
+      description: "Default schema. Every object in V001 lives here."
     }
   ]
 };
@@ -0,0 +1,419 @@
+/* Adams Apples v2 — Markdown documentation site
+ * Generates a folder of Markdown pages from a SCHEMA dataset, for docs that live in a repo
+ * and are reviewed in pull requests:
+ * - README.md: domains and every object by type
+ * - one page per object (tables/, views/, functions/, triggers/, enums/, sequences/,
+ *   extensions/, schemas/) with its business sections, columns, keys, definitions and
+ *   links to the objects it references and is referenced by
+ * - domains/<domain>.md: an index per domain
+ * - glossary.md and fk-audit.md (FK index recommendations, every FK and soft reference)
+ * The business text (BUSINESS_DOCS, FK_WHY_DETAILED, GLOSSARY) comes from the caller.
+ * Output has no timestamps, so regenerating an unchanged schema gives an empty diff.
+ * Runs in the browser (window.DocsExport) and in Node (require("./docs-export.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  const TYPES = [
+    { type: "table", dir: "tables", title: "Tables" },
+    { type: "view", dir: "views", title: "Views" },
+    { type: "function", dir: "functions", title: "Functions" },
+    { type: "trigger", dir: "triggers", title: "Triggers" },
+    { type: "enum", dir: "enums", title: "Enums" },
+    { type: "sequence", dir: "sequences", title: "Sequences" },
+    { type: "extension", dir: "extensions", title: "Extensions" },
+    { type: "schema", dir: "schemas", title: "Schemas" }
+  ];
+  const TYPE_INFO = new Map(TYPES.map(t => [t.type, t]));
+
+  const BUSINESS_SECTIONS = [
+    ["what", "What is this?"],
+    ["where", "Where does it appear?"],
+    ["why", "Why does it exist?"],
+    ["dataFlow", "Data flow"],
+    ["example", "Example"]
+  ];
+
+  const UNASSIGNED = "Unassigned";
+
+  function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "unnamed";
+  }
+
+  function pagePath(obj) {
+    const info = TYPE_INFO.get(obj.type);
+    return `${info ? info.dir : "other"}/${slug(obj.name)}.md`;
+  }
+
+  function domainPath(domain) {
+    return `domains/${slug(domain || UNASSIGNED)}.md`;
+  }
+
+  // Link target from one page to another (pages sit at most one folder deep)
+  function relative(from, to) {
+    return "../".repeat(from.split("/").length - 1) + to;
+  }
+
+  // Text safe inside a Markdown table cell
+  function cell(text) {
+    return String(text == null ? "" : text).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  }
+
+  function table(head, rows) {
+    if (!rows.length) return [];
+    return [
+      `| ${head.join(" | ")} |`,
+      `| ${head.map(() => "---").join(" | ")} |`,
+      ...rows.map(r => `| ${r.map(cell).join(" | ")} |`),
+      ""
+    ];
+  }
+
+  // Strips the indentation shared by every line (definitions are indented inside data.js)
+  function dedent(text) {
+    const lines = String(text).replace(/^\s*\n/, "").replace(/\s+$/, "").split("\n");
+    const rest = /^\S/.test(lines[0]) ? lines.slice(1) : lines;
+    const indents = rest.filter(l => l.trim()).map(l => l.match(/^ */)[0].length);
+    const cut = indents.length ? Math.min(...indents) : 0;
+    return lines.map(l => l.replace(new RegExp(`^ {0,${cut}}`), "")).join("\n");
+  }
+
+  function constraintText(con) {
+    const cols = `(${(con.columns || []).join(", ")})`;
+    if (con.type === "pk") return `PRIMARY KEY ${cols}`;
+    if (con.type === "unique") return `UNIQUE ${cols}`;
+    if (con.type === "check") return `CHECK (${con.expression})`;
+    if (con.type === "fk") {
+      let text = `FOREIGN KEY ${cols} REFERENCES ${con.fk.table} (${con.fk.columns.join(", ")})`;
+      if (con.fk.onDelete) text += ` ON DELETE ${con.fk.onDelete}`;
+      if (con.fk.onUpdate) text += ` ON UPDATE ${con.fk.onUpdate}`;
+      return text;
+    }
+    return con.type;
+  }
+
+  function indexText(idx) {
+    const parts = [`(${(idx.columns || []).join(", ")})`];
+    if (idx.unique) parts.unshift("UNIQUE");
+    if (idx.method) parts.push(`USING ${idx.method}`);
+    if (idx.where) parts.push(`WHERE ${idx.where}`);
+    return parts.join(" ");
+  }
+
+  function sequenceText(seq) {
+    const parts = [`AS ${seq.dataType || "BIGINT"}`, `START ${seq.start != null ? seq.start : 1}`, `INCREMENT ${seq.increment != null ? seq.increment : 1}`];
+    if (seq.minValue != null) parts.push(`MINVALUE ${seq.minValue}`);
+    if (seq.maxValue != null) parts.push(`MAXVALUE ${seq.maxValue}`);
+    if (seq.cache != null) parts.push(`CACHE ${seq.cache}`);
+    parts.push(seq.cycle ? "CYCLE" : "NO CYCLE");
+    return parts.join(" ");
+  }
+
+  // "billing" → "Billing", "dataFlow" → "Data flow", "ar" → "AR"
+  function facetTitle(key) {
+    if (key.length <= 2) return key.toUpperCase();
+    const words = key.replace(/([A-Z])/g, " $1").toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // Every FK of a table, single-column (col.fk) and composite (constraints)
+  function foreignKeys(t) {
+    const out = (t.columns || []).filter(c => c.fk).map(c => ({
+      columns: [c.name], table: c.fk.table, targetColumns: [c.fk.column || "id"],
+      onDelete: c.fk.onDelete || null, nullable: !!c.nullable
+    }));
+    for (const con of t.constraints || []) {
+      if (con.type !== "fk" || !con.fk) continue;
+      const cols = (t.columns || []).filter(c => con.columns.includes(c.name));
+      out.push({
+        columns: con.columns, table: con.fk.table, targetColumns: con.fk.columns,
+        onDelete: con.fk.onDelete || null, nullable: cols.some(c => c.nullable), name: con.name
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Generates the site. Returns [{ path, content }] in a stable order.
+   * options:
+   *   businessDocs  name → { what, where, why, dataFlow, example }
+   *   fkWhy         column name → { general, <facet>: text, ..., example }
+   *   glossary      section → { term: definition }
+   *   fkIssues      FK index audit results [{ table, columns, referencedTable, suggestion }]
+   *   title         site title
+   */
+  function generateSite(objects, options = {}) {
+    const {
+      businessDocs = {}, fkWhy = {}, glossary = {}, fkIssues = [], title = "Adams Apples v2"
+    } = options;
+    const byName = new Map();
+    for (const o of objects) {
+      if (!byName.has(o.type)) byName.set(o.type, new Map());
+      byName.get(o.type).set(o.name, o);
+    }
+    const tables = objects.filter(o => o.type === "table");
+    const issueKey = (tableName, columns) => `${tableName}(${columns.join(", ")})`;
+    const missingIndex = new Set(fkIssues.map(i => issueKey(i.table, i.columns || [i.column])));
+
+    // `[name](path)` from page `from`, or plain code when the object is not in the model
+    const ref = (from, type, name, label) => {
+      const text = `\`${label || name}\``;
+      const obj = byName.get(type) && byName.get(type).get(name);
+      return obj ? `[${text}](${relative(from, pagePath(obj))})` : text;
+    };
+    const summaryOf = obj => {
+      const bd = businessDocs[obj.name];
+      return (bd && bd.what) || obj.description || "";
+    };
+    const fkWhyFor = column => fkWhy[column] || fkWhy[`${column.replace(/_id$/, "").replace(/_by$/, "")}_id`] || null;
+
+    function businessSection(obj) {
+      const bd = businessDocs[obj.name];
+      if (!bd) return [];
+      const lines = [];
+      for (const [key, heading] of BUSINESS_SECTIONS) {
+        if (bd[key]) lines.push(`## ${heading}`, "", key === "example" ? `_${bd[key]}_` : bd[key], "");
+      }
+      return lines;
+    }
+
+    function header(obj, from) {
+      const info = TYPE_INFO.get(obj.type);
+      const typeLabel = info ? info.title.replace(/s$/, "") : obj.type;
+      const lines = [`# ${obj.name}`, ""];
+      const meta = [`**${typeLabel}**`];
+      meta.push(`domain [${obj.domain || UNASSIGNED}](${relative(from, domainPath(obj.domain))})`);
+      if (obj.type !== "schema") meta.push(`schema ${ref(from, "schema", obj.schema || "public", obj.schema || "public")}`);
+      lines.push(meta.join(" · "), "");
+      if (obj.description) lines.push(obj.description, "");
+      return lines;
+    }
+
+    function tableBody(t, from) {
+      const lines = [];
+      const fks = foreignKeys(t);
+      const rows = (t.columns || []).map(c => {
+        const keys = [];
+        if (c.pk) keys.push("PK");
+        if (c.unique) keys.push("UNIQUE");
+        for (const con of t.constraints || []) {
+          if (!(con.columns || []).includes(c.name)) continue;
+          if (con.type === "pk" && !c.pk) keys.push("PK*");
+          if (con.type === "unique") keys.push("UNIQUE*");
+          if (con.type === "fk") keys.push("FK*");
+          if (con.type === "check") keys.push("CHECK");
+        }
+        let refs = "";
+        if (c.fk) {
+          refs = `FK → ${ref(from, "table", c.fk.table)}.${c.fk.column || "id"}`;
+          if (c.fk.onDelete) refs += ` ON DELETE ${c.fk.onDelete}`;
+          if (missingIndex.has(issueKey(t.name, [c.name]))) refs += ` ⚠ [no index](${relative(from, "fk-audit.md")})`;
+        } else if (c.softRef) {
+          refs = `soft → ${ref(from, "table", c.softRef.table)}.${c.softRef.column || "id"} (${c.softRef.via === "jsonb" ? "JSONB" : "array"}, not enforced)`;
+        }
+        const type = byName.has("enum") && byName.get("enum").has(c.type.replace(/\[\]$/, ""))
+          ? ref(from, "enum", c.type.replace(/\[\]$/, ""), c.type) : `\`${c.type}\``;
+        return [`\`${c.name}\``, type, c.nullable ? "yes" : "NOT NULL", c.default ? `\`${c.default}\`` : "", keys.join(", "), refs];
+      });
+      lines.push("## Columns", "", ...table(["Column", "Type", "Nullable", "Default", "Keys", "References"], rows));
+
+      if ((t.constraints || []).length) {
+        lines.push("## Constraints", "", ...table(["Name", "Definition"],
+          t.constraints.map(con => [`\`${con.name}\``, `\`${constraintText(con)}\``])));
+      }
+      if ((t.indexes || []).length) {
+        lines.push("## Indexes", "", ...table(["Name", "Definition"],
+          t.indexes.map(idx => [`\`${idx.name}\``, `\`${indexText(idx)}\``])));
+      }
+
+      if (fks.length) {
+        lines.push("## Why these links exist", "");
+        for (const fk of fks) {
+          lines.push(`### \`${fk.columns.join(", ")}\` → ${ref(from, "table", fk.table)}`, "");
+          const why = fk.columns.length === 1 ? fkWhyFor(fk.columns[0]) : null;
+          if (why) {
+            if (why.general) lines.push(why.general, "");
+            const facets = Object.keys(why).filter(k => k !== "general" && k !== "example");
+            for (const k of facets) lines.push(`- **${facetTitle(k)}:** ${why[k]}`);
+            if (facets.length) lines.push("");
+            if (why.example) lines.push(`_Example: ${why.example}_`, "");
+          } else {
+            lines.push(`Each row points at one row of \`${fk.table}\`${fk.nullable ? " (optional)" : ""}.`, "");
+          }
+          if (fk.onDelete) lines.push(`On delete of the ${fk.table} row: \`${fk.onDelete}\`.`, "");
+        }
+      }
+
+      const incoming = [];
+      for (const other of tables) {
+        for (const fk of foreignKeys(other)) {
+          if (fk.table === t.name) incoming.push([`${ref(from, "table", other.name)}.\`${fk.columns.join(", ")}\``, fk.onDelete || ""]);
+        }
+        for (const c of other.columns || []) {
+          if (c.softRef && c.softRef.table === t.name) incoming.push([`${ref(from, "table", other.name)}.\`${c.name}\` (soft reference)`, ""]);
+        }
+      }
+      if (incoming.length) lines.push("## Referenced by", "", ...table(["Column", "ON DELETE"], incoming));
+
+      const views = objects.filter(o => o.type === "view" && (o.baseTables || []).includes(t.name));
+      if (views.length) lines.push("## Views reading this table", "", ...views.map(v => `- ${ref(from, "view", v.name)}`), "");
+      const triggers = objects.filter(o => o.type === "trigger" && o.table === t.name);
+      if (triggers.length) {
+        lines.push("## Triggers", "", ...triggers.map(tr => `- ${ref(from, "trigger", tr.name)} (${tr.timing || "trigger"}) → ${ref(from, "function", tr.function)}`), "");
+      }
+      return lines;
+    }
+
+    function objectBody(obj, from) {
+      const lines = [];
+      const code = (lang, text) => lines.push("```" + lang, dedent(text), "```", "");
+      if (obj.type === "table") return tableBody(obj, from);
+      if (obj.type === "view") {
+        if ((obj.baseTables || []).length) {
+          lines.push("## Base tables", "", ...obj.baseTables.map(n => `- ${ref(from, byName.get("view") && byName.get("view").has(n) ? "view" : "table", n)}`), "");
+        }
+        lines.push("## Definition", "");
+        if (obj.definition) code("sql", obj.definition);
+        else lines.push("_Not modelled in data.js; the Base tables above are all that is known._", "");
+      } else if (obj.type === "function") {
+        const params = !obj.params && !/^TRIGGER$/i.test(obj.returnType || "") ? "/* parameters unknown */"
+          : (obj.params || []).map(p => [p.mode, p.name, p.type].filter(Boolean).join(" ")).join(", ");
+        lines.push("## Signature", "");
+        code("sql", `${obj.name}(${params}) RETURNS ${obj.returnType || "void"}\nLANGUAGE ${obj.language || "plpgsql"}${obj.volatility ? ` ${obj.volatility}` : ""}`);
+        const triggers = objects.filter(o => o.type === "trigger" && o.function === obj.name);
+        if (triggers.length) {
+          lines.push("## Called by triggers", "", ...triggers.map(tr => `- ${ref(from, "trigger", tr.name)} on ${ref(from, "table", tr.table)}`), "");
+        }
+        lines.push("## Definition", "");
+        if (obj.definition) code(obj.language === "sql" ? "sql" : "plpgsql", obj.definition);
+        else lines.push("_Not modelled in data.js; parameters, volatility and body are unknown._", "");
+      } else if (obj.type === "trigger") {
+        lines.push("## Fires", "", `- **When:** \`${obj.timing || "?"}\``, `- **On:** ${ref(from, "table", obj.table)}`,
+          `- **Executes:** ${ref(from, "function", obj.function)}`, "");
+      } else if (obj.type === "enum") {
+        lines.push("## Values", "", ...(obj.values || []).map(v => `- \`${v}\``), "");
+        const users = [];
+        for (const t of tables) {
+          for (const c of t.columns || []) {
+            if (c.type.replace(/\[\]$/, "") === obj.name) users.push(`- ${ref(from, "table", t.name)}.\`${c.name}\``);
+          }
+        }
+        if (users.length) lines.push("## Used by", "", ...users, "");
+      } else if (obj.type === "sequence") {
+        lines.push("## Definition", "", `\`${sequenceText(obj)}\``, "");
+        if (obj.ownedBy) lines.push(`Owned by ${ref(from, "table", obj.ownedBy.table)}.\`${obj.ownedBy.column}\``, "");
+      } else if (obj.type === "extension") {
+        if (obj.version) lines.push(`Version \`${obj.version}\``, "");
+        const provides = [...(obj.types || []).map(t => `- type \`${t}\``), ...(obj.functions || []).map(f => `- function \`${f}()\``)];
+        if (provides.length) lines.push("## Provides", "", ...provides, "");
+        const types = new Set((obj.types || []).map(t => t.toLowerCase()));
+        const users = [];
+        for (const t of tables) {
+          for (const c of t.columns || []) {
+            if (types.has(c.type.toLowerCase().replace(/\(.*$|\[\]$/g, ""))) users.push(`- ${ref(from, "table", t.name)}.\`${c.name}\` (\`${c.type}\`)`);
+          }
+        }
+        if (users.length) lines.push("## Used by", "", ...users, "");
+      } else if (obj.type === "schema") {
+        const members = objects.filter(o => o.type !== "schema" && (o.schema || "public") === obj.name);
+        lines.push(`## Objects (${members.length})`, "");
+        for (const { type, title: heading } of TYPES) {
+          const list = members.filter(o => o.type === type);
+          if (list.length) lines.push(`**${heading}:** ${list.map(o => ref(from, type, o.name)).join(", ")}`, "");
+        }
+      }
+      return lines;
+    }
+
+    const files = [];
+    const add = (path, lines) => files.push({ path, content: lines.join("\n").replace(/\n{3,}/g, "\n\n").trimEnd() + "\n" });
+    const domains = Array.from(new Set(objects.map(o => o.domain || UNASSIGNED))).sort();
+    const present = TYPES.filter(t => objects.some(o => o.type === t.type));
+
+    // README.md
+    const readme = [`# ${title} — Schema documentation`, "",
+      `${objects.length} objects in ${domains.length} domains. Generated from the schema model; regenerate instead of editing by hand.`, "",
+      "## Domains", "",
+      ...table(["Domain", ...present.map(t => t.title), "Total"], domains.map(d => {
+        const inDomain = objects.filter(o => (o.domain || UNASSIGNED) === d);
+        return [`[${d}](${domainPath(d)})`, ...present.map(t => inDomain.filter(o => o.type === t.type).length || ""), inDomain.length];
+      })),
+      "## Reference", "", "- [Glossary](glossary.md)", `- [FK audit](fk-audit.md): ${fkIssues.length} foreign keys without an index`, ""];
+    for (const { type, title: heading } of present) {
+      const list = objects.filter(o => o.type === type);
+      readme.push(`## ${heading} (${list.length})`, "", list.map(o => ref("README.md", type, o.name)).join(" · "), "");
+    }
+    add("README.md", readme);
+
+    // Domain indexes
+    for (const d of domains) {
+      const path = domainPath(d);
+      const inDomain = objects.filter(o => (o.domain || UNASSIGNED) === d);
+      const lines = [`# ${d}`, "", `[← All domains](${relative(path, "README.md")}) · ${inDomain.length} objects`, ""];
+      for (const { type, title: heading } of TYPES) {
+        const list = inDomain.filter(o => o.type === type);
+        if (!list.length) continue;
+        lines.push(`## ${heading}`, "", ...table(["Object", "Summary"], list.map(o => [ref(path, type, o.name), summaryOf(o)])));
+      }
+      add(path, lines);
+    }
+
+    // Object pages
+    for (const { type } of TYPES) {
+      for (const obj of objects.filter(o => o.type === type)) {
+        const path = pagePath(obj);
+        add(path, [...header(obj, path), ...businessSection(obj), ...objectBody(obj, path)]);
+      }
+    }
+
+    // glossary.md
+    const gloss = ["# Glossary", "", `Plain-language terms used in the [${title} schema docs](README.md).`, ""];
+    for (const [section, terms] of Object.entries(glossary)) {
+      gloss.push(`## ${section}`, "");
+      for (const [term, definition] of Object.entries(terms)) gloss.push(`### ${term}`, "", definition, "");
+    }
+    add("glossary.md", gloss);
+
+    // fk-audit.md
+    const audit = ["# Foreign key audit", "", "[← Schema documentation](README.md)", "",
+      `## Missing indexes (${fkIssues.length})`, ""];
+    if (fkIssues.length) {
+      audit.push("PostgreSQL does not index foreign key columns automatically. Without an index, JOINs from the parent and every parent DELETE scan the whole child table.", "",
+        ...table(["Table", "FK columns", "References", "Suggested index"], fkIssues.map(i =>
+          [ref("fk-audit.md", "table", i.table), `\`${i.column}\``, ref("fk-audit.md", "table", i.referencedTable), `\`${i.suggestion}\``])),
+        "```sql", ...fkIssues.map(i => i.suggestion), "```", "");
+    } else {
+      audit.push("Every foreign key is covered by an index.", "");
+    }
+    const allFks = [];
+    for (const t of tables) {
+      for (const fk of foreignKeys(t)) {
+        allFks.push([ref("fk-audit.md", "table", t.name), `\`${fk.columns.join(", ")}\``,
+          `${ref("fk-audit.md", "table", fk.table)}.\`${fk.targetColumns.join(", ")}\``, fk.onDelete || "NO ACTION",
+          fk.nullable ? "optional" : "required", missingIndex.has(issueKey(t.name, fk.columns)) ? "⚠ no" : "yes"]);
+      }
+    }
+    audit.push(`## All foreign keys (${allFks.length})`, "", ...table(["Table", "Columns", "References", "ON DELETE", "Parent", "Indexed"], allFks));
+    const soft = [];
+    for (const t of tables) {
+      for (const c of t.columns || []) {
+        if (c.softRef) soft.push([ref("fk-audit.md", "table", t.name), `\`${c.name}\``, ref("fk-audit.md", "table", c.softRef.table), c.softRef.via === "jsonb" ? `JSONB${c.softRef.path ? ` \`${c.softRef.path}\`` : ""}` : "array"]);
+      }
+    }
+    if (soft.length) {
+      audit.push(`## Soft references (${soft.length})`, "", "IDs stored in arrays or JSONB. The database does not check them; the application keeps them in sync.", "",
+        ...table(["Table", "Column", "Holds IDs of", "Stored as"], soft));
+    }
+    add("fk-audit.md", audit);
+
+    return files;
+  }
+
+  const DocsExport = { generateSite, pagePath, domainPath };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = DocsExport;
+  }
+  root.DocsExport = DocsExport;
+})(typeof window !== "undefined" ? window : globalThis);
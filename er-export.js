@@ -0,0 +1,281 @@
+/* Adams Apples v2 — ER diagram export
+ * Turns tables and their FK edges into text other tools draw:
+ * - Mermaid erDiagram (Markdown wikis), DBML (dbdiagram.io), PlantUML (IE notation), Graphviz DOT
+ * - cardinality from the FK columns: NULL-able FK → the parent is optional (zero or one),
+ *   UNIQUE/PK FK → the child side is at most one, otherwise zero or many
+ * - soft references (array/JSONB IDs) come out as dashed/dotted many-to-many links
+ * - only relationships between the given tables, so a domain or an isolated
+ *   neighbourhood exports as a self-contained subgraph
+ * Runs in the browser (window.ErExport) and in Node (require("./er-export.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  const FORMATS = {
+    mermaid: { label: "Mermaid erDiagram", ext: "mmd" },
+    dbml: { label: "DBML (dbdiagram.io)", ext: "dbml" },
+    plantuml: { label: "PlantUML", ext: "puml" },
+    dot: { label: "Graphviz DOT", ext: "dot" }
+  };
+
+  function sameColumns(a, b) {
+    return a.length === b.length && a.every(c => b.includes(c));
+  }
+
+  /**
+   * Cardinality of an FK over `columns` of `table`:
+   * { parent: "one" | "zero-or-one", child: "zero-or-one" | "zero-or-many" }
+   */
+  function cardinality(table, columns) {
+    const cols = columns.map(n => (table.columns || []).find(c => c.name === n)).filter(Boolean);
+    const optional = cols.some(c => c.nullable);
+    const unique = (cols.length === 1 && (cols[0].unique || cols[0].pk)) ||
+      (table.constraints || []).some(con => (con.type === "unique" || con.type === "pk") && sameColumns(con.columns, columns)) ||
+      (table.indexes || []).some(idx => idx.unique && !idx.where && sameColumns(idx.columns || [], columns));
+    return { parent: optional ? "zero-or-one" : "one", child: unique ? "zero-or-one" : "zero-or-many" };
+  }
+
+  /**
+   * FK and soft-reference relationships among `tables` (the same links the diagram draws):
+   * [{ from, to, columns, targetColumns, onDelete, soft, cardinality }] with from/to table objects.
+   */
+  function relationships(tables) {
+    const byName = new Map(tables.map(t => [t.name, t]));
+    const out = [];
+    for (const t of tables) {
+      for (const col of t.columns || []) {
+        const to = col.fk && byName.get(col.fk.table);
+        if (to) {
+          out.push({ from: t, to, columns: [col.name], targetColumns: [col.fk.column || "id"], onDelete: col.fk.onDelete || null, soft: false, cardinality: cardinality(t, [col.name]) });
+        }
+      }
+      for (const con of t.constraints || []) {
+        const to = con.type === "fk" && con.fk && byName.get(con.fk.table);
+        if (to) {
+          out.push({ from: t, to, columns: con.columns, targetColumns: con.fk.columns, onDelete: con.fk.onDelete || null, soft: false, cardinality: cardinality(t, con.columns) });
+        }
+      }
+      for (const col of t.columns || []) {
+        const to = col.softRef && byName.get(col.softRef.table);
+        if (to) {
+          out.push({ from: t, to, columns: [col.name], targetColumns: [col.softRef.column || "id"], onDelete: null, soft: true, via: col.softRef.via, cardinality: { parent: "zero-or-many", child: "zero-or-many" } });
+        }
+      }
+    }
+    return out;
+  }
+
+  // Column key markers: PK, FK (incl. composite FKs and soft references), UK
+  function columnKeys(table, col) {
+    const keys = [];
+    const inConstraint = type => (table.constraints || []).some(con => con.type === type && con.columns.includes(col.name));
+    if (col.pk || inConstraint("pk")) keys.push("PK");
+    if (col.fk || inConstraint("fk")) keys.push("FK");
+    if (col.unique && !col.pk) keys.push("UK");
+    return keys;
+  }
+
+  // "audit.change_log" → "audit_change_log" for formats whose identifiers cannot contain dots
+  function safeId(name) {
+    return String(name).replace(/[^A-Za-z0-9_]/g, "_");
+  }
+
+  // ==========================================================================
+  // MERMAID
+  // ==========================================================================
+  const MERMAID_PARENT = { one: "||", "zero-or-one": "|o", "zero-or-many": "}o" };
+  const MERMAID_CHILD = { "zero-or-one": "o|", "zero-or-many": "o{" };
+
+  function toMermaid({ tables, title }) {
+    const lines = [];
+    if (title) lines.push(`%% ${title}`);
+    lines.push("erDiagram");
+    for (const t of tables) {
+      lines.push(`    ${safeId(t.name)}${safeId(t.name) !== t.name ? `["${t.name}"]` : ""} {`);
+      for (const col of t.columns || []) {
+        // Types may not contain commas or spaces: keep the full type as a comment when simplified
+        const type = String(col.type).replace(/\s+/g, "_");
+        const simple = /,/.test(type) ? type.replace(/\(.*\)/, "") : type;
+        const keys = columnKeys(t, col);
+        const comment = simple !== type ? ` "${col.type}"` : "";
+        lines.push(`        ${simple} ${col.name}${keys.length ? ` ${keys.join(", ")}` : ""}${comment}`);
+      }
+      lines.push("    }");
+    }
+    for (const r of relationships(tables)) {
+      const link = `${MERMAID_PARENT[r.cardinality.parent]}${r.soft ? ".." : "--"}${MERMAID_CHILD[r.cardinality.child]}`;
+      lines.push(`    ${safeId(r.to.name)} ${link} ${safeId(r.from.name)} : "${r.columns.join(", ")}"`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // ==========================================================================
+  // DBML
+  // ==========================================================================
+  function dbmlName(name) {
+    return String(name).split(".").map(p => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(p) ? p : `"${p}"`)).join(".");
+  }
+
+  function dbmlString(text) {
+    return `'${String(text).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  }
+
+  function dbmlDefault(value) {
+    const v = String(value).trim();
+    if (/^'.*'$/.test(v) || /^-?\d+(\.\d+)?$/.test(v)) return v;
+    if (/^(true|false|null)$/i.test(v)) return v.toLowerCase();
+    return `\`${v}\``;
+  }
+
+  function toDbml({ tables, enums = [], title }) {
+    const out = [];
+    if (title) out.push(`// ${title}`, "");
+    const usedTypes = new Set(tables.flatMap(t => (t.columns || []).map(c => String(c.type).replace(/\[\]$/, ""))));
+    for (const e of enums.filter(en => usedTypes.has(en.name))) {
+      out.push(`Enum ${dbmlName(e.name)} {`);
+      for (const v of e.values || []) out.push(`  ${dbmlName(v)}`);
+      out.push("}", "");
+    }
+
+    const refs = [];
+    for (const r of relationships(tables)) {
+      const op = r.cardinality.child === "zero-or-one" ? "-" : ">";
+      const settings = r.onDelete ? ` [delete: ${r.onDelete.toLowerCase()}]` : "";
+      if (r.soft) {
+        refs.push(`// soft reference (not enforced): ${r.from.name}.${r.columns[0]} → ${r.to.name}.${r.targetColumns[0]}`);
+      } else if (r.columns.length === 1) {
+        refs.push(`Ref: ${dbmlName(r.from.name)}.${dbmlName(r.columns[0])} ${op} ${dbmlName(r.to.name)}.${dbmlName(r.targetColumns[0])}${settings}`);
+      } else {
+        const cols = list => `(${list.map(dbmlName).join(", ")})`;
+        refs.push(`Ref: ${dbmlName(r.from.name)}.${cols(r.columns)} ${op} ${dbmlName(r.to.name)}.${cols(r.targetColumns)}${settings}`);
+      }
+    }
+
+    for (const t of tables) {
+      out.push(`Table ${dbmlName(t.name)} {`);
+      for (const col of t.columns || []) {
+        const settings = [];
+        if (col.pk) settings.push("pk");
+        if (col.unique && !col.pk) settings.push("unique");
+        if (!col.nullable && !col.pk) settings.push("not null");
+        if (col.default != null && col.default !== "") settings.push(`default: ${dbmlDefault(col.default)}`);
+        const type = /\s/.test(col.type) ? `"${col.type}"` : col.type;
+        out.push(`  ${dbmlName(col.name)} ${type}${settings.length ? ` [${settings.join(", ")}]` : ""}`);
+      }
+      const indexes = (t.indexes || []).concat((t.constraints || [])
+        .filter(con => con.type === "pk" || con.type === "unique")
+        .map(con => ({ name: con.name, columns: con.columns, unique: con.type === "unique", pk: con.type === "pk" })));
+      if (indexes.length) {
+        out.push("", "  indexes {");
+        for (const idx of indexes) {
+          const settings = [];
+          if (idx.pk) settings.push("pk");
+          if (idx.unique) settings.push("unique");
+          if (idx.name) settings.push(`name: ${dbmlString(idx.name)}`);
+          const notes = [idx.method ? `USING ${idx.method}` : null, idx.where ? `WHERE ${idx.where}` : null].filter(Boolean);
+          if (notes.length) settings.push(`note: ${dbmlString(notes.join(" "))}`);
+          const cols = (idx.columns || []).map(c => (/^[A-Za-z_]\w*$/.test(c) ? c : `\`${c}\``));
+          out.push(`    ${cols.length === 1 ? cols[0] : `(${cols.join(", ")})`}${settings.length ? ` [${settings.join(", ")}]` : ""}`);
+        }
+        out.push("  }");
+      }
+      if (t.description) out.push("", `  Note: ${dbmlString(t.description)}`);
+      out.push("}", "");
+    }
+    out.push(...refs);
+    return out.join("\n").replace(/\n*$/, "\n");
+  }
+
+  // ==========================================================================
+  // PLANTUML
+  // ==========================================================================
+  const PLANTUML_PARENT = { one: "||", "zero-or-one": "|o", "zero-or-many": "}o" };
+  const PLANTUML_CHILD = { "zero-or-one": "o|", "zero-or-many": "o{" };
+
+  function toPlantUml({ tables, title }) {
+    const lines = ["@startuml"];
+    if (title) lines.push(`title ${title}`);
+    lines.push("hide circle", "skinparam linetype ortho", "");
+    for (const t of tables) {
+      lines.push(`entity "${t.name}" as ${safeId(t.name)} {`);
+      const cols = t.columns || [];
+      const isKey = col => columnKeys(t, col).includes("PK");
+      const row = col => {
+        const keys = columnKeys(t, col);
+        return `  ${col.nullable ? "" : "* "}${col.name} : ${col.type}${keys.length ? ` <<${keys.join(", ")}>>` : ""}`;
+      };
+      lines.push(...cols.filter(isKey).map(row));
+      lines.push("  --");
+      lines.push(...cols.filter(col => !isKey(col)).map(row));
+      lines.push("}", "");
+    }
+    for (const r of relationships(tables)) {
+      const link = `${PLANTUML_PARENT[r.cardinality.parent]}${r.soft ? ".." : "--"}${PLANTUML_CHILD[r.cardinality.child]}`;
+      lines.push(`${safeId(r.to.name)} ${link} ${safeId(r.from.name)} : ${r.columns.join(", ")}`);
+    }
+    lines.push("@enduml");
+    return lines.join("\n") + "\n";
+  }
+
+  // ==========================================================================
+  // GRAPHVIZ DOT
+  // ==========================================================================
+  // Crow's foot arrows: the tail sits on the child (many) end, the head on the parent
+  const DOT_PARENT = { one: "teetee", "zero-or-one": "teeodot", "zero-or-many": "crowodot" };
+  const DOT_CHILD = { "zero-or-one": "teeodot", "zero-or-many": "crowodot" };
+
+  function htmlText(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  function toDot({ tables, title }) {
+    const lines = [];
+    if (title) lines.push(`// ${title}`);
+    lines.push("digraph schema {");
+    lines.push('  graph [rankdir=LR, splines=true, nodesep=0.6, fontname="Helvetica"];');
+    lines.push('  node [shape=plain, fontname="Helvetica", fontsize=10];');
+    lines.push('  edge [fontname="Helvetica", fontsize=9, dir=both];');
+    lines.push("");
+    for (const t of tables) {
+      const rows = (t.columns || []).map(col => {
+        const keys = columnKeys(t, col);
+        const name = keys.includes("PK") ? `<b>${htmlText(col.name)}</b>` : htmlText(col.name);
+        return `<tr><td port="${safeId(col.name)}" align="left">${name}</td><td align="left">${htmlText(col.type)}${col.nullable ? "" : " NOT NULL"}</td><td>${keys.join(" ")}</td></tr>`;
+      });
+      lines.push(`  "${t.name}" [label=<<table border="0" cellborder="1" cellspacing="0" cellpadding="3">` +
+        `<tr><td colspan="3" bgcolor="#dde7f5"><b>${htmlText(t.name)}</b></td></tr>${rows.join("")}</table>>];`);
+    }
+    lines.push("");
+    for (const r of relationships(tables)) {
+      const attrs = [
+        `label="${r.columns.join(", ")}"`,
+        `arrowtail=${DOT_CHILD[r.cardinality.child]}`,
+        `arrowhead=${DOT_PARENT[r.cardinality.parent]}`
+      ];
+      if (r.soft) attrs.push("style=dashed");
+      if (r.onDelete) attrs.push(`taillabel="${r.onDelete}"`);
+      lines.push(`  "${r.from.name}":${safeId(r.columns[0])} -> "${r.to.name}":${safeId(r.targetColumns[0])} [${attrs.join(", ")}];`);
+    }
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+
+  const RENDERERS = { mermaid: toMermaid, dbml: toDbml, plantuml: toPlantUml, dot: toDot };
+
+  /**
+   * Renders { tables, enums?, title? } in one of the FORMATS keys.
+   */
+  function render(format, model) {
+    const renderer = RENDERERS[format];
+    if (!renderer) throw new Error(`Unknown ER export format: ${format}`);
+    return renderer(model);
+  }
+
+  const ErExport = { FORMATS, render, relationships, cardinality, toMermaid, toDbml, toPlantUml, toDot };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ErExport;
+  }
+  root.ErExport = ErExport;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,279 @@
+/* Adams Apples v2 — Function read/write analysis
+ * Scans a plpgsql (or SQL) function body and lists the tables and columns it
+ * reads and writes:
+ * - INSERT INTO t (cols), UPDATE t SET col = ..., DELETE FROM t      → writes
+ * - NEW.col := ... / SELECT ... INTO NEW.col in trigger functions     → writes to
+ *   the row being inserted/updated on every table whose trigger runs the function
+ * - FROM / JOIN relations, alias.col, NEW.col / OLD.col, bare columns → reads
+ * - record variables (FOR v IN SELECT ... FROM t, SELECT * INTO v FROM t) resolve
+ *   v.col to t.col
+ * Runs in the browser (window.FunctionAnalysis) and in Node (require("./function-analysis.js")).
+ * Uses the tokenizer from sql-import.js.
+ */
+
+(function (root) {
+  "use strict";
+
+  const SqlImport = root.SqlImport || (typeof require === "function" ? require("./sql-import.js") : null);
+
+  // Words that can follow a relation but are never its alias
+  const NOT_ALIAS = /^(ON|USING|JOIN|INNER|LEFT|RIGHT|FULL|OUTER|CROSS|NATURAL|LATERAL|WHERE|GROUP|HAVING|ORDER|LIMIT|OFFSET|FOR|UNION|INTERSECT|EXCEPT|SET|VALUES|RETURNING|DEFAULT|SELECT|LOOP|WHEN|THEN|AND|OR)$/;
+  // Tokens after which an assignment "NEW.col := ..." starts a new plpgsql statement
+  const STATEMENT_START = /^(BEGIN|THEN|ELSE|LOOP|DECLARE)$/;
+  // Clause keywords that end an UPDATE ... SET list
+  const SET_END = /^(FROM|WHERE|RETURNING)$/;
+
+  function addColumn(map, table, column, action) {
+    if (!map.has(table)) map.set(table, { table, columns: [], actions: [] });
+    const entry = map.get(table);
+    if (column && !entry.columns.includes(column)) entry.columns.push(column);
+    if (action && !entry.actions.includes(action)) entry.actions.push(action);
+  }
+
+  function refParts(text) {
+    const parts = SqlImport.splitQualified(text);
+    return parts.length > 2 ? parts.slice(-2) : parts;
+  }
+
+  // ==========================================================================
+  // RELATIONS - tables named in a statement and their aliases
+  // ==========================================================================
+  // Walks the statement (including nested groups) and returns
+  // [{ table, alias, role: "read" | "insert" | "update" | "delete" }]
+  function statementRelations(ctx, text) {
+    const out = [];
+    const scan = str => {
+      const toks = SqlImport.tokenize(str);
+      for (let i = 0; i < toks.length; i++) {
+        const t = toks[i];
+        if (t.kind === "group") {
+          scan(t.text.slice(1, -1));
+          continue;
+        }
+        let role = null;
+        if (t.upper === "INTO" && toks[i - 1] && toks[i - 1].upper === "INSERT") role = "insert";
+        else if (t.upper === "UPDATE" && !(toks[i - 1] && /^(FOR|DO|ON)$/.test(toks[i - 1].upper))) role = "update";
+        else if (t.upper === "FROM" && toks[i - 1] && toks[i - 1].upper === "DELETE") role = "delete";
+        // "IS DISTINCT FROM" and "EXTRACT(x FROM y)" are not relations; unknown names are skipped below
+        else if ((t.upper === "FROM" && !(toks[i - 1] && toks[i - 1].upper === "DISTINCT")) || t.upper === "JOIN") role = "read";
+        if (!role) continue;
+
+        let j = i + 1;
+        if (toks[j] && /^(ONLY|LATERAL)$/.test(toks[j].upper)) j++;
+        const rel = toks[j];
+        if (!rel || (rel.kind !== "word" && rel.kind !== "ident")) continue;
+        const table = SqlImport.objectName(rel.text);
+        if (!ctx.tables.has(table)) continue;
+
+        let alias = null;
+        let k = j + 1;
+        if (toks[k] && toks[k].upper === "AS") k++;
+        if (toks[k] && (toks[k].kind === "word" || toks[k].kind === "ident") && !NOT_ALIAS.test(toks[k].upper)) {
+          alias = SqlImport.identName(toks[k].text);
+        }
+        out.push({ table, alias, role });
+      }
+    };
+    scan(text);
+    return out;
+  }
+
+  // "FOR v IN SELECT ... FROM t ... LOOP" and "SELECT * INTO v FROM t" bind v to t
+  function recordVariables(ctx, body) {
+    const records = new Map();
+    const bind = (name, query) => {
+      const rels = statementRelations(ctx, query).filter(r => r.role === "read");
+      if (rels.length) records.set(name.toLowerCase(), rels[0].table);
+    };
+    for (const m of body.matchAll(/\bFOR\s+(\w+)\s+IN\s+(SELECT\b[\s\S]*?)\bLOOP\b/gi)) bind(m[1], m[2]);
+    for (const m of body.matchAll(/\bSELECT\s+\*\s+INTO\s+(?:STRICT\s+)?(\w+)\s+(FROM\b[^;]*)/gi)) bind(m[1], m[2]);
+    return records;
+  }
+
+  // ==========================================================================
+  // STATEMENTS
+  // ==========================================================================
+  function analyzeStatement(ctx, text, result) {
+    const rels = statementRelations(ctx, text);
+    const aliases = new Map();
+    for (const r of rels) {
+      // audit.change_log is also referenced as change_log
+      aliases.set(r.table, r.table);
+      aliases.set(r.table.slice(r.table.lastIndexOf(".") + 1), r.table);
+      if (r.alias) aliases.set(r.alias, r.table);
+      if (r.role === "read") addColumn(result.reads, r.table, null);
+      else addColumn(result.writes, r.table, null, r.role.toUpperCase());
+    }
+    // Bare column names resolve against the relations being read or updated
+    const bareScope = rels.filter(r => r.role !== "insert").map(r => ctx.tables.get(r.table));
+    const skip = new Set();
+
+    const toks = SqlImport.tokenize(text);
+    markWrites(ctx, toks, rels, result, skip);
+    collectReads(ctx, text, aliases, bareScope, result, skip);
+  }
+
+  // Assignment targets: INSERT column lists, UPDATE SET targets, NEW.col := / INTO NEW.col
+  function markWrites(ctx, toks, rels, result, skip) {
+    for (let i = 0; i < toks.length; i++) {
+      const t = toks[i];
+
+      if (t.upper === "INTO" && toks[i - 1] && toks[i - 1].upper === "INSERT") {
+        const rel = rels.find(r => r.role === "insert");
+        let j = i + 2;
+        if (toks[j] && toks[j].upper === "AS") j += 2;
+        else if (toks[j] && toks[j].kind === "word" && rel && rel.alias) j++;
+        if (rel && toks[j] && toks[j].kind === "group") {
+          for (const col of SqlImport.groupIdents(toks[j].text)) addColumn(result.writes, rel.table, col, "INSERT");
+          skip.add(toks[j].start);
+        }
+        continue;
+      }
+
+      if (t.upper === "SET" && rels.some(r => r.role === "update")) {
+        const rel = rels.find(r => r.role === "update");
+        let depthEnd = i + 1;
+        while (depthEnd < toks.length && !SET_END.test(toks[depthEnd].upper)) depthEnd++;
+        // Targets are the words directly before "=" at the start of each SET item
+        for (let j = i + 1; j < depthEnd; j++) {
+          const startOfItem = j === i + 1 || toks[j - 1].text === ",";
+          if (startOfItem && toks[j + 1] && toks[j + 1].text === "=") {
+            addColumn(result.writes, rel.table, refParts(toks[j].text).pop(), "UPDATE");
+            skip.add(toks[j].start);
+          }
+        }
+        continue;
+      }
+
+      const parts = t.kind === "word" ? refParts(t.text) : null;
+      if (!parts || parts.length !== 2 || parts[0] !== "new") continue;
+      const prev = toks[i - 1];
+      const assign = (toks[i + 1] && toks[i + 1].text === "=") ||
+        (toks[i + 1] && toks[i + 1].text === ":" && toks[i + 2] && toks[i + 2].text === "=");
+      const isTarget = (assign && (!prev || STATEMENT_START.test(prev.upper))) ||
+        (prev && (prev.upper === "INTO" || (prev.text === "," && intoList(toks, i))));
+      if (!isTarget) continue;
+      for (const table of ctx.triggerTables) addColumn(result.writes, table, parts[1], "NEW");
+      skip.add(t.start);
+    }
+  }
+
+  // True when token i sits in a "SELECT ... INTO a, b, c" target list
+  function intoList(toks, i) {
+    for (let j = i - 1; j >= 0; j--) {
+      if (toks[j].upper === "INTO") return true;
+      if (toks[j].text !== "," && toks[j].kind !== "word") return false;
+    }
+    return false;
+  }
+
+  function collectReads(ctx, text, aliases, bareScope, result, skip, offset = 0) {
+    const toks = SqlImport.tokenize(text);
+    for (let i = 0; i < toks.length; i++) {
+      const t = toks[i];
+      if (skip.has(t.start + offset)) continue;
+      if (t.kind === "group") {
+        collectReads(ctx, t.text.slice(1, -1), aliases, bareScope, result, skip, offset + t.start + 1);
+        continue;
+      }
+      if (t.kind !== "word" && t.kind !== "ident") continue;
+      const next = toks[i + 1];
+      if (next && next.kind === "group" && t.end === next.start) continue; // function call
+      if (toks[i - 1] && toks[i - 1].upper === "AS") continue;
+
+      const parts = refParts(t.text);
+      if (parts.length === 2) {
+        const [qualifier, column] = parts;
+        if (qualifier === "new" || qualifier === "old") {
+          for (const table of ctx.triggerTables) addColumn(result.reads, table, column);
+        } else if (aliases.has(qualifier)) {
+          addColumn(result.reads, aliases.get(qualifier), column);
+        } else if (ctx.records.has(qualifier)) {
+          addColumn(result.reads, ctx.records.get(qualifier), column);
+        }
+        continue;
+      }
+      const name = parts[0];
+      if (aliases.has(name) || ctx.locals.has(name)) continue;
+      const owner = bareScope.find(tbl => (tbl.columns || []).some(c => c.name === name));
+      if (owner) addColumn(result.reads, owner.name, name);
+    }
+  }
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+  function createContext(fn, objects) {
+    const tables = new Map();
+    for (const o of objects) if (o.type === "table" || o.type === "view") tables.set(o.name, o);
+    const triggerTables = [];
+    for (const o of objects) {
+      if (o.type === "trigger" && o.function === fn.name && !triggerTables.includes(o.table)) triggerTables.push(o.table);
+    }
+    // Parameters and DECLAREd variables are never columns
+    const locals = new Set((fn.params || []).map(p => p.name).filter(Boolean));
+    const declare = /\bDECLARE\b([\s\S]*?)\bBEGIN\b/i.exec(fn.definition || "");
+    if (declare) {
+      for (const m of declare[1].matchAll(/^\s*(\w+)\s/gm)) locals.add(m[1].toLowerCase());
+    }
+    return { tables, triggerTables, locals, records: new Map() };
+  }
+
+  /**
+   * Analyses one function. Returns
+   * {
+   *   reads:  [{ table, columns: [...] }],
+   *   writes: [{ table, columns: [...], actions: ["INSERT" | "UPDATE" | "DELETE" | "NEW"] }],
+   *   triggerTables: tables whose triggers execute the function,
+   *   bodyUnknown: true when the function has no definition (data.js doesn't model it),
+   *                so reads and writes are empty because they are unknown
+   * }
+   * "NEW" writes change the row being inserted or updated (BEFORE triggers).
+   * Columns are listed in order of first use; a table read without naming any
+   * column (SELECT * or EXISTS) has an empty column list.
+   */
+  function analyzeFunction(fn, objects) {
+    const ctx = createContext(fn, objects);
+    const result = { reads: new Map(), writes: new Map() };
+    const body = SqlImport.stripComments(fn.definition || "");
+    ctx.records = recordVariables(ctx, body);
+    for (const stmt of SqlImport.splitStatements(body)) analyzeStatement(ctx, stmt, result);
+    return {
+      reads: [...result.reads.values()].map(({ table, columns }) => ({ table, columns })),
+      writes: [...result.writes.values()],
+      triggerTables: ctx.triggerTables,
+      bodyUnknown: !fn.definition
+    };
+  }
+
+  /** Analyses every function in the schema. Returns a Map name → analysis. */
+  function analyzeAll(objects) {
+    const out = new Map();
+    for (const fn of objects) {
+      if (fn.type === "function") out.set(fn.name, analyzeFunction(fn, objects));
+    }
+    return out;
+  }
+
+  /**
+   * Inverts analyzeAll for one table:
+   * { readBy: [{ fn, columns }], writtenBy: [{ fn, columns, actions }] }
+   */
+  function tableUsage(analyses, tableName) {
+    const usage = { readBy: [], writtenBy: [] };
+    for (const [fn, a] of analyses) {
+      const read = a.reads.find(r => r.table === tableName);
+      if (read) usage.readBy.push({ fn, columns: read.columns });
+      const write = a.writes.find(w => w.table === tableName);
+      if (write) usage.writtenBy.push({ fn, columns: write.columns, actions: write.actions });
+    }
+    return usage;
+  }
+
+  const FunctionAnalysis = { analyzeFunction, analyzeAll, tableUsage };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = FunctionAnalysis;
+  }
+  root.FunctionAnalysis = FunctionAnalysis;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,559 @@
+/* Adams Apples v2 — Diagram layouts
+ * Positions the table nodes of the ER diagram:
+ * - layered: Sugiyama-style rows along the FK direction, referenced tables above the tables
+ *   that point at them, with crossing reduction; FKs that skip rows get bend points in the
+ *   gaps between the tables they pass
+ * - force: force-directed, FKs pull their tables together and every pair of tables repels
+ * - domains: one block per domain (layered inside), blocks packed so that domains with
+ *   FKs between them sit side by side
+ * Input is nodes [{ key, group, width, height }] (size defaults to options.nodeWidth and
+ * nodeHeight) and links [{ from, to }] (from the table holding the FK to the table it
+ * references). Output is { positions: Map(key → top-left { x, y }), routes, groups }:
+ * routes maps "from\nto" to the bend points of a long FK (centre coordinates, in order from
+ * the FK's table), groups are the domain blocks of the "domains" layout. Nodes can be fixed
+ * in place (pinned by hand) and the rest is laid out around them. The same graph always
+ * gives the same picture.
+ * Runs in the browser (window.GraphLayout) and in Node (require("./graph-layout.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  const LAYOUTS = [
+    { id: "layered", label: "Layered" },
+    { id: "force", label: "Force-directed" },
+    { id: "domains", label: "By domain" }
+  ];
+
+  const DEFAULTS = { nodeWidth: 200, nodeHeight: 80, gapX: 40, gapY: 80, origin: { x: 50, y: 50 } };
+  const DUMMY_WIDTH = 12;          // width reserved for a long FK passing through a row
+  const SWEEPS = 24;               // crossing-reduction passes (down and up alternately)
+  const FORCE_ITERATIONS = 300;
+  const CLUSTER_PAD = 30;          // space inside a domain block around its tables
+  const CLUSTER_LABEL = 28;        // room for the domain name above the tables
+
+  function settings(options) {
+    return { ...DEFAULTS, ...options, origin: { ...DEFAULTS.origin, ...(options && options.origin) } };
+  }
+
+  function byKey(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  // key → { width, height } of each node's box
+  function sizes(nodes, o) {
+    const map = new Map(nodes.map(n => [n.key, { width: n.width || o.nodeWidth, height: n.height || o.nodeHeight }]));
+    return key => map.get(key);
+  }
+
+  // Links between known, distinct nodes, each pair once
+  function cleanLinks(keys, links) {
+    const known = new Set(keys);
+    const seen = new Set();
+    const out = [];
+    for (const l of links) {
+      if (l.from === l.to || !known.has(l.from) || !known.has(l.to)) continue;
+      const id = `${l.from}\n${l.to}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      out.push({ from: l.from, to: l.to });
+    }
+    return out;
+  }
+
+  // Shifts positions (and route bend points with them) so the top-left node sits at origin
+  function normalize(positions, origin, routes = new Map()) {
+    let minX = Infinity, minY = Infinity;
+    for (const p of positions.values()) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+    }
+    const shift = p => ({ x: Math.round(p.x - minX + origin.x), y: Math.round(p.y - minY + origin.y) });
+    const out = new Map();
+    for (const [key, p] of positions) out.set(key, shift(p));
+    const bends = new Map();
+    for (const [id, points] of routes) bends.set(id, points.map(shift));
+    return { positions: out, routes: bends };
+  }
+
+  // ==========================================================================
+  // LAYERED
+  // ==========================================================================
+
+  // Drops the links that close a cycle (found depth-first in key order) so ranks exist
+  function acyclicLinks(keys, links) {
+    const parents = new Map(keys.map(k => [k, []]));
+    for (const l of links) parents.get(l.from).push(l.to);
+    for (const list of parents.values()) list.sort(byKey);
+    const state = new Map();     // 1 = on the stack, 2 = done
+    const back = new Set();
+    const visit = key => {
+      state.set(key, 1);
+      for (const p of parents.get(key)) {
+        if (state.get(p) === 1) back.add(`${key}\n${p}`);
+        else if (!state.has(p)) visit(p);
+      }
+      state.set(key, 2);
+    };
+    for (const key of keys.slice().sort(byKey)) if (!state.has(key)) visit(key);
+    return links.filter(l => !back.has(`${l.from}\n${l.to}`));
+  }
+
+  // Row per node: one below the lowest table it references. Tables nobody references
+  // from above are then pulled down next to the first table that references them.
+  function assignRanks(keys, links) {
+    const parents = new Map(keys.map(k => [k, []]));
+    const children = new Map(keys.map(k => [k, []]));
+    for (const l of links) {
+      parents.get(l.from).push(l.to);
+      children.get(l.to).push(l.from);
+    }
+    const rank = new Map();
+    const rankOf = key => {
+      if (!rank.has(key)) rank.set(key, parents.get(key).reduce((r, p) => Math.max(r, rankOf(p) + 1), 0));
+      return rank.get(key);
+    };
+    keys.forEach(rankOf);
+    const order = keys.slice().sort((a, b) => rank.get(b) - rank.get(a) || byKey(a, b));
+    for (const key of order) {
+      if (parents.get(key).length || !children.get(key).length) continue;
+      rank.set(key, Math.min(...children.get(key).map(c => rank.get(c))) - 1);
+    }
+    // Tables nobody references can sit in any row below their parents: move them to
+    // emptier rows so a hub like users doesn't leave one very wide row under it
+    const size = new Map();
+    for (const r of rank.values()) size.set(r, (size.get(r) || 0) + 1);
+    const deepest = Math.max(...rank.values());
+    for (const key of order.slice().reverse()) {
+      if (children.get(key).length || !parents.get(key).length) continue;
+      const from = rank.get(key);
+      let best = from;
+      for (let r = from + 1; r <= deepest; r++) {
+        if ((size.get(r) || 0) + 1 < (size.get(best) || 0) - (best === from ? 1 : 0)) best = r;
+      }
+      if (best === from) continue;
+      size.set(from, size.get(from) - 1);
+      size.set(best, (size.get(best) || 0) + 1);
+      rank.set(key, best);
+    }
+    return rank;
+  }
+
+  function countCrossings(upper, lower, down) {
+    const at = new Map(lower.map((k, i) => [k, i]));
+    const segments = [];
+    upper.forEach((k, i) => { for (const v of down.get(k)) segments.push([i, at.get(v)]); });
+    let n = 0;
+    for (let i = 0; i < segments.length; i++) {
+      for (let j = i + 1; j < segments.length; j++) {
+        if ((segments[i][0] - segments[j][0]) * (segments[i][1] - segments[j][1]) < 0) n++;
+      }
+    }
+    return n;
+  }
+
+  // Reorders each row by the mean position of its neighbours in the row above (or below)
+  function reduceCrossings(layers, up, down) {
+    const total = () => layers.slice(1).reduce((n, layer, i) => n + countCrossings(layers[i], layer, down), 0);
+    let best = layers.map(l => l.slice());
+    let bestCount = total();
+    for (let sweep = 0; sweep < SWEEPS && bestCount > 0; sweep++) {
+      const downward = sweep % 2 === 0;
+      const order = downward ? layers.map((_, i) => i).slice(1) : layers.map((_, i) => i).slice(0, -1).reverse();
+      for (const i of order) {
+        const fixed = layers[downward ? i - 1 : i + 1];
+        const at = new Map(fixed.map((k, j) => [k, j]));
+        const neighbours = downward ? up : down;
+        const bary = new Map(layers[i].map((k, j) => {
+          const ns = neighbours.get(k);
+          return [k, ns.length ? ns.reduce((s, n) => s + at.get(n), 0) / ns.length : j];
+        }));
+        const current = new Map(layers[i].map((k, j) => [k, j]));
+        layers[i].sort((a, b) => bary.get(a) - bary.get(b) || current.get(a) - current.get(b));
+      }
+      const count = total();
+      if (count < bestCount) {
+        bestCount = count;
+        best = layers.map(l => l.slice());
+      }
+    }
+    return best;
+  }
+
+  // Centre x per node: each row pulled towards its neighbours, packed left and right, and
+  // the two packings averaged so no side is favoured
+  function assignX(layers, up, down, width, gap) {
+    const x = new Map();
+    for (const layer of layers) {
+      let cursor = 0;
+      for (const k of layer) {
+        x.set(k, cursor + width(k) / 2);
+        cursor += width(k) + gap(k);
+      }
+    }
+    const mean = (list, fallback) => (list.length ? list.reduce((s, n) => s + x.get(n), 0) / list.length : fallback);
+    for (let pass = 0; pass < 16; pass++) {
+      const downward = pass % 2 === 0;
+      const order = downward ? layers : layers.slice().reverse();
+      for (const layer of order) {
+        const want = layer.map(k => mean(downward ? up.get(k) : down.get(k), x.get(k)));
+        const space = i => (width(layer[i]) + width(layer[i + 1])) / 2 + Math.max(gap(layer[i]), gap(layer[i + 1]));
+        const left = want.slice();
+        for (let i = 1; i < layer.length; i++) left[i] = Math.max(want[i], left[i - 1] + space(i - 1));
+        const right = want.slice();
+        for (let i = layer.length - 2; i >= 0; i--) right[i] = Math.min(want[i], right[i + 1] - space(i));
+        layer.forEach((k, i) => x.set(k, (left[i] + right[i]) / 2));
+      }
+    }
+    return x;
+  }
+
+  function layered(nodes, links, options) {
+    const o = settings(options);
+    const keys = nodes.map(n => n.key);
+    const clean = cleanLinks(keys, links);
+    const linked = new Set(clean.flatMap(l => [l.from, l.to]));
+    const connected = keys.filter(k => linked.has(k));
+    const loners = keys.filter(k => !linked.has(k)).sort(byKey);
+    const rank = assignRanks(connected, acyclicLinks(connected, clean));
+
+    // Rows, with a placeholder in every row a long FK passes through
+    const layers = [];
+    const up = new Map();
+    const down = new Map();
+    const add = (key, r) => {
+      (layers[r] = layers[r] || []).push(key);
+      up.set(key, []);
+      down.set(key, []);
+    };
+    const group = new Map(nodes.map(n => [n.key, n.group || ""]));
+    connected.slice().sort((a, b) => byKey(group.get(a), group.get(b)) || byKey(a, b)).forEach(k => add(k, rank.get(k)));
+    let dummies = 0;
+    const chains = new Map();
+    for (const l of clean) {
+      const upward = rank.get(l.to) < rank.get(l.from);
+      let [top, bottom] = upward ? [l.to, l.from] : [l.from, l.to];
+      if (rank.get(top) === rank.get(bottom)) continue;
+      const chain = [];
+      for (let r = rank.get(top) + 1; r < rank.get(bottom); r++) {
+        const dummy = `\u0000${dummies++}`;
+        add(dummy, r);
+        down.get(top).push(dummy);
+        up.get(dummy).push(top);
+        chain.push(dummy);
+        top = dummy;
+      }
+      down.get(top).push(bottom);
+      up.get(bottom).push(top);
+      if (chain.length) chains.set(`${l.from}\n${l.to}`, upward ? chain.reverse() : chain);
+    }
+    for (let r = 0; r < layers.length; r++) layers[r] = layers[r] || [];
+
+    const ordered = reduceCrossings(layers, up, down);
+    const size = sizes(nodes, o);
+    const isDummy = k => k.charCodeAt(0) === 0;
+    const width = k => (isDummy(k) ? DUMMY_WIDTH : size(k).width);
+    const gap = k => (isDummy(k) ? o.gapX / 4 : o.gapX);
+    const x = assignX(ordered, up, down, width, gap);
+
+    // Each row is as tall as its tallest table; tables hang from the top of their row
+    const rowTop = [];
+    const rowHeight = ordered.map(layer => Math.max(o.nodeHeight, ...layer.filter(k => !isDummy(k)).map(k => size(k).height)));
+    rowHeight.forEach((h, r) => { rowTop[r] = r ? rowTop[r - 1] + rowHeight[r - 1] + o.gapY : 0; });
+    const positions = new Map();
+    const rowOf = new Map();
+    ordered.forEach((layer, r) => {
+      for (const k of layer) {
+        rowOf.set(k, r);
+        if (!isDummy(k)) positions.set(k, { x: x.get(k) - size(k).width / 2, y: rowTop[r] });
+      }
+    });
+    // Bend points sit at the middle of the rows they pass
+    const routes = new Map();
+    for (const [id, chain] of chains) {
+      routes.set(id, chain.map(k => ({ x: x.get(k), y: rowTop[rowOf.get(k)] + rowHeight[rowOf.get(k)] / 2 })));
+    }
+
+    // Tables without FKs either way go in rows underneath, as wide as the graph
+    if (loners.length) {
+      let minX = 0, maxX = 0;
+      for (const [k, p] of positions) {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x + size(k).width);
+      }
+      const rowWidth = Math.max(maxX - minX, 4 * (o.nodeWidth + o.gapX) - o.gapX);
+      let cx = minX;
+      let cy = positions.size ? rowTop[ordered.length - 1] + rowHeight[ordered.length - 1] + o.gapY : 0;
+      let shelf = 0;
+      for (const k of loners) {
+        if (cx > minX && cx + size(k).width > minX + rowWidth) {
+          cx = minX;
+          cy += shelf + o.gapY;
+          shelf = 0;
+        }
+        positions.set(k, { x: cx, y: cy });
+        cx += size(k).width + o.gapX;
+        shelf = Math.max(shelf, size(k).height);
+      }
+    }
+    return { ...normalize(positions, o.origin, routes), groups: [] };
+  }
+
+  // ==========================================================================
+  // FORCE-DIRECTED
+  // ==========================================================================
+
+  // Pushes overlapping boxes (plus gapX/gapY of air) apart along the axis where they
+  // overlap least. Boxes in `fixed` stay put and the other box takes the whole step.
+  // Returns the keys that moved.
+  function separate(keys, pos, size, gapX, gapY, fixed = new Set()) {
+    const movedKeys = new Set();
+    for (let pass = 0; pass < 200; pass++) {
+      let moved = false;
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+          const holdA = fixed.has(keys[i]);
+          const holdB = fixed.has(keys[j]);
+          if (holdA && holdB) continue;
+          const a = pos.get(keys[i]);
+          const b = pos.get(keys[j]);
+          const sa = size(keys[i]);
+          const sb = size(keys[j]);
+          const w = (sa.width + sb.width) / 2 + gapX;
+          const h = (sa.height + sb.height) / 2 + gapY;
+          const dx = a.x + sa.width / 2 - (b.x + sb.width / 2);
+          const dy = a.y + sa.height / 2 - (b.y + sb.height / 2);
+          const ox = w - Math.abs(dx);
+          const oy = h - Math.abs(dy);
+          if (ox <= 0 || oy <= 0) continue;
+          moved = true;
+          const [shareA, shareB] = holdA ? [0, 1] : holdB ? [1, 0] : [0.5, 0.5];
+          if (ox / w < oy / h) {
+            const s = (dx <= 0 ? -1 : 1) * ox;
+            a.x += s * shareA;
+            b.x -= s * shareB;
+          } else {
+            const s = (dy <= 0 ? -1 : 1) * oy;
+            a.y += s * shareA;
+            b.y -= s * shareB;
+          }
+          if (!holdA) movedKeys.add(keys[i]);
+          if (!holdB) movedKeys.add(keys[j]);
+        }
+      }
+      if (!moved) break;
+    }
+    return movedKeys;
+  }
+
+  function forceDirected(nodes, links, options) {
+    const o = settings(options);
+    const sorted = nodes.slice().sort((a, b) => byKey(a.group || "", b.group || "") || byKey(a.key, b.key));
+    const keys = sorted.map(n => n.key);
+    const clean = cleanLinks(keys, links);
+    const n = keys.length;
+    const ideal = o.nodeWidth * 1.2;
+
+    // Start on a circle, domains next to each other
+    const pos = new Map();
+    const radius = Math.max(ideal, ideal * n / (2 * Math.PI));
+    keys.forEach((k, i) => {
+      const angle = 2 * Math.PI * i / Math.max(n, 1);
+      pos.set(k, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+    });
+
+    for (let step = 0; step < FORCE_ITERATIONS; step++) {
+      const heat = ideal * (1 - step / FORCE_ITERATIONS);
+      const move = new Map(keys.map(k => [k, { x: 0, y: 0 }]));
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const a = pos.get(keys[i]);
+          const b = pos.get(keys[j]);
+          let dx = a.x - b.x;
+          let dy = a.y - b.y;
+          if (!dx && !dy) {
+            dx = Math.cos(i + j);
+            dy = Math.sin(i + j);
+          }
+          const d = Math.max(Math.hypot(dx, dy), 1);
+          const f = ideal * ideal / d;
+          move.get(keys[i]).x += dx / d * f;
+          move.get(keys[i]).y += dy / d * f;
+          move.get(keys[j]).x -= dx / d * f;
+          move.get(keys[j]).y -= dy / d * f;
+        }
+      }
+      for (const l of clean) {
+        const a = pos.get(l.from);
+        const b = pos.get(l.to);
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const d = Math.max(Math.hypot(dx, dy), 1);
+        const f = d * d / ideal;
+        move.get(l.from).x -= dx / d * f;
+        move.get(l.from).y -= dy / d * f;
+        move.get(l.to).x += dx / d * f;
+        move.get(l.to).y += dy / d * f;
+      }
+      // Gentle pull to the middle keeps tables without FKs from drifting away
+      for (const k of keys) {
+        const p = pos.get(k);
+        const m = move.get(k);
+        m.x -= p.x * 0.05;
+        m.y -= p.y * 0.05;
+        const len = Math.max(Math.hypot(m.x, m.y), 1e-9);
+        const limit = Math.min(len, heat);
+        p.x += m.x / len * limit;
+        p.y += m.y / len * limit;
+      }
+    }
+
+    // The simulation treats tables as round; squash it vertically to suit wide boxes, then
+    // make room for the boxes themselves
+    for (const p of pos.values()) p.y *= 0.65;
+    separate(keys, pos, sizes(nodes, o), o.gapX, o.gapY / 2);
+    return { ...normalize(pos, o.origin), groups: [] };
+  }
+
+  // ==========================================================================
+  // DOMAIN CLUSTERS
+  // ==========================================================================
+
+  function clustered(nodes, links, options) {
+    const o = settings(options);
+    const keys = nodes.map(n => n.key);
+    const clean = cleanLinks(keys, links);
+    const groupOf = new Map(nodes.map(n => [n.key, n.group || "Other"]));
+    const names = Array.from(new Set(groupOf.values())).sort(byKey);
+    const size = sizes(nodes, o);
+
+    // Each domain laid out on its own, then framed
+    const clusters = names.map(name => {
+      const members = nodes.filter(n => groupOf.get(n.key) === name);
+      const inner = clean.filter(l => groupOf.get(l.from) === name && groupOf.get(l.to) === name);
+      const { positions, routes } = layered(members, inner, { ...o, origin: { x: CLUSTER_PAD, y: CLUSTER_PAD + CLUSTER_LABEL } });
+      let width = 0, height = 0;
+      for (const [k, p] of positions) {
+        width = Math.max(width, p.x + size(k).width + CLUSTER_PAD);
+        height = Math.max(height, p.y + size(k).height + CLUSTER_PAD);
+      }
+      return { name, positions, routes, width, height, size: members.length };
+    });
+
+    // Biggest domain first, then whichever has the most FKs to the ones already placed
+    const weight = new Map();
+    for (const l of clean) {
+      const a = groupOf.get(l.from);
+      const b = groupOf.get(l.to);
+      if (a === b) continue;
+      for (const id of [`${a}\n${b}`, `${b}\n${a}`]) weight.set(id, (weight.get(id) || 0) + 1);
+    }
+    const order = [];
+    const left = clusters.slice().sort((a, b) => b.size - a.size || byKey(a.name, b.name));
+    while (left.length) {
+      let pick = 0;
+      if (order.length) {
+        const score = c => order.reduce((s, p) => s + (weight.get(`${c.name}\n${p.name}`) || 0), 0);
+        left.forEach((c, i) => { if (score(c) > score(left[pick])) pick = i; });
+      }
+      order.push(left.splice(pick, 1)[0]);
+    }
+
+    // Rows of blocks, about 16:9 overall
+    const area = clusters.reduce((s, c) => s + (c.width + o.gapX) * (c.height + o.gapY), 0);
+    const rowWidth = Math.max(...clusters.map(c => c.width), Math.sqrt(area * 16 / 9));
+    const positions = new Map();
+    const routes = new Map();
+    const groups = [];
+    let x = 0, y = 0, rowHeight = 0;
+    for (const c of order) {
+      if (x > 0 && x + c.width > rowWidth) {
+        x = 0;
+        y += rowHeight + o.gapY;
+        rowHeight = 0;
+      }
+      groups.push({ name: c.name, x, y, width: c.width, height: c.height });
+      for (const [k, p] of c.positions) positions.set(k, { x: x + p.x, y: y + p.y });
+      for (const [id, points] of c.routes) routes.set(id, points.map(p => ({ x: x + p.x, y: y + p.y })));
+      x += c.width + o.gapX;
+      rowHeight = Math.max(rowHeight, c.height);
+    }
+
+    // Same shift for the tables and their frames
+    const dx = o.origin.x - CLUSTER_PAD;
+    const dy = o.origin.y - CLUSTER_PAD - CLUSTER_LABEL;
+    for (const p of [...positions.values(), ...[...routes.values()].flat()]) {
+      p.x = Math.round(p.x + dx);
+      p.y = Math.round(p.y + dy);
+    }
+    for (const g of groups) {
+      g.x = Math.round(g.x + dx);
+      g.y = Math.round(g.y + dy);
+    }
+    return { positions, routes, groups };
+  }
+
+  // ==========================================================================
+  // FIXED NODES
+  // ==========================================================================
+
+  // Puts fixed nodes back where they were pinned and pushes free nodes that land on one
+  // aside. Routes survive only between nodes that kept their computed place; frames grow
+  // to hold their domain's tables wherever those ended up.
+  function holdFixed(result, nodes, fixed, o) {
+    const held = Array.from(fixed.keys()).filter(k => result.positions.has(k));
+    if (!held.length) return result;
+    const positions = new Map();
+    for (const [k, p] of result.positions) positions.set(k, fixed.has(k) ? { ...fixed.get(k) } : { ...p });
+    const size = sizes(nodes, o);
+    const moved = separate(Array.from(positions.keys()), positions, size, o.gapX / 2, o.gapY / 2, new Set(held));
+    for (const k of held) {
+      const p = result.positions.get(k);
+      if (p.x !== fixed.get(k).x || p.y !== fixed.get(k).y) moved.add(k);
+    }
+    for (const p of positions.values()) {
+      p.x = Math.round(p.x);
+      p.y = Math.round(p.y);
+    }
+
+    const routes = new Map();
+    for (const [id, points] of result.routes) {
+      const [from, to] = id.split("\n");
+      if (!moved.has(from) && !moved.has(to)) routes.set(id, points);
+    }
+
+    const groups = result.groups.map(g => {
+      let minX = g.x, minY = g.y, maxX = g.x + g.width, maxY = g.y + g.height;
+      for (const n of nodes) {
+        const p = (n.group || "Other") === g.name && positions.get(n.key);
+        if (!p) continue;
+        minX = Math.min(minX, p.x - CLUSTER_PAD);
+        minY = Math.min(minY, p.y - CLUSTER_PAD - CLUSTER_LABEL);
+        maxX = Math.max(maxX, p.x + size(n.key).width + CLUSTER_PAD);
+        maxY = Math.max(maxY, p.y + size(n.key).height + CLUSTER_PAD);
+      }
+      return { name: g.name, x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    });
+    return { positions, routes, groups };
+  }
+
+  /**
+   * Lays out nodes [{ key, group, width, height }] joined by links [{ from, to }] with one of LAYOUTS.
+   * options: { nodeWidth, nodeHeight, gapX, gapY, origin: { x, y }, fixed }, where fixed
+   * maps keys to { x, y } for nodes that must stay where they are.
+   */
+  function layout(kind, nodes, links, options = {}) {
+    if (!nodes.length) return { positions: new Map(), routes: new Map(), groups: [] };
+    const result = kind === "force" ? forceDirected(nodes, links, options)
+      : kind === "domains" ? clustered(nodes, links, options)
+      : layered(nodes, links, options);
+    return options.fixed ? holdFixed(result, nodes, options.fixed, settings(options)) : result;
+  }
+
+  const GraphLayout = { LAYOUTS, layout, layered, forceDirected, clustered };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = GraphLayout;
+  }
+  root.GraphLayout = GraphLayout;
+})(typeof window !== "undefined" ? window : globalThis);
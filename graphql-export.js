@@ -0,0 +1,333 @@
+/* Adams Apples v2 — GraphQL SDL export
+ * Generates a GraphQL schema from a SCHEMA dataset, as a starting point for the client portal
+ * API that stays in sync with the database:
+ * - an object type per table (singular, camelCase fields) and a GraphQL enum per enum object
+ * - forward relations from each FK (`Tree.species` from trees.species_id) next to the raw ID,
+ *   list relations from soft references (`tree_ids` → `trees`)
+ * - reverse relations from the enforced references the Technical tab lists as "Referenced by":
+ *   `Tree.healthRecords` from tree_health_records.tree_id. A table pointing at the same parent
+ *   through several columns gets one field per column (`User.invoicesByCreatedBy`)
+ * - Relay-style connection types for large one-to-many relations (history tables by default,
+ *   or all/none), plain lists for the rest
+ * - custom scalars (UUID, DateTime, Decimal, JSON, ...) only when used, and an optional Query type
+ * Runs in the browser (window.GraphqlExport) and from Node:
+ *   node graphql-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+ *     [--connections auto|all|none] [--no-query]
+ * which writes the .graphql schema to stdout.
+ */
+
+(function (root) {
+  "use strict";
+
+  const { pascal, camel, singular, parseType } = root.Naming || require("./naming.js");
+
+  // Tables that keep growing (history, logs, events): their one-to-many fields are paginated
+  // when connections are "auto"
+  const HISTORY_TABLE = /(^|_)(records|entries|log|logs|history|events|transactions|snapshots|alerts|notifications|photos|payments)$/;
+
+  const SCALARS = {
+    UUID: 'scalar UUID @specifiedBy(url: "https://www.rfc-editor.org/rfc/rfc9562")',
+    DateTime: '"""ISO 8601 date and time with offset"""\nscalar DateTime @specifiedBy(url: "https://www.rfc-editor.org/rfc/rfc3339")',
+    LocalDateTime: '"""ISO 8601 date and time without offset"""\nscalar LocalDateTime',
+    Date: '"""ISO 8601 calendar date (YYYY-MM-DD)"""\nscalar Date',
+    Time: '"""ISO 8601 time of day"""\nscalar Time',
+    Decimal: '"""Exact decimal number, serialized as a string"""\nscalar Decimal',
+    BigInt: '"""64-bit integer, serialized as a string"""\nscalar BigInt',
+    JSON: '"""Any JSON value"""\nscalar JSON',
+    Geometry: '"""PostGIS geometry as GeoJSON"""\nscalar Geometry'
+  };
+
+  function description(text, indent = "") {
+    if (!text) return [];
+    const clean = String(text).replace(/\s*\n\s*/g, " ").replace(/"""/g, '\\"""');
+    return [`${indent}"""${clean}"""`];
+  }
+
+  function pkColumns(table) {
+    const composite = (table.constraints || []).find(c => c.type === "pk");
+    if (composite) return composite.columns.slice();
+    return (table.columns || []).filter(c => c.pk).map(c => c.name);
+  }
+
+  /**
+   * Every reference between tables: single-column FKs, composite FKs (table constraints) and
+   * soft references (array/JSONB IDs) — the same set findIncomingReferences shows in the app.
+   * [{ child, columns: [names], parent, nullable, soft }]
+   */
+  function references(tables) {
+    const refs = [];
+    const byName = new Map(tables.map(t => [t.name, t]));
+    for (const child of tables) {
+      for (const col of child.columns || []) {
+        if (col.fk && byName.has(col.fk.table)) {
+          refs.push({ child, columns: [col.name], parent: byName.get(col.fk.table), nullable: !!col.nullable, soft: false });
+        }
+        if (col.softRef && byName.has(col.softRef.table) && parseType(col.type).array) {
+          refs.push({ child, columns: [col.name], parent: byName.get(col.softRef.table), nullable: !!col.nullable, soft: true });
+        }
+      }
+      for (const con of child.constraints || []) {
+        if (con.type !== "fk" || !con.fk || !byName.has(con.fk.table)) continue;
+        const nullable = con.columns.some(n => ((child.columns || []).find(c => c.name === n) || {}).nullable);
+        refs.push({ child, columns: con.columns.slice(), parent: byName.get(con.fk.table), nullable, soft: false });
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Generates the SDL. options:
+   *   keys         object keys to include (tables and enums); null = everything. Enums used by the
+   *                included tables are always added; relations to tables outside the selection
+   *                are left out.
+   *   connections  "auto" (default: history tables) | "all" | "none" — which one-to-many
+   *                relations are Relay connections instead of plain lists
+   *   query        true (default) to emit a Query type with a lookup and a list per table
+   *   title        header comment
+   */
+  function generateSdl(objects, options = {}) {
+    const { keys = null, connections = "auto", query = true, title = "Adams Apples v2" } = options;
+    const wanted = keys ? new Set(keys) : null;
+    const enums = new Map(objects.filter(o => o.type === "enum").map(o => [o.name, o]));
+    const tables = objects.filter(o => o.type === "table" && (!wanted || wanted.has(o.key)));
+
+    const usedEnums = new Set();
+    for (const t of tables) {
+      for (const c of t.columns || []) {
+        const { name } = parseType(c.type);
+        if (enums.has(name)) usedEnums.add(name);
+      }
+    }
+    const enumList = Array.from(enums.values()).filter(e => usedEnums.has(e.name) || !wanted || wanted.has(e.key));
+
+    // Type names: enums keep their name, tables are singular ("trees" → Tree)
+    const taken = new Set(["Query", "PageInfo"]);
+    const typeName = new Map();
+    for (const e of enumList) {
+      typeName.set(e.key, pascal(e.name));
+      taken.add(pascal(e.name));
+    }
+    for (const t of tables) {
+      let name = pascal(singular(t.name));
+      if (taken.has(name)) name = pascal(t.name);
+      if (taken.has(name)) name += "Row";
+      typeName.set(t.key, name);
+      taken.add(name);
+    }
+
+    const scalars = new Set();
+    function scalarType(col) {
+      const t = parseType(col.type);
+      let type;
+      if (enums.has(t.name)) type = typeName.get(enums.get(t.name).key);
+      else if (t.base === "UUID") type = "UUID";
+      else if (/^(INTEGER|INT|INT4|SERIAL|SMALLINT|INT2|SMALLSERIAL)$/.test(t.base)) type = "Int";
+      else if (/^(BIGINT|INT8|BIGSERIAL)$/.test(t.base)) type = "BigInt";
+      else if (/^(NUMERIC|DECIMAL|MONEY)$/.test(t.base)) type = "Decimal";
+      else if (/^(REAL|FLOAT4|FLOAT8|FLOAT|DOUBLE PRECISION)$/.test(t.base)) type = "Float";
+      else if (/^(BOOLEAN|BOOL)$/.test(t.base)) type = "Boolean";
+      else if (t.base === "DATE") type = "Date";
+      else if (/^(TIMESTAMPTZ|TIMESTAMP WITH TIME ZONE)$/.test(t.base)) type = "DateTime";
+      else if (/^(TIMESTAMP|TIMESTAMP WITHOUT TIME ZONE)$/.test(t.base)) type = "LocalDateTime";
+      else if (/^(TIME|TIMETZ|TIME WITH(OUT)? TIME ZONE)$/.test(t.base)) type = "Time";
+      else if (t.base === "JSON" || t.base === "JSONB") type = "JSON";
+      else if (t.base === "GEOMETRY" || t.base === "GEOGRAPHY") type = "Geometry";
+      else type = "String";
+      if (SCALARS[type]) scalars.add(type);
+      if (t.array) type = `[${type}!]`;
+      return col.nullable ? type : `${type}!`;
+    }
+
+    const paginated = child => connections === "all" || (connections === "auto" && HISTORY_TABLE.test(child.name));
+    const connectionTypes = new Set();
+
+    // Fields per table: columns first, then forward and reverse relations
+    const fields = new Map(tables.map(t => [t.key, []]));
+    const used = new Map(tables.map(t => [t.key, new Set()]));
+    const addField = (table, base, fallback, line) => {
+      const names = used.get(table.key);
+      let name = base;
+      if (names.has(name)) name = fallback;
+      for (let n = 2; names.has(name); n++) name = `${fallback}${n}`;
+      names.add(name);
+      fields.get(table.key).push(line(name));
+    };
+
+    for (const t of tables) {
+      for (const col of t.columns || []) {
+        addField(t, camel(col.name), camel(col.name) + "Column", name => ({ name, type: scalarType(col) }));
+      }
+    }
+
+    const refs = references(tables);
+    for (const ref of refs) {
+      const { child, parent, columns } = ref;
+      const parentType = typeName.get(parent.key);
+
+      // Forward: trees.species_id → Tree.species; created_by → createdByUser; tree_ids → trees
+      const col = columns[0];
+      let forward;
+      if (ref.soft) forward = col.replace(/_ids$/, "") === col ? `${col}_${parent.name}` : `${col.replace(/_ids$/, "")}s`;
+      else if (columns.length > 1) forward = singular(parent.name);
+      else forward = /_id$/.test(col) ? col.replace(/_id$/, "") : `${col}_${singular(parent.name)}`;
+      const forwardType = ref.soft ? `[${parentType}!]` : parentType;
+      addField(child, camel(forward), camel(`${forward}_${singular(parent.name)}`), name => ({
+        name,
+        type: ref.nullable ? forwardType : `${forwardType}!`,
+        doc: ref.soft ? `Rows of ${parent.name} listed in ${col} (not enforced by a foreign key)` : null
+      }));
+    }
+
+    // Reverse: tree_health_records.tree_id → Tree.healthRecords (the parent's name prefix dropped)
+    for (const ref of refs) {
+      if (ref.soft) continue;
+      const { child, parent, columns } = ref;
+      const col = columns[0];
+      const siblings = refs.filter(r => !r.soft && r.child === child && r.parent === parent);
+      const prefix = `${singular(parent.name)}_`;
+      const base = child.name.startsWith(prefix) && child.name.length > prefix.length ? child.name.slice(prefix.length) : child.name;
+      const owner = siblings.length > 1 && col !== `${singular(parent.name)}_id` && columns.length === 1;
+      const role = col.replace(/_id$/, "");
+      const reverse = owner ? `${base}_by_${role}` : base;
+      const childType = typeName.get(child.key);
+      const large = paginated(child);
+      if (large) connectionTypes.add(child.key);
+      addField(parent, camel(reverse), camel(`${child.name}_by_${columns.join("_")}`), name => ({
+        name,
+        args: large ? "(first: Int, after: String, last: Int, before: String)" : "",
+        type: large ? `${childType}Connection!` : `[${childType}!]!`,
+        doc: `Rows of ${child.name} whose ${columns.length > 1 ? `(${columns.join(", ")})` : col} points at this ${singular(parent.name).replace(/_/g, " ")}`
+      }));
+    }
+
+    const out = [
+      `# ${title} — GraphQL schema generated from the schema model.`,
+      "# Do not edit by hand: regenerate with Export ▸ GraphQL or `node graphql-export.js`."
+    ];
+    const block = lines => out.push("", ...lines);
+
+    for (const s of Object.keys(SCALARS)) if (scalars.has(s)) block([SCALARS[s]]);
+
+    for (const e of enumList) {
+      block([
+        ...description(e.description),
+        `enum ${typeName.get(e.key)} {`,
+        ...(e.values || []).map(v => `  ${String(v).replace(/[^A-Za-z0-9_]/g, "_").replace(/^(\d)/, "_$1")}`),
+        "}"
+      ]);
+    }
+
+    for (const t of tables) {
+      const lines = [...description(t.description), `type ${typeName.get(t.key)} {`];
+      for (const f of fields.get(t.key)) {
+        lines.push(...description(f.doc, "  "));
+        lines.push(`  ${f.name}${f.args || ""}: ${f.type}`);
+      }
+      lines.push("}");
+      block(lines);
+    }
+
+    const lookups = tables.filter(t => pkColumns(t).length >= 1);
+    if (query) lookups.forEach(t => connectionTypes.add(t.key));
+    if (connectionTypes.size) {
+      block([
+        "type PageInfo {",
+        "  hasNextPage: Boolean!",
+        "  hasPreviousPage: Boolean!",
+        "  startCursor: String",
+        "  endCursor: String",
+        "}"
+      ]);
+      for (const t of tables) {
+        if (!connectionTypes.has(t.key)) continue;
+        const name = typeName.get(t.key);
+        block([
+          `type ${name}Connection {`,
+          `  edges: [${name}Edge!]!`,
+          `  nodes: [${name}!]!`,
+          "  pageInfo: PageInfo!",
+          "  totalCount: Int!",
+          "}",
+          "",
+          `type ${name}Edge {`,
+          "  cursor: String!",
+          `  node: ${name}!`,
+          "}"
+        ]);
+      }
+    }
+
+    if (query && lookups.length) {
+      const lines = ["type Query {"];
+      const names = new Set();
+      for (const t of lookups) {
+        const name = typeName.get(t.key);
+        const pk = pkColumns(t).map(n => (t.columns || []).find(c => c.name === n)).filter(Boolean);
+        const args = pk.map(c => `${camel(c.name)}: ${scalarType(Object.assign({}, c, { nullable: false }))}`).join(", ");
+        let one = camel(name);
+        let many = camel(t.name);
+        if (one === many) many += "List";
+        while (names.has(one)) one += "ById";
+        names.add(one).add(many);
+        lines.push(`  ${one}(${args}): ${name}`);
+        lines.push(`  ${many}(first: Int, after: String, last: Int, before: String): ${name}Connection!`);
+      }
+      lines.push("}");
+      block(lines);
+    }
+    return out.join("\n") + "\n";
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node graphql-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+    [--connections auto|all|none] [--no-query]`;
+
+  function runCli(args) {
+    const options = {};
+    const files = [];
+    let table = null;
+    let domain = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--table") table = args[++i];
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (args[i] === "--connections") options.connections = args[++i];
+      else if (args[i] === "--no-query") options.query = false;
+      else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+
+    const objects = schema.objects || [];
+    if (table) {
+      const t = objects.find(o => o.type === "table" && o.name === table);
+      if (!t) {
+        console.error(`No table named ${table}`);
+        process.exitCode = 1;
+        return;
+      }
+      options.keys = [t.key];
+      options.title = `Adams Apples v2 — table ${table}`;
+    } else if (domain) {
+      options.keys = objects.filter(o => o.domain === domain).map(o => o.key);
+      options.title = `Adams Apples v2 — domain ${domain}`;
+    }
+    process.stdout.write(generateSdl(objects, options));
+  }
+
+  const GraphqlExport = { generateSdl };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = GraphqlExport;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.GraphqlExport = GraphqlExport;
+})(typeof window !== "undefined" ? window : globalThis);
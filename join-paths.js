@@ -0,0 +1,151 @@
+/* Adams Apples v2 — Join paths
+ * Shortest FK paths between two tables, and the SELECT … JOIN that walks one of them:
+ * - FKs are followed both ways, a join does not care which side holds the FK
+ * - every FK is a step of its own, so two FKs between the same tables (scion_variety_id
+ *   and rootstock_variety_id → varieties) give two alternative paths
+ * - ON clauses pair each FK column with the column it references, composite FKs included
+ * - hub tables (users, referenced by every created_by) make short but meaningless paths,
+ *   so callers can route around them
+ * Soft references (ids in arrays or JSONB) are not plain equalities and are left out.
+ * Runs in the browser (window.JoinPaths) and in Node (require("./join-paths.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  const MAX_PATHS = 12;
+
+  // Words PostgreSQL won't take as a bare table alias
+  const RESERVED = new Set([
+    "all", "and", "any", "as", "asc", "by", "do", "end", "for", "from", "in", "is", "not",
+    "of", "on", "or", "to"
+  ]);
+
+  /**
+   * Every FK between the tables as { table, columns, refTable, refColumns }: column FKs
+   * (col.fk) and table-level FOREIGN KEY constraints.
+   */
+  function foreignKeys(tables) {
+    const names = new Set(tables.map(t => t.name));
+    const fks = [];
+    for (const t of tables) {
+      for (const col of t.columns || []) {
+        if (col.fk) fks.push({ table: t.name, columns: [col.name], refTable: col.fk.table, refColumns: [col.fk.column || "id"] });
+      }
+      for (const con of t.constraints || []) {
+        if (con.type !== "fk" || !con.fk) continue;
+        fks.push({ table: t.name, columns: con.columns, refTable: con.fk.table, refColumns: con.fk.columns || [] });
+      }
+    }
+    return fks.filter(fk => names.has(fk.refTable) && fk.table !== fk.refTable);
+  }
+
+  /**
+   * Tables more than a quarter of all FKs point at, most referenced first. Audit and
+   * ownership columns make these the shortest way between almost any two tables.
+   */
+  function hubTables(tables) {
+    const fks = foreignKeys(tables);
+    const count = new Map();
+    for (const fk of fks) count.set(fk.refTable, (count.get(fk.refTable) || 0) + 1);
+    return Array.from(count).filter(([, n]) => n > fks.length / 4)
+      .sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  }
+
+  // Steps out of a table: to the tables its FKs reference and to the tables referencing it
+  function stepsFrom(fks, avoid) {
+    const out = new Map();
+    const add = (name, step) => {
+      if (avoid.has(step.from) || avoid.has(step.to)) return;
+      if (!out.has(name)) out.set(name, []);
+      out.get(name).push(step);
+    };
+    for (const fk of fks) {
+      add(fk.table, { from: fk.table, to: fk.refTable, fk });
+      add(fk.refTable, { from: fk.refTable, to: fk.table, fk });
+    }
+    return key => out.get(key) || [];
+  }
+
+  // Hops from start to every table it reaches
+  function distances(start, steps) {
+    const dist = new Map([[start, 0]]);
+    const queue = [start];
+    while (queue.length) {
+      const name = queue.shift();
+      for (const step of steps(name)) {
+        if (dist.has(step.to)) continue;
+        dist.set(step.to, dist.get(name) + 1);
+        queue.push(step.to);
+      }
+    }
+    return dist;
+  }
+
+  /**
+   * All shortest FK paths from one table to another (at most options.limit), each
+   * { steps: [{ from, to, fk }] } in FK declaration order. Paths don't pass through the
+   * tables in options.avoid, though they may start or end there. Empty when no FK path
+   * connects them; a single empty path when from and to are the same table.
+   */
+  function findPaths(tables, from, to, { limit = MAX_PATHS, avoid = [] } = {}) {
+    const skip = new Set(avoid);
+    skip.delete(from);
+    skip.delete(to);
+    const steps = stepsFrom(foreignKeys(tables), skip);
+    const ahead = distances(to, steps);
+    if (!ahead.has(from)) return [];
+    const paths = [];
+    const walk = (name, trail) => {
+      if (paths.length >= limit) return;
+      if (name === to) {
+        paths.push({ steps: trail });
+        return;
+      }
+      for (const step of steps(name)) {
+        // Only steps that bring the end one hop closer stay on a shortest path
+        if (ahead.get(step.to) === ahead.get(name) - 1) walk(step.to, trail.concat(step));
+      }
+    };
+    walk(from, []);
+    return paths;
+  }
+
+  // "invoice_line_items" → "ili", numbered when taken or reserved
+  function aliasFor(name, used) {
+    const base = name.split(/_+/).filter(Boolean).map(w => w[0]).join("").toLowerCase() || "t";
+    let alias = base;
+    for (let n = 2; used.has(alias) || RESERVED.has(alias); n++) alias = `${base}${n}`;
+    used.add(alias);
+    return alias;
+  }
+
+  // SELECT … FROM the first table, then one JOIN per step with its ON clause
+  function joinSql(path, start) {
+    const used = new Set();
+    let prev = aliasFor(start, used);
+    const first = prev;
+    const lines = [`FROM ${start} ${prev}`];
+    for (const step of path.steps) {
+      const alias = aliasFor(step.to, used);
+      const { fk } = step;
+      // Forward: the previous table holds the FK. Backward: the joined table does.
+      const forward = step.from === fk.table;
+      const on = fk.columns.map((col, i) => {
+        const ref = fk.refColumns[i] || "id";
+        return forward ? `${alias}.${ref} = ${prev}.${col}` : `${alias}.${col} = ${prev}.${ref}`;
+      });
+      lines.push(`JOIN ${step.to} ${alias} ON ${on.join(" AND ")}`);
+      prev = alias;
+    }
+    const select = path.steps.length ? `SELECT ${first}.*, ${prev}.*` : `SELECT ${first}.*`;
+    return `${select}\n${lines.join("\n")};\n`;
+  }
+
+  const JoinPaths = { MAX_PATHS, foreignKeys, hubTables, findPaths, joinSql };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = JoinPaths;
+  }
+  root.JoinPaths = JoinPaths;
+})(typeof window !== "undefined" ? window : globalThis);
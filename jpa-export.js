@@ -0,0 +1,1140 @@
+/* Adams Apples v2 — JPA entity export and drift check
+ * Generates Jakarta Persistence (Hibernate 6) entity classes for the Spring backend, and
+ * checks hand-maintained entity sources against the schema, because entity drift is the
+ * most common cause of production bugs:
+ * - one @Entity per table with explicit @Table/@Column names, lengths, precision/scale and
+ *   nullability; @Id with @GeneratedValue from the column default (UUID, IDENTITY, SEQUENCE)
+ * - each FK as a lazy @ManyToOne (@OneToOne when the FK column is unique) with @JoinColumn,
+ *   plus @OnDelete when the database cascades or nulls the reference
+ * - enum columns as @Enumerated(EnumType.STRING) on a generated Java enum
+ * - type hints for what Hibernate cannot infer: JSONB via @Type(JsonBinaryType.class)
+ *   (hypersistence-utils), PostGIS geometry, INET and arrays via @JdbcTypeCode
+ * - checkEntities() parses existing *.java sources (including @MappedSuperclass bases and
+ *   @Embeddable parts) and reports tables, columns, types, nullability, lengths, enum
+ *   constants and relations that differ from the schema
+ * Runs in the browser (window.JpaExport) and from Node:
+ *   node jpa-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+ *     [--package com.example.domain] [--lombok] [--out dir]
+ *   node jpa-export.js [data.js | migration.sql ...] --check src/main/java
+ * The first form writes the sources to --out (or stdout); --check prints the drift report
+ * and exits with status 1 when errors are found.
+ */
+
+(function (root) {
+  "use strict";
+
+  const { pascal, camel, singular, parseType } = root.Naming || require("./naming.js");
+
+  const JAVA_KEYWORDS = new Set([
+    "abstract", "assert", "boolean", "break", "byte", "case", "catch", "char", "class", "const",
+    "continue", "default", "do", "double", "else", "enum", "extends", "final", "finally", "float",
+    "for", "goto", "if", "implements", "import", "instanceof", "int", "interface", "long", "native",
+    "new", "package", "private", "protected", "public", "return", "short", "static", "strictfp",
+    "super", "switch", "synchronized", "this", "throw", "throws", "transient", "try", "void",
+    "volatile", "while", "true", "false", "null", "record", "var", "yield"
+  ]);
+
+  // Fully qualified names for every type and annotation the generator can emit
+  const IMPORTS = {
+    UUID: "java.util.UUID",
+    BigDecimal: "java.math.BigDecimal",
+    LocalDate: "java.time.LocalDate",
+    LocalTime: "java.time.LocalTime",
+    LocalDateTime: "java.time.LocalDateTime",
+    OffsetDateTime: "java.time.OffsetDateTime",
+    OffsetTime: "java.time.OffsetTime",
+    Duration: "java.time.Duration",
+    InetAddress: "java.net.InetAddress",
+    Serializable: "java.io.Serializable",
+    Objects: "java.util.Objects",
+    JsonNode: "com.fasterxml.jackson.databind.JsonNode",
+    JsonBinaryType: "io.hypersistence.utils.hibernate.type.json.JsonBinaryType",
+    Geometry: "org.locationtech.jts.geom.Geometry",
+    Point: "org.locationtech.jts.geom.Point",
+    Polygon: "org.locationtech.jts.geom.Polygon",
+    MultiPolygon: "org.locationtech.jts.geom.MultiPolygon",
+    LineString: "org.locationtech.jts.geom.LineString",
+    MultiLineString: "org.locationtech.jts.geom.MultiLineString",
+    MultiPoint: "org.locationtech.jts.geom.MultiPoint",
+    Type: "org.hibernate.annotations.Type",
+    JdbcTypeCode: "org.hibernate.annotations.JdbcTypeCode",
+    SqlTypes: "org.hibernate.type.SqlTypes",
+    OnDelete: "org.hibernate.annotations.OnDelete",
+    OnDeleteAction: "org.hibernate.annotations.OnDeleteAction",
+    CreationTimestamp: "org.hibernate.annotations.CreationTimestamp",
+    UpdateTimestamp: "org.hibernate.annotations.UpdateTimestamp",
+    Getter: "lombok.Getter",
+    Setter: "lombok.Setter",
+    NoArgsConstructor: "lombok.NoArgsConstructor"
+  };
+  ["Entity", "Table", "UniqueConstraint", "Id", "IdClass", "GeneratedValue", "GenerationType", "SequenceGenerator",
+    "Column", "Enumerated", "EnumType", "ManyToOne", "OneToOne", "JoinColumn", "FetchType"]
+    .forEach(name => { IMPORTS[name] = `jakarta.persistence.${name}`; });
+
+  const GEOMETRY_CLASSES = ["Point", "Polygon", "MultiPolygon", "LineString", "MultiLineString", "MultiPoint"];
+
+  function javaName(name) {
+    let id = camel(name);
+    if (/^\d/.test(id)) id = "_" + id;
+    return JAVA_KEYWORDS.has(id) ? id + "Value" : id;
+  }
+
+  // Spring Boot's CamelCaseToUnderscoresNamingStrategy: "createdAt" → "created_at"
+  function physicalName(name) {
+    let out = "";
+    for (let i = 0; i < name.length; i++) {
+      const before = name[i - 1];
+      const c = name[i];
+      const after = name[i + 1];
+      if (before && after && /[a-z]/.test(before) && /[A-Z]/.test(c) && /[a-z]/.test(after)) out += "_";
+      out += c;
+    }
+    return out.replace(/\./g, "_").toLowerCase();
+  }
+
+  function javaString(text) {
+    return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  }
+
+  function javadoc(text, indent = "") {
+    if (!text) return [];
+    return [`${indent}/** ${String(text).replace(/\*\//g, "*&#47;").replace(/\s*\n\s*/g, " ")} */`];
+  }
+
+  function pkColumns(table) {
+    const composite = (table.constraints || []).find(c => c.type === "pk");
+    if (composite) return composite.columns.slice();
+    return (table.columns || []).filter(c => c.pk).map(c => c.name);
+  }
+
+  function isGeometry(base) {
+    return base === "GEOMETRY" || base === "GEOGRAPHY";
+  }
+
+  // "geometry(Point,4326)" → "Point"; untyped geometry → "Geometry"
+  function geometryClass(t) {
+    const sub = (t.args[0] || "").toLowerCase();
+    return GEOMETRY_CLASSES.find(g => g.toLowerCase() === sub.replace(/z?m?$/, "")) || "Geometry";
+  }
+
+  // ==========================================================================
+  // GENERATOR
+  // ==========================================================================
+
+  /**
+   * Generates entity and enum sources. options:
+   *   package   Java package (default com.adamsapples.domain)
+   *   keys      object keys to include (tables and enums); null = everything. Enums used by the
+   *             included tables are always added; FK targets outside the selection are still
+   *             referenced by class name.
+   *   lombok    true for @Getter/@Setter instead of written-out accessors
+   *   title     header comment
+   * Returns [{ path: "com/adamsapples/domain/Tree.java", content }].
+   */
+  function generateEntities(objects, options = {}) {
+    const { package: pkg = "com.adamsapples.domain", keys = null, lombok = false, title = "Adams Apples v2" } = options;
+    const wanted = keys ? new Set(keys) : null;
+    const enums = new Map(objects.filter(o => o.type === "enum").map(o => [o.name, o]));
+    const allTables = objects.filter(o => o.type === "table");
+    const tableByName = new Map(allTables.map(t => [t.name, t]));
+    const tables = allTables.filter(t => !wanted || wanted.has(t.key));
+
+    const usedEnums = new Set();
+    for (const t of tables) {
+      for (const c of t.columns || []) {
+        const { name, array } = parseType(c.type);
+        if (enums.has(name) && !array) usedEnums.add(name);
+      }
+    }
+    const enumList = Array.from(enums.values()).filter(e => usedEnums.has(e.name) || !wanted || wanted.has(e.key));
+
+    const names = classNames(enums, allTables);
+    const header = `// ${title} — generated from the schema model. Regenerate with Export ▸ JPA entities or \`node jpa-export.js\`.`;
+    const dir = pkg.replace(/\./g, "/");
+    const files = [];
+
+    for (const e of enumList) {
+      files.push({ path: `${dir}/${names.get(e.key)}.java`, content: enumSource(e, names.get(e.key), pkg, header) });
+    }
+    for (const t of tables) {
+      const ctx = { enums, tableByName, names, lombok };
+      files.push({ path: `${dir}/${names.get(t.key)}.java`, content: entitySource(t, ctx, pkg, header) });
+    }
+    return files;
+  }
+
+  // Class names: enums keep their name, tables are singular ("trees" → Tree)
+  function classNames(enums, tables) {
+    const taken = new Set();
+    const names = new Map();
+    for (const e of enums.values()) {
+      names.set(e.key, pascal(e.name));
+      taken.add(pascal(e.name));
+    }
+    for (const t of tables) {
+      let name = pascal(singular(t.name));
+      if (taken.has(name)) name = pascal(t.name);
+      if (taken.has(name)) name += "Entity";
+      names.set(t.key, name);
+      taken.add(name);
+    }
+    return names;
+  }
+
+  function enumSource(e, className, pkg, header) {
+    const lines = [header, "", `package ${pkg};`, ""];
+    lines.push(...javadoc(e.description || `PostgreSQL enum ${e.name}`));
+    lines.push(`public enum ${className} {`);
+    const values = e.values || [];
+    values.forEach((v, i) => {
+      const id = String(v).replace(/[^A-Za-z0-9_]/g, "_").replace(/^(\d)/, "_$1");
+      const note = id !== v ? ` // ${javaString(v)} needs an AttributeConverter: @Enumerated writes the constant name` : "";
+      lines.push(`    ${id}${i < values.length - 1 ? "," : ""}${note}`);
+    });
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Java mapping for a scalar column: { type, annotations, column: extra @Column attributes }.
+   * `uses` collects the simple names that need an import.
+   */
+  function scalarMapping(col, ctx, uses) {
+    const t = parseType(col.type);
+    const annotations = [];
+    const column = {};
+    let type;
+    const hint = code => {
+      annotations.push(`@JdbcTypeCode(SqlTypes.${code})`);
+      uses.add("JdbcTypeCode").add("SqlTypes");
+    };
+
+    if (ctx.enums.has(t.name)) {
+      column.columnDefinition = t.name + (t.array ? "[]" : "");
+      if (t.array) {
+        // Hibernate maps enum arrays to smallint[]; read the named enum array as text values
+        type = "String[]";
+        hint("ARRAY");
+        return { type, annotations, column, note: `values of ${ctx.names.get(ctx.enums.get(t.name).key)}` };
+      }
+      type = ctx.names.get(ctx.enums.get(t.name).key);
+      annotations.push("@Enumerated(EnumType.STRING)");
+      uses.add("Enumerated").add("EnumType");
+      hint("NAMED_ENUM");
+      return { type, annotations, column };
+    }
+
+    if (t.base === "UUID") type = "UUID";
+    else if (/^(VARCHAR|CHARACTER VARYING)$/.test(t.base)) {
+      type = "String";
+      if (t.args[0]) column.length = t.args[0];
+    } else if (/^(CHAR|CHARACTER|BPCHAR)$/.test(t.base)) {
+      type = "String";
+      column.length = t.args[0] || "1";
+      column.columnDefinition = `char(${column.length})`;
+    } else if (t.base === "TEXT") {
+      type = "String";
+      column.columnDefinition = "text";
+    } else if (t.base === "CITEXT") {
+      type = "String";
+      column.columnDefinition = "citext";
+    } else if (/^(INTEGER|INT|INT4|SERIAL)$/.test(t.base)) type = "Integer";
+    else if (/^(SMALLINT|INT2|SMALLSERIAL)$/.test(t.base)) type = "Short";
+    else if (/^(BIGINT|INT8|BIGSERIAL)$/.test(t.base)) type = "Long";
+    else if (/^(NUMERIC|DECIMAL|MONEY)$/.test(t.base)) {
+      type = "BigDecimal";
+      if (t.args[0]) column.precision = t.args[0];
+      if (t.args[1]) column.scale = t.args[1];
+    } else if (/^(REAL|FLOAT4)$/.test(t.base)) type = "Float";
+    else if (/^(DOUBLE PRECISION|FLOAT8|FLOAT)$/.test(t.base)) type = "Double";
+    else if (/^(BOOLEAN|BOOL)$/.test(t.base)) type = "Boolean";
+    else if (t.base === "DATE") type = "LocalDate";
+    else if (/^(TIMESTAMPTZ|TIMESTAMP WITH TIME ZONE)$/.test(t.base)) type = "OffsetDateTime";
+    else if (/^(TIMESTAMP|TIMESTAMP WITHOUT TIME ZONE)$/.test(t.base)) type = "LocalDateTime";
+    else if (/^(TIME|TIME WITHOUT TIME ZONE)$/.test(t.base)) type = "LocalTime";
+    else if (/^(TIMETZ|TIME WITH TIME ZONE)$/.test(t.base)) type = "OffsetTime";
+    else if (t.base === "INTERVAL") type = "Duration";
+    else if (t.base === "BYTEA") type = "byte[]";
+    else if (t.base === "JSONB" || t.base === "JSON") {
+      type = "JsonNode";
+      annotations.push("@Type(JsonBinaryType.class)");
+      uses.add("Type").add("JsonBinaryType");
+      column.columnDefinition = t.name.toLowerCase();
+    } else if (isGeometry(t.base)) {
+      type = geometryClass(t);
+      hint("GEOMETRY");
+      column.columnDefinition = col.type;
+    } else if (t.base === "INET" || t.base === "CIDR") {
+      type = "InetAddress";
+      hint("INET");
+      column.columnDefinition = t.name.toLowerCase();
+    } else {
+      type = "String";
+      column.columnDefinition = t.name;
+    }
+
+    if (IMPORTS[type]) uses.add(type);
+    if (t.array && type !== "byte[]") {
+      type += "[]";
+      hint("ARRAY");
+    }
+    return { type, annotations, column };
+  }
+
+  // Field initializer for a literal column default, or null
+  function defaultInitializer(col, type, ctx) {
+    const value = String(col.default || "").trim();
+    const quoted = value.match(/^'((?:[^']|'')*)'(?:::[\w ]+)?$/);
+    const t = parseType(col.type);
+    if (ctx.enums.has(t.name) && !t.array && quoted && (ctx.enums.get(t.name).values || []).includes(quoted[1])) {
+      return `${type}.${quoted[1]}`;
+    }
+    if (type === "String" && quoted) return javaString(quoted[1].replace(/''/g, "'"));
+    if (type === "Boolean" && /^(TRUE|FALSE)$/i.test(value)) return value.toLowerCase();
+    if (!/^-?\d+(\.\d+)?$/.test(value)) return null;
+    if (type === "Integer" && /^-?\d+$/.test(value)) return value;
+    if (type === "Long" && /^-?\d+$/.test(value)) return `${value}L`;
+    if (type === "Short" && /^-?\d+$/.test(value)) return `(short) ${value}`;
+    if (type === "Double") return `${value}d`;
+    if (type === "Float") return `${value}f`;
+    if (type === "BigDecimal") return /^0(\.0+)?$/.test(value) ? "BigDecimal.ZERO" : `new BigDecimal(${javaString(value)})`;
+    return null;
+  }
+
+  function annotation(name, attrs) {
+    const parts = Object.entries(attrs).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => `${k} = ${v}`);
+    return parts.length ? `@${name}(${parts.join(", ")})` : `@${name}`;
+  }
+
+  function entitySource(t, ctx, pkg, header) {
+    const uses = new Set(["Entity", "Table", "Column"]);
+    const className = ctx.names.get(t.key);
+    const columns = t.columns || [];
+    const pk = pkColumns(t);
+    const compositePk = pk.length > 1;
+    const compositeFks = (t.constraints || []).filter(c => c.type === "fk" && c.fk);
+    const taken = new Set(columns.map(c => javaName(c.name)));
+
+    const fields = [];
+    for (const col of columns) {
+      const isPk = pk.includes(col.name);
+      const target = col.fk && ctx.tableByName.get(col.fk.table);
+      const annotations = [];
+      const notes = [];
+      let field;
+      let type;
+      let init = null;
+
+      // FK columns become relations, except key columns (kept scalar so the id stays simple)
+      if (target && !isPk) {
+        const base = col.name.replace(/_id$/, "");
+        field = javaName(base);
+        if (base !== col.name && taken.has(field)) field = javaName(base + "_ref");
+        type = ctx.names.get(target.key);
+        const targetPk = pkColumns(target);
+        const refColumn = col.fk.column || "id";
+        const oneToOne = !!col.unique;
+        uses.add(oneToOne ? "OneToOne" : "ManyToOne").add("FetchType").add("JoinColumn");
+        annotations.push(annotation(oneToOne ? "OneToOne" : "ManyToOne", {
+          fetch: "FetchType.LAZY",
+          optional: col.nullable ? undefined : "false"
+        }));
+        annotations.push(annotation("JoinColumn", {
+          name: javaString(col.name),
+          referencedColumnName: targetPk.length === 1 && targetPk[0] === refColumn ? undefined : javaString(refColumn),
+          nullable: col.nullable ? undefined : "false",
+          unique: oneToOne ? "true" : undefined
+        }));
+        const action = String(col.fk.onDelete || "").toUpperCase();
+        const onDelete = { CASCADE: "CASCADE", "SET NULL": "SET_NULL", "SET DEFAULT": "SET_DEFAULT", RESTRICT: "RESTRICT" }[action];
+        if (onDelete) {
+          annotations.push(`@OnDelete(action = OnDeleteAction.${onDelete})`);
+          uses.add("OnDelete").add("OnDeleteAction");
+        }
+      } else {
+        field = javaName(col.name);
+        const mapping = scalarMapping(col, ctx, uses);
+        type = mapping.type;
+        if (mapping.note) notes.push(mapping.note);
+        if (col.fk) notes.push(`FK → ${col.fk.table}.${col.fk.column || "id"}`);
+        const part = compositeFks.find(c => c.columns.includes(col.name));
+        if (part) notes.push(`part of FK (${part.columns.join(", ")}) → ${part.fk.table}, mapped as plain columns`);
+
+        if (isPk) {
+          annotations.push("@Id");
+          uses.add("Id");
+          const generated = generation(col, t);
+          if (generated) {
+            annotations.push(...generated.annotations);
+            generated.uses.forEach(u => uses.add(u));
+          }
+        }
+        const def = String(col.default || "").toUpperCase();
+        let timestamp = null;
+        if (!isPk && /^(NOW\(\)|CURRENT_TIMESTAMP|CURRENT_DATE|LOCALTIMESTAMP)$/.test(def)) {
+          timestamp = /^(updated|modified)_/.test(col.name) ? "UpdateTimestamp" : "CreationTimestamp";
+          annotations.push(`@${timestamp}`);
+          uses.add(timestamp);
+        } else if (!isPk && col.default) {
+          init = defaultInitializer(col, type, ctx);
+          if (!init) notes.push(`database default ${col.default}`);
+        }
+        annotations.push(...mapping.annotations);
+        annotations.push(annotation("Column", {
+          name: javaString(col.name),
+          nullable: col.nullable ? undefined : "false",
+          updatable: isPk || timestamp === "CreationTimestamp" ? "false" : undefined,
+          unique: col.unique && !isPk ? "true" : undefined,
+          length: mapping.column.length,
+          precision: mapping.column.precision,
+          scale: mapping.column.scale,
+          columnDefinition: mapping.column.columnDefinition ? javaString(mapping.column.columnDefinition) : undefined
+        }));
+      }
+      taken.add(field);
+      fields.push({ col, field, type, annotations, notes, init });
+    }
+
+    // Class-level annotations
+    const classAnnotations = ["@Entity"];
+    const uniques = (t.constraints || []).filter(c => c.type === "unique");
+    const tableAttrs = { name: javaString(t.name) };
+    if (t.schema && t.schema !== "public") tableAttrs.schema = javaString(t.schema);
+    if (uniques.length) {
+      uses.add("UniqueConstraint");
+      const list = uniques.map(u => `@UniqueConstraint(name = ${javaString(u.name)}, columnNames = {${u.columns.map(javaString).join(", ")}})`);
+      tableAttrs.uniqueConstraints = list.length === 1 ? list[0] : `{\n        ${list.join(",\n        ")}\n    }`;
+    }
+    classAnnotations.push(annotation("Table", tableAttrs));
+    if (compositePk) {
+      classAnnotations.push(`@IdClass(${className}.Key.class)`);
+      uses.add("IdClass").add("Serializable").add("Objects");
+    }
+    if (ctx.lombok) {
+      classAnnotations.push("@Getter", "@Setter", "@NoArgsConstructor");
+      uses.add("Getter").add("Setter").add("NoArgsConstructor");
+    }
+
+    const body = [];
+    for (const f of fields) {
+      body.push("");
+      body.push(...javadoc(f.notes.join("; "), "    "));
+      body.push(...f.annotations.map(a => "    " + a));
+      body.push(`    private ${f.type} ${f.field}${f.init ? ` = ${f.init}` : ""};`);
+    }
+    if (!ctx.lombok) {
+      for (const f of fields) {
+        const prop = f.field.charAt(0).toUpperCase() + f.field.slice(1);
+        body.push("");
+        body.push(`    public ${f.type} get${prop}() {`, `        return ${f.field};`, "    }");
+        body.push("");
+        body.push(`    public void set${prop}(${f.type} ${f.field}) {`, `        this.${f.field} = ${f.field};`, "    }");
+      }
+    }
+    if (compositePk) body.push("", ...idClassSource(fields.filter(f => pk.includes(f.col.name))));
+
+    // Same-package classes (entities and enums) need no import
+    const imports = Array.from(uses).filter(u => IMPORTS[u]).map(u => IMPORTS[u]).sort();
+    const groups = [imports.filter(i => /^jakarta\./.test(i)), imports.filter(i => !/^(jakarta|java)\./.test(i)), imports.filter(i => /^java\./.test(i))];
+
+    const lines = [header, "", `package ${pkg};`];
+    for (const group of groups) if (group.length) lines.push("", ...group.map(i => `import ${i};`));
+    lines.push("");
+    lines.push(...javadoc(`${t.description || `Table ${t.name}`}${t.domain ? ` (domain ${t.domain})` : ""}`));
+    lines.push(...classAnnotations);
+    lines.push(`public class ${className} {`);
+    lines.push(...body);
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+
+  // @GeneratedValue for a key column, from its type, identity or default
+  function generation(col, table) {
+    const t = parseType(col.type);
+    const def = String(col.default || "");
+    if (/^(SERIAL|BIGSERIAL|SMALLSERIAL)$/.test(t.base) || col.identity) {
+      return { annotations: ["@GeneratedValue(strategy = GenerationType.IDENTITY)"], uses: ["GeneratedValue", "GenerationType"] };
+    }
+    const seq = def.match(/^nextval\('([^']+)'(?:::regclass)?\)$/i);
+    if (seq) {
+      const generator = `${table.name}_${col.name}_gen`;
+      return {
+        annotations: [
+          `@GeneratedValue(strategy = GenerationType.SEQUENCE, generator = ${javaString(generator)})`,
+          `@SequenceGenerator(name = ${javaString(generator)}, sequenceName = ${javaString(seq[1])}, allocationSize = 1)`
+        ],
+        uses: ["GeneratedValue", "GenerationType", "SequenceGenerator"]
+      };
+    }
+    if (t.base === "UUID" && /(uuid_generate_v\d|gen_random_uuid)\s*\(/i.test(def)) {
+      return { annotations: ["@GeneratedValue(strategy = GenerationType.UUID)"], uses: ["GeneratedValue", "GenerationType"] };
+    }
+    return null;
+  }
+
+  // Nested @IdClass for composite primary keys
+  function idClassSource(keyFields) {
+    const lines = [
+      "    /** Composite primary key */",
+      "    public static class Key implements Serializable {"
+    ];
+    for (const f of keyFields) lines.push(`        private ${f.type} ${f.field};`);
+    lines.push(
+      "",
+      "        @Override",
+      "        public boolean equals(Object o) {",
+      "            if (this == o) return true;",
+      "            if (!(o instanceof Key)) return false;",
+      "            Key other = (Key) o;",
+      `            return ${keyFields.map(f => `Objects.equals(${f.field}, other.${f.field})`).join("\n                && ")};`,
+      "        }",
+      "",
+      "        @Override",
+      "        public int hashCode() {",
+      `            return Objects.hash(${keyFields.map(f => f.field).join(", ")});`,
+      "        }",
+      "    }"
+    );
+    return lines;
+  }
+
+  // ==========================================================================
+  // JAVA SOURCE PARSING (just enough for entity classes)
+  // ==========================================================================
+
+  // Blanks out comments, keeping string literals and line structure
+  function stripComments(src) {
+    let out = "";
+    let i = 0;
+    while (i < src.length) {
+      const c = src[i];
+      const next = src[i + 1];
+      if (c === "/" && next === "/") {
+        while (i < src.length && src[i] !== "\n") i++;
+      } else if (c === "/" && next === "*") {
+        const end = src.indexOf("*/", i + 2);
+        const stop = end < 0 ? src.length : end + 2;
+        out += src.slice(i, stop).replace(/[^\n]/g, " ");
+        i = stop;
+      } else if (c === '"' || c === "'") {
+        const start = i;
+        if (c === '"' && src.startsWith('"""', i)) {
+          const end = src.indexOf('"""', i + 3);
+          i = end < 0 ? src.length : end + 3;
+        } else {
+          i++;
+          while (i < src.length && src[i] !== c && src[i] !== "\n") i += src[i] === "\\" ? 2 : 1;
+          i++;
+        }
+        out += src.slice(start, i);
+      } else {
+        out += c;
+        i++;
+      }
+    }
+    return out;
+  }
+
+  // Index just past the bracket that closes the one at `start`, skipping string literals
+  function matchBracket(src, start) {
+    const open = src[start];
+    const close = { "{": "}", "(": ")", "[": "]" }[open];
+    let depth = 0;
+    for (let i = start; i < src.length; i++) {
+      const c = src[i];
+      if (c === '"' || c === "'") {
+        i++;
+        while (i < src.length && src[i] !== c) i += src[i] === "\\" ? 2 : 1;
+      } else if (c === open) depth++;
+      else if (c === close && --depth === 0) return i + 1;
+    }
+    return src.length;
+  }
+
+  /**
+   * Splits a class body (or file) into top-level members: { text, block } where text is
+   * everything before a `{ ... }` member body (classes, methods) or the whole `...;` statement.
+   */
+  function members(src) {
+    const out = [];
+    let start = 0;
+    let i = 0;
+    let sawAssign = false;
+    while (i < src.length) {
+      const c = src[i];
+      if (c === '"' || c === "'") {
+        i++;
+        while (i < src.length && src[i] !== c) i += src[i] === "\\" ? 2 : 1;
+        i++;
+      } else if (c === "(" || c === "[") {
+        i = matchBracket(src, i);
+      } else if (c === "@") {
+        // Annotation arguments may contain braces: @Table(uniqueConstraints = { ... })
+        const m = src.slice(i).match(/^@[\w.]+\s*/);
+        i += m ? m[0].length : 1;
+        if (src[i] === "(") i = matchBracket(src, i);
+      } else if (c === "=") {
+        sawAssign = true;
+        i++;
+      } else if (c === "{") {
+        const end = matchBracket(src, i);
+        if (sawAssign) {
+          // Array or anonymous-class initializer: part of the field statement
+          i = end;
+        } else {
+          out.push({ text: src.slice(start, i).trim(), block: src.slice(i + 1, end - 1) });
+          start = i = end;
+        }
+      } else if (c === ";") {
+        const text = src.slice(start, i).trim();
+        if (text) out.push({ text, block: null });
+        start = ++i;
+        sawAssign = false;
+      } else {
+        i++;
+      }
+    }
+    return out;
+  }
+
+  // Splits on top-level commas (outside brackets and strings)
+  function splitTop(text) {
+    const parts = [];
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (c === '"' || c === "'") {
+        i++;
+        while (i < text.length && text[i] !== c) i += text[i] === "\\" ? 2 : 1;
+      } else if (c === "(" || c === "{" || c === "[") {
+        i = matchBracket(text, i) - 1;
+      } else if (c === ",") {
+        parts.push(text.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    if (text.slice(start).trim()) parts.push(text.slice(start).trim());
+    return parts;
+  }
+
+  function literal(value) {
+    const v = value.trim();
+    if (/^"(?:[^"\\]|\\.)*"$/.test(v)) return JSON.parse(v.replace(/\\'/g, "'"));
+    return v;
+  }
+
+  /**
+   * Leading annotations of a declaration: { annotations: Map(simpleName → attrs), rest }.
+   * attrs maps attribute names (single values are "value") to literal text.
+   */
+  function parseAnnotations(text) {
+    const annotations = new Map();
+    let rest = text.trim();
+    let m;
+    while ((m = rest.match(/^@([\w.]+)\s*/)) && m[1] !== "interface") {
+      const name = m[1].split(".").pop();
+      rest = rest.slice(m[0].length);
+      const attrs = {};
+      if (rest[0] === "(") {
+        const end = matchBracket(rest, 0);
+        for (const part of splitTop(rest.slice(1, end - 1))) {
+          const kv = part.match(/^(\w+)\s*=\s*([\s\S]*)$/);
+          if (kv) attrs[kv[1]] = literal(kv[2]);
+          else attrs.value = literal(part);
+        }
+        rest = rest.slice(end).trim();
+      }
+      annotations.set(name, attrs);
+    }
+    return { annotations, rest };
+  }
+
+  /**
+   * Parses the classes declared in one source file:
+   * [{ name, kind: "class" | "enum" | ..., annotations, extends, fields, constants, file }].
+   * Nested classes are returned too.
+   */
+  function parseJavaSource(content, file) {
+    const classes = [];
+    const visit = (src, outer) => {
+      for (const member of members(src)) {
+        const { annotations, rest } = parseAnnotations(member.text);
+        const decl = rest.match(/^(?:(?:public|protected|private|abstract|final|static|sealed|non-sealed|strictfp)\s+)*(class|enum|interface|record|@interface)\s+(\w+)([\s\S]*)$/);
+        if (!decl || member.block === null) continue;
+        const ext = decl[3].match(/\bextends\s+([\w.]+)/);
+        const cls = {
+          name: decl[2], kind: decl[1], annotations, file, outer,
+          extends: ext ? ext[1].split(".").pop() : null, fields: [], constants: []
+        };
+        classes.push(cls);
+        let body = member.block;
+        if (cls.kind === "enum") {
+          const stop = enumConstantsEnd(body);
+          const head = stop >= 0 ? body.slice(0, stop) : body;
+          for (const part of splitTop(head)) {
+            const c = parseAnnotations(part).rest.match(/^(\w+)/);
+            if (c) cls.constants.push(c[1]);
+          }
+          body = stop >= 0 ? body.slice(stop + 1) : "";
+        }
+        for (const inner of members(body)) {
+          if (inner.block !== null) continue;
+          const f = parseField(inner.text);
+          if (f) cls.fields.push(f);
+        }
+        visit(body, cls.name);
+      }
+    };
+    visit(stripComments(content), null);
+    return classes;
+  }
+
+  // Index of the ";" that ends an enum's constant list, or -1 when there is none
+  function enumConstantsEnd(body) {
+    for (let i = 0; i < body.length; i++) {
+      const c = body[i];
+      if (c === '"' || c === "'") {
+        i++;
+        while (i < body.length && body[i] !== c) i += body[i] === "\\" ? 2 : 1;
+      } else if (c === "(" || c === "{" || c === "[") {
+        i = matchBracket(body, i) - 1;
+      } else if (c === ";") {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function parseField(text) {
+    const { annotations, rest } = parseAnnotations(text);
+    let decl = rest.replace(/\s+/g, " ");
+    const modifiers = new Set();
+    let m;
+    while ((m = decl.match(/^(public|protected|private|static|final|transient|volatile) /))) {
+      modifiers.add(m[1]);
+      decl = decl.slice(m[0].length);
+    }
+    const eq = decl.indexOf("=");
+    const head = (eq >= 0 ? decl.slice(0, eq) : decl).trim();
+    if (/[()]/.test(head)) return null;
+    const f = head.match(/^([\w.$<>?,\[\] ]+?)\s*\b([A-Za-z_$][\w$]*)$/);
+    if (!f) return null;
+    return { name: f[2], type: f[1].replace(/\s+/g, ""), annotations, modifiers };
+  }
+
+  // "java.util.List<Foo>" → { simple: "List", args: ["Foo"], array: false }
+  function javaTypeInfo(type) {
+    const array = /\[\]$/.test(type);
+    const base = type.replace(/\[\]$/, "");
+    const generic = base.match(/^([^<]+)<(.*)>$/);
+    const raw = generic ? generic[1] : base;
+    return {
+      simple: raw.split(".").pop(),
+      args: generic ? splitTop(generic[2]).map(a => a.split(".").pop()) : [],
+      array
+    };
+  }
+
+  // ==========================================================================
+  // DRIFT CHECK
+  // ==========================================================================
+
+  // Java types that Hibernate reads and writes correctly for a SQL type family
+  const ACCEPTED_TYPES = {
+    uuid: ["UUID", "String"],
+    text: ["String", "char", "Character"],
+    smallint: ["Short", "short", "Integer", "int"],
+    integer: ["Integer", "int"],
+    bigint: ["Long", "long", "BigInteger"],
+    decimal: ["BigDecimal"],
+    float: ["Double", "double", "Float", "float"],
+    boolean: ["Boolean", "boolean"],
+    date: ["LocalDate", "Date"],
+    timestamptz: ["OffsetDateTime", "Instant", "ZonedDateTime", "Timestamp"],
+    timestamp: ["LocalDateTime", "Timestamp", "Date"],
+    time: ["LocalTime", "Time"],
+    timetz: ["OffsetTime"],
+    interval: ["Duration", "String"],
+    bytea: ["byte[]", "Byte[]", "Blob"],
+    inet: ["InetAddress", "String"]
+  };
+  const PRIMITIVES = new Set(["int", "long", "short", "boolean", "double", "float", "char", "byte"]);
+
+  function typeFamily(base) {
+    if (base === "UUID") return "uuid";
+    if (/^(VARCHAR|CHARACTER VARYING|CHAR|CHARACTER|BPCHAR|TEXT|CITEXT|NAME)$/.test(base)) return "text";
+    if (/^(SMALLINT|INT2|SMALLSERIAL)$/.test(base)) return "smallint";
+    if (/^(INTEGER|INT|INT4|SERIAL)$/.test(base)) return "integer";
+    if (/^(BIGINT|INT8|BIGSERIAL)$/.test(base)) return "bigint";
+    if (/^(NUMERIC|DECIMAL|MONEY)$/.test(base)) return "decimal";
+    if (/^(REAL|FLOAT4|FLOAT8|FLOAT|DOUBLE PRECISION)$/.test(base)) return "float";
+    if (/^(BOOLEAN|BOOL)$/.test(base)) return "boolean";
+    if (base === "DATE") return "date";
+    if (/^(TIMESTAMPTZ|TIMESTAMP WITH TIME ZONE)$/.test(base)) return "timestamptz";
+    if (/^(TIMESTAMP|TIMESTAMP WITHOUT TIME ZONE)$/.test(base)) return "timestamp";
+    if (/^(TIME|TIME WITHOUT TIME ZONE)$/.test(base)) return "time";
+    if (/^(TIMETZ|TIME WITH TIME ZONE)$/.test(base)) return "timetz";
+    if (base === "INTERVAL") return "interval";
+    if (base === "BYTEA") return "bytea";
+    if (base === "INET" || base === "CIDR") return "inet";
+    if (base === "JSON" || base === "JSONB") return "json";
+    if (isGeometry(base)) return "geometry";
+    return null;
+  }
+
+  /**
+   * Compares entity sources with the schema. `sources` is [{ path, content }] (any file type;
+   * only .java files are read). Returns
+   * [{ severity: "error" | "warning" | "info", key, file, entity, table, column, message }],
+   * errors first.
+   */
+  function checkEntities(objects, sources) {
+    const problems = [];
+    const tables = new Map(objects.filter(o => o.type === "table").map(t => [t.name, t]));
+    const enums = new Map(objects.filter(o => o.type === "enum").map(o => [o.name, o]));
+
+    const classes = [];
+    for (const s of sources) {
+      if (/\.java$/i.test(s.path)) classes.push(...parseJavaSource(s.content, s.path));
+    }
+    const byName = new Map();
+    for (const c of classes) if (!byName.has(c.name)) byName.set(c.name, c);
+    const entities = classes.filter(c => c.annotations.has("Entity"));
+    const entityTable = new Map(entities.map(e => [e.name, tableNameOf(e)]));
+
+    const report = (severity, entity, table, column, message) => {
+      problems.push({
+        severity,
+        key: table && tables.has(table) ? tables.get(table).key : null,
+        file: entity ? entity.file : null,
+        entity: entity ? entity.name : null,
+        table: table || null,
+        column: column || null,
+        message
+      });
+    };
+
+    const mappedTables = new Set();
+    for (const entity of entities) {
+      const tableName = entityTable.get(entity.name);
+      const table = findTable(tables, tableName);
+      if (!table) {
+        report("error", entity, tableName, null, `@Entity ${entity.name} maps table ${tableName}, which is not in the schema`);
+        continue;
+      }
+      mappedTables.add(table.name);
+      const mapped = new Map();
+      const remember = (column, where, readOnly) => {
+        const prev = mapped.get(column);
+        if (prev && !prev.readOnly && !readOnly) {
+          report("error", entity, table.name, column, `${where} and ${prev.where} both write column ${column}; mark one insertable = false, updatable = false`);
+        }
+        if (!prev || prev.readOnly) mapped.set(column, { where, readOnly });
+      };
+
+      for (const { field, owner } of entityFields(entity, byName)) {
+        const a = field.annotations;
+        if (field.modifiers.has("static") || field.modifiers.has("transient") || a.has("Transient") || a.has("Formula")) continue;
+        if (a.has("OneToMany") || a.has("ManyToMany") || a.has("ElementCollection")) continue;
+        const where = `${owner.name}.${field.name}`;
+        const info = javaTypeInfo(field.type);
+
+        if (a.has("Embedded") || a.has("EmbeddedId") || (byName.get(info.simple) && byName.get(info.simple).annotations.has("Embeddable"))) {
+          const part = byName.get(info.simple);
+          if (!part) {
+            report("warning", entity, table.name, null, `${where}: embeddable ${info.simple} not found in the scanned sources, its columns were not checked`);
+            continue;
+          }
+          for (const inner of part.fields) {
+            if (inner.modifiers.has("static") || inner.annotations.has("Transient")) continue;
+            checkColumnField(inner, `${where}.${inner.name}`, a.has("EmbeddedId"));
+          }
+          continue;
+        }
+
+        if (a.has("ManyToOne") || a.has("OneToOne")) {
+          const rel = a.has("ManyToOne") ? "ManyToOne" : "OneToOne";
+          if (a.get(rel).mappedBy) continue;
+          const join = a.get("JoinColumn") || {};
+          const columnName = join.name || `${physicalName(field.name)}_id`;
+          const col = findColumn(table, columnName);
+          if (!col) {
+            report("error", entity, table.name, columnName, `${where}: @${rel} joins on ${columnName}, which is not a column of ${table.name}`);
+            continue;
+          }
+          remember(col.name, where, join.insertable === "false" || join.updatable === "false" || a.has("MapsId"));
+          const targetTable = entityTable.get(info.simple);
+          if (!col.fk) {
+            report("warning", entity, table.name, col.name, `${where}: @${rel} on ${col.name}, but the database has no foreign key on that column`);
+          } else if (!targetTable) {
+            report("warning", entity, table.name, col.name, `${where}: target entity ${info.simple} is not in the scanned sources (FK → ${col.fk.table})`);
+          } else if (!sameName(targetTable, col.fk.table)) {
+            report("error", entity, table.name, col.name, `${where}: @${rel} ${info.simple} maps table ${targetTable}, but ${col.name} references ${col.fk.table}`);
+          } else if (join.referencedColumnName && !sameName(join.referencedColumnName, col.fk.column || "id")) {
+            report("error", entity, table.name, col.name, `${where}: referencedColumnName ${join.referencedColumnName}, but the FK references ${col.fk.table}.${col.fk.column || "id"}`);
+          }
+          const optional = a.get(rel).optional !== "false" && join.nullable !== "false" && !a.has("NotNull") && !a.has("MapsId");
+          checkNullability(col, where, optional, false);
+          if (rel === "OneToOne" && col.fk && !col.unique && !a.has("MapsId")) {
+            report("warning", entity, table.name, col.name, `${where}: @OneToOne, but ${col.name} has no unique constraint so several rows can point at the same ${col.fk.table}`);
+          }
+          continue;
+        }
+
+        checkColumnField(field, where, a.has("Id"));
+      }
+
+      // Columns no field maps
+      for (const col of table.columns || []) {
+        if (mapped.has(col.name)) continue;
+        const required = !col.nullable && !col.default && !col.identity && !/SERIAL$/.test(parseType(col.type).base);
+        report(required ? "error" : "warning", entity, table.name, col.name, required
+          ? `${col.name} is NOT NULL without a default but ${entity.name} does not map it: every insert fails`
+          : `${col.name} (${col.type}) is not mapped by ${entity.name}`);
+      }
+
+      // Column-mapped field: name, type, enum, nullability, length and precision
+      function checkColumnField(field, where, isId) {
+        const a = field.annotations;
+        const column = a.get("Column") || {};
+        const columnName = column.name || physicalName(field.name);
+        const col = findColumn(table, columnName);
+        if (!col) {
+          report("error", entity, table.name, columnName, `${where} maps column ${columnName}, which is not in ${table.name}`);
+          return;
+        }
+        remember(col.name, where, column.insertable === "false" || column.updatable === "false");
+        const t = parseType(col.type);
+        const info = javaTypeInfo(field.type);
+        const simple = info.simple + (info.array ? "[]" : "");
+        const multi = info.array || /^(List|Set|Collection)$/.test(info.simple);
+        const element = info.array ? info.simple : info.args[0] || "Object";
+
+        if (isId && !col.pk && !(table.constraints || []).some(c => c.type === "pk" && c.columns.includes(col.name))) {
+          report("error", entity, table.name, col.name, `${where} is an @Id, but ${col.name} is not part of the primary key`);
+        }
+        if (col.fk) {
+          report("info", entity, table.name, col.name, `${where} maps FK ${col.name} as a plain ${info.simple}; a @ManyToOne ${tableClassHint(col.fk.table)} would let JPA follow it`);
+        }
+
+        if (t.array !== multi && !/^(json|bytea)$/.test(typeFamily(t.base))) {
+          report("error", entity, table.name, col.name, `${where} is ${field.type} but ${col.name} is ${col.type}`);
+          return;
+        }
+        const javaType = t.array ? element : simple;
+
+        if (enums.has(t.name)) {
+          const e = enums.get(t.name);
+          const cls = byName.get(javaType);
+          if (javaType === "String") return;
+          if (!cls || cls.kind !== "enum") {
+            report(cls ? "error" : "warning", entity, table.name, col.name, cls
+              ? `${where} is ${field.type} but ${col.name} is enum ${t.name}`
+              : `${where}: enum class ${javaType} not found in the scanned sources, constants were not compared with ${t.name}`);
+            return;
+          }
+          const enumerated = a.get("Enumerated");
+          if (!enumerated || !/STRING$/.test(enumerated.value || "")) {
+            report("error", entity, table.name, col.name, `${where} needs @Enumerated(EnumType.STRING): without it JPA writes ordinals into enum ${t.name}`);
+          }
+          const values = e.values || [];
+          const missing = values.filter(v => !cls.constants.includes(v));
+          const extra = cls.constants.filter(v => !values.includes(v));
+          if (missing.length) report("error", entity, table.name, col.name, `${javaType} lacks ${missing.join(", ")} from enum ${t.name}: loading those rows fails`);
+          if (extra.length) report("error", entity, table.name, col.name, `${javaType} has ${extra.join(", ")}, which enum ${t.name} does not allow: saving them fails`);
+          return;
+        }
+
+        const family = typeFamily(t.base);
+        if (family === "json") {
+          const hinted = a.has("Type") || a.has("Convert") || /JSON/.test((a.get("JdbcTypeCode") || {}).value || "");
+          if (!hinted) report("error", entity, table.name, col.name, `${where} maps ${t.name.toLowerCase()} without @Type(JsonBinaryType.class) or @JdbcTypeCode(SqlTypes.JSON): writes are sent as varchar and rejected`);
+        } else if (family === "geometry") {
+          const expected = geometryClass(t);
+          if (!/^(Geometry|Point|Polygon|MultiPolygon|LineString|MultiLineString|MultiPoint|GeometryCollection)$/.test(javaType)) {
+            report("error", entity, table.name, col.name, `${where} is ${field.type} but ${col.name} is ${col.type}; use a JTS ${expected}`);
+          } else if (javaType !== "Geometry" && expected !== "Geometry" && javaType !== expected) {
+            report("error", entity, table.name, col.name, `${where} is ${javaType} but ${col.name} holds ${expected} values`);
+          }
+        } else if (family && a.has("Convert")) {
+          // An AttributeConverter decides the Java type
+        } else if (family) {
+          const accepted = ACCEPTED_TYPES[family];
+          const enumClass = byName.get(javaType);
+          if (family === "text" && enumClass && enumClass.kind === "enum") {
+            if (!/STRING$/.test((a.get("Enumerated") || {}).value || "")) {
+              report("error", entity, table.name, col.name, `${where} needs @Enumerated(EnumType.STRING): ${col.name} is ${col.type}`);
+            }
+          } else if (!accepted.includes(javaType)) {
+            const lossy = family === "decimal" && /^(Double|double|Float|float)$/.test(javaType);
+            const offset = family === "timestamptz" && javaType === "LocalDateTime";
+            report(lossy || offset ? "warning" : "error", entity, table.name, col.name, lossy
+              ? `${where} is ${javaType}; ${col.type} should be BigDecimal to keep exact amounts`
+              : offset
+                ? `${where} is LocalDateTime but ${col.name} is timestamptz; the offset is dropped (use OffsetDateTime or Instant)`
+                : `${where} is ${field.type} but ${col.name} is ${col.type} (expected ${accepted.join(" or ")})`);
+          }
+        }
+
+        checkNullability(col, where, column.nullable !== "false" && !a.has("NotNull") && !isId, PRIMITIVES.has(field.type));
+
+        const size = a.get("Size") || {};
+        const length = column.length || size.max;
+        if (/^(VARCHAR|CHARACTER VARYING|CHAR|CHARACTER)$/.test(t.base) && t.args[0] && length && Number(length) !== Number(t.args[0])) {
+          const longer = Number(length) > Number(t.args[0]);
+          report(longer ? "error" : "warning", entity, table.name, col.name, longer
+            ? `${where} allows ${length} characters but ${col.name} is ${col.type}: longer values fail on insert`
+            : `${where} allows ${length} characters but ${col.name} is ${col.type}`);
+        }
+        if (family === "decimal" && t.args[0] && column.precision && (column.precision !== t.args[0] || (column.scale || "0") !== (t.args[1] || "0"))) {
+          report("warning", entity, table.name, col.name, `${where} declares precision ${column.precision}, scale ${column.scale || 0} but ${col.name} is ${col.type}`);
+        }
+      }
+
+      function checkNullability(col, where, javaNullable, primitive) {
+        if (primitive && col.nullable) {
+          report("error", entity, table.name, col.name, `${where} is a primitive but ${col.name} is nullable: loading a NULL throws`);
+        } else if (!javaNullable && col.nullable) {
+          report("warning", entity, table.name, col.name, `${where} is declared NOT NULL but ${col.name} allows NULL`);
+        } else if (javaNullable && !primitive && !col.nullable && !col.default && !col.pk) {
+          report("info", entity, table.name, col.name, `${where} may be null but ${col.name} is NOT NULL; add nullable = false so validation catches it before the insert`);
+        }
+      }
+    }
+
+    for (const t of tables.values()) {
+      if (!mappedTables.has(t.name)) report("info", null, t.name, null, `No @Entity maps table ${t.name}`);
+    }
+
+    const rank = { error: 0, warning: 1, info: 2 };
+    return problems.sort((a, b) => rank[a.severity] - rank[b.severity]);
+
+    function tableClassHint(name) {
+      const e = entities.find(x => sameName(entityTable.get(x.name), name));
+      return e ? e.name : pascal(singular(name));
+    }
+  }
+
+  function tableNameOf(entity) {
+    const table = entity.annotations.get("Table");
+    const entityName = (entity.annotations.get("Entity") || {}).name;
+    return (table && (table.name || table.value)) || physicalName(entityName || entity.name);
+  }
+
+  // Fields of an entity followed by those of its @MappedSuperclass / @Entity ancestors
+  function entityFields(entity, byName) {
+    const out = [];
+    const seen = new Set();
+    for (let cls = entity; cls && !seen.has(cls.name); cls = cls.extends && byName.get(cls.extends)) {
+      seen.add(cls.name);
+      if (cls !== entity && !cls.annotations.has("MappedSuperclass") && !cls.annotations.has("Entity")) break;
+      for (const field of cls.fields) out.push({ field, owner: cls });
+    }
+    return out;
+  }
+
+  // PostgreSQL folds unquoted identifiers to lower case
+  function sameName(a, b) {
+    return String(a).replace(/^"|"$/g, "").toLowerCase() === String(b).toLowerCase();
+  }
+
+  function findTable(tables, name) {
+    const bare = String(name).split(".").pop();
+    return tables.get(bare) || Array.from(tables.values()).find(t => sameName(bare, t.name)) || null;
+  }
+
+  function findColumn(table, name) {
+    return (table.columns || []).find(c => sameName(name, c.name)) || null;
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node jpa-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+    [--package com.example.domain] [--lombok] [--out dir]
+  node jpa-export.js [data.js | migration.sql ...] --check src/main/java`;
+
+  function runCli(args) {
+    const fs = require("fs");
+    const path = require("path");
+    const options = {};
+    const files = [];
+    let table = null;
+    let domain = null;
+    let out = null;
+    let check = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--table") table = args[++i];
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (args[i] === "--package") options.package = args[++i];
+      else if (args[i] === "--lombok") options.lombok = true;
+      else if (args[i] === "--out") out = args[++i];
+      else if (args[i] === "--check") check = args[++i];
+      else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+    const objects = schema.objects || [];
+
+    if (check) {
+      const sources = [];
+      const walk = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) walk(full);
+          else if (/\.java$/.test(entry.name)) sources.push({ path: path.relative(check, full), content: fs.readFileSync(full, "utf8") });
+        }
+      };
+      walk(check);
+      const problems = checkEntities(objects, sources);
+      for (const p of problems) {
+        const where = p.file ? `${p.file}` : p.table || "";
+        console.log(`${p.severity.padEnd(7)} ${where.padEnd(48)} ${p.message}`);
+      }
+      const count = severity => problems.filter(p => p.severity === severity).length;
+      console.log(`${sources.length} Java files, ${count("error")} errors, ${count("warning")} warnings, ${count("info")} notes`);
+      process.exitCode = count("error") ? 1 : 0;
+      return;
+    }
+
+    if (table) {
+      const t = objects.find(o => o.type === "table" && o.name === table);
+      if (!t) {
+        console.error(`No table named ${table}`);
+        process.exitCode = 1;
+        return;
+      }
+      options.keys = [t.key];
+      options.title = `Adams Apples v2 — table ${table}`;
+    } else if (domain) {
+      options.keys = objects.filter(o => o.domain === domain).map(o => o.key);
+      options.title = `Adams Apples v2 — domain ${domain}`;
+    }
+    const sources = generateEntities(objects, options);
+    if (out) {
+      for (const file of sources) {
+        const target = path.join(out, file.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+      }
+      console.log(`Wrote ${sources.length} files to ${out}`);
+    } else {
+      process.stdout.write(sources.map(f => `// ==== ${f.path} ====\n${f.content}`).join("\n"));
+    }
+  }
+
+  const JpaExport = { generateEntities, checkEntities, parseJavaSource, physicalName };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = JpaExport;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.JpaExport = JpaExport;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,58 @@
+/* Adams Apples v2 — Naming
+ * Names and types shared by the code generators:
+ * - pascal / camel case from snake_case table and column names
+ * - singular table names: "nursery_batches" → "nursery_batch", "statuses" → "status"
+ * - parseType: a column type split into base name, arguments and array flag
+ * Runs in the browser (window.Naming) and in Node (require("./naming.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  // Words that are their own singular
+  const UNCOUNTABLE = new Set(["species", "series", "news", "data", "metadata"]);
+
+  function pascal(name) {
+    return String(name).split(/[^A-Za-z0-9]+/).filter(Boolean)
+      .map(w => w.charAt(0).toUpperCase() + w.slice(1)).join("");
+  }
+
+  function camel(name) {
+    const p = pascal(name);
+    return p.charAt(0).toLowerCase() + p.slice(1);
+  }
+
+  // "nursery_batches" → "nursery_batch", "work_order_categories" → "work_order_category",
+  // "statuses" → "status" (but "houses" → "house")
+  function singular(name) {
+    const parts = String(name).split("_");
+    const last = parts.pop();
+    let one = last;
+    if (UNCOUNTABLE.has(last) || /(ss|us|is)$/.test(last)) one = last;
+    else if (/ies$/.test(last)) one = last.slice(0, -3) + "y";
+    else if (/(ch|sh|x|ss|[^aeiou]us)es$/.test(last)) one = last.slice(0, -2);
+    else if (/s$/.test(last)) one = last.slice(0, -1);
+    return parts.concat(one).join("_");
+  }
+
+  // "VARCHAR(200)" → { base: "VARCHAR", args: ["200"], array: false }
+  function parseType(type) {
+    let text = String(type || "").trim();
+    const array = /\[\]$/.test(text);
+    text = text.replace(/(\[\])+$/, "");
+    const m = text.match(/^([^(]+?)\s*(?:\((.*)\))?$/);
+    return {
+      name: m ? m[1].trim() : text,
+      base: (m ? m[1] : text).trim().toUpperCase(),
+      args: m && m[2] ? m[2].split(",").map(s => s.trim()) : [],
+      array
+    };
+  }
+
+  const Naming = { UNCOUNTABLE, pascal, camel, singular, parseType };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = Naming;
+  }
+  root.Naming = Naming;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,478 @@
+/* Adams Apples v2 — OpenAPI export
+ * Generates an OpenAPI 3.1 document from a SCHEMA dataset as the starting point for the REST API:
+ * - component schemas per table: the row (server-managed columns readOnly), a Create body
+ *   (NOT NULL columns without a default required) and an Update body (everything optional)
+ * - enums as `enum` schemas, UUID as `format: uuid`, TIMESTAMPTZ as `date-time`, NUMERIC as
+ *   decimal strings with a precision/scale pattern, nullable columns as `type: [..., "null"]`
+ * - optional CRUD paths (/trees, /trees/{id}) and nested collections that follow FKs, e.g.
+ *   /work-orders/{id}/time-entries from time_entries.work_order_id
+ * - only the tables you expose: FKs to hidden tables stay plain ID columns without a nested path;
+ *   HIDDEN_TABLES (tokens, audit trail) are left out unless asked for, in the app and the CLI
+ * Output is YAML or JSON. Runs in the browser (window.OpenApiExport) and from Node:
+ *   node openapi-export.js [data.js | migration.sql ...] [--include a,b] [--exclude a,b]
+ *     [--domain name] [--no-paths] [--json]
+ * which writes the document to stdout. HIDDEN_TABLES stay out unless --include names them.
+ */
+
+(function (root) {
+  "use strict";
+
+  const { pascal, singular, parseType } = root.Naming || require("./naming.js");
+
+  const SERIAL_TYPES = new Set(["SERIAL", "SMALLSERIAL", "BIGSERIAL"]);
+  // Internal tables no client should call, left out of the document by default
+  const HIDDEN_TABLES = ["refresh_tokens", "audit_log"];
+
+  // "work_orders" → "work-orders"
+  function kebab(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  }
+
+  // "tree_health_records" → "tree health records" for summaries
+  function words(name) {
+    return String(name).replace(/_/g, " ");
+  }
+
+  // "a tree", "an invoice", "a user"
+  function aWord(name) {
+    const text = words(name);
+    return `${/^([aeio]|u(?!s|ni))/i.test(text) ? "an" : "a"} ${text}`;
+  }
+
+  function pkColumns(table) {
+    const composite = (table.constraints || []).find(c => c.type === "pk");
+    if (composite) return composite.columns.slice();
+    return (table.columns || []).filter(c => c.pk).map(c => c.name);
+  }
+
+  // Filled in by the database: defaulted/serial/identity keys and NOW() audit timestamps
+  function serverManaged(col) {
+    if (col.identity) return true;
+    const serial = SERIAL_TYPES.has(parseType(col.type).base);
+    if (col.pk) return serial || !!col.default;
+    return !!col.default && /^(created|updated|modified)_(at|on)$/.test(col.name);
+  }
+
+  // JSON value of a literal column default, or undefined
+  function literalDefault(col, enumValues) {
+    const value = String(col.default || "").trim();
+    const quoted = value.match(/^'((?:[^']|'')*)'(?:::[\w ]+)?$/);
+    const base = parseType(col.type).base;
+    if (quoted) {
+      const text = quoted[1].replace(/''/g, "'");
+      return !enumValues || enumValues.includes(text) ? text : undefined;
+    }
+    if (/^(TRUE|FALSE)$/i.test(value)) return value.toUpperCase() === "TRUE";
+    if (/^-?\d+(\.\d+)?$/.test(value)) return /^(NUMERIC|DECIMAL|MONEY)$/.test(base) ? value : Number(value);
+    return undefined;
+  }
+
+  // ==========================================================================
+  // YAML
+  // ==========================================================================
+
+  // Plain scalars that a YAML parser would not read back as the same string
+  function yamlString(text) {
+    const plain = /^[A-Za-z_/$][\w ./$-]*$/.test(text) && !/ $/.test(text) &&
+      !/^(true|false|null|yes|no|on|off|y|n|~)$/i.test(text);
+    return plain ? text : JSON.stringify(text);
+  }
+
+  function yamlScalar(value) {
+    if (value === null) return "null";
+    if (typeof value === "string") return yamlString(value);
+    return String(value);
+  }
+
+  function isEmpty(value) {
+    return Array.isArray(value) ? !value.length : value && typeof value === "object" && !Object.keys(value).length;
+  }
+
+  function toYaml(value, indent = "") {
+    const lines = [];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === "object" && !isEmpty(item)) {
+          const inner = toYaml(item, indent + "  ");
+          lines.push(`${indent}- ${inner.slice(indent.length + 2)}`);
+        } else {
+          lines.push(`${indent}- ${isEmpty(item) ? (Array.isArray(item) ? "[]" : "{}") : yamlScalar(item)}`);
+        }
+      }
+    } else {
+      for (const [key, item] of Object.entries(value)) {
+        const k = yamlString(key);
+        if (isEmpty(item)) lines.push(`${indent}${k}: ${Array.isArray(item) ? "[]" : "{}"}`);
+        else if (item && typeof item === "object") lines.push(`${indent}${k}:`, toYaml(item, Array.isArray(item) ? indent : indent + "  "));
+        else lines.push(`${indent}${k}: ${yamlScalar(item)}`);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  // ==========================================================================
+  // GENERATOR
+  // ==========================================================================
+
+  /**
+   * Builds the OpenAPI document as a plain object. options:
+   *   keys      table keys to expose; null = every table. Enums used by them are added.
+   *   paths     true (default) for CRUD and nested FK paths; false for components only
+   *   title     info.title
+   *   version   info.version (default 1.0.0)
+   */
+  function buildDocument(objects, options = {}) {
+    const { keys = null, paths: withPaths = true, title = "Adams Apples v2 API", version = "1.0.0" } = options;
+    const wanted = keys ? new Set(keys) : null;
+    const enums = new Map(objects.filter(o => o.type === "enum").map(o => [o.name, o]));
+    const tables = objects.filter(o => o.type === "table" && (!wanted || wanted.has(o.key)));
+    const exposed = new Map(tables.map(t => [t.name, t]));
+
+    const usedEnums = new Set();
+    for (const t of tables) {
+      for (const c of t.columns || []) {
+        const { name } = parseType(c.type);
+        if (enums.has(name)) usedEnums.add(name);
+      }
+    }
+
+    // Schema names: enums keep their name, tables are singular ("trees" → Tree)
+    const taken = new Set(["Problem"]);
+    const schemaName = new Map();
+    for (const e of enums.values()) {
+      if (!usedEnums.has(e.name)) continue;
+      schemaName.set(e.key, pascal(e.name));
+      taken.add(pascal(e.name));
+    }
+    for (const t of tables) {
+      let name = pascal(singular(t.name));
+      if (taken.has(name)) name = pascal(t.name);
+      if (taken.has(name)) name += "Row";
+      schemaName.set(t.key, name);
+      taken.add(name);
+    }
+    const ref = key => ({ $ref: `#/components/schemas/${schemaName.get(key)}` });
+
+    function typeSchema(col) {
+      const t = parseType(col.type);
+      let s;
+      if (enums.has(t.name)) s = ref(enums.get(t.name).key);
+      else if (t.base === "UUID") s = { type: "string", format: "uuid" };
+      else if (/^(VARCHAR|CHARACTER VARYING|CHAR|CHARACTER|BPCHAR)$/.test(t.base)) {
+        s = { type: "string" };
+        if (t.args[0]) s.maxLength = Number(t.args[0]);
+      } else if (/^(TEXT|CITEXT|NAME)$/.test(t.base)) s = { type: "string" };
+      else if (/^(INTEGER|INT|INT4|SERIAL)$/.test(t.base)) s = { type: "integer", format: "int32" };
+      else if (/^(SMALLINT|INT2|SMALLSERIAL)$/.test(t.base)) s = { type: "integer", format: "int32", minimum: -32768, maximum: 32767 };
+      else if (/^(BIGINT|INT8|BIGSERIAL)$/.test(t.base)) s = { type: "integer", format: "int64" };
+      else if (/^(NUMERIC|DECIMAL|MONEY)$/.test(t.base)) {
+        // Decimal strings keep exact amounts; the pattern enforces precision and scale
+        const [precision, scale = "0"] = t.args.map(Number);
+        const pattern = precision
+          ? `^-?\\d{1,${Math.max(precision - scale, 1)}}${scale > 0 ? `(\\.\\d{1,${scale}})?` : ""}$`
+          : "^-?\\d+(\\.\\d+)?$";
+        s = { type: "string", format: "decimal", pattern };
+      } else if (/^(REAL|FLOAT4)$/.test(t.base)) s = { type: "number", format: "float" };
+      else if (/^(DOUBLE PRECISION|FLOAT8|FLOAT)$/.test(t.base)) s = { type: "number", format: "double" };
+      else if (/^(BOOLEAN|BOOL)$/.test(t.base)) s = { type: "boolean" };
+      else if (t.base === "DATE") s = { type: "string", format: "date" };
+      else if (/^(TIMESTAMPTZ|TIMESTAMP WITH TIME ZONE)$/.test(t.base)) s = { type: "string", format: "date-time" };
+      else if (/^(TIMESTAMP|TIMESTAMP WITHOUT TIME ZONE)$/.test(t.base)) {
+        s = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?$", description: "Local date-time without offset" };
+      } else if (/^(TIME|TIMETZ|TIME WITH(OUT)? TIME ZONE)$/.test(t.base)) s = { type: "string", format: "time" };
+      else if (t.base === "INTERVAL") s = { type: "string", format: "duration" };
+      else if (t.base === "BYTEA") s = { type: "string", contentEncoding: "base64" };
+      else if (t.base === "JSON" || t.base === "JSONB") s = { description: "Any JSON value" };
+      else if (t.base === "GEOMETRY" || t.base === "GEOGRAPHY") s = { type: "string", description: `PostGIS ${col.type.replace(/\[\]$/, "")}, hex-encoded EWKB` };
+      else if (t.base === "INET" || t.base === "CIDR") s = { type: "string", description: "IPv4 or IPv6 address" };
+      else s = { type: "string" };
+      return t.array ? { type: "array", items: s } : s;
+    }
+
+    function columnSchema(col, { forWrite = false } = {}) {
+      let s = typeSchema(col);
+      if (col.nullable) {
+        if (s.$ref) s = { oneOf: [s, { type: "null" }] };
+        else if (s.type) s = Object.assign({}, s, { type: [s.type, "null"] });
+      }
+      const notes = [];
+      if (s.description) notes.push(s.description);
+      if (col.fk) notes.push(`References ${col.fk.table}.${col.fk.column || "id"}`);
+      if (col.softRef) notes.push(`IDs of ${col.softRef.table} (not enforced)`);
+      if (col.unique) notes.push("Unique");
+      if (notes.length) s = Object.assign({}, s, { description: notes.join(". ") });
+      if (forWrite) {
+        const t = parseType(col.type);
+        const def = literalDefault(col, enums.has(t.name) ? enums.get(t.name).values || [] : null);
+        if (def !== undefined && !t.array) s = Object.assign({}, s, { default: def });
+      } else if (serverManaged(col)) {
+        s = Object.assign({}, s, { readOnly: true });
+      }
+      return s;
+    }
+
+    const schemas = {};
+    for (const e of enums.values()) {
+      if (!usedEnums.has(e.name)) continue;
+      schemas[schemaName.get(e.key)] = Object.assign(
+        e.description ? { description: e.description } : {},
+        { type: "string", enum: (e.values || []).slice() }
+      );
+    }
+    for (const t of tables) {
+      const name = schemaName.get(t.key);
+      const cols = t.columns || [];
+      const writable = cols.filter(c => !serverManaged(c));
+      const row = { type: "object" };
+      if (t.description) row.description = t.description;
+      row.required = cols.map(c => c.name);
+      row.properties = Object.fromEntries(cols.map(c => [c.name, columnSchema(c)]));
+      schemas[name] = row;
+
+      const create = { type: "object", description: `Body for creating a row in ${t.name}` };
+      const required = writable.filter(c => !c.nullable && !c.default && !SERIAL_TYPES.has(parseType(c.type).base)).map(c => c.name);
+      if (required.length) create.required = required;
+      create.properties = Object.fromEntries(writable.map(c => [c.name, columnSchema(c, { forWrite: true })]));
+      create.additionalProperties = false;
+      schemas[`${name}Create`] = create;
+
+      const pk = pkColumns(t);
+      const updatable = writable.filter(c => !pk.includes(c.name));
+      schemas[`${name}Update`] = {
+        type: "object",
+        description: `Partial update of a row in ${t.name}; send only the columns that change`,
+        minProperties: 1,
+        properties: Object.fromEntries(updatable.map(c => [c.name, columnSchema(c)])),
+        additionalProperties: false
+      };
+    }
+    schemas.Problem = {
+      type: "object",
+      description: "RFC 9457 problem details",
+      properties: {
+        type: { type: "string", format: "uri-reference" },
+        title: { type: "string" },
+        status: { type: "integer" },
+        detail: { type: "string" }
+      }
+    };
+
+    const doc = {
+      openapi: "3.1.0",
+      info: { title, version, description: "Generated from the schema model. Paths are scaffolding: review before publishing." }
+    };
+    const domains = Array.from(new Set(tables.map(t => t.domain).filter(Boolean))).sort();
+    if (withPaths && domains.length) doc.tags = domains.map(d => ({ name: d }));
+    if (withPaths) doc.paths = buildPaths(tables, exposed, schemaName, ref, typeSchema);
+    doc.components = { schemas };
+    if (withPaths) {
+      const problem = description => ({
+        description,
+        content: { "application/problem+json": { schema: { $ref: "#/components/schemas/Problem" } } }
+      });
+      doc.components.parameters = {
+        Limit: { name: "limit", in: "query", description: "Page size", schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } },
+        Offset: { name: "offset", in: "query", description: "Rows to skip", schema: { type: "integer", minimum: 0, default: 0 } }
+      };
+      doc.components.responses = {
+        BadRequest: problem("The body or parameters are invalid"),
+        NotFound: problem("No row with that id"),
+        Conflict: problem("A unique or foreign-key constraint rejected the change")
+      };
+    }
+    return doc;
+  }
+
+  function buildPaths(tables, exposed, schemaName, ref, typeSchema) {
+    const paths = {};
+    const json = schema => ({ content: { "application/json": { schema } } });
+    const page = [{ $ref: "#/components/parameters/Limit" }, { $ref: "#/components/parameters/Offset" }];
+    const respond = name => ({ $ref: `#/components/responses/${name}` });
+    const resource = t => `/${kebab(t.name)}`;
+    const keyOf = t => {
+      const pk = pkColumns(t);
+      return pk.length === 1 ? (t.columns || []).find(c => c.name === pk[0]) : null;
+    };
+    const idParam = (t, col) => ({
+      name: "id", in: "path", required: true, description: `${t.name}.${col.name}`, schema: typeSchema(col)
+    });
+
+    for (const t of tables) {
+      const name = schemaName.get(t.key);
+      const plural = pascal(t.name);
+      const tags = t.domain ? [t.domain] : undefined;
+      const op = fields => Object.assign(tags ? { tags } : {}, fields);
+
+      paths[resource(t)] = {
+        get: op({
+          summary: `List ${words(t.name)}`,
+          operationId: `list${plural}`,
+          parameters: page,
+          responses: { 200: Object.assign({ description: `A page of ${words(t.name)}` }, json({ type: "array", items: ref(t.key) })) }
+        }),
+        post: op({
+          summary: `Create ${aWord(singular(t.name))}`,
+          operationId: `create${name}`,
+          requestBody: Object.assign({ required: true }, json({ $ref: `#/components/schemas/${name}Create` })),
+          responses: {
+            201: Object.assign({ description: "Created" }, json(ref(t.key))),
+            400: respond("BadRequest"),
+            409: respond("Conflict")
+          }
+        })
+      };
+
+      const key = keyOf(t);
+      if (!key) continue;
+      paths[`${resource(t)}/{id}`] = {
+        parameters: [idParam(t, key)],
+        get: op({
+          summary: `Get ${aWord(singular(t.name))}`,
+          operationId: `get${name}`,
+          responses: { 200: Object.assign({ description: "The row" }, json(ref(t.key))), 404: respond("NotFound") }
+        }),
+        patch: op({
+          summary: `Update ${aWord(singular(t.name))}`,
+          operationId: `update${name}`,
+          requestBody: Object.assign({ required: true }, json({ $ref: `#/components/schemas/${name}Update` })),
+          responses: {
+            200: Object.assign({ description: "The updated row" }, json(ref(t.key))),
+            400: respond("BadRequest"),
+            404: respond("NotFound"),
+            409: respond("Conflict")
+          }
+        }),
+        delete: op({
+          summary: `Delete ${aWord(singular(t.name))}`,
+          operationId: `delete${name}`,
+          responses: {
+            204: { description: "Deleted" },
+            404: respond("NotFound"),
+            409: respond("Conflict")
+          }
+        })
+      };
+    }
+
+    // Nested collections: one path per (parent, child) pair; several FKs pick theirs with ?via=
+    const nested = new Map();
+    for (const child of tables) {
+      for (const col of child.columns || []) {
+        const parent = col.fk && exposed.get(col.fk.table);
+        if (!parent || !keyOf(parent) || (col.fk.column || "id") !== keyOf(parent).name) continue;
+        const id = `${parent.name}\u0000${child.name}`;
+        if (!nested.has(id)) nested.set(id, { parent, child, columns: [] });
+        nested.get(id).columns.push(col.name);
+      }
+    }
+    for (const { parent, child, columns } of nested.values()) {
+      const preferred = `${singular(parent.name)}_id`;
+      const ordered = columns.includes(preferred) ? [preferred].concat(columns.filter(c => c !== preferred)) : columns;
+      const parameters = page.slice();
+      if (ordered.length > 1) {
+        parameters.unshift({
+          name: "via", in: "query",
+          description: `Which ${child.name} column points at the ${words(singular(parent.name))}`,
+          schema: { type: "string", enum: ordered, default: ordered[0] }
+        });
+      }
+      const tags = child.domain ? [child.domain] : undefined;
+      paths[`${resource(parent)}/{id}${resource(child)}`] = {
+        parameters: [idParam(parent, keyOf(parent))],
+        get: Object.assign(tags ? { tags } : {}, {
+          summary: `List ${words(child.name)} of ${aWord(singular(parent.name))}`,
+          description: `Rows of ${child.name} where ${ordered.length > 1 ? `the \`via\` column (${ordered.join(", ")})` : ordered[0]} = {id}`,
+          operationId: `list${pascal(singular(parent.name))}${pascal(child.name)}`,
+          parameters,
+          responses: {
+            200: Object.assign({ description: `A page of ${words(child.name)}` }, json({ type: "array", items: ref(child.key) })),
+            404: respond("NotFound")
+          }
+        })
+      };
+    }
+
+    // Grouped by resource: the collection, the item, then its nested collections
+    return Object.fromEntries(Object.entries(paths).sort(([a], [b]) =>
+      a.split("/")[1].localeCompare(b.split("/")[1]) || a.split("/").length - b.split("/").length || a.localeCompare(b)));
+  }
+
+  // A built document as "yaml" (default) or "json" text
+  function formatDocument(doc, format = "yaml") {
+    if (format === "json") return JSON.stringify(doc, null, 2) + "\n";
+    return `# ${doc.info.title} — OpenAPI ${doc.openapi} generated from the schema model.\n` +
+      "# Do not edit by hand: regenerate with Export ▸ OpenAPI or `node openapi-export.js`.\n" +
+      toYaml(doc) + "\n";
+  }
+
+  /**
+   * The document as text. options are those of buildDocument plus
+   *   format    "yaml" (default) | "json"
+   */
+  function generateOpenApi(objects, options = {}) {
+    return formatDocument(buildDocument(objects, options), options.format);
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node openapi-export.js [data.js | migration.sql ...] [--include a,b] [--exclude a,b]
+    [--domain name] [--no-paths] [--json]`;
+
+  function runCli(args) {
+    const options = {};
+    const files = [];
+    let include = null;
+    let exclude = [];
+    let domain = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--include" || args[i] === "--exclude") {
+        const flag = args[i];
+        const value = args[++i];
+        if (!value || value.startsWith("--")) {
+          console.error(`${flag} needs a comma-separated list of tables\n${USAGE}`);
+          process.exitCode = 2;
+          return;
+        }
+        if (flag === "--include") include = value.split(",");
+        else exclude = value.split(",");
+      }
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (args[i] === "--no-paths") options.paths = false;
+      else if (args[i] === "--json") options.format = "json";
+      else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+
+    const objects = schema.objects || [];
+    const tables = objects.filter(o => o.type === "table");
+    const unknown = (include || []).concat(exclude).filter(n => !tables.some(t => t.name === n));
+    if (unknown.length) {
+      console.error(`No table named ${unknown.join(", ")}`);
+      process.exitCode = 1;
+      return;
+    }
+    const hidden = HIDDEN_TABLES.filter(name => !(include || []).includes(name)).concat(exclude);
+    options.keys = tables
+      .filter(t => (!include || include.includes(t.name)) && !hidden.includes(t.name) && (!domain || t.domain === domain))
+      .map(t => t.key);
+    if (domain) options.title = `Adams Apples v2 API — ${domain}`;
+    process.stdout.write(generateOpenApi(objects, options));
+  }
+
+  const OpenApiExport = { HIDDEN_TABLES, buildDocument, formatDocument, generateOpenApi };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = OpenApiExport;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.OpenApiExport = OpenApiExport;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,241 @@
+/* Adams Apples v2 — Schema diff
+ * Compares two SCHEMA datasets (two data.js builds, two imported migration sets,
+ * or two timeline versions) and reports what was added, removed or changed:
+ * - tables: columns (type, nullability, default, PK, UNIQUE, FK incl. ON DELETE), indexes,
+ *   constraints (CHECK, composite keys)
+ * - enums: values
+ * - views, functions (params, volatility, body), triggers, sequences, extensions:
+ *   their modelled properties
+ * - FK edges between tables (added, removed, or changed target column / ON DELETE),
+ *   for the diagram overlay
+ * Runs in the browser (window.SchemaDiff) and in Node (require("./schema-diff.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  function fkText(fk) {
+    if (!fk) return "none";
+    return `${fk.table}.${fk.column}${fk.onDelete ? ` ON DELETE ${fk.onDelete}` : ""}`;
+  }
+
+  function indexText(idx) {
+    const parts = [`(${(idx.columns || []).join(", ")})`];
+    if (idx.unique) parts.unshift("UNIQUE");
+    if (idx.method) parts.push(`USING ${idx.method}`);
+    if (idx.where) parts.push(`WHERE ${idx.where}`);
+    return parts.join(" ");
+  }
+
+  function paramsText(params) {
+    return (params || []).map(p => [p.mode, p.name, p.type].filter(Boolean).join(" ")).join(", ");
+  }
+
+  function same(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  }
+
+  // Properties whose order carries no meaning (a view reads the same tables in any order)
+  const UNORDERED = new Set(["baseTables"]);
+
+  function sameProp(prop, a, b) {
+    if (UNORDERED.has(prop) && Array.isArray(a) && Array.isArray(b)) {
+      return same(a.slice().sort(), b.slice().sort());
+    }
+    return same(a, b);
+  }
+
+  // Compares named items (columns, indexes) and pushes added/removed/changed entries.
+  function diffNamed(what, before, after, compare, changes) {
+    const prev = new Map((before || []).map(i => [i.name, i]));
+    const next = new Map((after || []).map(i => [i.name, i]));
+    for (const [name, item] of next) {
+      if (!prev.has(name)) changes.push({ what, name, status: "added", detail: compare.describe(item) });
+    }
+    for (const [name, item] of prev) {
+      if (!next.has(name)) changes.push({ what, name, status: "removed", detail: compare.describe(item) });
+    }
+    for (const [name, item] of next) {
+      const old = prev.get(name);
+      if (!old) continue;
+      const details = compare.changes(old, item);
+      if (details.length) changes.push({ what, name, status: "changed", detail: details.join("; ") });
+    }
+  }
+
+  const COLUMN_COMPARE = {
+    describe: col => `${col.type}${col.nullable ? "" : " NOT NULL"}${col.fk ? ` → ${fkText(col.fk)}` : ""}`,
+    changes(a, b) {
+      const out = [];
+      if (a.type !== b.type) out.push(`type ${a.type} → ${b.type}`);
+      if (!!a.nullable !== !!b.nullable) out.push(b.nullable ? "now nullable" : "now NOT NULL");
+      if (!same(a.default, b.default)) out.push(`default ${a.default || "none"} → ${b.default || "none"}`);
+      if (!same(a.identity, b.identity)) out.push(`identity ${a.identity || "none"} → ${b.identity || "none"}`);
+      if (!!a.pk !== !!b.pk) out.push(b.pk ? "now PK" : "no longer PK");
+      if (!!a.unique !== !!b.unique) out.push(b.unique ? "now UNIQUE" : "no longer UNIQUE");
+      if (!same(a.fk, b.fk)) out.push(`FK ${fkText(a.fk)} → ${fkText(b.fk)}`);
+      if (!same(a.softRef, b.softRef)) {
+        out.push(`soft reference ${a.softRef ? a.softRef.table : "none"} → ${b.softRef ? b.softRef.table : "none"}`);
+      }
+      return out;
+    }
+  };
+
+  const INDEX_COMPARE = {
+    describe: indexText,
+    changes(a, b) {
+      const ta = indexText(a);
+      const tb = indexText(b);
+      return ta === tb ? [] : [`${ta} → ${tb}`];
+    }
+  };
+
+  function constraintText(con) {
+    const cols = `(${(con.columns || []).join(", ")})`;
+    if (con.type === "check") return `CHECK (${con.expression})`;
+    if (con.type === "fk") return `FOREIGN KEY ${cols} → ${con.fk.table} (${con.fk.columns.join(", ")})${con.fk.onDelete ? ` ON DELETE ${con.fk.onDelete}` : ""}`;
+    return `${con.type === "pk" ? "PRIMARY KEY" : "UNIQUE"} ${cols}`;
+  }
+
+  const CONSTRAINT_COMPARE = {
+    describe: constraintText,
+    changes(a, b) {
+      const ta = constraintText(a);
+      const tb = constraintText(b);
+      return ta === tb ? [] : [`${ta} → ${tb}`];
+    }
+  };
+
+  // Per-type property comparisons for objects other than tables.
+  const OBJECT_PROPS = {
+    enum: [],
+    view: ["baseTables", "definition"],
+    function: ["params", "returnType", "language", "volatility", "definition"],
+    trigger: ["table", "function", "timing"],
+    sequence: ["dataType", "start", "increment", "minValue", "maxValue", "cache", "cycle", "ownedBy"],
+    extension: ["version", "schema"],
+    schema: []
+  };
+
+  // Properties data.js may leave out (SQL it doesn't have); missing on one side isn't a change
+  const OPTIONAL_PROPS = new Set(["params", "volatility", "definition"]);
+
+  function diffObject(before, after) {
+    const changes = [];
+    if (after.type === "table") {
+      diffNamed("column", before.columns, after.columns, COLUMN_COMPARE, changes);
+      diffNamed("index", before.indexes, after.indexes, INDEX_COMPARE, changes);
+      diffNamed("constraint", before.constraints, after.constraints, CONSTRAINT_COMPARE, changes);
+    } else if (after.type === "enum") {
+      const prev = before.values || [];
+      const next = after.values || [];
+      for (const v of next) if (!prev.includes(v)) changes.push({ what: "value", name: v, status: "added", detail: "" });
+      for (const v of prev) if (!next.includes(v)) changes.push({ what: "value", name: v, status: "removed", detail: "" });
+    }
+    for (const prop of OBJECT_PROPS[after.type] || []) {
+      if (sameProp(prop, before[prop], after[prop])) continue;
+      if (OPTIONAL_PROPS.has(prop) && (before[prop] === undefined || after[prop] === undefined)) continue;
+      const show = v => (Array.isArray(v) ? v.join(", ") : v == null ? "none" :
+        typeof v === "object" ? `${v.table}.${v.column}` : String(v));
+      let detail = `${show(before[prop])} → ${show(after[prop])}`;
+      if (prop === "definition") detail = "definition changed";
+      else if (prop === "params") detail = `(${paramsText(before.params)}) → (${paramsText(after.params)})`;
+      changes.push({ what: prop, name: prop, status: "changed", detail });
+    }
+    return changes;
+  }
+
+  // FK edges keyed "from.column→to", for the diagram overlay. ref and onDelete tell a
+  // changed FK from an unchanged one.
+  function fkEdges(objects) {
+    const out = new Map();
+    for (const t of objects) {
+      if (t.type !== "table") continue;
+      for (const col of t.columns || []) {
+        if (!col.fk) continue;
+        out.set(`${t.name}.${col.name}→${col.fk.table}`, {
+          from: t.name, column: col.name, to: col.fk.table,
+          ref: col.fk.column || "id", onDelete: col.fk.onDelete || null
+        });
+      }
+      for (const con of t.constraints || []) {
+        if (con.type !== "fk" || !con.fk) continue;
+        const column = `(${con.columns.join(", ")})`;
+        out.set(`${t.name}.${column}→${con.fk.table}`, {
+          from: t.name, column, to: con.fk.table,
+          ref: `(${(con.fk.columns || []).join(", ")})`, onDelete: con.fk.onDelete || null
+        });
+      }
+    }
+    return out;
+  }
+
+  function edgeChanges(a, b) {
+    const out = [];
+    if (a.ref !== b.ref) out.push(`references ${a.to}.${a.ref} → ${b.to}.${b.ref}`);
+    if (a.onDelete !== b.onDelete) out.push(`ON DELETE ${a.onDelete || "NO ACTION"} → ${b.onDelete || "NO ACTION"}`);
+    return out;
+  }
+
+  /**
+   * Diffs two schemas ({ objects }). Returns:
+   * {
+   *   objects: [{ key, type, name, status: "added"|"removed"|"changed", changes: [...] }],
+   *   byKey:   Map key → entry,
+   *   edges:   { added: [{ from, column, to, ref, onDelete, id }], removed: [...],
+   *              changed: [{ ..., detail }] },
+   *   removedObjects: objects that only exist in `before` (for ghost rendering),
+   *   summary: { added, removed, changed }
+   * }
+   * Each change is { what, name, status, detail }.
+   */
+  function diffSchemas(before, after) {
+    const prev = new Map(before.objects.map(o => [o.key, o]));
+    const next = new Map(after.objects.map(o => [o.key, o]));
+    const entries = [];
+
+    for (const [key, obj] of next) {
+      if (!prev.has(key)) {
+        entries.push({ key, type: obj.type, name: obj.name, status: "added", changes: [] });
+        continue;
+      }
+      const changes = diffObject(prev.get(key), obj);
+      if (changes.length) entries.push({ key, type: obj.type, name: obj.name, status: "changed", changes });
+    }
+    const removedObjects = [];
+    for (const [key, obj] of prev) {
+      if (next.has(key)) continue;
+      entries.push({ key, type: obj.type, name: obj.name, status: "removed", changes: [] });
+      removedObjects.push(obj);
+    }
+
+    const prevEdges = fkEdges(before.objects);
+    const nextEdges = fkEdges(after.objects);
+    const edges = { added: [], removed: [], changed: [] };
+    for (const [id, e] of nextEdges) {
+      if (!prevEdges.has(id)) {
+        edges.added.push(Object.assign({ id }, e));
+        continue;
+      }
+      const details = edgeChanges(prevEdges.get(id), e);
+      if (details.length) edges.changed.push(Object.assign({ id, detail: details.join("; ") }, e));
+    }
+    for (const [id, e] of prevEdges) if (!nextEdges.has(id)) edges.removed.push(Object.assign({ id }, e));
+
+    const count = status => entries.filter(e => e.status === status).length;
+    return {
+      objects: entries,
+      byKey: new Map(entries.map(e => [e.key, e])),
+      edges,
+      removedObjects,
+      summary: { added: count("added"), removed: count("removed"), changed: count("changed") }
+    };
+  }
+
+  const SchemaDiff = { diffSchemas };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SchemaDiff;
+  }
+  root.SchemaDiff = SchemaDiff;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,311 @@
+/* Adams Apples v2 — Schema integrity validator
+ * Checks that a SCHEMA object model (data.js or an import) is internally consistent:
+ * - duplicate or malformed keys, unknown object types
+ * - FKs pointing at missing tables/columns, index columns that do not exist
+ * - table constraints (CHECK, composite PK/UNIQUE/FK) over unknown columns
+ * - soft references (array/JSONB IDs) pointing at missing tables/columns
+ * - column types that are neither built-in nor a known enum
+ * - triggers whose table or function is missing, view baseTables typos, views whose
+ *   definition still uses a column name that a later migration renamed
+ * - function parameters (duplicates, parameters on trigger functions), volatility
+ * - sequences owned by missing columns; extension types/functions used without the
+ *   extension, objects in schemas that are not modelled (once any are modelled)
+ * Runs at startup in the browser (window.SchemaValidate) and from Node:
+ *   node schema-validate.js [data.js | migration.sql ...]
+ * which exits with status 1 when errors are found.
+ * indexedLists (the column lists an index covers) is shared with the FK index audit.
+ */
+
+(function (root) {
+  "use strict";
+
+  const KNOWN_TYPES = new Set(["table", "enum", "view", "function", "trigger", "sequence", "extension", "schema"]);
+
+  // Types and default functions that come from an extension rather than core PostgreSQL
+  const EXTENSION_TYPES = { citext: "citext", geometry: "postgis", geography: "postgis", ltree: "ltree", hstore: "hstore" };
+  const EXTENSION_FUNCTIONS = {
+    uuid_generate_v1: "uuid-ossp", uuid_generate_v1mc: "uuid-ossp", uuid_generate_v4: "uuid-ossp",
+    gen_random_bytes: "pgcrypto", crypt: "pgcrypto"
+  };
+
+  // Built-in PostgreSQL (and extension) types, compared without modifiers or []
+  const BUILTIN_TYPES = new Set([
+    "uuid", "text", "varchar", "character varying", "char", "character", "citext",
+    "smallint", "integer", "int", "int2", "int4", "int8", "bigint", "serial", "bigserial", "smallserial",
+    "numeric", "decimal", "real", "float4", "float8", "double precision", "money",
+    "boolean", "bool", "date", "time", "timetz", "timestamp", "timestamptz",
+    "timestamp with time zone", "timestamp without time zone", "time with time zone", "interval",
+    "json", "jsonb", "bytea", "inet", "cidr", "macaddr", "tsvector", "xml",
+    "geometry", "geography", "point", "polygon", "ltree", "hstore"
+  ]);
+
+  // "VARCHAR(200)" → "varchar", "UUID[]" → "uuid", "geometry(Point,4326)" → "geometry"
+  function baseType(type) {
+    return String(type || "").replace(/\[\]/g, "").replace(/\(.*\)/, "").trim().toLowerCase();
+  }
+
+  function problem(severity, key, message) {
+    return { severity, key, message };
+  }
+
+  /**
+   * Validates a schema ({ objects }). Returns a list of problems:
+   * [{ severity: "error" | "warning", key, message }], errors first.
+   */
+  function validateSchema(schema) {
+    const problems = [];
+    const objects = (schema && schema.objects) || [];
+    const seenKeys = new Map();
+    const named = type => new Map(objects.filter(o => o.type === type).map(o => [o.name, o]));
+    const tables = named("table");
+    const enums = named("enum");
+    const views = named("view");
+    const functions = named("function");
+    const extensions = named("extension");
+    const schemas = named("schema");
+    const indexNames = new Map();
+
+    for (const o of objects) {
+      const key = o.key || null;
+      if (!o.key || !o.type || !o.name) {
+        problems.push(problem("error", key, `Object ${o.name || o.key || "(unnamed)"} is missing key, type or name`));
+        continue;
+      }
+      if (seenKeys.has(o.key)) {
+        problems.push(problem("error", key, `Duplicate key "${o.key}" (also used by ${seenKeys.get(o.key).type} ${seenKeys.get(o.key).name})`));
+      } else {
+        seenKeys.set(o.key, o);
+      }
+      if (!KNOWN_TYPES.has(o.type)) {
+        problems.push(problem("error", key, `Unknown object type "${o.type}"`));
+        continue;
+      }
+      if (o.key !== `${o.type}_${o.name}`) {
+        problems.push(problem("warning", key, `Key "${o.key}" does not follow the "${o.type}_${o.name}" convention`));
+      }
+      if (!o.domain) {
+        problems.push(problem("warning", key, `${o.name} has no domain`));
+      }
+      // "public" always exists, so only other schemas need to be modelled
+      if (schemas.size && o.schema && o.type !== "schema" && !schemas.has(o.schema)) {
+        problems.push(problem("warning", key, `${o.name} lives in schema "${o.schema}", which is not modelled`));
+      }
+
+      if (o.type === "table") validateTable(o, { tables, enums, extensions, indexNames }, problems);
+      else if (o.type === "enum") validateEnum(o, problems);
+      else if (o.type === "view") {
+        for (const base of o.baseTables || []) {
+          if (!tables.has(base) && !views.has(base)) {
+            problems.push(problem("error", key, `View ${o.name} lists base table "${base}", which does not exist`));
+          }
+        }
+        for (const s of o.staleColumns || []) {
+          problems.push(problem("warning", key, `View ${o.name} still uses ${s.table}.${s.column}, which was renamed to ${s.renamedTo} after the view was created`));
+        }
+      } else if (o.type === "function") {
+        validateFunction(o, problems);
+      } else if (o.type === "sequence") {
+        validateSequence(o, tables, problems);
+      } else if (o.type === "trigger") {
+        if (!tables.has(o.table)) {
+          problems.push(problem("error", key, `Trigger ${o.name} is on table "${o.table}", which does not exist`));
+        }
+        const fn = functions.get(o.function);
+        if (!fn) {
+          problems.push(problem("error", key, `Trigger ${o.name} executes function "${o.function}", which does not exist`));
+        } else if (fn.returnType && fn.returnType.toUpperCase() !== "TRIGGER") {
+          problems.push(problem("warning", key, `Trigger ${o.name} executes ${fn.name}, which returns ${fn.returnType} instead of TRIGGER`));
+        }
+        if (!/^(BEFORE|AFTER|INSTEAD OF) (INSERT|UPDATE|DELETE|TRUNCATE)( OR (INSERT|UPDATE|DELETE|TRUNCATE))*$/.test(o.timing || "")) {
+          problems.push(problem("warning", key, `Trigger ${o.name} has an unrecognised timing "${o.timing}"`));
+        }
+      }
+    }
+
+    return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1));
+  }
+
+  function validateTable(t, ctx, problems) {
+    const cols = new Map();
+    for (const col of t.columns || []) {
+      if (cols.has(col.name)) {
+        problems.push(problem("error", t.key, `Column ${t.name}.${col.name} is defined twice`));
+      }
+      cols.set(col.name, col);
+
+      const bt = baseType(col.type);
+      if (!BUILTIN_TYPES.has(bt) && !ctx.enums.has(bt)) {
+        problems.push(problem("error", t.key, `Column ${t.name}.${col.name} has type "${col.type}", which is neither built-in nor a known enum`));
+      }
+      // Only checked once the model lists extensions at all
+      if (ctx.extensions.size) {
+        const needs = [EXTENSION_TYPES[bt]];
+        for (const m of String(col.default || "").matchAll(/(\w+)\s*\(/g)) needs.push(EXTENSION_FUNCTIONS[m[1].toLowerCase()]);
+        for (const ext of needs) {
+          if (ext && !ctx.extensions.has(ext)) {
+            problems.push(problem("warning", t.key, `Column ${t.name}.${col.name} needs the ${ext} extension, which is not modelled`));
+          }
+        }
+      }
+
+      if (col.fk) {
+        const target = ctx.tables.get(col.fk.table);
+        if (!target) {
+          problems.push(problem("error", t.key, `FK ${t.name}.${col.name} references table "${col.fk.table}", which does not exist`));
+        } else if (!(target.columns || []).some(c => c.name === col.fk.column)) {
+          problems.push(problem("error", t.key, `FK ${t.name}.${col.name} references column "${col.fk.table}.${col.fk.column}", which does not exist`));
+        }
+      }
+
+      if (col.softRef) {
+        const target = ctx.tables.get(col.softRef.table);
+        const column = col.softRef.column || "id";
+        if (!target) {
+          problems.push(problem("error", t.key, `Soft reference ${t.name}.${col.name} points at table "${col.softRef.table}", which does not exist`));
+        } else if (!(target.columns || []).some(c => c.name === column)) {
+          problems.push(problem("error", t.key, `Soft reference ${t.name}.${col.name} points at column "${col.softRef.table}.${column}", which does not exist`));
+        }
+        if (!/\[\]$/.test(col.type || "") && !/^jsonb?$/.test(bt)) {
+          problems.push(problem("warning", t.key, `Soft reference ${t.name}.${col.name} is a ${col.type} column; expected an array or JSONB`));
+        }
+      }
+    }
+
+    for (const con of t.constraints || []) {
+      for (const c of con.columns || []) {
+        if (!cols.has(c)) {
+          problems.push(problem("error", t.key, `Constraint ${con.name} covers "${c}", which is not a column of ${t.name}`));
+        }
+      }
+      if (con.type === "check" && !con.expression) {
+        problems.push(problem("warning", t.key, `CHECK constraint ${con.name} on ${t.name} has no expression`));
+      }
+      if (con.type !== "fk" || !con.fk) continue;
+      const target = ctx.tables.get(con.fk.table);
+      if (!target) {
+        problems.push(problem("error", t.key, `FK ${con.name} references table "${con.fk.table}", which does not exist`));
+        continue;
+      }
+      if ((con.fk.columns || []).length !== (con.columns || []).length) {
+        problems.push(problem("error", t.key, `FK ${con.name} has ${con.columns.length} columns but references ${con.fk.columns.length}`));
+      }
+      for (const c of con.fk.columns || []) {
+        if (!(target.columns || []).some(tc => tc.name === c)) {
+          problems.push(problem("error", t.key, `FK ${con.name} references column "${con.fk.table}.${c}", which does not exist`));
+        }
+      }
+    }
+
+    if (!(t.columns || []).some(c => c.pk) && !(t.constraints || []).some(c => c.type === "pk")) {
+      problems.push(problem("warning", t.key, `Table ${t.name} has no primary key`));
+    }
+
+    for (const idx of t.indexes || []) {
+      if (ctx.indexNames.has(idx.name)) {
+        problems.push(problem("error", t.key, `Index name ${idx.name} is also used on ${ctx.indexNames.get(idx.name)}`));
+      } else {
+        ctx.indexNames.set(idx.name, t.name);
+      }
+      for (const c of idx.columns || []) {
+        // Expression indexes such as lower(name) are not checked
+        if (/[()\s]/.test(c)) continue;
+        if (!cols.has(c)) {
+          problems.push(problem("error", t.key, `Index ${idx.name} covers "${c}", which is not a column of ${t.name}`));
+        }
+      }
+    }
+  }
+
+  function validateFunction(fn, problems) {
+    const params = fn.params || [];
+    if (fn.returnType && fn.returnType.toUpperCase() === "TRIGGER" && params.length) {
+      problems.push(problem("error", fn.key, `Trigger function ${fn.name} declares parameters; trigger functions take their arguments from TG_ARGV`));
+    }
+    const seen = new Set();
+    for (const p of params) {
+      if (!p.name) continue;
+      if (seen.has(p.name)) problems.push(problem("error", fn.key, `Function ${fn.name} declares parameter "${p.name}" twice`));
+      seen.add(p.name);
+    }
+    if (fn.volatility && !/^(IMMUTABLE|STABLE|VOLATILE)$/.test(fn.volatility)) {
+      problems.push(problem("warning", fn.key, `Function ${fn.name} has an unrecognised volatility "${fn.volatility}"`));
+    }
+  }
+
+  function validateSequence(seq, tables, problems) {
+    if (seq.increment === 0) {
+      problems.push(problem("error", seq.key, `Sequence ${seq.name} has INCREMENT 0`));
+    }
+    if (seq.minValue != null && seq.maxValue != null && seq.minValue > seq.maxValue) {
+      problems.push(problem("error", seq.key, `Sequence ${seq.name} has MINVALUE ${seq.minValue} above MAXVALUE ${seq.maxValue}`));
+    }
+    if (!seq.ownedBy) return;
+    const table = tables.get(seq.ownedBy.table);
+    if (!table) {
+      problems.push(problem("error", seq.key, `Sequence ${seq.name} is owned by table "${seq.ownedBy.table}", which does not exist`));
+    } else if (!(table.columns || []).some(c => c.name === seq.ownedBy.column)) {
+      problems.push(problem("error", seq.key, `Sequence ${seq.name} is owned by column "${seq.ownedBy.table}.${seq.ownedBy.column}", which does not exist`));
+    }
+  }
+
+  function validateEnum(e, problems) {
+    const values = e.values || [];
+    if (!values.length) {
+      problems.push(problem("error", e.key, `Enum ${e.name} has no values`));
+    }
+    const seen = new Set();
+    for (const v of values) {
+      if (seen.has(v)) problems.push(problem("error", e.key, `Enum ${e.name} lists "${v}" twice`));
+      seen.add(v);
+    }
+  }
+
+  // Column lists backed by an index: explicit indexes plus PK/UNIQUE constraints, with a label
+  function indexedLists(tbl) {
+    const lists = (tbl.indexes || []).map(idx => ({ columns: idx.columns || [], label: idx.name || "index" }));
+    for (const col of tbl.columns || []) {
+      if (col.pk) lists.push({ columns: [col.name], label: "primary key" });
+      else if (col.unique) lists.push({ columns: [col.name], label: "unique constraint" });
+    }
+    for (const con of tbl.constraints || []) {
+      if (con.type === "pk") lists.push({ columns: con.columns, label: "primary key" });
+      if (con.type === "unique") lists.push({ columns: con.columns, label: con.name || "unique constraint" });
+    }
+    return lists;
+  }
+
+  const SchemaValidate = { validateSchema, indexedLists };
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node schema-validate.js [data.js | migration.sql ...]`;
+
+  function runCli(args) {
+    if (args.includes("--help")) {
+      console.log(USAGE);
+      return;
+    }
+    const unknown = args.find(a => a.startsWith("--"));
+    if (unknown) {
+      console.error(`Unknown option ${unknown}\n${USAGE}`);
+      process.exitCode = 2;
+      return;
+    }
+    const schema = require("./sql-import.js").loadSchemaFiles(args);
+
+    const problems = validateSchema(schema);
+    for (const p of problems) {
+      console.log(`${p.severity.padEnd(7)} ${String(p.key).padEnd(40)} ${p.message}`);
+    }
+    const errors = problems.filter(p => p.severity === "error").length;
+    console.log(`${(schema.objects || []).length} objects, ${errors} errors, ${problems.length - errors} warnings`);
+    process.exitCode = errors ? 1 : 0;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SchemaValidate;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.SchemaValidate = SchemaValidate;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,1215 @@
+/* Adams Apples v2 — Seed data generator
+ * Fills every table with realistic, reproducible sample rows for local development:
+ * - tables load in FK order; a cycle of nullable FKs (nursery_order_items ↔ nursery_batches)
+ *   is inserted as NULL first and set by a second pass of UPDATEs
+ * - NOT NULL columns always get a value, literal defaults are kept (payment_terms 30,
+ *   country 'USA'), enum columns use their enum's values, UNIQUE columns and keys never repeat,
+ *   and simple CHECKs (ranges, IN lists) bound the values
+ * - status columns (work orders, nursery orders, invoices, tree stage) and user roles cover
+ *   their whole enum; a status decides which lifecycle columns are filled, in date order
+ * - business formats from the function docs: tree numbers like A-HON-0001 built from the
+ *   tree's species and variety codes (generate_tree_number), and WO-/INV-/NO-2025-0001
+ *   document numbers (generate_document_number), with the sequences moved past them
+ * - output as SQL INSERTs, one CSV per table plus a psql load script, or JSON
+ * The same seed, row counts and schema always give the same rows.
+ * Runs in the browser (window.SeedData) and from Node:
+ *   node seed-data.js [data.js | migration.sql ...] [--rows 10] [--count trees=200,clients=5]
+ *     [--seed 42] [--year 2025] [--table name | --domain name] [--vary-defaults]
+ *     [--format sql|csv|json] [--out dir]
+ * which writes SQL or JSON to stdout, or the CSV files and load.sql into --out.
+ */
+
+(function (root) {
+  "use strict";
+
+  const { singular, parseType } = root.Naming || require("./naming.js");
+
+  const DEFAULT_ROWS = 10;
+  // Share of nullable columns (and nullable FKs) left NULL
+  const NULL_CHANCE = 0.3;
+  // Attempts at a row before a UNIQUE column or key is declared exhausted
+  const MAX_ATTEMPTS = 50;
+
+  // Words that must be quoted when used as identifiers
+  const RESERVED = new Set([
+    "all", "analyse", "analyze", "and", "any", "array", "as", "asc", "both", "case", "cast", "check",
+    "collate", "column", "constraint", "create", "current_date", "current_time", "current_timestamp",
+    "current_user", "default", "desc", "distinct", "do", "else", "end", "except", "false", "for",
+    "foreign", "from", "grant", "group", "having", "in", "initially", "intersect", "into", "leading",
+    "limit", "not", "null", "offset", "on", "only", "or", "order", "placing", "primary", "references",
+    "returning", "select", "session_user", "some", "table", "then", "to", "trailing", "true", "union",
+    "unique", "user", "using", "when", "where", "window", "with"
+  ]);
+
+  // Columns filled by generate_document_number(prefix, sequence): PREFIX-YEAR-0001
+  const DOCUMENT_NUMBERS = {
+    "work_orders.work_order_number": { prefix: "WO", sequence: "work_order_number_seq" },
+    "invoices.invoice_number": { prefix: "INV", sequence: "invoice_number_seq" },
+    "nursery_orders.order_number": { prefix: "NO", sequence: "nursery_order_number_seq" }
+  };
+
+  // ==========================================================================
+  // SAMPLE VALUES
+  // ==========================================================================
+  const FIRST_NAMES = ["Adam", "Maria", "James", "Linda", "Carlos", "Emily", "Noah", "Grace", "Henry",
+    "Sofia", "Walter", "Hannah", "Luis", "Ruth", "Owen", "Clara", "Daniel", "Mei", "Peter", "Alice"];
+  const LAST_NAMES = ["Adams", "Garcia", "Miller", "Johnson", "Nguyen", "Olsen", "Baker", "Ramirez",
+    "Fischer", "Kowalski", "Bennett", "Hughes", "Lindqvist", "Moreno", "Sato", "Walsh", "Price", "Ward"];
+  const FARM_WORDS = ["Hillside", "Cedar Creek", "Blue Ridge", "Maple Hollow", "Sunny Slope", "Riverbend",
+    "Stone Wall", "Orchard Lane", "Twin Oaks", "Red Barn", "Frost Hill", "Meadowbrook", "Wild Rose"];
+  const FARM_SUFFIXES = ["Orchards", "Farm", "Fruit Co.", "Family Farm", "Ranch", "Homestead"];
+  const SITE_SUFFIXES = ["Orchard", "Nursery", "Farm", "Block", "Greenhouse"];
+  const PLACES = [
+    { city: "Wenatchee", state: "WA", zip: "98801", area: "509", lat: 47.42, lon: -120.31 },
+    { city: "Yakima", state: "WA", zip: "98901", area: "509", lat: 46.6, lon: -120.51 },
+    { city: "Hood River", state: "OR", zip: "97031", area: "541", lat: 45.71, lon: -121.52 },
+    { city: "Traverse City", state: "MI", zip: "49684", area: "231", lat: 44.76, lon: -85.62 },
+    { city: "Geneva", state: "NY", zip: "14456", area: "315", lat: 42.87, lon: -76.98 },
+    { city: "Biglerville", state: "PA", zip: "17307", area: "717", lat: 39.93, lon: -77.25 },
+    { city: "Shoreham", state: "VT", zip: "05770", area: "802", lat: 43.89, lon: -73.31 }
+  ];
+  const STREETS = ["Orchard Rd", "Apple Way", "Cherry Ln", "Ridge Rd", "Valley View Dr", "Mill St", "County Rd 12"];
+  const SPECIES = [
+    { name: "Apple", latin: "Malus domestica", code: "A" },
+    { name: "Pear", latin: "Pyrus communis", code: "P" },
+    { name: "Peach", latin: "Prunus persica", code: "E" },
+    { name: "Cherry", latin: "Prunus avium", code: "C" },
+    { name: "Plum", latin: "Prunus domestica", code: "L" },
+    { name: "Apricot", latin: "Prunus armeniaca", code: "R" },
+    { name: "Quince", latin: "Cydonia oblonga", code: "Q" }
+  ];
+  const VARIETIES = [
+    { name: "Honeycrisp", code: "HON", species: "A" },
+    { name: "G.41", code: "G41", species: "A", rootstock: true },
+    { name: "Gala", code: "GAL", species: "A" },
+    { name: "M.9", code: "M9", species: "A", rootstock: true },
+    { name: "Cosmic Crisp", code: "COS", species: "A" },
+    { name: "Fuji", code: "FUJ", species: "A" },
+    { name: "B.9", code: "B9", species: "A", rootstock: true },
+    { name: "Granny Smith", code: "GRA", species: "A" },
+    { name: "Bartlett", code: "BAR", species: "P" },
+    { name: "OHxF 87", code: "OHF", species: "P", rootstock: true },
+    { name: "Bosc", code: "BOS", species: "P" },
+    { name: "Redhaven", code: "RED", species: "E" },
+    { name: "Bing", code: "BIN", species: "C" },
+    { name: "Gisela 5", code: "GI5", species: "C", rootstock: true },
+    { name: "Stanley", code: "STA", species: "L" }
+  ];
+  const WORK_CATEGORIES = ["Pruning", "Spraying", "Planting", "Harvest", "Irrigation", "Grafting", "Inspection", "Maintenance"];
+  const WORK_TYPES = ["Dormant pruning", "Summer pruning", "Fungicide spray", "Dormant oil spray", "Tree planting",
+    "Harvest crew", "Drip line repair", "Bench grafting", "Scouting walk", "Mowing", "Trellis repair", "Fertilizing"];
+  const TASKS = ["Prune the north block", "Spray copper before bud break", "Replace damaged tree guards",
+    "Plant replacement trees", "Fix drip line leaks", "Thin fruit on young trees", "Scout for fire blight",
+    "Mow between rows", "Harvest Honeycrisp", "Graft new rootstocks", "Tie leaders to the trellis"];
+  const INVENTORY = [
+    { name: "Copper fungicide", category: "CHEMICAL", unit: "gal" },
+    { name: "Dormant oil", category: "CHEMICAL", unit: "gal" },
+    { name: "10-10-10 fertilizer", category: "FERTILIZER", unit: "bag" },
+    { name: "Bypass pruners", category: "TOOL", unit: "each" },
+    { name: "Grafting tape", category: "SUPPLY", unit: "roll" },
+    { name: "Tree guards", category: "SUPPLY", unit: "each" },
+    { name: "Orchard ladder", category: "EQUIPMENT", unit: "each", equipment: true },
+    { name: "Airblast sprayer", category: "EQUIPMENT", unit: "each", equipment: true },
+    { name: "Drip emitters", category: "SUPPLY", unit: "box" },
+    { name: "Bamboo stakes", category: "SUPPLY", unit: "bundle" }
+  ];
+  const SENTENCES = ["Checked after the last frost.", "Client asked for a call before the crew arrives.",
+    "Some fire blight strikes on the south side.", "Irrigation was off for a week in July.",
+    "Good fruit set this season.", "Deer pressure along the east fence.", "Needs a follow-up visit in spring.",
+    "Soil is wet near the bottom rows.", "Leaders tied and guards replaced.", "Scab lesions on lower leaves."];
+  const ISSUES = ["fire blight", "apple scab", "powdery mildew", "codling moth", "aphids", "deer browse", "sunscald"];
+  const NAMED_VALUES = {
+    soil_type: ["Loam", "Sandy loam", "Silt loam", "Clay loam"],
+    irrigation_type: ["Drip", "Micro-sprinkler", "Overhead", "None"],
+    vigor_category: ["Dwarf", "Semi-dwarf", "Semi-vigorous", "Vigorous"],
+    row_orientation: ["N-S", "E-W", "NE-SW"],
+    graft_method: ["Whip and tongue", "Chip bud", "Cleft", "T-bud"],
+    delivery_method: ["Pickup", "Local delivery", "Freight"],
+    activity_type: ["Pruning", "Spraying", "Mowing", "Planting", "Harvest", "Scouting"],
+    weather_conditions: ["Sunny", "Overcast", "Light rain", "Windy", "Frost"],
+    trigger_type: ["STATUS_CHANGE", "THRESHOLD", "PATTERN"],
+    threshold_metric: ["vigor_rating", "disease_severity", "pest_damage_level"],
+    threshold_operator: [">=", "<=", ">", "<", "="],
+    ripening_window: ["Early Aug", "Late Aug", "Mid Sep", "Early Oct", "Late Oct"],
+    storage_quality: ["Excellent", "Good", "Fair", "Poor"],
+    origin: ["Minnesota, USA", "Washington, USA", "Japan", "New Zealand", "England"],
+    action: ["INSERT", "UPDATE", "DELETE"],
+    icon: ["scissors", "spray-can", "shovel", "tractor", "droplet", "apple"],
+    unit: ["each", "gal", "lb", "bag", "roll", "box"],
+    bank_name: ["Columbia Bank", "Cashmere Valley Bank", "US Bank", "Wells Fargo", "Chase"],
+    device_id: ["iphone-15-adam", "pixel-8-crew", "ipad-air-shop", "galaxy-tab-field"],
+    device_info: ["iPhone 15 / iOS 18", "Pixel 8 / Android 15", "iPad Air / iPadOS 18", "Chrome 131 / macOS"],
+    user_agent: ["Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 Safari/605.1.15",
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148",
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/131.0 Safari/537.36"],
+    mime_type: ["image/jpeg", "image/png", "image/heic"]
+  };
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+  // "tree_health_alert_rules" → "Tree health alert rule"
+  function humanize(name) {
+    const text = singular(name).replace(/_/g, " ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // "nursery_batches" → "NB"
+  function initials(name) {
+    return String(name).split("_").filter(Boolean).map(w => w.charAt(0).toUpperCase()).join("");
+  }
+
+  function pad(n, width = 4) {
+    return String(n).padStart(width, "0");
+  }
+
+  function pkColumns(table) {
+    const composite = (table.constraints || []).find(c => c.type === "pk");
+    if (composite) return composite.columns.slice();
+    return (table.columns || []).filter(c => c.pk).map(c => c.name);
+  }
+
+  function ident(name) {
+    return /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED.has(name) ? name : `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  function literal(text) {
+    return `'${String(text).replace(/'/g, "''")}'`;
+  }
+
+  // mulberry32 seeded from a string hash, so the same seed always replays the same rows
+  function createRandom(seed) {
+    let h = 2166136261;
+    for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+    let a = h >>> 0;
+    const next = () => {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const hex = n => Array.from({ length: n }, () => "0123456789abcdef"[int(0, 15)]).join("");
+    return {
+      next,
+      int,
+      hex,
+      chance: p => next() < p,
+      pick: list => list[Math.floor(next() * list.length)],
+      uuid: () => `${hex(8)}-${hex(4)}-4${hex(3)}-${"89ab"[int(0, 3)]}${hex(3)}-${hex(12)}`
+    };
+  }
+
+  /**
+   * Literal column defaults as values: "'USA'" → "USA", "30" → 30, "FALSE" → false.
+   * Function defaults (NOW(), uuid_generate_v4(), nextval) return undefined.
+   */
+  function defaultValue(col) {
+    if (col.default === undefined || col.default === null) return undefined;
+    const text = String(col.default).trim().replace(/::[\w\s.]+(\[\])?$/, "");
+    if (/^'.*'$/s.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+    if (/^-?\d+(\.\d+)?$/.test(text)) return /^(NUMERIC|DECIMAL)$/.test(parseType(col.type).base) ? text : Number(text);
+    if (/^(TRUE|FALSE)$/i.test(text)) return /^TRUE$/i.test(text);
+    if (/^NULL$/i.test(text)) return null;
+    return undefined;
+  }
+
+  /**
+   * Bounds from single-column CHECKs this generator understands: "x BETWEEN 1 AND 5",
+   * "x >= 1 AND x <= 5", "x IS NOT NULL" and "x IN ('A', 'B')". Returns Map column →
+   * { min, max, values, notNull } and the names of the CHECKs it couldn't read.
+   */
+  function checkBounds(table) {
+    const bounds = new Map();
+    const unread = [];
+    for (const con of (table.constraints || []).filter(c => c.type === "check")) {
+      const expr = String(con.expression || "").trim().replace(/^\((.*)\)$/s, "$1").trim();
+      const col = con.columns && con.columns.length === 1 ? con.columns[0] : null;
+      const b = bounds.get(col) || {};
+      let m;
+      let ok = Boolean(col);
+      if (ok && (m = expr.match(/^(\w+)\s+BETWEEN\s+(-?[\d.]+)\s+AND\s+(-?[\d.]+)$/i)) && m[1] === col) {
+        b.min = Number(m[2]);
+        b.max = Number(m[3]);
+      } else if (ok && (m = expr.match(/^(\w+)\s+IN\s*\((.*)\)$/is)) && m[1] === col) {
+        b.values = m[2].split(",").map(v => v.trim()).map(v => (/^'.*'$/.test(v) ? v.slice(1, -1) : Number(v)));
+      } else if (ok) {
+        for (const part of expr.split(/\s+AND\s+/i)) {
+          if ((m = part.trim().match(/^(\w+)\s+IS\s+NOT\s+NULL$/i)) && m[1] === col) {
+            b.notNull = true;
+            continue;
+          }
+          m = part.trim().replace(/^\((.*)\)$/, "$1").match(/^(\w+)\s*(>=|>|<=|<)\s*(-?[\d.]+)$/);
+          if (!m || m[1] !== col) { ok = false; break; }
+          const n = Number(m[3]);
+          if (m[2] === ">=") b.min = n;
+          else if (m[2] === ">") b.min = n + 1;
+          else if (m[2] === "<=") b.max = n;
+          else b.max = n - 1;
+        }
+      }
+      if (ok) bounds.set(col, b);
+      else unread.push(con.name);
+    }
+    return { bounds, unread };
+  }
+
+  /**
+   * Outgoing references of a table: single-column FKs and composite FKs, as
+   * { columns, parent, parentColumns, nullable }.
+   */
+  function references(table) {
+    const refs = [];
+    for (const col of table.columns || []) {
+      if (col.fk && col.fk.table) {
+        refs.push({ columns: [col.name], parent: col.fk.table, parentColumns: [col.fk.column || "id"], nullable: col.nullable !== false });
+      }
+    }
+    for (const con of (table.constraints || []).filter(c => c.type === "fk" && c.fk)) {
+      const cols = con.columns.map(n => table.columns.find(c => c.name === n)).filter(Boolean);
+      refs.push({ columns: con.columns.slice(), parent: con.fk.table, parentColumns: con.fk.columns.slice(), nullable: cols.every(c => c.nullable !== false) });
+    }
+    return refs;
+  }
+
+  // Tables to fill: the requested ones plus every table they need through NOT NULL FKs, and
+  // the varieties a tree number is built from
+  function scopeTables(tables, byName, keys) {
+    if (!keys) return tables.slice();
+    const wanted = new Set(tables.filter(t => keys.includes(t.key)).map(t => t.name));
+    const queue = Array.from(wanted);
+    while (queue.length) {
+      const t = byName.get(queue.shift());
+      const numbered = t.columns.some(c => c.name === "tree_number");
+      for (const ref of references(t)) {
+        const needed = !ref.nullable || (numbered && /variet/.test(ref.columns[0]) && !/rootstock/.test(ref.columns[0]));
+        if (needed && byName.has(ref.parent) && !wanted.has(ref.parent)) {
+          wanted.add(ref.parent);
+          queue.push(ref.parent);
+        }
+      }
+    }
+    return tables.filter(t => wanted.has(t.name));
+  }
+
+  /**
+   * Orders tables so parents load before children. When the remaining tables only reference
+   * each other, the one with the fewest outstanding references — all nullable — goes first and
+   * those references are deferred to UPDATEs. NOT NULL cycles can't be loaded and throw.
+   */
+  function loadOrder(tables) {
+    const names = new Set(tables.map(t => t.name));
+    const remaining = tables.slice();
+    const done = new Set();
+    const deferred = new Set();
+    const order = [];
+    const pending = t => references(t).filter(r => r.parent !== t.name && names.has(r.parent) && !done.has(r.parent));
+    const refKey = (t, r) => `${t.name}.${r.columns.join(",")}`;
+    while (remaining.length) {
+      let next = remaining.find(t => !pending(t).length);
+      if (!next) {
+        const candidates = remaining.filter(t => pending(t).every(r => r.nullable));
+        if (!candidates.length) {
+          throw new Error(`Can't order ${remaining.map(t => t.name).join(", ")}: they reference each other through NOT NULL columns`);
+        }
+        next = candidates.reduce((best, t) => (pending(t).length < pending(best).length ? t : best));
+        for (const r of pending(next)) deferred.add(refKey(next, r));
+      }
+      order.push(next);
+      done.add(next.name);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+    return { order, deferred, refKey };
+  }
+
+  // ==========================================================================
+  // VALUES
+  // ==========================================================================
+  function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+
+  function timestamp(ms, zone) {
+    const text = new Date(ms).toISOString().slice(0, 19);
+    return zone ? `${text}Z` : text;
+  }
+
+  // A moment in the seed year, during working hours
+  function moment(ctx) {
+    const day = Date.UTC(ctx.year, 0, 1) + ctx.random.int(0, 364) * 86400000;
+    return day + ctx.random.int(7, 17) * 3600000 + ctx.random.int(0, 3) * 900000;
+  }
+
+  function clamp(n, b) {
+    if (b && b.min !== undefined && n < b.min) return b.min;
+    if (b && b.max !== undefined && n > b.max) return b.max;
+    return n;
+  }
+
+  function integerValue(ctx, col, i, b) {
+    const { random, year } = ctx;
+    const name = col.name;
+    let n;
+    if (b && b.min !== undefined && b.max !== undefined) n = random.int(b.min, b.max);
+    else if (name === "payment_terms") n = random.pick([15, 30, 45, 60]);
+    else if (/year|season/.test(name)) n = /first_harvest|expected_production/.test(name) ? random.int(year, year + 4) : random.int(year - 25, year);
+    else if (/_doy$/.test(name)) n = random.int(200, 290);
+    else if (/(rating|resistance|vigor|condition|quality|level|severity|group)$/.test(name)) n = random.int(1, 5);
+    else if (/zone$/.test(name)) n = random.int(3, 8);
+    else if (/break_minutes$/.test(name)) n = random.pick([0, 15, 30, 45]);
+    else if (/minutes$/.test(name)) n = random.int(2, 32) * 15;
+    else if (/photo_count|occurrences/.test(name)) n = random.int(0, 5);
+    else if (/(count|quantity|_qty)/.test(name)) n = random.int(1, 300);
+    else if (/days$/.test(name)) n = random.int(3, 60);
+    else if (/hours$/.test(name)) n = random.pick([12, 24, 48, 72]);
+    else if (/months$/.test(name)) n = random.int(1, 9);
+    else if (/meters$/.test(name)) n = random.int(2, 50) * 10;
+    else if (/temperature/.test(name)) n = random.int(28, 95);
+    else if (/sort_order|position/.test(name)) n = i + 1;
+    else if (/size$/.test(name)) n = random.int(40, 5000) * 1000;
+    else if (/rows$|per_row$/.test(name)) n = random.int(8, 60);
+    else n = random.int(1, 100);
+    const base = parseType(col.type).base;
+    return clamp(base === "SMALLINT" ? Math.min(n, 32767) : n, b);
+  }
+
+  function decimalValue(ctx, col, type, b) {
+    const { random } = ctx;
+    const name = col.name;
+    const precision = Number(type.args[0]) || 12;
+    const scale = type.args[1] !== undefined ? Number(type.args[1]) : 2;
+    let [min, max] = [1, 500];
+    if (/latitude/.test(name)) [min, max] = [46.5, 47.9];
+    else if (/longitude/.test(name)) [min, max] = [-121, -119.5];
+    else if (/tax_rate/.test(name)) [min, max] = [0.05, 0.095];
+    else if (/percentage|score/.test(name)) [min, max] = [40, 100];
+    else if (/billable_rate/.test(name)) [min, max] = [55, 120];
+    else if (/rate$/.test(name)) [min, max] = [18, 60];
+    else if (/price|cost|amount|subtotal|total|balance|paid|billable/.test(name)) [min, max] = [5, 2500];
+    else if (/hours/.test(name)) [min, max] = [1, 40];
+    else if (/acreage/.test(name)) [min, max] = [1, 80];
+    else if (/_ft$/.test(name)) [min, max] = /spacing/.test(name) ? [3, 18] : [6, 20];
+    else if (/threshold/.test(name)) [min, max] = [1, 5];
+    const limit = Math.pow(10, precision - scale) - Math.pow(10, -scale);
+    min = Math.max(clamp(min, b), -limit);
+    max = Math.min(clamp(max, b), limit);
+    return (min + random.next() * (max - min)).toFixed(scale);
+  }
+
+  // Pool entries shared by the columns of one row, so a client's contact name and email match
+  function rowPick(ctx, picks, key, make) {
+    if (!picks.has(key)) picks.set(key, make(ctx.random));
+    return picks.get(key);
+  }
+
+  function person(ctx, picks) {
+    return rowPick(ctx, picks, "person", random => ({ first: random.pick(FIRST_NAMES), last: random.pick(LAST_NAMES) }));
+  }
+
+  function place(ctx, picks) {
+    return rowPick(ctx, picks, "place", random => Object.assign({ street: `${random.int(100, 9899)} ${random.pick(STREETS)}` }, random.pick(PLACES)));
+  }
+
+  function nameValue(ctx, table, row, picks, i) {
+    const { random } = ctx;
+    if (table.columns.some(c => c.name === "first_name")) {
+      const p = person(ctx, picks);
+      return `${p.first} ${p.last}`;
+    }
+    if (/client|customer/.test(table.name)) return `${random.pick(FARM_WORDS)} ${random.pick(FARM_SUFFIXES)}`;
+    if (/location|site/.test(table.name)) return `${random.pick(FARM_WORDS)} ${random.pick(SITE_SUFFIXES)}`;
+    if (/block/.test(table.name)) return `Block ${"ABCDEFGHIJKLMNOPQRSTUVWXYZ"[i % 26]}${i >= 26 ? Math.floor(i / 26) + 1 : ""}`;
+    return `${humanize(table.name)} ${i + 1}`;
+  }
+
+  function textValue(ctx, table, col, row, picks, i) {
+    const { random, year } = ctx;
+    const name = col.name;
+    if (NAMED_VALUES[name]) return random.pick(NAMED_VALUES[name]);
+    if (name === "email" || /_email$/.test(name)) {
+      const p = person(ctx, picks);
+      return `${p.first}.${p.last}${random.int(1, 99)}@example.com`.toLowerCase();
+    }
+    if (/password_hash/.test(name)) {
+      const chars = "./ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+      return "$2a$10$" + Array.from({ length: 53 }, () => chars[random.int(0, chars.length - 1)]).join("");
+    }
+    if (name === "first_name") return person(ctx, picks).first;
+    if (name === "last_name") return person(ctx, picks).last;
+    if (/contact_name|_by_name$/.test(name)) return `${person(ctx, picks).first} ${person(ctx, picks).last}`;
+    if (name === "name") return nameValue(ctx, table, row, picks, i);
+    // The type half of a polymorphic pair (audit_log.entity_type) names a seeded table
+    if (/_type$/.test(name) && table.columns.some(c => c.name === name.replace(/_type$/, "_id") && !c.fk)) {
+      const seeded = Array.from(ctx.rows.keys()).filter(n => ctx.rows.get(n).length);
+      return random.pick(seeded.length ? seeded : [table.name]);
+    }
+    if (name === "title") return /work_order/.test(table.name) ? random.pick(TASKS) : `${humanize(table.name)} ${i + 1}`;
+    if (/address$/.test(name)) {
+      const p = place(ctx, picks);
+      return `${p.street}, ${p.city}, ${p.state} ${p.zip}`;
+    }
+    if (name === "city") return place(ctx, picks).city;
+    if (name === "state") return place(ctx, picks).state;
+    if (/zip|postal/.test(name)) return place(ctx, picks).zip;
+    if (name === "country") return "USA";
+    if (/phone/.test(name)) return `(${place(ctx, picks).area}) 555-${pad(random.int(100, 9999))}`;
+    if (name === "tax_id") return `${random.int(10, 99)}-${random.int(1000000, 9999999)}`;
+    if (name === "sku") return `SKU-${pad(i + 1, 5)}`;
+    if (/color/.test(name)) return `#${random.hex(6).toUpperCase()}`;
+    if (name === "file_path") return `photos/${year}/${random.uuid()}.jpg`;
+    if (name === "file_name") return `IMG_${pad(random.int(1, 9999))}.jpg`;
+    if (name === "token") return random.hex(64);
+    if (name === "last_four") return pad(random.int(0, 9999));
+    if (name === "check_number") return String(random.int(1001, 9999));
+    if (name === "transaction_id") return `txn_${random.hex(16)}`;
+    if (name === "reference_number") return `REF-${random.int(100000, 999999)}`;
+    if (name === "patent_number") return `PP${random.int(10000, 35000)}`;
+    if (/^(nursery_)?block$/.test(name)) return random.pick(["A", "B", "C", "D"]);
+    if (/^(nursery_)?row$/.test(name)) return `R${random.int(1, 40)}`;
+    if (/_number$/.test(name) && col.unique) {
+      const prefix = initials(table.name);
+      return `${prefix}-${year}-${pad(next(ctx, `${prefix}-${year}`))}`;
+    }
+    if (/_number$/.test(name)) return String(random.int(1000, 99999));
+    if (/code$/.test(name)) return `${initials(table.name)}${i + 1}`;
+    if (/notes|description|message|comment|caption|reason|terms|template|symptoms|treatment|summary/.test(name)) {
+      return random.pick(SENTENCES);
+    }
+    return `${humanize(name)} ${i + 1}`;
+  }
+
+  function next(ctx, counter) {
+    const n = (ctx.counters.get(counter) || 0) + 1;
+    ctx.counters.set(counter, n);
+    return n;
+  }
+
+  /**
+   * generate_tree_number(species, variety): the row's variety FK leads to a table with a code,
+   * whose species FK leads to another table with a code. Trees always get that variety, since
+   * the number depends on it.
+   */
+  function treeNumber(ctx, table, row) {
+    const fks = table.columns.filter(c => c.fk && !/rootstock/.test(c.name));
+    fks.sort((a, b) => Number(/variet/.test(b.name)) - Number(/variet/.test(a.name)));
+    for (const col of fks) {
+      const parent = ctx.byName.get(col.fk.table);
+      if (!parent || !parent.columns.some(c => c.name === "code")) continue;
+      const speciesCol = parent.columns.find(c => c.fk && ctx.byName.has(c.fk.table) &&
+        ctx.byName.get(c.fk.table).columns.some(g => g.name === "code"));
+      if (!speciesCol || !(ctx.rows.get(parent.name) || []).length) continue;
+      if (row[col.name] === null) row[col.name] = referenceTarget(ctx, col, parent.name, [col.fk.column || "id"])[0];
+      const variety = lookup(ctx, parent.name, row[col.name]);
+      const species = variety && lookup(ctx, speciesCol.fk.table, variety[speciesCol.name]);
+      if (!species) continue;
+      const varietyCode = variety.code || String(variety.variety_name || variety.name || "XXX").replace(/[^A-Za-z]/g, "").slice(0, 3);
+      const prefix = `${species.code}-${varietyCode.toUpperCase()}-`;
+      return prefix + pad(next(ctx, prefix));
+    }
+    return `X-XXX-${pad(next(ctx, "X-XXX-"))}`;
+  }
+
+  function lookup(ctx, tableName, id) {
+    const index = ctx.index.get(tableName);
+    return index && id !== null ? index.get(id) : undefined;
+  }
+
+  /**
+   * Parent rows a reference may point at: scion/rootstock FKs prefer varieties that are (or
+   * aren't) rootstocks. Returns the chosen parent's referenced values, or null when there are none.
+   */
+  function referenceTarget(ctx, col, parent, parentColumns) {
+    let rows = ctx.rows.get(parent) || [];
+    const role = /rootstock/.test(col.name) ? true : /scion/.test(col.name) ? false : null;
+    if (role !== null && rows.some(r => "is_rootstock" in r)) {
+      const matching = rows.filter(r => r.is_rootstock === role);
+      if (matching.length) rows = matching;
+    }
+    if (!rows.length) return null;
+    const target = ctx.random.pick(rows);
+    return parentColumns.map(c => target[c]);
+  }
+
+  // Lookup tables stop at their sample list unless a count asks for more
+  const NATURAL_ROWS = { fruit_species: SPECIES.length, work_order_categories: WORK_CATEGORIES.length };
+
+  // Values for tables whose columns only make sense together (species name, latin name, code)
+  const PROFILES = {
+    fruit_species(ctx, row, i) {
+      const entry = SPECIES[i % SPECIES.length];
+      const round = Math.floor(i / SPECIES.length);
+      return {
+        common_name: round ? `${entry.name} ${round + 1}` : entry.name,
+        scientific_name: entry.latin,
+        code: round ? "ABCDEFGHIJKLMNOPQRSTUVWXYZ"[ctx.random.int(0, 25)] : entry.code
+      };
+    },
+    varieties(ctx, row, i) {
+      const entry = VARIETIES[i % VARIETIES.length];
+      const round = Math.floor(i / VARIETIES.length);
+      const species = (ctx.rows.get("fruit_species") || []).find(s => s.code === entry.species);
+      const latin = SPECIES.find(s => s.code === entry.species).latin;
+      const values = {
+        variety_name: round ? `${entry.name} ${round + 1}` : entry.name,
+        code: round ? `${entry.code}${round + 1}` : entry.code,
+        scientific_name: `${latin} '${entry.name}'`,
+        is_rootstock: Boolean(entry.rootstock)
+      };
+      if (species) values.species_id = species.id;
+      return values;
+    },
+    work_order_categories(ctx, row, i) {
+      const round = Math.floor(i / WORK_CATEGORIES.length);
+      return { name: WORK_CATEGORIES[i % WORK_CATEGORIES.length] + (round ? ` ${round + 1}` : "") };
+    },
+    work_order_types(ctx) {
+      return { name: ctx.random.pick(WORK_TYPES) };
+    },
+    // Every role gets users, whatever the default. Staff roles belong to no client; client
+    // roles (the portal users) always have one
+    users(ctx, row) {
+      const col = ctx.byName.get("users").columns.find(c => c.name === "role");
+      const roles = col ? ctx.enums.get(parseType(col.type).name.toLowerCase()) || [] : [];
+      if (!roles.length) return {};
+      const role = ctx.random.pick(roles);
+      if (!("client_id" in row)) return { role };
+      const clients = ctx.rows.get("clients") || [];
+      if (!/CLIENT/.test(role)) return { role, client_id: null };
+      if (!clients.length) return { role: roles.find(r => !/CLIENT/.test(r)) || role, client_id: null };
+      return { role, client_id: row.client_id || ctx.random.pick(clients).id };
+    },
+    inventory_items(ctx, row, i) {
+      const entry = INVENTORY[i % INVENTORY.length];
+      const values = { name: entry.name, unit: entry.unit, is_equipment: Boolean(entry.equipment) };
+      if ((ctx.enums.get("inventory_category") || []).includes(entry.category)) values.category = entry.category;
+      return values;
+    },
+    // INSERT has only new values, DELETE only old ones, and an UPDATE changes what it lists
+    audit_log(ctx) {
+      const { random } = ctx;
+      const action = random.pick(NAMED_VALUES.action);
+      const at = moment(ctx);
+      const before = { notes: random.pick(SENTENCES), updated_at: timestamp(at, true) };
+      const after = {
+        notes: random.pick(SENTENCES.filter(s => s !== before.notes)),
+        updated_at: timestamp(at + random.int(1, 30) * 86400000, true)
+      };
+      return {
+        action,
+        old_values: action === "INSERT" ? null : before,
+        new_values: action === "DELETE" ? null : after,
+        changed_fields: action === "UPDATE" ? Object.keys(after) : null
+      };
+    }
+  };
+
+  /**
+   * Status columns that decide which lifecycle columns a row fills in. Each step lists the
+   * columns recorded when the row reaches it; a status reaches the steps listed for it, and
+   * the columns of every other step stay NULL. The status is picked from its enum in every
+   * row, so all of a lifecycle shows up without --vary-defaults.
+   */
+  const LIFECYCLES = {
+    work_orders: {
+      status: "status",
+      from: "created_at",
+      steps: {
+        proposed: ["proposed_at", "proposed_by_id"],
+        approved: ["approved_at", "approved_by_id"],
+        denied: ["denied_at", "denied_by_id", "denial_reason"],
+        started: ["actual_start"],
+        completed: ["completed_at", "actual_end", "completed_by_id", "actual_hours", "actual_labor_cost", "actual_billable", "completion_notes"],
+        verified: ["verified_at", "verified_by_id"]
+      },
+      reached: {
+        PROPOSED: ["proposed"],
+        CLIENT_REVIEW: ["proposed"],
+        APPROVED: ["proposed", "approved"],
+        DENIED: ["proposed", "denied"],
+        SCHEDULED: ["proposed", "approved"],
+        IN_PROGRESS: ["proposed", "approved", "started"],
+        COMPLETED: ["proposed", "approved", "started", "completed"],
+        VERIFIED: ["proposed", "approved", "started", "completed", "verified"],
+        INVOICED: ["proposed", "approved", "started", "completed", "verified"],
+        CANCELLED: ["proposed"]
+      }
+    },
+    nursery_orders: {
+      status: "status",
+      from: "order_date",
+      steps: { ready: ["actual_ready_date"] },
+      reached: { READY: ["ready"], PARTIALLY_SHIPPED: ["ready"], COMPLETED: ["ready"] }
+    },
+    invoices: {
+      status: "status",
+      from: "created_at",
+      steps: { sent: ["sent_at", "sent_by"] },
+      reached: { SENT: ["sent"], PARTIALLY_PAID: ["sent"], PAID: ["sent"], OVERDUE: ["sent"], VOID: ["sent"] }
+    },
+    trees: {
+      status: "stage",
+      from: "created_at",
+      steps: {
+        reserved: ["reserved_date", "reserved_for_client_id"],
+        sold: ["sold_date", "sold_to_client_id", "sale_price"]
+      },
+      reached: { RESERVED: ["reserved"], READY_TO_SHIP: ["reserved"], SOLD_OFFSITE: ["reserved", "sold"] }
+    }
+  };
+
+  function columnValue(ctx, table, col, row, picks, i, bounds) {
+    const { random, year } = ctx;
+    const type = parseType(col.type);
+    const enumValues = ctx.enums.get(type.name.toLowerCase());
+    const b = bounds.get(col.name);
+    const isKey = pkColumns(table).includes(col.name);
+
+    const fallback = defaultValue(col);
+    if (fallback !== undefined && !(ctx.varyDefaults && random.chance(0.5))) return fallback;
+    if (col.nullable !== false && !isKey && !(b && b.notNull) && random.chance(NULL_CHANCE)) return null;
+
+    const doc = ctx.documents.get(`${table.name}.${col.name}`);
+    if (doc) {
+      const n = next(ctx, doc.sequence);
+      if (ctx.sequenceNames.has(doc.sequence)) ctx.sequences.set(doc.sequence, n);
+      return `${doc.prefix}-${year}-${pad(n)}`;
+    }
+    if (col.name === "tree_number") return treeNumber(ctx, table, row);
+    if (b && b.values) return random.pick(b.values);
+    if (enumValues && enumValues.length) {
+      if (!type.array) return random.pick(enumValues);
+      return enumValues.filter(() => random.chance(0.4)).slice(0, 3);
+    }
+    if (col.softRef || (type.base === "UUID" && !isKey && polymorphicType(table, col))) return ctx.late;
+
+    const base = type.base;
+    if (type.array) {
+      const words = /issue|pest|disease/.test(col.name) ? ISSUES : col.name === "changed_fields" ? ["status", "notes", "updated_at"] : SENTENCES;
+      const values = words.filter(() => random.chance(0.3)).slice(0, 3);
+      return values.length ? values : [random.pick(words)];
+    }
+    if (base === "UUID") return random.uuid();
+    if (/^(SMALLSERIAL|SERIAL|BIGSERIAL)$/.test(base) || col.identity || (isKey && /nextval/i.test(col.default || ""))) {
+      const seq = /nextval\('([^']+)'/.exec(col.default || "");
+      ctx.sequences.set(seq ? seq[1] : `${table.name}_${col.name}_seq`, i + 1);
+      return i + 1;
+    }
+    if (base === "BOOLEAN" || base === "BOOL") return /^is_active$/.test(col.name) ? random.chance(0.85) : random.chance(0.5);
+    if (/^(SMALLINT|INTEGER|INT|INT2|INT4|INT8|BIGINT)$/.test(base)) return integerValue(ctx, col, i, b);
+    if (/^(NUMERIC|DECIMAL)$/.test(base)) return decimalValue(ctx, col, type, b);
+    if (/^(REAL|DOUBLE PRECISION|FLOAT4|FLOAT8)$/.test(base)) return Number(decimalValue(ctx, col, { args: ["12", "4"] }, b));
+    if (base === "DATE") return isoDate(moment(ctx));
+    if (/^TIMESTAMP/.test(base)) return timestamp(moment(ctx), base === "TIMESTAMPTZ" || /WITH TIME ZONE/.test(base));
+    if (/^TIME/.test(base)) return `${pad(random.int(7, 17), 2)}:${pad(random.int(0, 3) * 15, 2)}:00`;
+    if (base === "JSON" || base === "JSONB") return { source: "seed", row: i + 1 };
+    if (base === "INET" || base === "CIDR") return `10.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`;
+    if (base === "BYTEA") return `\\x${random.hex(16)}`;
+    if (base === "GEOMETRY" || base === "GEOGRAPHY") {
+      const p = place(ctx, picks);
+      const lon = (p.lon + random.next() * 0.05).toFixed(5);
+      const lat = (p.lat + random.next() * 0.05).toFixed(5);
+      if (/polygon/i.test(type.args[0] || "")) {
+        const [x, y, d] = [Number(lon), Number(lat), 0.002];
+        const ring = [[x, y], [x + d, y], [x + d, y + d], [x, y + d], [x, y]].map(([px, py]) => `${px.toFixed(5)} ${py.toFixed(5)}`);
+        return `SRID=4326;POLYGON((${ring.join(", ")}))`;
+      }
+      return `SRID=4326;POINT(${lon} ${lat})`;
+    }
+    const text = textValue(ctx, table, col, row, picks, i);
+    const length = /^(VARCHAR|CHAR|CHARACTER VARYING|CHARACTER)$/.test(base) && type.args[0] ? Number(type.args[0]) : 0;
+    return length ? text.slice(0, length) : text;
+  }
+
+  // The "<x>_type" column naming the table a "<x>_id" column without an FK points at
+  function polymorphicType(table, col) {
+    const m = /^(\w+)_id$/.exec(col.name);
+    return m && !col.fk ? table.columns.find(c => c.name === `${m[1]}_type`) : undefined;
+  }
+
+  // "TREE" / "trees" / "Nursery batch" → the generated table it names
+  function namedTable(ctx, value) {
+    const base = String(value || "").toLowerCase().replace(/\s+/g, "_");
+    const guesses = [base, `${base}s`, `${base}es`, base.replace(/y$/, "ies")];
+    return guesses.find(name => (ctx.rows.get(name) || []).length);
+  }
+
+  /**
+   * Keeps ranges in the right order and line totals consistent: *_end after *_start,
+   * *_max ≥ *_min, updated_at and other *_at stamps (last_login_at, sent_at) after
+   * created_at, total = quantity × unit_price.
+   */
+  function tidyRow(ctx, table, row) {
+    const pairs = [["end", "start"], ["max", "min"], ["updated", "created"]];
+    for (const col of table.columns) {
+      for (const [late, early] of pairs) {
+        const other = col.name.replace(late, early);
+        if (other === col.name || !(other in row) || row[col.name] === null || row[other] === null) continue;
+        const a = row[other];
+        const z = row[col.name];
+        if (typeof a === "number" && z < a) row[col.name] = a + Math.max(1, Math.round(a * 0.1));
+        else if (typeof a === "string" && /^-?\d+(\.\d+)?$/.test(a) && Number(z) < Number(a)) {
+          row[col.name] = (Number(a) * 1.25).toFixed((a.split(".")[1] || "").length);
+        } else if (typeof a === "string" && /^\d{4}-\d\d-\d\d/.test(a) && z <= a) {
+          const ms = Date.parse(/T/.test(a) && !/Z$/.test(a) ? `${a}Z` : a);
+          const later = ms + (/T/.test(a) ? 4 * 3600000 : 7 * 86400000);
+          row[col.name] = /T/.test(a) ? timestamp(later, /Z$/.test(a)) : isoDate(later);
+        }
+      }
+    }
+    // An event stamped before the row existed moves to a later day of the seed year
+    const created = row.created_at;
+    if (typeof created === "string" && /^\d{4}-\d\d-\d\dT/.test(created)) {
+      const ms = Date.parse(/Z$/.test(created) ? created : `${created}Z`);
+      const daysLeft = Math.max(0, Math.floor((Date.UTC(ctx.year + 1, 0, 1) - ms) / 86400000) - 1);
+      for (const col of table.columns) {
+        const z = row[col.name];
+        if (!/_at$/.test(col.name) || typeof z !== "string" || !/^\d{4}-\d\d-\d\dT/.test(z) || z >= created) continue;
+        const later = ms + ctx.random.int(0, daysLeft) * 86400000 + ctx.random.int(1, 8) * 900000;
+        row[col.name] = timestamp(later, /Z$/.test(z));
+      }
+    }
+    const qty = ["quantity", "quantity_ordered"].find(n => typeof row[n] === "number" || /^\d/.test(row[n] || ""));
+    const total = ["total_price", "total_amount"].find(n => n in row);
+    if (qty && total && row.unit_price !== null && row.unit_price !== undefined) {
+      const scale = (String(row.unit_price).split(".")[1] || "").length;
+      row[total] = (Number(row[qty]) * Number(row.unit_price)).toFixed(scale);
+    }
+  }
+
+  function toMs(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d\d-\d\d/.test(value)) return NaN;
+    return Date.parse(/T/.test(value) && !/Z$/.test(value) ? `${value}Z` : value);
+  }
+
+  /**
+   * Picks the row's status and fills in the lifecycle it implies (LIFECYCLES): the dates of
+   * the steps it reached follow each other from the `from` column, their FKs point at a row
+   * (a step whose FK has no parent row to point at isn't reached), and the columns of the
+   * steps it didn't reach are NULL. updated_at moves up to the last step.
+   */
+  function followStatus(ctx, table, row) {
+    const life = LIFECYCLES[table.name];
+    const statusCol = life && table.columns.find(c => c.name === life.status);
+    const statuses = statusCol ? ctx.enums.get(parseType(statusCol.type).name.toLowerCase()) : null;
+    if (!statuses || !statuses.length) return;
+    const { random } = ctx;
+    row[life.status] = random.pick(statuses);
+    const reached = life.reached[row[life.status]] || [];
+    let ms = toMs(row[life.from]);
+    if (Number.isNaN(ms)) ms = moment(ctx);
+    let stopped = false;
+    for (const [step, names] of Object.entries(life.steps)) {
+      const cols = names.map(n => table.columns.find(c => c.name === n)).filter(Boolean);
+      const targets = new Map();
+      for (const col of cols.filter(c => c.fk && row[c.name] === null && reached.includes(step) && !stopped)) {
+        const values = referenceTarget(ctx, col, col.fk.table, [col.fk.column || "id"]);
+        if (values) targets.set(col.name, values[0]);
+        else stopped = true;
+      }
+      if (!reached.includes(step) || stopped) {
+        for (const col of cols) if (col.nullable !== false) row[col.name] = null;
+        continue;
+      }
+      ms += random.int(1, 10) * 86400000 + random.int(0, 8) * 900000;
+      for (const col of cols) {
+        const base = parseType(col.type).base;
+        if (targets.has(col.name)) row[col.name] = targets.get(col.name);
+        else if (base === "DATE") row[col.name] = isoDate(ms);
+        else if (/^TIMESTAMP/.test(base)) row[col.name] = timestamp(ms, base === "TIMESTAMPTZ" || /WITH TIME ZONE/.test(base));
+      }
+    }
+    const updated = table.columns.find(c => c.name === "updated_at");
+    if (reached.length && updated && toMs(row.updated_at) < ms) row.updated_at = timestamp(ms, /Z$/.test(row.updated_at));
+  }
+
+  // ==========================================================================
+  // GENERATOR
+  // ==========================================================================
+  function generateRow(ctx, table, i, bounds, deferredCols) {
+    const row = {};
+    const picks = new Map();
+    const refs = references(table);
+    const keys = pkColumns(table);
+
+    // Keys first, so a NOT NULL self-reference can point the first row at itself
+    for (const col of table.columns.filter(c => keys.includes(c.name) && !c.fk)) {
+      row[col.name] = columnValue(ctx, table, col, row, picks, i, bounds);
+    }
+    for (const ref of refs) {
+      const cols = ref.columns.map(n => table.columns.find(c => c.name === n));
+      if (ref.columns.some(n => deferredCols.has(n)) || !ctx.rows.has(ref.parent) && ref.parent !== table.name) {
+        if (!ref.nullable && !ref.columns.some(n => deferredCols.has(n))) {
+          throw new Error(`${table.name}.${ref.columns.join(", ")} references ${ref.parent}, which isn't in the schema`);
+        }
+        ref.columns.forEach(n => { row[n] = null; });
+        continue;
+      }
+      let values = ref.nullable && !ref.columns.some(n => keys.includes(n)) && ctx.random.chance(NULL_CHANCE) ? null
+        : referenceTarget(ctx, cols[0], ref.parent, ref.parentColumns);
+      if (!values && !ref.nullable) {
+        if (ref.parent !== table.name) throw new Error(`${table.name} needs at least one row in ${ref.parent}`);
+        values = ref.parentColumns.map(c => row[c]);
+      }
+      ref.columns.forEach((n, k) => { row[n] = values ? values[k] : null; });
+    }
+
+    const profile = PROFILES[table.name];
+    const fixed = profile ? profile(ctx, row, i) : {};
+    for (const col of table.columns) {
+      if (col.name in fixed) row[col.name] = fixed[col.name];
+      else if (!(col.name in row)) row[col.name] = columnValue(ctx, table, col, row, picks, i, bounds);
+    }
+    followStatus(ctx, table, row);
+    tidyRow(ctx, table, row);
+    return row;
+  }
+
+  // Column sets whose values must not repeat: keys, UNIQUE columns and UNIQUE constraints
+  function uniqueSets(table) {
+    const sets = [pkColumns(table)];
+    for (const col of table.columns) if (col.unique && !col.pk) sets.push([col.name]);
+    for (const con of table.constraints || []) if (con.type === "unique") sets.push(con.columns.slice());
+    return sets.filter(s => s.length);
+  }
+
+  function generateTable(ctx, table, count, deferredCols) {
+    const rows = [];
+    const index = new Map();
+    ctx.rows.set(table.name, rows);
+    ctx.index.set(table.name, index);
+    const { bounds, unread } = checkBounds(table);
+    for (const name of unread) ctx.warnings.push(`CHECK ${name} on ${table.name} isn't applied by the generator; rows may violate it`);
+    for (const ref of references(table).filter(r => r.nullable && !ctx.byName.has(r.parent))) {
+      ctx.warnings.push(`${table.name}.${ref.columns.join(", ")} references ${ref.parent}, which isn't in the schema; left NULL`);
+    }
+
+    const sets = uniqueSets(table);
+    const seen = sets.map(() => new Set());
+    const keyOf = (row, cols) => (cols.some(c => row[c] === null || row[c] === ctx.late) ? null : JSON.stringify(cols.map(c => row[c])));
+    const pk = pkColumns(table);
+    for (let i = 0; i < count; i++) {
+      let row;
+      for (let attempt = 1; ; attempt++) {
+        row = generateRow(ctx, table, i, bounds, deferredCols);
+        const clash = sets.findIndex((cols, k) => seen[k].has(keyOf(row, cols)));
+        if (clash < 0) break;
+        if (attempt >= MAX_ATTEMPTS) {
+          throw new Error(`Ran out of distinct values for ${table.name} (${sets[clash].join(", ")}) after ${i} rows; ask for fewer rows`);
+        }
+      }
+      sets.forEach((cols, k) => {
+        const key = keyOf(row, cols);
+        if (key !== null) seen[k].add(key);
+      });
+      rows.push(row);
+      if (pk.length === 1) index.set(row[pk[0]], row);
+    }
+  }
+
+  /**
+   * Generates the rows. options:
+   *   keys          object keys to fill (plus the tables they need); default every table
+   *   rows          rows per table (default 10; lookup tables stop at their sample list)
+   *   counts        { table: n } overrides rows per table
+   *   seed          any string or number; the same seed gives the same rows
+   *   year          year for dates and document numbers (default 2025)
+   *   varyDefaults  use a column's literal default in about half the rows instead of all
+   * Returns { seed, year, tables: [{ name, columns, rows }] in load order,
+   *   updates: [{ table, where, set }], sequences: [{ name, value }], warnings }.
+   * Deferred FK columns are NULL in `rows` and set by `updates`. Throws when the schema can't
+   * be filled (NOT NULL cycles, a required parent with no rows, exhausted UNIQUE values).
+   */
+  function generateSeed(objects, options = {}) {
+    const opts = Object.assign({ keys: null, rows: DEFAULT_ROWS, counts: {}, seed: 1, year: 2025, varyDefaults: false }, options);
+    const tables = objects.filter(o => o.type === "table");
+    const byName = new Map(tables.map(t => [t.name, t]));
+    const chosen = scopeTables(tables, byName, opts.keys);
+    const { order, deferred, refKey } = loadOrder(chosen);
+    const ctx = {
+      random: createRandom(opts.seed),
+      year: Number(opts.year) || 2025,
+      varyDefaults: Boolean(opts.varyDefaults),
+      byName,
+      enums: new Map(objects.filter(o => o.type === "enum").map(e => [e.name.toLowerCase(), e.values || []])),
+      documents: new Map(Object.entries(DOCUMENT_NUMBERS)),
+      sequenceNames: new Set(objects.filter(o => o.type === "sequence").map(o => o.name)),
+      rows: new Map(),
+      index: new Map(),
+      counters: new Map(),
+      sequences: new Map(),
+      warnings: [],
+      late: {}
+    };
+
+    const deferredCols = new Map(order.map(t => [t.name, new Set(references(t)
+      .filter(r => deferred.has(refKey(t, r))).flatMap(r => r.columns))]));
+    for (const t of order) {
+      const count = opts.counts[t.name] !== undefined ? opts.counts[t.name] : Math.min(opts.rows, NATURAL_ROWS[t.name] || Infinity);
+      generateTable(ctx, t, Math.max(0, Math.floor(Number(count) || 0)), deferredCols.get(t.name));
+    }
+
+    // Second pass: deferred FKs become UPDATEs, soft and polymorphic references are filled in
+    const updates = [];
+    for (const t of order) {
+      const pk = pkColumns(t);
+      const refs = references(t).filter(r => deferred.has(refKey(t, r)));
+      for (const row of ctx.rows.get(t.name)) {
+        for (const ref of refs) {
+          if (ctx.random.chance(NULL_CHANCE)) continue;
+          const cols = ref.columns.map(n => t.columns.find(c => c.name === n));
+          const values = referenceTarget(ctx, cols[0], ref.parent, ref.parentColumns);
+          if (!values) continue;
+          const set = {};
+          ref.columns.forEach((n, k) => { set[n] = values[k]; });
+          const where = {};
+          pk.forEach(n => { where[n] = row[n]; });
+          updates.push({ table: t.name, where, set });
+        }
+        for (const col of t.columns.filter(c => row[c.name] === ctx.late)) {
+          if (col.softRef) {
+            const targets = (ctx.rows.get(col.softRef.table) || []).filter(() => ctx.random.chance(0.2)).slice(0, 3);
+            row[col.name] = targets.length ? targets.map(r => r[col.softRef.column || "id"]) : (col.nullable !== false ? null : []);
+          } else {
+            const target = namedTable(ctx, row[polymorphicType(t, col).name]);
+            const rows = target ? ctx.rows.get(target) : [];
+            row[col.name] = rows.length ? ctx.random.pick(rows).id || ctx.random.uuid() : ctx.random.uuid();
+          }
+        }
+      }
+    }
+
+    return {
+      seed: opts.seed,
+      year: ctx.year,
+      tables: order.map(t => ({ name: t.name, columns: t.columns, rows: ctx.rows.get(t.name) })),
+      updates,
+      sequences: Array.from(ctx.sequences, ([name, value]) => ({ name, value })),
+      warnings: ctx.warnings
+    };
+  }
+
+  // ==========================================================================
+  // OUTPUT
+  // ==========================================================================
+  function isNumeric(col) {
+    return /^(SMALLINT|INTEGER|INT|INT2|INT4|INT8|BIGINT|NUMERIC|DECIMAL|REAL|DOUBLE PRECISION|FLOAT4|FLOAT8|SMALLSERIAL|SERIAL|BIGSERIAL)$/
+      .test(parseType(col.type).base) && !parseType(col.type).array;
+  }
+
+  // PostgreSQL array literal: ["a", "b"] → {"a","b"}
+  function arrayLiteral(values) {
+    return `{${values.map(v => `"${String(v).replace(/(["\\])/g, "\\$1")}"`).join(",")}}`;
+  }
+
+  function sqlValue(value, col) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    if (typeof value === "number") return String(value);
+    if (Array.isArray(value)) return literal(arrayLiteral(value));
+    if (typeof value === "object") return literal(JSON.stringify(value));
+    if (isNumeric(col) && /^-?\d+(\.\d+)?$/.test(value)) return value;
+    return literal(value);
+  }
+
+  function sqlTail(result) {
+    const lines = [];
+    if (result.updates.length) {
+      lines.push("-- Second pass: references that form a cycle were inserted as NULL", "");
+      for (const u of result.updates) {
+        const table = result.tables.find(t => t.name === u.table);
+        const col = name => table.columns.find(c => c.name === name);
+        const set = Object.keys(u.set).map(n => `${ident(n)} = ${sqlValue(u.set[n], col(n))}`).join(", ");
+        const where = Object.keys(u.where).map(n => `${ident(n)} = ${sqlValue(u.where[n], col(n))}`).join(" AND ");
+        lines.push(`UPDATE ${ident(u.table)} SET ${set} WHERE ${where};`);
+      }
+      lines.push("");
+    }
+    if (result.sequences.length) {
+      lines.push("-- Keep the sequences counting after the seeded numbers", "");
+      for (const s of result.sequences) lines.push(`SELECT setval(${literal(s.name)}, ${s.value});`);
+      lines.push("");
+    }
+    return lines;
+  }
+
+  function header(result, title) {
+    const total = result.tables.reduce((sum, t) => sum + t.rows.length, 0);
+    const lines = [
+      `-- ${title || "Adams Apples v2"} — seed data`,
+      `-- Seed ${result.seed}, year ${result.year}: ${total} rows in ${result.tables.length} tables, in FK order.`,
+      "-- Generated from the schema model; load into an empty database."
+    ];
+    for (const w of result.warnings) lines.push(`-- Note: ${w}`);
+    return lines;
+  }
+
+  function formatSql(result, options = {}) {
+    const lines = header(result, options.title).concat(["", "BEGIN;", ""]);
+    for (const t of result.tables.filter(t => t.rows.length)) {
+      const cols = t.columns.map(c => ident(c.name)).join(", ");
+      lines.push(`-- ${t.name}: ${t.rows.length} row${t.rows.length === 1 ? "" : "s"}`);
+      // GENERATED ALWAYS AS IDENTITY only takes the seeded numbers when told to
+      const overriding = t.columns.some(c => c.identity === "ALWAYS") ? " OVERRIDING SYSTEM VALUE" : "";
+      lines.push(`INSERT INTO ${ident(t.name)} (${cols})${overriding} VALUES`);
+      t.rows.forEach((row, i) => {
+        const values = t.columns.map(c => sqlValue(row[c.name], c)).join(", ");
+        lines.push(`  (${values})${i === t.rows.length - 1 ? ";" : ","}`);
+      });
+      lines.push("");
+    }
+    return lines.concat(sqlTail(result), ["COMMIT;", ""]).join("\n");
+  }
+
+  // Empty unquoted fields load as NULL with COPY ... CSV; empty strings are quoted
+  function csvValue(value) {
+    if (value === null || value === undefined) return "";
+    let text;
+    if (typeof value === "boolean") text = value ? "true" : "false";
+    else if (Array.isArray(value)) text = arrayLiteral(value);
+    else if (typeof value === "object") text = JSON.stringify(value);
+    else text = String(value);
+    return text === "" || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * One CSV per table, numbered in load order (01-clients.csv), plus load.sql which \copy-s
+   * them in a transaction and runs the second pass. Returns [{ path, content }].
+   */
+  function formatCsv(result, options = {}) {
+    const tables = result.tables.filter(t => t.rows.length);
+    const width = String(tables.length).length < 2 ? 2 : String(tables.length).length;
+    const files = [];
+    const load = header(result, options.title).concat(["-- Run from this folder: psql -f load.sql", "", "BEGIN;", ""]);
+    tables.forEach((t, n) => {
+      const path = `${pad(n + 1, width)}-${t.name}.csv`;
+      const lines = [t.columns.map(c => csvValue(c.name)).join(",")];
+      for (const row of t.rows) lines.push(t.columns.map(c => csvValue(row[c.name])).join(","));
+      files.push({ path, content: lines.join("\r\n") + "\r\n" });
+      load.push(`\\copy ${ident(t.name)} (${t.columns.map(c => ident(c.name)).join(", ")}) FROM '${path}' WITH (FORMAT csv, HEADER true)`);
+    });
+    load.push("");
+    files.push({ path: "load.sql", content: load.concat(sqlTail(result), ["COMMIT;", ""]).join("\n") });
+    return files;
+  }
+
+  function formatJson(result) {
+    const tables = {};
+    for (const t of result.tables) tables[t.name] = t.rows;
+    const sequences = {};
+    for (const s of result.sequences) sequences[s.name] = s.value;
+    return JSON.stringify({
+      seed: result.seed,
+      year: result.year,
+      tables,
+      updates: result.updates,
+      sequences,
+      warnings: result.warnings
+    }, null, 2) + "\n";
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node seed-data.js [data.js | migration.sql ...] [--rows 10] [--count trees=200,clients=5]
+    [--seed 42] [--year 2025] [--table name | --domain name] [--vary-defaults]
+    [--format sql|csv|json] [--out dir]`;
+
+  function runCli(args) {
+    const fs = require("fs");
+    const path = require("path");
+    const options = { counts: {} };
+    const files = [];
+    let table = null;
+    let domain = null;
+    let format = "sql";
+    let out = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--table") table = args[++i];
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (args[i] === "--rows") {
+        const rows = Number(args[++i]);
+        if (!Number.isInteger(rows) || rows < 1) {
+          console.error(`--rows takes a positive whole number\n${USAGE}`);
+          process.exitCode = 2;
+          return;
+        }
+        options.rows = rows;
+      }
+      else if (args[i] === "--seed") options.seed = args[++i];
+      else if (args[i] === "--year") options.year = Number(args[++i]);
+      else if (args[i] === "--vary-defaults") options.varyDefaults = true;
+      else if (args[i] === "--format") format = args[++i];
+      else if (args[i] === "--out") out = args[++i];
+      else if (args[i] === "--count") {
+        for (const pair of String(args[++i]).split(",")) {
+          const [name, n] = pair.split("=");
+          options.counts[name.trim()] = Number(n);
+        }
+      } else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+    if (!["sql", "csv", "json"].includes(format)) {
+      console.error(`Unknown format ${format}; use sql, csv or json`);
+      process.exitCode = 1;
+      return;
+    }
+    if (format === "csv" && !out) {
+      console.error("CSV output is one file per table; give a folder with --out");
+      process.exitCode = 1;
+      return;
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+
+    const objects = schema.objects || [];
+    let title = "Adams Apples v2";
+    if (table) {
+      const t = objects.find(o => o.type === "table" && o.name === table);
+      if (!t) {
+        console.error(`No table named ${table}`);
+        process.exitCode = 1;
+        return;
+      }
+      options.keys = [t.key];
+      title = `Adams Apples v2 — table ${table}`;
+    } else if (domain) {
+      options.keys = objects.filter(o => o.domain === domain).map(o => o.key);
+      title = `Adams Apples v2 — domain ${domain}`;
+    }
+    for (const name of Object.keys(options.counts)) {
+      if (!objects.some(o => o.type === "table" && o.name === name)) console.error(`Ignoring --count for unknown table ${name}`);
+    }
+
+    let result;
+    try {
+      result = generateSeed(objects, options);
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+      return;
+    }
+    const text = format === "json" ? formatJson(result) : format === "sql" ? formatSql(result, { title }) : null;
+    if (!out) {
+      process.stdout.write(text);
+      return;
+    }
+    fs.mkdirSync(out, { recursive: true });
+    const written = text !== null ? [{ path: `seed.${format}`, content: text }] : formatCsv(result, { title });
+    for (const f of written) fs.writeFileSync(path.join(out, f.path), f.content);
+    console.log(`Wrote ${written.length} file${written.length === 1 ? "" : "s"} to ${out}`);
+  }
+
+  const SeedData = { generateSeed, formatSql, formatCsv, formatJson, DEFAULT_ROWS };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SeedData;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.SeedData = SeedData;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,452 @@
+/* Adams Apples v2 — SQL export
+ * Generates PostgreSQL DDL from a SCHEMA dataset (data.js, an import or a timeline version):
+ * - CREATE SCHEMA / EXTENSION / TYPE … AS ENUM / SEQUENCE / TABLE / INDEX / FUNCTION / VIEW / TRIGGER
+ * - dependency order: enums and sequences before the tables using them, referenced tables
+ *   before referencing ones (FK cycles fall back to ALTER TABLE … ADD CONSTRAINT), views
+ *   after the tables and views they select from
+ * - keeps defaults, CHECK and composite keys, ON DELETE / ON UPDATE, partial (WHERE) and
+ *   GIN/GIST indexes; descriptions become COMMENT ON so the output re-imports with its docs
+ * - subsets: selected keys (a table, a domain) plus, optionally, everything they depend on
+ * Runs in the browser (window.SqlExport) and from Node:
+ *   node sql-export.js [data.js | migration.sql ...] [--table name] [--domain name] [--no-deps] [--no-comments]
+ * which writes the DDL to stdout.
+ */
+
+(function (root) {
+  "use strict";
+
+  // Words that must be quoted when used as identifiers
+  const RESERVED = new Set([
+    "all", "analyse", "analyze", "and", "any", "array", "as", "asc", "both", "case", "cast", "check",
+    "collate", "column", "constraint", "create", "current_date", "current_time", "current_timestamp",
+    "current_user", "default", "desc", "distinct", "do", "else", "end", "except", "false", "for",
+    "foreign", "from", "grant", "group", "having", "in", "initially", "intersect", "into", "leading",
+    "limit", "not", "null", "offset", "on", "only", "or", "order", "placing", "primary", "references",
+    "returning", "select", "session_user", "some", "table", "then", "to", "trailing", "true", "union",
+    "unique", "user", "using", "when", "where", "window", "with"
+  ]);
+
+  // SERIAL columns are written as their integer type plus nextval(), like pg_dump does,
+  // because the owned sequence is already created in the SEQUENCES section
+  const SERIAL_TYPES = { smallserial: "SMALLINT", serial: "INTEGER", bigserial: "BIGINT" };
+
+  // Order of the CREATE sections; tables, views and indexes are further sorted by dependency
+  const SECTIONS = ["schema", "extension", "enum", "sequence", "table", "function", "view", "trigger"];
+
+  function ident(name) {
+    return /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED.has(name) ? name : `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  // "audit.change_log" → audit.change_log, "uuid-ossp" → "uuid-ossp"
+  function qualified(name) {
+    return String(name).split(".").map(ident).join(".");
+  }
+
+  function literal(text) {
+    return `'${String(text).replace(/'/g, "''")}'`;
+  }
+
+  function dedent(text) {
+    const lines = String(text).replace(/^\s*\n/, "").replace(/\s+$/, "").split("\n");
+    // An imported "SELECT ..." starts right after AS, so its first line has no indent to share
+    const rest = /^\S/.test(lines[0]) ? lines.slice(1) : lines;
+    const indents = rest.filter(l => l.trim()).map(l => l.match(/^ */)[0].length);
+    const cut = indents.length ? Math.min(...indents) : 0;
+    return lines.map(l => l.replace(new RegExp(`^ {0,${cut}}`), "")).join("\n");
+  }
+
+  // Column type without modifiers or array brackets, lower-cased: "geometry(Point,4326)" → "geometry"
+  function baseType(type) {
+    return String(type || "").toLowerCase().replace(/\[\]$/, "").replace(/\(.*\)$/, "").trim();
+  }
+
+  // Function names called in an expression: "uuid_generate_v4()" → ["uuid_generate_v4"]
+  function calledFunctions(expression) {
+    return Array.from(String(expression || "").matchAll(/([A-Za-z_][\w.]*)\s*\(/g), m => m[1].toLowerCase());
+  }
+
+  // ==========================================================================
+  // DEPENDENCIES
+  // ==========================================================================
+  function createIndex(objects) {
+    const byKey = new Map(objects.map(o => [o.key, o]));
+    const byName = new Map();
+    for (const o of objects) byName.set(`${o.type}:${o.name.toLowerCase()}`, o);
+    const find = (type, name) => (name ? byName.get(`${type}:${String(name).toLowerCase()}`) : undefined);
+    const extensionFor = new Map();
+    for (const ext of objects.filter(o => o.type === "extension")) {
+      for (const t of ext.types || []) extensionFor.set(`type:${t.toLowerCase()}`, ext);
+      for (const f of ext.functions || []) extensionFor.set(`function:${f.toLowerCase()}`, ext);
+    }
+    return { byKey, find, extensionFor };
+  }
+
+  // Table FKs as { columns, fk: { table, columns, onDelete, onUpdate }, name, constraint }
+  function foreignKeys(table) {
+    const out = [];
+    for (const col of table.columns || []) {
+      if (col.fk) out.push({ columns: [col.name], fk: { table: col.fk.table, columns: [col.fk.column || "id"], onDelete: col.fk.onDelete, onUpdate: col.fk.onUpdate } });
+    }
+    for (const con of table.constraints || []) {
+      if (con.type === "fk" && con.fk) out.push({ columns: con.columns, fk: con.fk, name: con.name, constraint: con });
+    }
+    return out;
+  }
+
+  // Objects that must exist before `obj` can be created (unresolved names are skipped).
+  function dependenciesOf(obj, index) {
+    const deps = [];
+    const add = o => { if (o && o !== obj && !deps.includes(o)) deps.push(o); };
+    if (obj.schema) add(index.find("schema", obj.schema));
+
+    if (obj.type === "table") {
+      for (const col of obj.columns || []) {
+        const type = String(col.type || "").replace(/\[\]$/, "").trim();
+        add(index.find("enum", type));
+        add(index.extensionFor.get(`type:${baseType(col.type)}`));
+        for (const fn of calledFunctions(col.default)) add(index.extensionFor.get(`function:${fn}`));
+        const seq = /nextval\s*\(\s*'([^']+)'/i.exec(col.default || "");
+        if (seq) add(index.find("sequence", seq[1]));
+      }
+      for (const { fk } of foreignKeys(obj)) add(index.find("table", fk.table));
+    } else if (obj.type === "view") {
+      for (const name of obj.baseTables || []) add(index.find("table", name) || index.find("view", name));
+    } else if (obj.type === "function") {
+      for (const p of obj.params || []) add(index.find("enum", p.type));
+      add(index.find("enum", obj.returnType));
+    } else if (obj.type === "trigger") {
+      add(index.find("table", obj.table));
+      add(index.find("function", obj.function));
+    }
+    return deps;
+  }
+
+  /**
+   * Picks the objects to export. `keys` limits the export (e.g. one table or a domain);
+   * triggers on selected tables and sequences they own always come along, and with includeDependencies the
+   * closure of everything they need (referenced tables, enums, trigger functions…) too.
+   * Returns { objects, missing } where missing lists dependencies left out.
+   */
+  function collectScope(objects, { keys = null, includeDependencies = true } = {}) {
+    if (!keys) return { objects: objects.slice(), missing: [] };
+    const index = createIndex(objects);
+    const picked = new Set(Array.from(keys).map(k => index.byKey.get(k)).filter(Boolean));
+    for (const o of objects) {
+      const table = o.type === "trigger" ? index.find("table", o.table)
+        : o.type === "sequence" && o.ownedBy ? index.find("table", o.ownedBy.table) : null;
+      if (table && picked.has(table)) picked.add(o);
+    }
+
+    const missing = new Set();
+    const queue = Array.from(picked);
+    while (queue.length) {
+      const obj = queue.shift();
+      for (const dep of dependenciesOf(obj, index)) {
+        if (picked.has(dep)) continue;
+        if (includeDependencies) {
+          picked.add(dep);
+          queue.push(dep);
+        } else {
+          missing.add(dep);
+        }
+      }
+    }
+    return {
+      objects: objects.filter(o => picked.has(o)),
+      missing: objects.filter(o => missing.has(o))
+    };
+  }
+
+  // Topological order within one type; `edges(obj)` lists same-type prerequisites.
+  // Returns { order, broken } where broken holds [obj, dep] pairs cut to resolve cycles.
+  function topoSort(items, edges) {
+    const inScope = new Set(items);
+    const done = new Set();
+    const order = [];
+    const broken = [];
+    const remaining = items.slice();
+    while (remaining.length) {
+      let i = remaining.findIndex(o => edges(o).every(d => d === o || done.has(d) || !inScope.has(d)));
+      if (i < 0) {
+        // Cycle: emit the first remaining item and cut its edges to the others
+        i = 0;
+        for (const d of edges(remaining[0])) {
+          if (d !== remaining[0] && inScope.has(d) && !done.has(d)) broken.push([remaining[0], d]);
+        }
+      }
+      const [next] = remaining.splice(i, 1);
+      done.add(next);
+      order.push(next);
+    }
+    return { order, broken };
+  }
+
+  // ==========================================================================
+  // STATEMENTS
+  // ==========================================================================
+  function columnSql(col, inlineFk, serialSeq) {
+    const serial = serialSeq && SERIAL_TYPES[String(col.type).toLowerCase()];
+    const parts = [ident(col.name), serial || col.type];
+    if (col.identity) parts.push(`GENERATED ${col.identity} AS IDENTITY`);
+    if (col.pk) parts.push("PRIMARY KEY");
+    else if (!col.nullable) parts.push("NOT NULL");
+    if (serial) parts.push(`DEFAULT nextval(${literal(serialSeq.name)})`);
+    else if (col.default != null && col.default !== "") parts.push(`DEFAULT ${col.default}`);
+    if (col.unique && !col.pk) parts.push("UNIQUE");
+    if (col.fk && inlineFk) parts.push(referencesSql(col.fk.table, [col.fk.column || "id"], col.fk));
+    return parts.join(" ");
+  }
+
+  function referencesSql(table, columns, fk) {
+    let sql = `REFERENCES ${qualified(table)}(${columns.map(ident).join(", ")})`;
+    if (fk.onDelete) sql += ` ON DELETE ${fk.onDelete}`;
+    if (fk.onUpdate) sql += ` ON UPDATE ${fk.onUpdate}`;
+    return sql;
+  }
+
+  function constraintSql(con) {
+    const cols = `(${(con.columns || []).map(ident).join(", ")})`;
+    const name = con.name ? `CONSTRAINT ${ident(con.name)} ` : "";
+    if (con.type === "check") return `${name}CHECK (${con.expression})`;
+    if (con.type === "pk") return `${name}PRIMARY KEY ${cols}`;
+    if (con.type === "unique") return `${name}UNIQUE ${cols}`;
+    return `${name}FOREIGN KEY ${cols} ${referencesSql(con.fk.table, con.fk.columns, con.fk)}`;
+  }
+
+  function tableSql(table, deferred, sequences) {
+    const owned = col => sequences.find(seq => seq.ownedBy && seq.ownedBy.table === table.name && seq.ownedBy.column === col.name);
+    // [sql, trailing comment]; soft references have no DDL, so they are noted inline
+    const lines = (table.columns || []).map(col => [
+      columnSql(col, !deferred.has(`${table.name}.${col.name}`), owned(col)),
+      col.softRef ? `soft reference → ${col.softRef.table}.${col.softRef.column || "id"} (${col.softRef.via || "unenforced"}, not enforced)` : null
+    ]);
+    for (const con of table.constraints || []) {
+      if (con.type === "fk" && deferred.has(`${table.name}.${con.name}`)) continue;
+      lines.push([constraintSql(con), null]);
+    }
+    const body = lines.map(([sql, note], i) => `  ${sql}${i < lines.length - 1 ? "," : ""}${note ? ` -- ${note}` : ""}`);
+    return `CREATE TABLE ${qualified(table.name)} (\n${body.join("\n")}\n);`;
+  }
+
+  function indexSql(table, idx) {
+    // Simple names are quoted as identifiers; expressions are kept verbatim
+    const cols = (idx.columns || []).map(c => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(c) ? ident(c) : c));
+    let sql = `CREATE ${idx.unique ? "UNIQUE " : ""}INDEX ${ident(idx.name)} ON ${qualified(table.name)}`;
+    if (idx.method) sql += ` USING ${idx.method}`;
+    sql += ` (${cols.join(", ")})`;
+    if (idx.where) sql += ` WHERE ${idx.where}`;
+    return `${sql};`;
+  }
+
+  function sequenceSql(seq) {
+    const parts = [`CREATE SEQUENCE ${qualified(seq.name)}`];
+    if (seq.dataType) parts.push(`AS ${seq.dataType}`);
+    if (seq.start != null) parts.push(`START WITH ${seq.start}`);
+    if (seq.increment != null) parts.push(`INCREMENT BY ${seq.increment}`);
+    if (seq.minValue != null) parts.push(`MINVALUE ${seq.minValue}`);
+    if (seq.maxValue != null) parts.push(`MAXVALUE ${seq.maxValue}`);
+    if (seq.cache != null) parts.push(`CACHE ${seq.cache}`);
+    if (seq.cycle) parts.push("CYCLE");
+    return `${parts.join(" ")};`;
+  }
+
+  function extensionSql(ext) {
+    let sql = `CREATE EXTENSION IF NOT EXISTS ${ident(ext.name)}`;
+    if (ext.schema) sql += ` WITH SCHEMA ${ident(ext.schema)}`;
+    if (ext.version) sql += ` VERSION ${literal(ext.version)}`;
+    return `${sql};`;
+  }
+
+  function paramsSql(fn, withNames = true) {
+    return (fn.params || []).map(p => {
+      const parts = [p.mode, withNames && p.name ? ident(p.name) : null, p.type].filter(Boolean);
+      if (withNames && p.default != null) parts.push(`DEFAULT ${p.default}`);
+      return parts.join(" ");
+    }).join(", ");
+  }
+
+  function functionSql(fn) {
+    if (!fn.definition) return `-- ${fn.name}: body not modelled, skipped`;
+    const body = dedent(fn.definition);
+    let tag = "$$";
+    for (let n = 1; body.includes(tag); n++) tag = `$fn${n}$`;
+    const lines = [`CREATE OR REPLACE FUNCTION ${qualified(fn.name)}(${paramsSql(fn)})`];
+    if (fn.returnType) lines.push(`RETURNS ${fn.returnType}`);
+    lines.push(`LANGUAGE ${fn.language || "plpgsql"}`);
+    if (fn.volatility && fn.volatility !== "VOLATILE") lines.push(fn.volatility);
+    lines.push(`AS ${tag}\n${body}\n${tag};`);
+    return lines.join("\n");
+  }
+
+  function viewSql(view) {
+    if (!view.definition) return `-- ${view.name}: definition not modelled, skipped`;
+    return `CREATE OR REPLACE VIEW ${qualified(view.name)} AS\n${dedent(view.definition).replace(/;\s*$/, "")};`;
+  }
+
+  function triggerSql(tr) {
+    return `CREATE TRIGGER ${ident(tr.name)} ${tr.timing} ON ${qualified(tr.table)}\n` +
+      `FOR EACH ROW EXECUTE FUNCTION ${qualified(tr.function)}();`;
+  }
+
+  function commentSql(obj) {
+    if (!obj.description) return null;
+    // Views and functions without a definition are skipped, so there is nothing to comment on
+    if ((obj.type === "view" || obj.type === "function") && !obj.definition) return null;
+    const target = {
+      table: () => `TABLE ${qualified(obj.name)}`,
+      enum: () => `TYPE ${qualified(obj.name)}`,
+      view: () => `VIEW ${qualified(obj.name)}`,
+      function: () => `FUNCTION ${qualified(obj.name)}(${paramsSql(obj, false)})`,
+      trigger: () => `TRIGGER ${ident(obj.name)} ON ${qualified(obj.table)}`,
+      sequence: () => `SEQUENCE ${qualified(obj.name)}`,
+      extension: () => `EXTENSION ${ident(obj.name)}`,
+      schema: () => `SCHEMA ${ident(obj.name)}`
+    }[obj.type];
+    return target ? `COMMENT ON ${target()} IS ${literal(obj.description)};` : null;
+  }
+
+  // ==========================================================================
+  // GENERATE
+  // ==========================================================================
+  /**
+   * Returns the DDL for `objects` (or the subset picked by options.keys) as one string.
+   * options: { keys, includeDependencies = true, comments = true, title }
+   */
+  function generateSql(objects, options = {}) {
+    const { comments = true, title = null } = options;
+    const scope = collectScope(objects, options);
+    const index = createIndex(objects);
+    const of = type => scope.objects.filter(o => o.type === type);
+    const out = [];
+    const emit = (obj, sql) => {
+      out.push(sql);
+      const comment = comments && commentSql(obj);
+      if (comment) out.push(comment);
+      out.push("");
+    };
+    const section = (label) => {
+      out.push(`-- ${"=".repeat(74)}`, `-- ${label}`, `-- ${"=".repeat(74)}`, "");
+    };
+
+    out.push(`-- ${title || "Adams Apples v2 — schema DDL"}`);
+    out.push(`-- ${scope.objects.length} objects in dependency order`);
+    if (scope.missing.length) {
+      out.push(`-- Not included, must already exist: ${scope.missing.map(o => `${o.type} ${o.name}`).join(", ")}`);
+    }
+    out.push("");
+
+    // Tables: referenced before referencing; FKs on cycles are added after all tables
+    const tables = topoSort(of("table"), t => foreignKeys(t).map(({ fk }) => index.find("table", fk.table)).filter(Boolean));
+    const deferred = new Set();
+    const deferredSql = [];
+    for (const [table, target] of tables.broken) {
+      for (const fk of foreignKeys(table)) {
+        if (fk.fk.table.toLowerCase() !== target.name.toLowerCase()) continue;
+        deferred.add(fk.constraint ? `${table.name}.${fk.constraint.name}` : `${table.name}.${fk.columns[0]}`);
+        const name = fk.name || `${table.name.split(".").pop()}_${fk.columns.join("_")}_fkey`;
+        deferredSql.push(`ALTER TABLE ${qualified(table.name)} ADD ${constraintSql({ name, type: "fk", columns: fk.columns, fk: fk.fk })};`);
+      }
+    }
+    const views = topoSort(of("view"), v => (v.baseTables || []).map(n => index.find("view", n)).filter(Boolean));
+
+    for (const type of SECTIONS) {
+      const items = type === "table" ? tables.order : type === "view" ? views.order : of(type);
+      if (!items.length) continue;
+      if (type === "schema") {
+        section("SCHEMAS");
+        for (const s of items) emit(s, `CREATE SCHEMA IF NOT EXISTS ${ident(s.name)};`);
+      } else if (type === "extension") {
+        section("EXTENSIONS");
+        for (const ext of items) emit(ext, extensionSql(ext));
+      } else if (type === "enum") {
+        section("ENUMS");
+        for (const e of items) emit(e, `CREATE TYPE ${qualified(e.name)} AS ENUM (${(e.values || []).map(literal).join(", ")});`);
+      } else if (type === "sequence") {
+        section("SEQUENCES");
+        for (const seq of items) emit(seq, sequenceSql(seq));
+      } else if (type === "table") {
+        section("TABLES");
+        for (const t of items) emit(t, tableSql(t, deferred, of("sequence")));
+        const indexes = items.flatMap(t => (t.indexes || []).map(idx => indexSql(t, idx)));
+        if (indexes.length) {
+          section("INDEXES");
+          out.push(...indexes, "");
+        }
+        const owned = of("sequence").filter(seq => seq.ownedBy && items.some(t => t.name === seq.ownedBy.table));
+        if (deferredSql.length || owned.length) {
+          section("DEFERRED CONSTRAINTS & OWNERSHIP");
+          out.push(...deferredSql);
+          for (const seq of owned) out.push(`ALTER SEQUENCE ${qualified(seq.name)} OWNED BY ${qualified(seq.ownedBy.table)}.${ident(seq.ownedBy.column)};`);
+          out.push("");
+        }
+      } else if (type === "function") {
+        section("FUNCTIONS");
+        for (const fn of items) emit(fn, functionSql(fn));
+      } else if (type === "view") {
+        section("VIEWS");
+        for (const v of items) emit(v, viewSql(v));
+      } else if (type === "trigger") {
+        section("TRIGGERS");
+        for (const tr of items) {
+          // No CREATE TRIGGER for a function that was skipped above
+          const fn = index.find("function", tr.function);
+          if (fn && !fn.definition) out.push(`-- ${tr.name} on ${tr.table}: function ${fn.name} not modelled, skipped`, "");
+          else emit(tr, triggerSql(tr));
+        }
+      }
+    }
+    return out.join("\n").replace(/\n+$/, "\n");
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node sql-export.js [data.js | migration.sql ...] [--table name] [--domain name] [--no-deps] [--no-comments]`;
+
+  function runCli(args) {
+    const options = { includeDependencies: true, comments: true };
+    const files = [];
+    let table = null;
+    let domain = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--table") table = args[++i];
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (args[i] === "--no-deps") options.includeDependencies = false;
+      else if (args[i] === "--no-comments") options.comments = false;
+      else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+
+    const objects = schema.objects || [];
+    if (table) {
+      const t = objects.find(o => o.type === "table" && o.name === table);
+      if (!t) {
+        console.error(`No table named ${table}`);
+        process.exitCode = 1;
+        return;
+      }
+      options.keys = [t.key];
+      options.title = `Adams Apples v2 — table ${table}`;
+    } else if (domain) {
+      options.keys = objects.filter(o => o.domain === domain).map(o => o.key);
+      options.title = `Adams Apples v2 — domain ${domain}`;
+    }
+    process.stdout.write(generateSql(objects, options));
+  }
+
+  const SqlExport = { generateSql, collectScope, dependenciesOf: (obj, objects) => dependenciesOf(obj, createIndex(objects)) };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SqlExport;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.SqlExport = SqlExport;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,1758 @@
+/* Adams Apples v2 — PostgreSQL DDL importer
+ * Reads a Flyway migration (V001__initial_schema_v2.sql and friends) and builds
+ * the same object model that data.js provides in window.SCHEMA:
+ * - CREATE TYPE ... AS ENUM          → enum objects
+ * - CREATE TABLE / ALTER TABLE ADD   → table objects (columns, pk, unique, fk, identity,
+ *                                      constraints: CHECK and multi-column keys)
+ * - CREATE INDEX                     → table.indexes (unique, method, where)
+ * - CREATE VIEW / FUNCTION / TRIGGER → view, function and trigger objects
+ *                                      (function params, volatility and body)
+ * - CREATE SCHEMA / EXTENSION / SEQUENCE → schema, extension and sequence objects;
+ *                                      objects outside public keep a qualified name (audit.log)
+ * - COMMENT ON ...                   → object descriptions
+ * - ALTER / DROP / RENAME            → replayed in order, so a Flyway history
+ *                                      (V001..Vnnn) yields one snapshot per version; renames
+ *                                      carry into CHECKs and view definitions
+ * It also reads data.js builds and JSON exports as data (readSchemaScript), for baselines.
+ * Runs in the browser (window.SqlImport) and in Node (require("./sql-import.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  // ==========================================================================
+  // LEXING - comments, statements, tokens
+  // ==========================================================================
+
+  // Returns the dollar-quote tag starting at i ("$$", "$body$"), or null.
+  function dollarTagAt(sql, i) {
+    const m = /^\$[A-Za-z_]*\$/.exec(sql.slice(i, i + 64));
+    return m ? m[0] : null;
+  }
+
+  // Index just past a quoted section that opens at i ('...', "...", $tag$...$tag$).
+  function skipQuoted(sql, i) {
+    const ch = sql[i];
+    if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === ch) {
+          if (sql[j + 1] === ch) { j += 2; continue; }
+          return j + 1;
+        }
+        j++;
+      }
+      return sql.length;
+    }
+    const tag = dollarTagAt(sql, i);
+    if (tag) {
+      const end = sql.indexOf(tag, i + tag.length);
+      return end === -1 ? sql.length : end + tag.length;
+    }
+    return i + 1;
+  }
+
+  function isQuoteStart(sql, i) {
+    const ch = sql[i];
+    if (ch === "'" || ch === '"') return true;
+    // "$1" placeholders and identifiers containing $ are not dollar quotes
+    return ch === "$" && !/[A-Za-z0-9_]/.test(sql[i - 1] || "") && dollarTagAt(sql, i) !== null;
+  }
+
+  function stripComments(sql) {
+    let out = "";
+    let i = 0;
+    while (i < sql.length) {
+      if (isQuoteStart(sql, i)) {
+        const end = skipQuoted(sql, i);
+        out += sql.slice(i, end);
+        i = end;
+      } else if (sql[i] === "-" && sql[i + 1] === "-") {
+        while (i < sql.length && sql[i] !== "\n") i++;
+      } else if (sql[i] === "/" && sql[i + 1] === "*") {
+        let depth = 1;
+        i += 2;
+        while (i < sql.length && depth > 0) {
+          if (sql[i] === "/" && sql[i + 1] === "*") { depth++; i += 2; }
+          else if (sql[i] === "*" && sql[i + 1] === "/") { depth--; i += 2; }
+          else i++;
+        }
+        out += " ";
+      } else {
+        out += sql[i++];
+      }
+    }
+    return out;
+  }
+
+  // Splits a script into statements on top-level semicolons.
+  function splitStatements(sql) {
+    const text = stripComments(sql);
+    const statements = [];
+    let start = 0;
+    let i = 0;
+    while (i < text.length) {
+      if (isQuoteStart(text, i)) {
+        i = skipQuoted(text, i);
+      } else if (text[i] === ";") {
+        const stmt = text.slice(start, i).trim();
+        if (stmt) statements.push(stmt);
+        start = ++i;
+      } else {
+        i++;
+      }
+    }
+    const tail = text.slice(start).trim();
+    if (tail) statements.push(tail);
+    return statements;
+  }
+
+  // Splits on a separator that is not nested in parentheses or quotes.
+  function splitTopLevel(str, sep = ",") {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let i = 0;
+    while (i < str.length) {
+      const ch = str[i];
+      if (isQuoteStart(str, i)) { i = skipQuoted(str, i); continue; }
+      if (ch === "(" || ch === "[") depth++;
+      else if (ch === ")" || ch === "]") depth--;
+      else if (ch === sep && depth === 0) {
+        parts.push(str.slice(start, i).trim());
+        start = i + 1;
+      }
+      i++;
+    }
+    const last = str.slice(start).trim();
+    if (last) parts.push(last);
+    return parts;
+  }
+
+  // Index just past the bracket group that opens at i.
+  function skipGroup(str, i) {
+    const open = str[i];
+    const close = open === "(" ? ")" : "]";
+    let depth = 0;
+    while (i < str.length) {
+      if (isQuoteStart(str, i)) { i = skipQuoted(str, i); continue; }
+      if (str[i] === open) depth++;
+      else if (str[i] === close && --depth === 0) return i + 1;
+      i++;
+    }
+    return str.length;
+  }
+
+  /**
+   * Tokenizes a statement. Bracket groups and quoted strings are single tokens,
+   * so "NUMERIC(10,2)" is ["NUMERIC", "(10,2)"] and a function body is one token.
+   * Every token keeps its source offsets so callers can slice original text.
+   */
+  function tokenize(str) {
+    const tokens = [];
+    let i = 0;
+    while (i < str.length) {
+      const ch = str[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      const start = i;
+      let kind;
+      if (isQuoteStart(str, i)) {
+        i = skipQuoted(str, i);
+        kind = ch === '"' ? "ident" : "string";
+      } else if (ch === "(" || ch === "[") {
+        i = skipGroup(str, i);
+        kind = "group";
+      } else if (/[A-Za-z0-9_]/.test(ch)) {
+        // Words include qualified names such as public.clients or "audit"."log"
+        while (i < str.length && /[A-Za-z0-9_$.]/.test(str[i])) {
+          i++;
+          if (str[i] === '"' && str[i - 1] === ".") i = skipQuoted(str, i);
+        }
+        kind = "word";
+      } else if (ch === ":" && str[i + 1] === ":") {
+        i += 2;
+        kind = "op";
+      } else {
+        i++;
+        kind = "op";
+      }
+      const text = str.slice(start, i);
+      tokens.push({ text, upper: text.toUpperCase(), kind, start, end: i });
+    }
+    return tokens;
+  }
+
+  // Strips quotes and the schema qualifier from an identifier.
+  function identName(text) {
+    const parts = splitQualified(text);
+    return parts[parts.length - 1];
+  }
+
+  const DEFAULT_SCHEMA = "public";
+
+  // Object names keep their schema unless it is public:
+  // "public.trees" → "trees", "audit.change_log" → "audit.change_log"
+  function objectName(text) {
+    const parts = splitQualified(text);
+    const name = parts[parts.length - 1];
+    const schema = parts.length > 1 ? parts[parts.length - 2] : DEFAULT_SCHEMA;
+    return schema === DEFAULT_SCHEMA ? name : `${schema}.${name}`;
+  }
+
+  // "audit.change_log" → "audit", "trees" → "public"
+  function schemaOf(name) {
+    const dot = name.indexOf(".");
+    return dot === -1 ? DEFAULT_SCHEMA : name.slice(0, dot);
+  }
+
+  // RENAME TO takes a bare name; the object stays in its schema
+  function renamed(oldName, text) {
+    const schema = schemaOf(oldName);
+    const name = identName(text);
+    return schema === DEFAULT_SCHEMA ? name : `${schema}.${name}`;
+  }
+
+  function splitQualified(text) {
+    const parts = [];
+    let cur = "";
+    let i = 0;
+    while (i < text.length) {
+      if (text[i] === '"') {
+        const end = skipQuoted(text, i);
+        cur += text.slice(i + 1, end - 1).replace(/""/g, '"');
+        i = end;
+      } else if (text[i] === ".") {
+        parts.push(cur);
+        cur = "";
+        i++;
+      } else {
+        cur += text[i++].toLowerCase();
+      }
+    }
+    parts.push(cur);
+    return parts;
+  }
+
+  function unquoteString(text) {
+    if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+    const tag = dollarTagAt(text, 0);
+    if (tag) return text.slice(tag.length, text.length - tag.length);
+    return text;
+  }
+
+  // "(a, b)" → ["a", "b"]
+  function groupItems(groupText) {
+    return splitTopLevel(groupText.slice(1, -1));
+  }
+
+  function groupIdents(groupText) {
+    return groupItems(groupText).map(identName);
+  }
+
+  /** Small cursor over a token list with keyword helpers. */
+  function cursor(tokens, source) {
+    let pos = 0;
+    const c = {
+      get pos() { return pos; },
+      set pos(p) { pos = p; },
+      peek: (n = 0) => tokens[pos + n],
+      next: () => tokens[pos++],
+      done: () => pos >= tokens.length,
+      // Consumes the keyword sequence if it is next; "IF NOT EXISTS" etc.
+      accept(words) {
+        const list = words.split(" ");
+        for (let k = 0; k < list.length; k++) {
+          const t = tokens[pos + k];
+          if (!t || t.upper !== list[k]) return false;
+        }
+        pos += list.length;
+        return true;
+      },
+      is(words) {
+        const saved = pos;
+        const ok = c.accept(words);
+        pos = saved;
+        return ok;
+      },
+      // Source text from token index `from` up to (not including) the cursor.
+      textFrom(from) {
+        if (from >= pos) return "";
+        return source.slice(tokens[from].start, tokens[pos - 1].end);
+      },
+      rest() {
+        if (pos >= tokens.length) return "";
+        return source.slice(tokens[pos].start).trim();
+      }
+    };
+    return c;
+  }
+
+  // ==========================================================================
+  // MODEL HELPERS
+  // ==========================================================================
+  const KEY_PREFIX = {
+    table: "table_",
+    enum: "enum_",
+    view: "view_",
+    function: "function_",
+    trigger: "trigger_",
+    sequence: "sequence_",
+    extension: "extension_",
+    schema: "schema_"
+  };
+
+  // Object order in the output matches data.js: tables, enums, views, functions, triggers,
+  // sequences, extensions, schemas.
+  const TYPE_ORDER = ["table", "enum", "view", "function", "trigger", "sequence", "extension", "schema"];
+
+  // constraints: name → { table, kind, columns }, so DROP CONSTRAINT can be replayed
+  function createModel() {
+    return { objects: [], skipped: [], constraints: new Map() };
+  }
+
+  function findObject(model, type, name) {
+    return model.objects.find(o => o.type === type && o.name === name) || null;
+  }
+
+  function addObject(model, obj) {
+    const existing = findObject(model, obj.type, obj.name);
+    if (existing) {
+      // CREATE OR REPLACE - keep position, replace definition
+      model.objects[model.objects.indexOf(existing)] = obj;
+    } else {
+      model.objects.push(obj);
+    }
+    return obj;
+  }
+
+  function newObject(type, name) {
+    const obj = { key: KEY_PREFIX[type] + name, type, name, domain: null, description: null };
+    if (type !== "schema" && schemaOf(name) !== DEFAULT_SCHEMA) obj.schema = schemaOf(name);
+    return obj;
+  }
+
+  // Writes types the way data.js does: NUMERIC(10,2), geometry(Point,4326), UUID[]
+  function normalizeType(text) {
+    return text.replace(/\s+(?=[([])/g, "").replace(/\s*,\s*/g, ",").replace(/\s+/g, " ").replace(/^"?public"?\./i, "");
+  }
+
+  function normalizeAction(words) {
+    return words.join(" ").toUpperCase();
+  }
+
+  // ==========================================================================
+  // COLUMNS & CONSTRAINTS
+  // ==========================================================================
+  const COLUMN_STOP_WORDS = new Set([
+    "NOT", "NULL", "DEFAULT", "PRIMARY", "REFERENCES", "UNIQUE", "CHECK",
+    "CONSTRAINT", "GENERATED", "COLLATE"
+  ]);
+
+  const FK_OPTION_WORDS = new Set(["ON", "MATCH", "DEFERRABLE", "NOT", "INITIALLY"]);
+
+  // Reads "REFERENCES table [(col)] [MATCH ...] [ON DELETE x] [ON UPDATE y] [DEFERRABLE ...]"
+  // with the cursor positioned after REFERENCES.
+  function parseReferences(c) {
+    const tableTok = c.next();
+    const ref = { table: objectName(tableTok.text), columns: ["id"] };
+    if (c.peek() && c.peek().kind === "group") {
+      ref.columns = groupIdents(c.next().text);
+    }
+    while (!c.done() && FK_OPTION_WORDS.has(c.peek().upper)) {
+      if (c.accept("ON DELETE") || c.accept("ON UPDATE")) {
+        const which = c.peek(-1).upper === "DELETE" ? "onDelete" : "onUpdate";
+        const words = [c.next().text];
+        if (/^(SET|NO)$/.test(words[0].toUpperCase())) words.push(c.next().text);
+        ref[which] = normalizeAction(words);
+      } else if (c.accept("MATCH")) {
+        c.next();
+      } else if (c.accept("NOT DEFERRABLE") || c.accept("DEFERRABLE")) {
+        // no model representation
+      } else if (c.accept("INITIALLY")) {
+        c.next();
+      } else {
+        break;
+      }
+    }
+    return ref;
+  }
+
+  function fkFromRef(ref, index = 0) {
+    const fk = { table: ref.table, column: ref.columns[index] || "id" };
+    if (ref.onDelete && ref.onDelete !== "NO ACTION") fk.onDelete = ref.onDelete;
+    if (ref.onUpdate && ref.onUpdate !== "NO ACTION") fk.onUpdate = ref.onUpdate;
+    return fk;
+  }
+
+  // Column-level CHECKs are pushed to `checks` as { name, expression }
+  function parseColumn(def, checks = []) {
+    const tokens = tokenize(def);
+    const c = cursor(tokens, def);
+    const col = { name: identName(c.next().text), type: "", nullable: true };
+
+    const typeStart = c.pos;
+    while (!c.done() && !COLUMN_STOP_WORDS.has(c.peek().upper)) c.next();
+    // Array suffixes and modifiers attach to the type without a space: UUID[], NUMERIC(10,2)
+    col.type = normalizeType(c.textFrom(typeStart));
+
+    let pk = false;
+    let unique = false;
+    let fk = null;
+    let def_ = null;
+    let identity = null;
+    let constraintName = null;
+    while (!c.done()) {
+      if (c.accept("CONSTRAINT")) {
+        constraintName = identName(c.next().text);
+        continue;
+      } else if (c.accept("NOT NULL")) {
+        col.nullable = false;
+      } else if (c.accept("NULL")) {
+        col.nullable = true;
+      } else if (c.accept("DEFAULT")) {
+        const from = c.pos;
+        if (c.is("NULL")) c.next();
+        while (!c.done() && !COLUMN_STOP_WORDS.has(c.peek().upper)) c.next();
+        def_ = c.textFrom(from);
+      } else if (c.accept("PRIMARY KEY")) {
+        pk = true;
+        col.nullable = false;
+      } else if (c.accept("UNIQUE")) {
+        unique = true;
+      } else if (c.accept("REFERENCES")) {
+        fk = fkFromRef(parseReferences(c));
+      } else if (c.accept("CHECK")) {
+        checks.push({ name: constraintName, expression: c.next().text.slice(1, -1).trim() });
+      } else if (c.accept("GENERATED")) {
+        identity = parseIdentity(c);
+        if (identity) col.nullable = false;
+        while (!c.done() && !COLUMN_STOP_WORDS.has(c.peek().upper)) c.next();
+      } else if (c.accept("COLLATE")) {
+        c.next();
+      } else {
+        c.next();
+      }
+      constraintName = null;
+    }
+
+    // Property order follows data.js: name, type, nullable, default, identity, pk, unique, fk
+    if (def_ !== null) col.default = def_;
+    if (identity) col.identity = identity;
+    if (pk) col.pk = true;
+    if (unique) col.unique = true;
+    if (fk) col.fk = fk;
+    return col;
+  }
+
+  // After GENERATED: "ALWAYS AS IDENTITY [(sequence options)]" → "ALWAYS", "BY DEFAULT ..." →
+  // "BY DEFAULT". Generated columns (ALWAYS AS (expr) STORED) return null.
+  function parseIdentity(c) {
+    const from = c.pos;
+    const kind = c.accept("ALWAYS") ? "ALWAYS" : c.accept("BY DEFAULT") ? "BY DEFAULT" : null;
+    if (kind && c.accept("AS IDENTITY")) {
+      if (c.peek() && c.peek().kind === "group") c.next();
+      return kind;
+    }
+    c.pos = from;
+    return null;
+  }
+
+  function rememberColumnConstraints(model, table, col) {
+    if (col.pk) rememberConstraint(model, table, "pk", [col.name]);
+    if (col.unique) rememberConstraint(model, table, "unique", [col.name]);
+    if (col.fk) rememberConstraint(model, table, "fk", [col.name]);
+  }
+
+  function isTableConstraint(def) {
+    return /^(CONSTRAINT|PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|CHECK|EXCLUDE|LIKE)\b/i.test(def);
+  }
+
+  /**
+   * Parses a table-level constraint into { kind, name, columns, ref }.
+   * kind is "pk" | "unique" | "fk" | "check" | "other".
+   */
+  function parseTableConstraint(def) {
+    const tokens = tokenize(def);
+    const c = cursor(tokens, def);
+    const out = { kind: "other", name: null, columns: [] };
+    if (c.accept("CONSTRAINT")) out.name = identName(c.next().text);
+    if (c.accept("PRIMARY KEY")) {
+      out.kind = "pk";
+      out.columns = groupIdents(c.next().text);
+    } else if (c.accept("UNIQUE")) {
+      c.accept("NULLS NOT DISTINCT");
+      out.kind = "unique";
+      out.columns = groupIdents(c.next().text);
+    } else if (c.accept("FOREIGN KEY")) {
+      out.kind = "fk";
+      out.columns = groupIdents(c.next().text);
+      if (c.accept("REFERENCES")) out.ref = parseReferences(c);
+    } else if (c.accept("CHECK")) {
+      out.kind = "check";
+      const group = c.next();
+      out.expression = group ? group.text.slice(1, -1).trim() : "";
+    }
+    return out;
+  }
+
+  // Postgres' generated names: clients_pkey, users_email_key, users_client_id_fkey
+  function defaultConstraintName(table, kind, columns) {
+    if (kind === "pk") return `${table}_pkey`;
+    if (kind === "unique") return `${table}_${columns.join("_")}_key`;
+    if (kind === "fk") return `${table}_${columns.join("_")}_fkey`;
+    if (kind === "check") return columns.length ? `${table}_${columns.join("_")}_check` : `${table}_check`;
+    return null;
+  }
+
+  function rememberConstraint(model, table, kind, columns, name) {
+    const key = name || defaultConstraintName(table.name, kind, columns);
+    if (key) model.constraints.set(key, { table: table.name, kind, columns });
+  }
+
+  // Column names mentioned in a CHECK expression
+  function checkColumns(table, expression) {
+    const words = new Set(tokenize(expression).filter(t => t.kind === "word").map(t => t.text.toLowerCase()));
+    return table.columns.filter(col => words.has(col.name)).map(col => col.name);
+  }
+
+  /**
+   * Applies a parsed table constraint. Single-column PK/UNIQUE/FK stay on the
+   * column (pk, unique, fk) as in data.js; CHECKs and multi-column keys go to
+   * table.constraints.
+   */
+  function applyTableConstraint(model, table, con) {
+    const name = con.name || defaultConstraintName(table.name, con.kind, con.columns);
+    rememberConstraint(model, table, con.kind, con.columns, name);
+    const cols = con.columns.map(n => table.columns.find(col => col.name === n)).filter(Boolean);
+    if (con.kind === "check") {
+      const columns = con.columns.length ? con.columns : checkColumns(table, con.expression);
+      addConstraint(table, { name, type: "check", columns, expression: con.expression });
+    } else if (con.kind === "pk") {
+      cols.forEach(col => { col.nullable = false; });
+      if (cols.length === 1) cols[0].pk = true;
+      else addConstraint(table, { name, type: "pk", columns: con.columns });
+    } else if (con.kind === "unique") {
+      if (cols.length === 1) cols[0].unique = true;
+      else addConstraint(table, { name, type: "unique", columns: con.columns });
+    } else if (con.kind === "fk" && con.ref) {
+      if (cols.length === 1) {
+        cols[0].fk = fkFromRef(con.ref);
+      } else {
+        const fk = { table: con.ref.table, columns: con.ref.columns };
+        if (con.ref.onDelete && con.ref.onDelete !== "NO ACTION") fk.onDelete = con.ref.onDelete;
+        if (con.ref.onUpdate && con.ref.onUpdate !== "NO ACTION") fk.onUpdate = con.ref.onUpdate;
+        addConstraint(table, { name, type: "fk", columns: con.columns, fk });
+      }
+    }
+  }
+
+  function addConstraint(table, constraint) {
+    table.constraints = (table.constraints || []).filter(c => c.name !== constraint.name);
+    table.constraints.push(constraint);
+  }
+
+  function applyColumnChecks(model, table, col, checks) {
+    for (const chk of checks) {
+      applyTableConstraint(model, table, {
+        kind: "check",
+        name: chk.name || `${table.name}_${col.name}_check`,
+        columns: [col.name],
+        expression: chk.expression
+      });
+    }
+  }
+
+  // Re-orders a column's properties to match data.js after late changes (ALTER TABLE).
+  function tidyColumn(col) {
+    const order = ["name", "type", "nullable", "default", "identity", "pk", "unique", "fk"];
+    const copy = Object.assign({}, col);
+    for (const k of Object.keys(col)) delete col[k];
+    for (const k of order) if (copy[k] !== undefined) col[k] = copy[k];
+    for (const k of Object.keys(copy)) if (!(k in col)) col[k] = copy[k];
+    return col;
+  }
+
+  // ==========================================================================
+  // STATEMENT HANDLERS
+  // ==========================================================================
+  function createTable(model, c) {
+    const ifNotExists = c.accept("IF NOT EXISTS");
+    const name = objectName(c.next().text);
+    if (ifNotExists && findObject(model, "table", name)) return true;
+    const body = c.next();
+    if (!body || body.kind !== "group") return false;
+
+    const table = newObject("table", name);
+    table.columns = [];
+    table.indexes = [];
+    const constraints = [];
+    const columnChecks = [];
+    for (const def of groupItems(body.text)) {
+      if (isTableConstraint(def)) {
+        constraints.push(parseTableConstraint(def));
+      } else {
+        const checks = [];
+        const col = parseColumn(def, checks);
+        table.columns.push(col);
+        columnChecks.push([col, checks]);
+      }
+    }
+    for (const col of table.columns) rememberColumnConstraints(model, table, col);
+    for (const col of table.columns) addSerialSequence(model, table, col);
+    for (const [col, checks] of columnChecks) applyColumnChecks(model, table, col, checks);
+    for (const con of constraints) applyTableConstraint(model, table, con);
+    table.columns.forEach(tidyColumn);
+    addObject(model, table);
+    return true;
+  }
+
+  function createEnum(model, c) {
+    const name = objectName(c.next().text);
+    if (!c.accept("AS ENUM")) return false;
+    const group = c.next();
+    const obj = newObject("enum", name);
+    obj.values = groupItems(group.text).map(unquoteString);
+    addObject(model, obj);
+    return true;
+  }
+
+  function createIndex(model, c, unique) {
+    c.accept("CONCURRENTLY");
+    c.accept("IF NOT EXISTS");
+    let name = null;
+    if (!c.is("ON")) name = identName(c.next().text);
+    if (!c.accept("ON")) return false;
+    c.accept("ONLY");
+    const tableName = objectName(c.next().text);
+    let method = null;
+    if (c.accept("USING")) method = c.next().text.toUpperCase();
+    const group = c.next();
+    if (!group || group.kind !== "group") return false;
+
+    // Simple column references become names; expressions are kept verbatim
+    const columns = groupItems(group.text).map(item => {
+      const m = /^("[^"]+"|[A-Za-z_][A-Za-z0-9_]*)(\s+(ASC|DESC|NULLS\s+\w+|[A-Za-z_]+_ops))*$/i.exec(item);
+      return m ? identName(m[1]) : item;
+    });
+
+    let where = null;
+    while (!c.done()) {
+      if (c.accept("WHERE")) { where = c.rest(); break; }
+      c.next();
+    }
+
+    const table = findObject(model, "table", tableName);
+    if (!table) return false;
+    const idx = { name: name || `${tableName}_${columns.join("_")}_idx`, columns };
+    if (unique) idx.unique = true;
+    if (method && method !== "BTREE") idx.method = method;
+    if (where) idx.where = where;
+    table.indexes = (table.indexes || []).filter(i => i.name !== idx.name);
+    table.indexes.push(idx);
+    return true;
+  }
+
+  // Collects table names that follow FROM / JOIN in a query.
+  function referencedTables(query) {
+    const names = [];
+    const scan = text => {
+      const tokens = tokenize(text);
+      for (let i = 0; i < tokens.length; i++) {
+        const t = tokens[i];
+        if (t.kind === "group") {
+          scan(t.text.slice(1, -1));
+          continue;
+        }
+        if ((t.upper === "FROM" || t.upper === "JOIN") && tokens[i + 1]) {
+          const next = tokens[i + 1];
+          if ((next.kind === "word" || next.kind === "ident") && !/^(LATERAL|ONLY)$/i.test(next.text)) {
+            const n = objectName(next.text);
+            if (!names.includes(n)) names.push(n);
+          }
+        }
+      }
+    };
+    scan(query);
+    return names;
+  }
+
+  function createView(model, c) {
+    c.accept("IF NOT EXISTS");
+    const name = objectName(c.next().text);
+    if (c.peek() && c.peek().kind === "group") c.next();
+    if (c.accept("WITH")) c.next();
+    if (!c.accept("AS")) return false;
+    let query = c.rest().replace(/\s+WITH\s+(CASCADED\s+|LOCAL\s+)?CHECK\s+OPTION\s*$/i, "");
+    query = query.replace(/\s+WITH\s+(NO\s+)?DATA\s*$/i, "");
+
+    const obj = newObject("view", name);
+    // Only keep real tables: CTE names and functions are filtered after the full parse
+    obj.baseTables = referencedTables(query);
+    obj.definition = query;
+    addObject(model, obj);
+    return true;
+  }
+
+  const PARAM_MODES = /^(IN|OUT|INOUT|VARIADIC)$/;
+
+  // "(IN p_prefix VARCHAR, p_year INT DEFAULT 2025)" → [{ name, type, mode?, default? }]
+  function parseParams(groupText) {
+    return groupItems(groupText).map(item => {
+      const pc = cursor(tokenize(item), item);
+      const param = {};
+      if (pc.peek() && PARAM_MODES.test(pc.peek().upper)) param.mode = pc.next().upper;
+      // The name is optional: "(VARCHAR, double precision)" declares types only
+      const first = pc.peek();
+      const second = pc.peek(1);
+      if (first && second && second.kind !== "group" && !/^(DEFAULT|=|PRECISION|VARYING|WITH|WITHOUT)$/.test(second.upper)) {
+        param.name = identName(pc.next().text);
+      }
+      const typeStart = pc.pos;
+      while (!pc.done() && !/^(DEFAULT|=)$/.test(pc.peek().upper)) pc.next();
+      param.type = normalizeType(pc.textFrom(typeStart));
+      if (pc.accept("DEFAULT") || pc.accept("=")) param.default = pc.rest();
+      return param;
+    });
+  }
+
+  function createFunction(model, c) {
+    const name = objectName(c.next().text);
+    const args = c.next();
+    if (!args || args.kind !== "group") return false;
+
+    const obj = newObject("function", name);
+    obj.returnType = null;
+    obj.language = null;
+    obj.volatility = "VOLATILE";
+    obj.params = parseParams(args.text);
+    while (!c.done()) {
+      if (c.accept("RETURNS")) {
+        const from = c.pos;
+        while (!c.done() && !/^(AS|LANGUAGE|IMMUTABLE|STABLE|VOLATILE|STRICT|SECURITY|CALLED|PARALLEL|COST|ROWS|SET|WINDOW|LEAKPROOF|RETURNS)$/.test(c.peek().upper)) {
+          c.next();
+        }
+        obj.returnType = normalizeType(c.textFrom(from));
+      } else if (c.accept("LANGUAGE")) {
+        obj.language = unquoteString(c.next().text).toLowerCase();
+      } else if (/^(IMMUTABLE|STABLE|VOLATILE)$/.test(c.peek().upper)) {
+        obj.volatility = c.next().upper;
+      } else if (c.accept("AS")) {
+        const body = c.next();
+        if (body && body.kind === "string") obj.definition = unquoteString(body.text).replace(/^\s*\n/, "").replace(/\s+$/, "");
+      } else {
+        c.next();
+      }
+    }
+    addObject(model, obj);
+    return true;
+  }
+
+  function createTrigger(model, c) {
+    const name = identName(c.next().text);
+    const timingFrom = c.pos;
+    while (!c.done() && c.peek().upper !== "ON") c.next();
+    // "UPDATE OF col1, col2" keeps only the event word
+    const timing = c.textFrom(timingFrom)
+      .replace(/\s+/g, " ")
+      .toUpperCase()
+      .replace(/\bUPDATE OF .*?(?= OR |$)/, "UPDATE");
+    if (!c.accept("ON")) return false;
+    const table = objectName(c.next().text);
+
+    let fn = null;
+    while (!c.done()) {
+      if (c.accept("EXECUTE FUNCTION") || c.accept("EXECUTE PROCEDURE")) {
+        fn = objectName(c.next().text);
+        break;
+      }
+      c.next();
+    }
+
+    const obj = newObject("trigger", name);
+    obj.table = table;
+    obj.function = fn;
+    obj.timing = timing;
+    addObject(model, obj);
+    return true;
+  }
+
+  // ==========================================================================
+  // SCHEMAS, EXTENSIONS, SEQUENCES
+  // ==========================================================================
+  // What common extensions add, so columns and defaults can be traced back to them
+  const EXTENSION_CATALOG = {
+    "uuid-ossp": { functions: ["uuid_generate_v1", "uuid_generate_v1mc", "uuid_generate_v3", "uuid_generate_v4", "uuid_generate_v5"] },
+    pgcrypto: { functions: ["gen_random_uuid", "crypt", "gen_salt", "digest", "hmac"] },
+    citext: { types: ["citext"] },
+    postgis: { types: ["geometry", "geography"] },
+    hstore: { types: ["hstore"] },
+    ltree: { types: ["ltree"] },
+    pg_trgm: { functions: ["similarity", "word_similarity"] }
+  };
+
+  // CREATE SCHEMA [IF NOT EXISTS] name [AUTHORIZATION role]
+  function createSchema(model, c) {
+    const ifNotExists = c.accept("IF NOT EXISTS");
+    const tok = c.next();
+    if (!tok) return false;
+    const name = tok.upper === "AUTHORIZATION" ? identName(c.next().text) : identName(tok.text);
+    if (ifNotExists && findObject(model, "schema", name)) return true;
+    addObject(model, newObject("schema", name));
+    return true;
+  }
+
+  // CREATE EXTENSION [IF NOT EXISTS] name [WITH] [SCHEMA s] [VERSION v] [CASCADE]
+  function createExtension(model, c) {
+    const ifNotExists = c.accept("IF NOT EXISTS");
+    const name = identName(c.next().text);
+    if (ifNotExists && findObject(model, "extension", name)) return true;
+    const obj = newObject("extension", name);
+    while (!c.done()) {
+      if (c.accept("SCHEMA")) {
+        const schema = identName(c.next().text);
+        if (schema !== DEFAULT_SCHEMA) obj.schema = schema;
+      } else if (c.accept("VERSION")) {
+        obj.version = unquoteString(c.next().text);
+      } else {
+        c.next();
+      }
+    }
+    const provides = EXTENSION_CATALOG[name.toLowerCase()];
+    if (provides && provides.types) obj.types = provides.types.slice();
+    if (provides && provides.functions) obj.functions = provides.functions.slice();
+    addObject(model, obj);
+    return true;
+  }
+
+  function readNumber(c) {
+    const negative = c.accept("-");
+    const n = Number(c.next().text);
+    return negative ? -n : n;
+  }
+
+  // "public.trees.id" / "audit.log.id" → { table, column }; NONE → null
+  function parseOwnedBy(text) {
+    if (text.toUpperCase() === "NONE") return null;
+    const parts = splitQualified(text);
+    const column = parts.pop();
+    const table = parts.length > 1 && parts[0] !== DEFAULT_SCHEMA ? parts.join(".") : parts[parts.length - 1];
+    return { table, column };
+  }
+
+  // AS type, INCREMENT BY, MINVALUE/MAXVALUE, START WITH, CACHE, [NO] CYCLE, OWNED BY
+  function sequenceOptions(seq, c) {
+    while (!c.done()) {
+      if (c.accept("AS")) seq.dataType = c.next().upper;
+      else if (c.accept("INCREMENT")) { c.accept("BY"); seq.increment = readNumber(c); }
+      else if (c.accept("NO MINVALUE")) delete seq.minValue;
+      else if (c.accept("NO MAXVALUE")) delete seq.maxValue;
+      else if (c.accept("MINVALUE")) seq.minValue = readNumber(c);
+      else if (c.accept("MAXVALUE")) seq.maxValue = readNumber(c);
+      else if (c.accept("START")) { c.accept("WITH"); seq.start = readNumber(c); }
+      else if (c.accept("CACHE")) seq.cache = readNumber(c);
+      else if (c.accept("NO CYCLE")) seq.cycle = false;
+      else if (c.accept("CYCLE")) seq.cycle = true;
+      else if (c.accept("OWNED BY")) seq.ownedBy = parseOwnedBy(c.next().text);
+      else c.next();
+    }
+    if (!seq.ownedBy) delete seq.ownedBy;
+  }
+
+  function createSequence(model, c) {
+    const ifNotExists = c.accept("IF NOT EXISTS");
+    const name = objectName(c.next().text);
+    if (ifNotExists && findObject(model, "sequence", name)) return true;
+    const seq = newObject("sequence", name);
+    Object.assign(seq, { dataType: "BIGINT", start: 1, increment: 1, cycle: false });
+    sequenceOptions(seq, c);
+    addObject(model, seq);
+    return true;
+  }
+
+  // ALTER SEQUENCE [IF EXISTS] name RENAME TO new | options
+  function alterSequence(model, c) {
+    const ifExists = c.accept("IF EXISTS");
+    const seq = findObject(model, "sequence", objectName(c.next().text));
+    if (!seq) return ifExists;
+    if (c.accept("RENAME TO")) {
+      seq.name = renamed(seq.name, c.next().text);
+      seq.key = KEY_PREFIX.sequence + seq.name;
+      return true;
+    }
+    sequenceOptions(seq, c);
+    return true;
+  }
+
+  // SERIAL columns own an implicit <table>_<column>_seq
+  const SERIAL_TYPES = { smallserial: "SMALLINT", serial: "INTEGER", bigserial: "BIGINT" };
+
+  function addSerialSequence(model, table, col) {
+    const dataType = SERIAL_TYPES[col.type.toLowerCase()];
+    const name = `${table.name}_${col.name}_seq`;
+    if (!dataType || findObject(model, "sequence", name)) return;
+    const seq = newObject("sequence", name);
+    Object.assign(seq, { dataType, start: 1, increment: 1, cycle: false, ownedBy: { table: table.name, column: col.name } });
+    model.objects.push(seq);
+  }
+
+  const COMMENT_TARGETS = {
+    TABLE: "table",
+    VIEW: "view",
+    "MATERIALIZED VIEW": "view",
+    TYPE: "enum",
+    FUNCTION: "function",
+    TRIGGER: "trigger",
+    SEQUENCE: "sequence",
+    EXTENSION: "extension",
+    SCHEMA: "schema"
+  };
+
+  function commentOn(model, c) {
+    let target = null;
+    for (const words of Object.keys(COMMENT_TARGETS)) {
+      if (c.accept(words)) { target = COMMENT_TARGETS[words]; break; }
+    }
+    if (!target) return false;
+    const name = /^(trigger|extension|schema)$/.test(target) ? identName(c.next().text) : objectName(c.next().text);
+    if (c.peek() && c.peek().kind === "group") c.next();
+    // COMMENT ON TRIGGER name ON table
+    if (c.accept("ON")) c.next();
+    if (!c.accept("IS")) return false;
+    const obj = findObject(model, target, name);
+    if (!obj) return false;
+    const value = c.next();
+    obj.description = value.upper === "NULL" ? null : unquoteString(value.text);
+    return true;
+  }
+
+  // ==========================================================================
+  // ALTER / DROP / RENAME - replaying later migrations
+  // ==========================================================================
+
+  // Quotes a name only when PostgreSQL would need it: "Order Lines", not order_lines
+  function quoteName(name) {
+    return /^[a-z_][a-z0-9_$]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Rewrites the identifiers in an expression or query, bracket groups included.
+   * swap(parts) gets each identifier's name parts ("t.status" → ["t", "status"]) and
+   * returns new parts, or null to leave it alone. Strings and comments are untouched.
+   */
+  function rewriteIdents(sql, swap) {
+    let out = "";
+    let last = 0;
+    for (const t of tokenize(sql)) {
+      let text = null;
+      if (t.kind === "group") {
+        const inner = rewriteIdents(t.text.slice(1, -1), swap);
+        if (inner !== t.text.slice(1, -1)) text = t.text[0] + inner + t.text[t.text.length - 1];
+      } else if (t.kind === "word" || t.kind === "ident") {
+        const parts = swap(splitQualified(t.text));
+        if (parts) text = parts.map(quoteName).join(".");
+      }
+      if (text === null) continue;
+      out += sql.slice(last, t.start) + text;
+      last = t.end;
+    }
+    return out + sql.slice(last);
+  }
+
+  // swap() for a renamed table or view: "trees", "public.trees", "trees.status",
+  // "public.trees.status" ("audit.change_log" also matches an unqualified change_log)
+  function relationSwap(oldName, newName) {
+    const schema = schemaOf(oldName);
+    const oldBare = identName(oldName);
+    const newBare = identName(newName);
+    return parts => {
+      const at = parts.length === 1 ? (parts[0] === oldBare ? 0 : -1)
+        : parts[0] === schema && parts[1] === oldBare ? 1
+        : parts.length === 2 && parts[0] === oldBare ? 0 : -1;
+      if (at === -1) return null;
+      const copy = parts.slice();
+      copy[at] = newBare;
+      return copy;
+    };
+  }
+
+  function renameTable(model, table, newName) {
+    const oldName = table.name;
+    table.name = newName;
+    table.key = KEY_PREFIX.table + newName;
+    renameInDefinitions(model, oldName, newName);
+    for (const o of model.objects) {
+      if (o.type === "table") {
+        for (const col of o.columns) if (col.fk && col.fk.table === oldName) col.fk.table = newName;
+        for (const con of o.constraints || []) if (con.fk && con.fk.table === oldName) con.fk.table = newName;
+      } else if (o.type === "trigger" && o.table === oldName) {
+        o.table = newName;
+      } else if (o.type === "sequence" && o.ownedBy && o.ownedBy.table === oldName) {
+        o.ownedBy.table = newName;
+      } else if (o.type === "view") {
+        o.baseTables = o.baseTables.map(n => (n === oldName ? newName : n));
+        for (const stale of o.staleColumns || []) if (stale.table === oldName) stale.table = newName;
+      }
+    }
+    for (const con of model.constraints.values()) if (con.table === oldName) con.table = newName;
+  }
+
+  // A renamed table or view keeps the views and CHECKs that use it working, as in PostgreSQL
+  function renameInDefinitions(model, oldName, newName) {
+    const swap = relationSwap(oldName, newName);
+    for (const o of model.objects) {
+      if (o.type === "view" && o.definition) o.definition = rewriteIdents(o.definition, swap);
+      if (o.type !== "table") continue;
+      for (const con of o.constraints || []) {
+        if (con.expression) con.expression = rewriteIdents(con.expression, swap);
+      }
+    }
+  }
+
+  function renameColumn(model, table, col, newName) {
+    const oldName = col.name;
+    col.name = newName;
+    for (const idx of table.indexes) {
+      idx.columns = idx.columns.map(n => (n === oldName ? newName : n));
+    }
+    const swap = n => (n === oldName ? newName : n);
+    for (const con of table.constraints || []) con.columns = con.columns.map(swap);
+    // CHECKs only see their own table: status, trees.status
+    const bare = identName(table.name);
+    const checkSwap = parts => (parts[parts.length - 1] === oldName &&
+      (parts.length === 1 || parts[parts.length - 2] === bare) ? parts.slice(0, -1).concat(newName) : null);
+    for (const con of table.constraints || []) {
+      if (con.expression) con.expression = rewriteIdents(con.expression, checkSwap);
+    }
+    for (const o of model.objects) {
+      if (o.type === "sequence" && o.ownedBy && o.ownedBy.table === table.name && o.ownedBy.column === oldName) {
+        o.ownedBy.column = newName;
+      }
+      if (o.type !== "table") continue;
+      for (const c of o.columns) {
+        if (c.fk && c.fk.table === table.name && c.fk.column === oldName) c.fk.column = newName;
+      }
+      for (const con of o.constraints || []) {
+        if (con.fk && con.fk.table === table.name) con.fk.columns = con.fk.columns.map(swap);
+      }
+    }
+    for (const con of model.constraints.values()) {
+      if (con.table === table.name) con.columns = con.columns.map(n => (n === oldName ? newName : n));
+    }
+    // A view's column references can't be told apart without resolving its aliases, so views
+    // that read the table and mention the old name are flagged rather than rewritten
+    for (const v of model.objects) {
+      if (v.type !== "view" || !v.definition || !v.baseTables.includes(table.name)) continue;
+      let mentioned = false;
+      rewriteIdents(v.definition, parts => {
+        if (parts[parts.length - 1] === oldName) mentioned = true;
+        return null;
+      });
+      if (mentioned) {
+        v.staleColumns = (v.staleColumns || []).concat({ table: table.name, column: oldName, renamedTo: newName });
+      }
+    }
+  }
+
+  function dropColumn(model, table, name) {
+    table.columns = table.columns.filter(col => col.name !== name);
+    table.indexes = table.indexes.filter(idx => !idx.columns.includes(name));
+    if (table.constraints) table.constraints = table.constraints.filter(con => !con.columns.includes(name));
+    for (const [key, con] of model.constraints) {
+      if (con.table === table.name && con.columns.includes(name)) model.constraints.delete(key);
+    }
+    model.objects = model.objects.filter(o => !(o.type === "sequence" && o.ownedBy &&
+      o.ownedBy.table === table.name && o.ownedBy.column === name));
+  }
+
+  function dropConstraint(model, table, name) {
+    const con = model.constraints.get(name);
+    if (!con || con.table !== table.name) return false;
+    model.constraints.delete(name);
+    if (table.constraints) table.constraints = table.constraints.filter(c => c.name !== name);
+    if (con.kind === "check" || con.columns.length !== 1) return true;
+    const col = table.columns.find(c => c.name === con.columns[0]);
+    if (!col) return true;
+    if (con.kind === "pk") delete col.pk;
+    else if (con.kind === "unique") delete col.unique;
+    else if (con.kind === "fk") delete col.fk;
+    return true;
+  }
+
+  // ALTER [COLUMN] name TYPE / SET DATA TYPE / SET|DROP NOT NULL / SET|DROP DEFAULT /
+  // ADD GENERATED ... AS IDENTITY / SET GENERATED / DROP IDENTITY
+  function alterColumn(col, ac) {
+    if (ac.accept("SET DATA TYPE") || ac.accept("TYPE")) {
+      const from = ac.pos;
+      while (!ac.done() && !/^(USING|COLLATE)$/.test(ac.peek().upper)) ac.next();
+      col.type = normalizeType(ac.textFrom(from));
+      return true;
+    }
+    if (ac.accept("SET NOT NULL")) { col.nullable = false; return true; }
+    if (ac.accept("DROP NOT NULL")) { col.nullable = true; return true; }
+    if (ac.accept("SET DEFAULT")) { col.default = ac.rest(); return true; }
+    if (ac.accept("DROP DEFAULT")) { delete col.default; return true; }
+    if (ac.accept("ADD GENERATED")) {
+      const identity = parseIdentity(ac);
+      if (!identity) return false;
+      col.identity = identity;
+      col.nullable = false;
+      return true;
+    }
+    if (ac.accept("SET GENERATED")) {
+      if (!col.identity) return false;
+      col.identity = ac.accept("ALWAYS") ? "ALWAYS" : ac.accept("BY DEFAULT") ? "BY DEFAULT" : col.identity;
+      return true;
+    }
+    if (ac.accept("DROP IDENTITY")) {
+      const ifExists = ac.accept("IF EXISTS");
+      if (!col.identity) return ifExists;
+      delete col.identity;
+      return true;
+    }
+    return false;
+  }
+
+  function alterTableAction(model, table, action) {
+    const ac = cursor(tokenize(action), action);
+    const findCol = tok => tok && table.columns.find(col => col.name === identName(tok.text));
+
+    if (ac.accept("ADD")) {
+      const def = ac.rest();
+      if (isTableConstraint(def)) {
+        applyTableConstraint(model, table, parseTableConstraint(def));
+        return true;
+      }
+      ac.accept("COLUMN");
+      const ifNotExists = ac.accept("IF NOT EXISTS");
+      const checks = [];
+      const col = parseColumn(ac.rest(), checks);
+      if (table.columns.some(c => c.name === col.name)) return ifNotExists;
+      table.columns.push(col);
+      rememberColumnConstraints(model, table, col);
+      addSerialSequence(model, table, col);
+      applyColumnChecks(model, table, col, checks);
+      return true;
+    }
+    if (ac.accept("DROP CONSTRAINT")) {
+      const ifExists = ac.accept("IF EXISTS");
+      return dropConstraint(model, table, identName(ac.next().text)) || ifExists;
+    }
+    if (ac.accept("DROP")) {
+      ac.accept("COLUMN");
+      const ifExists = ac.accept("IF EXISTS");
+      const col = findCol(ac.next());
+      if (!col) return ifExists;
+      dropColumn(model, table, col.name);
+      return true;
+    }
+    if (ac.accept("ALTER")) {
+      ac.accept("COLUMN");
+      const col = findCol(ac.next());
+      return col ? alterColumn(col, ac) : false;
+    }
+    if (ac.accept("RENAME CONSTRAINT")) {
+      const oldName = identName(ac.next().text);
+      if (!ac.accept("TO")) return false;
+      const con = model.constraints.get(oldName);
+      if (!con) return false;
+      const newName = identName(ac.next().text);
+      model.constraints.delete(oldName);
+      model.constraints.set(newName, con);
+      for (const c of table.constraints || []) if (c.name === oldName) c.name = newName;
+      return true;
+    }
+    if (ac.accept("RENAME TO")) {
+      renameTable(model, table, renamed(table.name, ac.next().text));
+      return true;
+    }
+    if (ac.accept("RENAME")) {
+      ac.accept("COLUMN");
+      const col = findCol(ac.next());
+      if (!col || !ac.accept("TO")) return false;
+      renameColumn(model, table, col, identName(ac.next().text));
+      return true;
+    }
+    return false;
+  }
+
+  // ALTER TABLE [IF EXISTS] [ONLY] name action[, action...]
+  function alterTable(model, c) {
+    const ifExists = c.accept("IF EXISTS");
+    c.accept("ONLY");
+    const table = findObject(model, "table", objectName(c.next().text));
+    if (!table) return ifExists;
+
+    let handled = false;
+    for (const action of splitTopLevel(c.rest())) {
+      if (alterTableAction(model, table, action)) handled = true;
+    }
+    table.columns.forEach(tidyColumn);
+    return handled;
+  }
+
+  // ALTER TYPE name ADD VALUE / RENAME VALUE / RENAME TO
+  function alterType(model, c) {
+    const obj = findObject(model, "enum", objectName(c.next().text));
+    if (!obj) return false;
+    if (c.accept("ADD VALUE")) {
+      c.accept("IF NOT EXISTS");
+      const value = unquoteString(c.next().text);
+      if (obj.values.includes(value)) return true;
+      const before = c.accept("BEFORE");
+      const after = !before && c.accept("AFTER");
+      const anchor = before || after ? obj.values.indexOf(unquoteString(c.next().text)) : -1;
+      if (anchor === -1) obj.values.push(value);
+      else obj.values.splice(before ? anchor : anchor + 1, 0, value);
+      return true;
+    }
+    if (c.accept("RENAME VALUE")) {
+      const oldValue = unquoteString(c.next().text);
+      if (!c.accept("TO")) return false;
+      const newValue = unquoteString(c.next().text);
+      obj.values = obj.values.map(v => (v === oldValue ? newValue : v));
+      return true;
+    }
+    if (c.accept("RENAME TO")) {
+      const oldName = obj.name;
+      const newName = renamed(oldName, c.next().text);
+      obj.name = newName;
+      obj.key = KEY_PREFIX.enum + newName;
+      for (const t of model.objects) {
+        if (t.type !== "table") continue;
+        for (const col of t.columns) {
+          if (col.type === oldName) col.type = newName;
+          else if (col.type === oldName + "[]") col.type = newName + "[]";
+        }
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // ALTER VIEW|FUNCTION|TRIGGER name [(args)] [ON table] RENAME TO new
+  function alterRename(model, c, type) {
+    c.accept("IF EXISTS");
+    const name = c.next().text;
+    const obj = findObject(model, type, type === "trigger" ? identName(name) : objectName(name));
+    if (!obj) return false;
+    if (c.peek() && c.peek().kind === "group") c.next();
+    if (type === "trigger" && c.accept("ON")) c.next();
+    if (!c.accept("RENAME TO")) return false;
+    const oldName = obj.name;
+    obj.name = type === "trigger" ? identName(c.next().text) : renamed(oldName, c.next().text);
+    obj.key = KEY_PREFIX[type] + obj.name;
+    if (type === "function") {
+      for (const t of model.objects) if (t.type === "trigger" && t.function === oldName) t.function = obj.name;
+    } else if (type === "view") {
+      for (const v of model.objects) {
+        if (v.type === "view") v.baseTables = v.baseTables.map(n => (n === oldName ? obj.name : n));
+      }
+      renameInDefinitions(model, oldName, obj.name);
+    }
+    return true;
+  }
+
+  function findIndex(model, name) {
+    for (const t of model.objects) {
+      if (t.type !== "table") continue;
+      const idx = t.indexes.find(i => i.name === name);
+      if (idx) return { table: t, idx };
+    }
+    return null;
+  }
+
+  // ALTER INDEX [IF EXISTS] name RENAME TO new
+  function alterIndex(model, c) {
+    c.accept("IF EXISTS");
+    const hit = findIndex(model, identName(c.next().text));
+    if (!hit || !c.accept("RENAME TO")) return false;
+    hit.idx.name = identName(c.next().text);
+    return true;
+  }
+
+  const DROP_TYPES = [
+    ["MATERIALIZED VIEW", "view"],
+    ["VIEW", "view"],
+    ["TABLE", "table"],
+    ["TYPE", "enum"],
+    ["FUNCTION", "function"],
+    ["PROCEDURE", "function"],
+    ["TRIGGER", "trigger"],
+    ["INDEX", "index"],
+    ["SEQUENCE", "sequence"],
+    ["EXTENSION", "extension"],
+    ["SCHEMA", "schema"]
+  ];
+
+  // DROP <type> [CONCURRENTLY] [IF EXISTS] name[, name...] [ON table] [CASCADE|RESTRICT]
+  function dropObject(model, c) {
+    const match = DROP_TYPES.find(([words]) => c.accept(words));
+    if (!match) return false;
+    const type = match[1];
+    c.accept("CONCURRENTLY");
+    const ifExists = c.accept("IF EXISTS");
+
+    const names = [];
+    while (!c.done() && !/^(ON|CASCADE|RESTRICT)$/.test(c.peek().upper)) {
+      const t = c.next();
+      if (t.kind === "word" || t.kind === "ident") names.push(/^(index|trigger|extension|schema)$/.test(type) ? identName(t.text) : objectName(t.text));
+    }
+    if (c.accept("ON")) c.next();
+    const cascade = c.accept("CASCADE");
+
+    let dropped = false;
+    for (const name of names) {
+      if (type === "index") {
+        const hit = findIndex(model, name);
+        if (hit) {
+          hit.table.indexes = hit.table.indexes.filter(i => i !== hit.idx);
+          dropped = true;
+        }
+        continue;
+      }
+      const obj = findObject(model, type, name);
+      if (!obj) continue;
+      model.objects = model.objects.filter(o => o !== obj);
+      if (type === "table") {
+        // Triggers and owned sequences go with their table
+        model.objects = model.objects.filter(o => !(o.type === "trigger" && o.table === name) &&
+          !(o.type === "sequence" && o.ownedBy && o.ownedBy.table === name));
+        for (const [key, con] of model.constraints) if (con.table === name) model.constraints.delete(key);
+        if (cascade) {
+          dropForeignKeysTo(model, name);
+          dropDependentViews(model, name);
+        }
+      } else if (type === "view") {
+        // INSTEAD OF triggers go with their view
+        model.objects = model.objects.filter(o => !(o.type === "trigger" && o.table === name));
+        if (cascade) dropDependentViews(model, name);
+      } else if (type === "function" && cascade) {
+        model.objects = model.objects.filter(o => !(o.type === "trigger" && o.function === name));
+      } else if (type === "schema" && cascade) {
+        model.objects = model.objects.filter(o => o.schema !== name);
+      }
+      dropped = true;
+    }
+    return dropped || ifExists;
+  }
+
+  // DROP TABLE ... CASCADE: the FKs of other tables that point at it go too
+  function dropForeignKeysTo(model, name) {
+    const sameColumns = (a, b) => a.length === b.length && a.every((n, i) => n === b[i]);
+    for (const t of model.objects) {
+      if (t.type !== "table") continue;
+      const gone = [];
+      for (const col of t.columns) {
+        if (col.fk && col.fk.table === name) {
+          delete col.fk;
+          gone.push([col.name]);
+        }
+      }
+      if (t.constraints) {
+        for (const con of t.constraints) if (con.type === "fk" && con.fk && con.fk.table === name) gone.push(con.columns);
+        t.constraints = t.constraints.filter(con => !(con.type === "fk" && con.fk && con.fk.table === name));
+      }
+      for (const [key, con] of model.constraints) {
+        if (con.table === t.name && con.kind === "fk" && gone.some(cols => sameColumns(cols, con.columns))) {
+          model.constraints.delete(key);
+        }
+      }
+    }
+  }
+
+  // DROP TABLE|VIEW ... CASCADE: views reading the object go too, and views on those views
+  function dropDependentViews(model, name) {
+    const dependents = model.objects.filter(o => o.type === "view" && o.baseTables.includes(name));
+    const names = dependents.map(v => v.name);
+    model.objects = model.objects.filter(o => !dependents.includes(o) && !(o.type === "trigger" && names.includes(o.table)));
+    for (const v of names) dropDependentViews(model, v);
+  }
+
+  /**
+   * Applies one statement to the model. Returns false when the statement is
+   * not something the explorer models (SET, GRANT, INSERT...), so callers can
+   * report what was skipped.
+   */
+  function applyStatement(model, stmt) {
+    const tokens = tokenize(stmt);
+    const c = cursor(tokens, stmt);
+
+    if (c.accept("CREATE")) {
+      c.accept("OR REPLACE");
+      c.accept("TEMPORARY") || c.accept("TEMP") || c.accept("UNLOGGED");
+      if (c.accept("TABLE")) return createTable(model, c);
+      if (c.accept("TYPE")) return createEnum(model, c);
+      if (c.accept("UNIQUE INDEX")) return createIndex(model, c, true);
+      if (c.accept("INDEX")) return createIndex(model, c, false);
+      if (c.accept("MATERIALIZED VIEW") || c.accept("RECURSIVE VIEW") || c.accept("VIEW")) return createView(model, c);
+      if (c.accept("FUNCTION") || c.accept("PROCEDURE")) return createFunction(model, c);
+      if (c.accept("SCHEMA")) return createSchema(model, c);
+      if (c.accept("EXTENSION")) return createExtension(model, c);
+      if (c.accept("SEQUENCE")) return createSequence(model, c);
+      c.accept("CONSTRAINT");
+      if (c.accept("TRIGGER")) return createTrigger(model, c);
+      return false;
+    }
+    if (c.accept("ALTER TABLE")) return alterTable(model, c);
+    if (c.accept("ALTER TYPE")) return alterType(model, c);
+    if (c.accept("ALTER MATERIALIZED VIEW") || c.accept("ALTER VIEW")) return alterRename(model, c, "view");
+    if (c.accept("ALTER FUNCTION") || c.accept("ALTER PROCEDURE")) return alterRename(model, c, "function");
+    if (c.accept("ALTER TRIGGER")) return alterRename(model, c, "trigger");
+    if (c.accept("ALTER INDEX")) return alterIndex(model, c);
+    if (c.accept("ALTER SEQUENCE")) return alterSequence(model, c);
+    if (c.accept("DROP")) return dropObject(model, c);
+    if (c.accept("COMMENT ON")) return commentOn(model, c);
+    return false;
+  }
+
+  // ==========================================================================
+  // FINISHING - domains, descriptions, ordering
+  // ==========================================================================
+
+  /**
+   * Fills domain (and missing descriptions) for imported objects. Objects that
+   * already exist in `previous` (the loaded data.js) keep their curated domain
+   * and description; new ones inherit from the table they belong to.
+   */
+  function assignDomains(objects, previous) {
+    const prevByKey = new Map((previous || []).map(o => [o.key, o]));
+    const tableDomain = new Map();
+
+    for (const o of objects) {
+      const prev = prevByKey.get(o.key);
+      if (prev) {
+        if (!o.domain) o.domain = prev.domain || null;
+        if (!o.description) o.description = prev.description || null;
+      }
+      if (o.type === "table" && o.domain) tableDomain.set(o.name, o.domain);
+    }
+
+    const firstDomain = names => {
+      for (const n of names) if (tableDomain.has(n)) return tableDomain.get(n);
+      return null;
+    };
+
+    for (const o of objects) {
+      if (o.domain) continue;
+      if (o.type === "trigger") o.domain = firstDomain([o.table]);
+      else if (o.type === "view") o.domain = firstDomain(o.baseTables || []);
+      else if (o.type === "sequence" && o.ownedBy) o.domain = firstDomain([o.ownedBy.table]);
+      else if (o.type === "enum") {
+        const users = objects.filter(t => t.type === "table" &&
+          (t.columns || []).some(col => col.type.replace(/\[\]$/, "") === o.name));
+        o.domain = firstDomain(users.map(t => t.name));
+      }
+    }
+    for (const o of objects) {
+      if (o.domain || o.type !== "function") continue;
+      const trg = objects.find(t => t.type === "trigger" && t.function === o.name && t.domain);
+      o.domain = trg ? trg.domain : null;
+    }
+    for (const o of objects) {
+      if (!o.domain) o.domain = "Imported";
+      if (!o.description) delete o.description;
+    }
+  }
+
+  // Soft references (IDs inside arrays or JSONB) have no DDL; keep the ones the
+  // current SCHEMA declares while the column and its target still exist.
+  function carrySoftRefs(objects, previous) {
+    const tableNames = new Set(objects.filter(o => o.type === "table").map(o => o.name));
+    const prevByKey = new Map((previous || []).map(o => [o.key, o]));
+    for (const t of objects) {
+      const prev = t.type === "table" && prevByKey.get(t.key);
+      if (!prev) continue;
+      for (const col of t.columns) {
+        const old = (prev.columns || []).find(c => c.name === col.name);
+        if (old && old.softRef && !col.softRef && tableNames.has(old.softRef.table)) {
+          col.softRef = Object.assign({}, old.softRef);
+        }
+      }
+    }
+  }
+
+  function finishModel(model, options = {}) {
+    const tableNames = new Set(model.objects.filter(o => o.type === "table").map(o => o.name));
+    const viewNames = new Set(model.objects.filter(o => o.type === "view").map(o => o.name));
+    for (const v of model.objects) {
+      if (v.type !== "view") continue;
+      v.baseTables = v.baseTables.filter(n => tableNames.has(n) || viewNames.has(n));
+    }
+
+    const objects = model.objects
+      .map(o => JSON.parse(JSON.stringify(o)))
+      .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+    assignDomains(objects, options.previous);
+    carrySoftRefs(objects, options.previous);
+    return objects;
+  }
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+
+  /**
+   * Applies a SQL script to an existing model (or a new one) in statement order.
+   * Returns the model; statements the explorer does not model are listed in
+   * model.skipped.
+   */
+  function applySql(sql, model = createModel()) {
+    for (const stmt of splitStatements(sql)) {
+      let ok = false;
+      try {
+        ok = applyStatement(model, stmt);
+      } catch (err) {
+        console.warn("SqlImport: could not parse statement", stmt.slice(0, 80), err);
+      }
+      if (!ok) model.skipped.push(stmt.slice(0, 120));
+    }
+    return model;
+  }
+
+  /**
+   * Parses a migration and returns a SCHEMA-shaped object: { source, objects, skipped }.
+   * options.previous: objects of the current SCHEMA, used to carry over domains,
+   * descriptions and soft references that SQL has no place for.
+   */
+  function parseSql(sql, options = {}) {
+    const model = applySql(sql);
+    return {
+      source: options.source || null,
+      objects: finishModel(model, options),
+      skipped: model.skipped
+    };
+  }
+
+  // ==========================================================================
+  // MIGRATION HISTORY - Flyway V001..Vnnn replay
+  // ==========================================================================
+
+  /**
+   * Reads a Flyway file name: "V003__add_tree_ids.sql" → { kind: "V", version: "003",
+   * parts: [3], description: "add tree ids" }. Repeatable "R__x.sql" migrations get
+   * kind "R" and no version. Returns null for anything else.
+   */
+  function parseMigrationName(fileName) {
+    const base = fileName.split(/[\\/]/).pop();
+    const v = /^V(\d+(?:[._]\d+)*)__(.+)\.sql$/i.exec(base);
+    if (v) {
+      return {
+        kind: "V",
+        version: v[1],
+        parts: v[1].split(/[._]/).map(Number),
+        description: v[2].replace(/_/g, " ")
+      };
+    }
+    const r = /^R__(.+)\.sql$/i.exec(base);
+    if (r) return { kind: "R", version: null, parts: [], description: r[1].replace(/_/g, " ") };
+    return null;
+  }
+
+  function compareVersions(a, b) {
+    const len = Math.max(a.length, b.length);
+    for (let i = 0; i < len; i++) {
+      const d = (a[i] || 0) - (b[i] || 0);
+      if (d !== 0) return d;
+    }
+    return 0;
+  }
+
+  // Flyway order: versioned by version number, then repeatables by description.
+  // Files that are not Flyway-named keep their given order at the end.
+  function sortMigrations(files) {
+    const tagged = files.map((f, i) => ({ file: f, meta: parseMigrationName(f.name), i }));
+    const rank = t => (!t.meta ? 2 : t.meta.kind === "V" ? 0 : 1);
+    tagged.sort((a, b) => {
+      if (rank(a) !== rank(b)) return rank(a) - rank(b);
+      if (rank(a) === 0) return compareVersions(a.meta.parts, b.meta.parts);
+      if (rank(a) === 1) return a.meta.description.localeCompare(b.meta.description);
+      return a.i - b.i;
+    });
+    return tagged;
+  }
+
+  /**
+   * Replays migrations one after another. files: [{ name, sql }] in any order.
+   * Returns one entry per migration: { version, label, description, source, schema },
+   * where schema is a SCHEMA-shaped snapshot of the database after that migration.
+   */
+  function replayMigrations(files, options = {}) {
+    const model = createModel();
+    const versions = [];
+    for (const { file, meta } of sortMigrations(files)) {
+      const skippedBefore = model.skipped.length;
+      applySql(file.sql, model);
+      const label = meta ? (meta.kind === "V" ? `V${meta.version}` : "R") : file.name;
+      versions.push({
+        version: meta ? meta.version : null,
+        label,
+        description: meta ? meta.description : file.name,
+        source: file.name,
+        schema: {
+          source: file.name,
+          version: label,
+          objects: finishModel(model, options),
+          skipped: model.skipped.slice(skippedBefore)
+        }
+      });
+    }
+    return versions;
+  }
+
+  // ==========================================================================
+  // SCHEMA FILES - data.js builds and JSON exports, read as data
+  // ==========================================================================
+
+  const SCHEMA_ASSIGN = /^(?:(?:window|globalThis)\s*\.\s*SCHEMA|(?:const|let|var)\s+SCHEMA)\s*=/;
+  const ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+  /**
+   * Reads the SCHEMA object out of a data.js build ("window.SCHEMA = { ... };") or a
+   * plain JSON export. Only literals are accepted — objects, arrays, strings (including
+   * backtick strings without ${}), numbers, true/false/null — plus comments, unquoted
+   * keys and trailing commas. Nothing in the file is ever run; anything else is an error
+   * naming its line.
+   */
+  function readSchemaScript(text) {
+    let i = 0;
+    const fail = what => {
+      const line = text.slice(0, i).split("\n").length;
+      throw new Error(`${what} on line ${line}; only a SCHEMA literal or JSON can be read`);
+    };
+    const skipSpace = () => {
+      for (;;) {
+        while (i < text.length && /\s/.test(text[i])) i++;
+        if (text.startsWith("//", i)) {
+          const end = text.indexOf("\n", i);
+          i = end < 0 ? text.length : end;
+        } else if (text.startsWith("/*", i)) {
+          const end = text.indexOf("*/", i + 2);
+          if (end < 0) fail("Unclosed comment");
+          i = end + 2;
+        } else {
+          return;
+        }
+      }
+    };
+    const readString = () => {
+      const quote = text[i++];
+      let out = "";
+      while (i < text.length && text[i] !== quote) {
+        const ch = text[i++];
+        if (quote === "`" && ch === "$" && text[i] === "{") fail("Template expression");
+        if (ch === "\n" && quote !== "`") fail("Line break in string");
+        if (ch !== "\\") { out += ch; continue; }
+        const esc = text[i++];
+        if (esc === "\n") continue;
+        if (esc === "u" || esc === "x") {
+          const m = esc === "x" ? /^[0-9a-fA-F]{2}/.exec(text.slice(i))
+            : /^(?:[0-9a-fA-F]{4}|\{[0-9a-fA-F]{1,6}\})/.exec(text.slice(i));
+          if (!m) fail("Bad escape");
+          out += String.fromCodePoint(parseInt(m[0].replace(/[{}]/g, ""), 16));
+          i += m[0].length;
+          continue;
+        }
+        out += esc in ESCAPES ? ESCAPES[esc] : esc;
+      }
+      if (i >= text.length) fail("Unclosed string");
+      i++;
+      return out;
+    };
+    const readValue = () => {
+      skipSpace();
+      const ch = text[i];
+      if (ch === "{" || ch === "[") {
+        const isArray = ch === "[";
+        const close = isArray ? "]" : "}";
+        const out = isArray ? [] : {};
+        i++;
+        for (;;) {
+          skipSpace();
+          if (text[i] === close) { i++; return out; }
+          if (isArray) {
+            out.push(readValue());
+          } else {
+            let key;
+            if (text[i] === '"' || text[i] === "'") {
+              key = readString();
+            } else {
+              const m = /^[A-Za-z_$][\w$]*|^\d+/.exec(text.slice(i, i + 256));
+              if (!m) fail("Expected a key");
+              key = m[0];
+              i += key.length;
+            }
+            skipSpace();
+            if (text[i] !== ":") fail("Expected ':'");
+            i++;
+            out[key] = readValue();
+          }
+          skipSpace();
+          if (text[i] === ",") { i++; continue; }
+          if (text[i] !== close) fail(`Expected ',' or '${close}'`);
+        }
+      }
+      if (ch === '"' || ch === "'" || ch === "`") return readString();
+      const m = /^(?:-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|true|false|null)(?![\w$])/.exec(text.slice(i, i + 64));
+      if (!m) fail("Unexpected code");
+      i += m[0].length;
+      return m[0] === "true" ? true : m[0] === "false" ? false : m[0] === "null" ? null : Number(m[0]);
+    };
+
+    skipSpace();
+    const assign = SCHEMA_ASSIGN.exec(text.slice(i, i + 64));
+    if (assign) i += assign[0].length;
+    else if (text[i] !== "{") fail("Expected window.SCHEMA = { ... } or a JSON object");
+    const schema = readValue();
+    skipSpace();
+    if (assign && text[i] === ";") {
+      i++;
+      skipSpace();
+    }
+    if (i < text.length) fail("Unexpected code after the SCHEMA literal");
+    if (!schema || !Array.isArray(schema.objects)) {
+      throw new Error("File does not hold a SCHEMA with an objects list");
+    }
+    return schema;
+  }
+
+  /**
+   * Node only: the schema a CLI works on. .sql files are replayed as one migration
+   * history (the last version wins); anything else is a data.js build or JSON export,
+   * read with readSchemaScript. No paths means the data.js next to this file.
+   */
+  function loadSchemaFiles(paths) {
+    const fs = require("fs");
+    const path = require("path");
+    const files = paths.length ? paths : [path.join(__dirname, "data.js")];
+    if (files.every(f => /\.sql$/i.test(f))) {
+      const versions = replayMigrations(files.map(f => ({ name: path.basename(f), sql: fs.readFileSync(f, "utf8") })));
+      return versions[versions.length - 1].schema;
+    }
+    return readSchemaScript(fs.readFileSync(files[0], "utf8"));
+  }
+
+  const SqlImport = {
+    parseSql,
+    applySql,
+    replayMigrations,
+    parseMigrationName,
+    readSchemaScript,
+    loadSchemaFiles,
+    createModel,
+    finishModel,
+    splitStatements,
+    splitTopLevel,
+    stripComments,
+    tokenize,
+    identName,
+    objectName,
+    schemaOf,
+    splitQualified,
+    groupIdents
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SqlImport;
+  }
+  root.SqlImport = SqlImport;
+})(typeof window !== "undefined" ? window : globalThis);
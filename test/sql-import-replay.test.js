@@ -0,0 +1,69 @@
+/* Adams Apples v2 — migration replay tests
+ * DROP ... CASCADE takes the objects that depend on the dropped one with it.
+ * Run with Node's built-in runner: node --test test/
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { replayMigrations } = require("../sql-import.js");
+
+const V001 = `
+CREATE TABLE clients (id UUID PRIMARY KEY, region TEXT, UNIQUE (id, region));
+CREATE TABLE trees (
+  id UUID PRIMARY KEY,
+  client_id UUID REFERENCES clients(id),
+  client_region TEXT,
+  CONSTRAINT fk_trees_client_region FOREIGN KEY (client_id, client_region) REFERENCES clients (id, region)
+);
+CREATE FUNCTION touch() RETURNS TRIGGER LANGUAGE plpgsql AS $$ BEGIN RETURN NEW; END $$;
+CREATE TRIGGER trg_trees_touch BEFORE UPDATE ON trees FOR EACH ROW EXECUTE FUNCTION touch();
+CREATE VIEW v_clients AS SELECT id, region FROM clients;
+CREATE VIEW v_client_regions AS SELECT DISTINCT region FROM v_clients;
+CREATE VIEW v_trees AS SELECT id FROM trees;
+`;
+
+// Objects of the last version after replaying V001 and then `sql` as V002
+function replay(sql) {
+  const versions = replayMigrations([
+    { name: "V001__initial.sql", sql: V001 },
+    { name: "V002__drop.sql", sql }
+  ]);
+  const objects = versions[versions.length - 1].schema.objects;
+  return { objects, get: key => objects.find(o => o.key === key) };
+}
+
+test("DROP TABLE CASCADE removes foreign keys that reference the table", () => {
+  const { get } = replay("DROP TABLE clients CASCADE;");
+  const trees = get("table_trees");
+  assert.strictEqual(trees.columns.find(c => c.name === "client_id").fk, undefined);
+  assert.deepStrictEqual((trees.constraints || []).filter(c => c.type === "fk"), []);
+});
+
+test("DROP TABLE CASCADE removes the views on the table and the views on those", () => {
+  const { get } = replay("DROP TABLE clients CASCADE;");
+  assert.strictEqual(get("view_v_clients"), undefined);
+  assert.strictEqual(get("view_v_client_regions"), undefined);
+  assert.ok(get("view_v_trees"));
+});
+
+test("DROP VIEW CASCADE removes the views on the view", () => {
+  const { get } = replay("DROP VIEW v_clients CASCADE;");
+  assert.strictEqual(get("view_v_client_regions"), undefined);
+  assert.ok(get("table_clients"));
+});
+
+test("DROP FUNCTION CASCADE removes the triggers that run the function", () => {
+  const { get } = replay("DROP FUNCTION touch() CASCADE;");
+  assert.strictEqual(get("function_touch"), undefined);
+  assert.strictEqual(get("trigger_trg_trees_touch"), undefined);
+  assert.ok(get("table_trees"));
+});
+
+test("DROP TABLE without CASCADE keeps the views on the table", () => {
+  const { get } = replay("DROP TABLE trees;");
+  assert.strictEqual(get("table_trees"), undefined);
+  assert.strictEqual(get("trigger_trg_trees_touch"), undefined);
+  assert.ok(get("view_v_trees"));
+});
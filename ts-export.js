@@ -0,0 +1,304 @@
+/* Adams Apples v2 — TypeScript export
+ * Generates TypeScript types and Zod validators from a SCHEMA dataset, so the front end stops
+ * hand-writing interfaces:
+ * - enums: string-literal unions plus a `..._VALUES` tuple (and `z.enum`)
+ * - tables: a row interface (nullable columns as `| null`), an Insert variant where columns
+ *   with a default, a SERIAL type or NULL allowed are optional, and an all-optional Update
+ * - Zod schemas for rows, inserts (`.object`) and updates (`.partial()`)
+ * - NUMERIC/DECIMAL/BIGINT as decimal strings (what node-postgres returns) or numbers, and
+ *   TIMESTAMPTZ as ISO 8601 strings or Date objects, both configurable
+ * Runs in the browser (window.TsExport) and from Node:
+ *   node ts-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+ *     [--numeric string|number] [--timestamps string|date] [--no-zod]
+ * which writes the .ts module to stdout.
+ */
+
+(function (root) {
+  "use strict";
+
+  const { pascal, camel, singular, parseType } = root.Naming || require("./naming.js");
+
+  const SERIAL_TYPES = new Set(["SERIAL", "SMALLSERIAL", "BIGSERIAL"]);
+  const INTEGER_TYPES = new Set(["INTEGER", "INT", "INT4", "SMALLINT", "INT2", "SERIAL", "SMALLSERIAL"]);
+  const FLOAT_TYPES = new Set(["REAL", "FLOAT4", "DOUBLE PRECISION", "FLOAT8", "FLOAT"]);
+  // Returned as strings by node-postgres so no precision is lost
+  const DECIMAL_TYPES = new Set(["NUMERIC", "DECIMAL", "MONEY", "BIGINT", "INT8", "BIGSERIAL"]);
+  const TIMESTAMP_TYPES = new Set(["TIMESTAMPTZ", "TIMESTAMP WITH TIME ZONE", "TIMESTAMP", "TIMESTAMP WITHOUT TIME ZONE"]);
+  const JSON_TYPES = new Set(["JSON", "JSONB"]);
+
+  // Shared Zod helpers, emitted only when a column needs them
+  const HELPERS = {
+    decimalString: 'const decimalString = z.string().regex(/^-?\\d+(\\.\\d+)?$/, "Expected a decimal string");',
+    isoDate: 'const isoDate = z.string().regex(/^\\d{4}-\\d{2}-\\d{2}$/, "Expected YYYY-MM-DD");',
+    isoDateTime: "const isoDateTime = z.string().datetime({ offset: true });",
+    isoLocalDateTime: 'const isoLocalDateTime = z.string().regex(/^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?$/, "Expected YYYY-MM-DDTHH:MM:SS");',
+    jsonSchema: "export const jsonSchema: z.ZodType<Json> = z.lazy(() =>\n" +
+      "  z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(jsonSchema), z.record(z.string(), jsonSchema)])\n);"
+  };
+
+  function constName(name) {
+    return String(name).replace(/[^A-Za-z0-9]+/g, "_").toUpperCase();
+  }
+
+  function propName(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+
+  function commentLines(text, indent = "") {
+    if (!text) return [];
+    return [`${indent}/** ${String(text).replace(/\*\//g, "*\\/").replace(/\s*\n\s*/g, " ")} */`];
+  }
+
+  /**
+   * Generates the module. options:
+   *   keys        object keys to include (tables and enums); null = everything. Enums used by the
+   *               included tables are always added.
+   *   numeric     "string" (default) | "number" for NUMERIC, DECIMAL, MONEY and BIGINT
+   *   timestamps  "string" (default, ISO 8601) | "date" for TIMESTAMP(TZ)
+   *   zod         true (default) to emit Zod schemas next to the types
+   *   title       header comment
+   */
+  function generateTypes(objects, options = {}) {
+    const { keys = null, numeric = "string", timestamps = "string", zod = true, title = "Adams Apples v2" } = options;
+    const wanted = keys ? new Set(keys) : null;
+    const enums = new Map(objects.filter(o => o.type === "enum").map(o => [o.name, o]));
+    const tables = objects.filter(o => o.type === "table" && (!wanted || wanted.has(o.key)));
+
+    const usedEnums = new Set();
+    for (const t of tables) {
+      for (const c of t.columns || []) {
+        const { name } = parseType(c.type);
+        if (enums.has(name)) usedEnums.add(name);
+      }
+    }
+    const enumList = Array.from(enums.values()).filter(e => usedEnums.has(e.name) || !wanted || wanted.has(e.key));
+
+    // Type names: enums keep their name, tables are singular ("trees" → Tree)
+    const taken = new Set();
+    const typeName = new Map();
+    for (const e of enumList) {
+      typeName.set(e.key, pascal(e.name));
+      taken.add(pascal(e.name));
+    }
+    for (const t of tables) {
+      let name = pascal(singular(t.name));
+      if (taken.has(name)) name = pascal(t.name);
+      if (taken.has(name)) name += "Row";
+      typeName.set(t.key, name);
+      taken.add(name);
+    }
+    const enumType = name => typeName.get(enums.get(name).key);
+
+    const helpers = new Set();
+    let needsJson = false;
+
+    // { ts, zod } for a column type
+    function mapType(colType) {
+      const t = parseType(colType);
+      let ts;
+      let schema;
+      if (enums.has(t.name)) {
+        ts = enumType(t.name);
+        schema = `${camel(t.name)}Schema`;
+      } else if (t.base === "UUID") {
+        ts = "string";
+        schema = "z.string().uuid()";
+      } else if (/^(VARCHAR|CHARACTER VARYING|CHAR|CHARACTER|BPCHAR)$/.test(t.base)) {
+        ts = "string";
+        schema = t.args[0] ? `z.string().max(${t.args[0]})` : "z.string()";
+      } else if (INTEGER_TYPES.has(t.base)) {
+        ts = "number";
+        schema = "z.number().int()";
+      } else if (FLOAT_TYPES.has(t.base)) {
+        ts = "number";
+        schema = "z.number()";
+      } else if (DECIMAL_TYPES.has(t.base)) {
+        const whole = /INT|SERIAL/.test(t.base);
+        if (numeric === "number") {
+          ts = "number";
+          schema = whole ? "z.number().int()" : "z.number()";
+        } else {
+          ts = "string";
+          schema = "decimalString";
+          helpers.add("decimalString");
+        }
+      } else if (t.base === "BOOLEAN" || t.base === "BOOL") {
+        ts = "boolean";
+        schema = "z.boolean()";
+      } else if (t.base === "DATE") {
+        ts = "string";
+        schema = "isoDate";
+        helpers.add("isoDate");
+      } else if (TIMESTAMP_TYPES.has(t.base)) {
+        if (timestamps === "date") {
+          ts = "Date";
+          schema = "z.coerce.date()";
+        } else {
+          const local = !/TZ|WITH TIME ZONE/.test(t.base) || /WITHOUT/.test(t.base);
+          ts = "string";
+          schema = local ? "isoLocalDateTime" : "isoDateTime";
+          helpers.add(schema);
+        }
+      } else if (JSON_TYPES.has(t.base)) {
+        ts = "Json";
+        schema = "jsonSchema";
+        needsJson = true;
+      } else if (/^(TEXT|CITEXT|NAME|INET|CIDR|MACADDR|TIME|TIMETZ|TIME WITH(OUT)? TIME ZONE|INTERVAL|BYTEA|XML|TSVECTOR|GEOMETRY|GEOGRAPHY)$/.test(t.base)) {
+        // PostGIS values arrive as hex EWKB strings unless selected with ST_AsGeoJSON
+        ts = "string";
+        schema = "z.string()";
+      } else {
+        ts = "unknown";
+        schema = "z.unknown()";
+      }
+      if (t.array) {
+        ts = /[| ]/.test(ts) ? `(${ts})[]` : `${ts}[]`;
+        schema = `z.array(${schema})`;
+      }
+      return { ts, zod: schema };
+    }
+
+    const optionalOnInsert = c => !!(c.default || c.identity || c.nullable || SERIAL_TYPES.has(parseType(c.type).base));
+
+    function columnDoc(t, c) {
+      const notes = [];
+      if (c.pk) notes.push("Primary key");
+      if (c.unique) notes.push("unique");
+      if (c.fk) notes.push(`FK → ${c.fk.table}.${c.fk.column || "id"}`);
+      if (c.softRef) notes.push(`IDs of ${c.softRef.table} (not enforced)`);
+      if (c.default) notes.push(`default ${c.default}`);
+      return notes.join(", ");
+    }
+
+    const body = [];
+    const section = heading => body.push("", "// " + "-".repeat(75), `// ${heading}`, "// " + "-".repeat(75));
+
+    if (enumList.length) {
+      section("ENUMS");
+      for (const e of enumList) {
+        const values = (e.values || []).map(v => JSON.stringify(v));
+        body.push("", ...commentLines(e.description));
+        body.push(`export type ${typeName.get(e.key)} = ${values.join(" | ") || "never"};`);
+        body.push(`export const ${constName(e.name)}_VALUES = [${values.join(", ")}] as const;`);
+        if (zod) body.push(`export const ${camel(e.name)}Schema = z.enum(${constName(e.name)}_VALUES);`);
+      }
+    }
+
+    if (tables.length) {
+      section("TABLES");
+      for (const t of tables) {
+        const name = typeName.get(t.key);
+        const cols = (t.columns || []).map(c => Object.assign({ col: c, doc: columnDoc(t, c) }, mapType(c.type)));
+        const nullable = (c, text) => (c.nullable ? `${text} | null` : text);
+
+        body.push("", ...commentLines(t.description || `Row of ${t.name}`));
+        body.push(`export interface ${name} {`);
+        for (const c of cols) {
+          body.push(...commentLines(c.doc, "  "));
+          body.push(`  ${propName(c.col.name)}: ${nullable(c.col, c.ts)};`);
+        }
+        body.push("}");
+
+        body.push("", `/** Columns for INSERT INTO ${t.name}: defaulted and nullable columns may be left out */`);
+        body.push(`export interface ${name}Insert {`);
+        for (const c of cols) body.push(`  ${propName(c.col.name)}${optionalOnInsert(c.col) ? "?" : ""}: ${nullable(c.col, c.ts)};`);
+        body.push("}");
+
+        body.push("", `/** Columns for UPDATE ${t.name}: set only what changes */`);
+        body.push(`export interface ${name}Update {`);
+        for (const c of cols) body.push(`  ${propName(c.col.name)}?: ${nullable(c.col, c.ts)};`);
+        body.push("}");
+
+        if (zod) {
+          const schemaName = camel(name);
+          body.push("", `export const ${schemaName}Schema = z.object({`);
+          body.push(cols.map(c => `  ${propName(c.col.name)}: ${c.zod}${c.col.nullable ? ".nullable()" : ""}`).join(",\n"));
+          body.push("});");
+          body.push(`export const ${schemaName}InsertSchema = z.object({`);
+          body.push(cols.map(c => `  ${propName(c.col.name)}: ${c.zod}${c.col.nullable ? ".nullable()" : ""}${optionalOnInsert(c.col) ? ".optional()" : ""}`).join(",\n"));
+          body.push("});");
+          body.push(`export const ${schemaName}UpdateSchema = ${schemaName}InsertSchema.partial();`);
+        }
+      }
+    }
+
+    const head = [
+      `// ${title} — TypeScript types${zod ? " and Zod validators" : ""} generated from the schema model.`,
+      "// Do not edit by hand: regenerate with Export ▸ TypeScript or `node ts-export.js`.",
+      `// NUMERIC/DECIMAL/BIGINT → ${numeric === "number" ? "number" : "decimal string"}, TIMESTAMPTZ → ${timestamps === "date" ? "Date" : "ISO 8601 string"}`,
+      `// ${enumList.length} enums, ${tables.length} tables`
+    ];
+    if (zod) head.push("", 'import { z } from "zod";');
+    if (needsJson) {
+      head.push("", "export type Json = string | number | boolean | null | Json[] | { [key: string]: Json };");
+    }
+    const used = Object.keys(HELPERS).filter(h => helpers.has(h) || (h === "jsonSchema" && needsJson));
+    if (zod && used.length) head.push("", ...used.map(h => HELPERS[h]));
+    return head.concat(body).join("\n") + "\n";
+  }
+
+  // ==========================================================================
+  // NODE CLI
+  // ==========================================================================
+  const USAGE = `Usage: node ts-export.js [data.js | migration.sql ...] [--table name] [--domain name]
+    [--numeric string|number] [--timestamps string|date] [--no-zod]`;
+
+  // Values the mapping options take
+  const CLI_CHOICES = { "--numeric": ["string", "number"], "--timestamps": ["string", "date"] };
+
+  function runCli(args) {
+    const options = {};
+    const files = [];
+    let table = null;
+    let domain = null;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--table") table = args[++i];
+      else if (args[i] === "--domain") domain = args[++i];
+      else if (CLI_CHOICES[args[i]]) {
+        const flag = args[i];
+        const value = args[++i];
+        if (!CLI_CHOICES[flag].includes(value)) {
+          console.error(`${flag} takes ${CLI_CHOICES[flag].join(" or ")}\n${USAGE}`);
+          process.exitCode = 2;
+          return;
+        }
+        options[flag.slice(2)] = value;
+      }
+      else if (args[i] === "--no-zod") options.zod = false;
+      else if (args[i] === "--help") {
+        console.log(USAGE);
+        return;
+      } else if (args[i].startsWith("--")) {
+        console.error(`Unknown option ${args[i]}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+      } else files.push(args[i]);
+    }
+
+    const schema = require("./sql-import.js").loadSchemaFiles(files);
+
+    const objects = schema.objects || [];
+    if (table) {
+      const t = objects.find(o => o.type === "table" && o.name === table);
+      if (!t) {
+        console.error(`No table named ${table}`);
+        process.exitCode = 1;
+        return;
+      }
+      options.keys = [t.key];
+      options.title = `Adams Apples v2 — table ${table}`;
+    } else if (domain) {
+      options.keys = objects.filter(o => o.domain === domain).map(o => o.key);
+      options.title = `Adams Apples v2 — domain ${domain}`;
+    }
+    process.stdout.write(generateTypes(objects, options));
+  }
+
+  const TsExport = { generateTypes };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = TsExport;
+    if (require.main === module) runCli(process.argv.slice(2));
+  }
+  root.TsExport = TsExport;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,438 @@
+/* Adams Apples v2 — View column lineage
+ * Parses a view's SELECT definition and traces every output column back to the
+ * base table columns and expressions that produce it:
+ * - FROM / JOIN aliases, derived tables (subqueries) and CTEs (WITH ...)
+ * - views built on other views resolve through to their base tables
+ * - SELECT *, alias.* expansion; UNION branches are merged by position
+ * - each column is classified as direct, expression, aggregate, window or constant
+ * - a view without a definition (data.js doesn't model the SQL) falls back to its
+ *   baseTables: the relations it reads, with no column detail
+ * Runs in the browser (window.ViewLineage) and in Node (require("./view-lineage.js")).
+ * Uses the tokenizer from sql-import.js.
+ */
+
+(function (root) {
+  "use strict";
+
+  const SqlImport = root.SqlImport || (typeof require === "function" ? require("./sql-import.js") : null);
+
+  // Clause keywords that end the FROM list
+  const FROM_END = /^(WHERE|GROUP|HAVING|ORDER|LIMIT|OFFSET|FETCH|WINDOW|FOR)$/;
+  const SET_OPS = /^(UNION|INTERSECT|EXCEPT)$/;
+  const JOIN_WORDS = /^(JOIN|INNER|LEFT|RIGHT|FULL|OUTER|CROSS|NATURAL|LATERAL)$/;
+  // Words that can follow a relation but are never its alias
+  const NOT_ALIAS = /^(ON|USING|JOIN|INNER|LEFT|RIGHT|FULL|OUTER|CROSS|NATURAL|LATERAL|WHERE|GROUP|HAVING|ORDER|LIMIT|OFFSET|FETCH|WINDOW|FOR|UNION|INTERSECT|EXCEPT|TABLESAMPLE)$/;
+  // Expression syntax that is never a column reference
+  const KEYWORDS = new Set([
+    "SELECT", "FROM", "WHERE", "AND", "OR", "NOT", "NULL", "IS", "IN", "AS", "CASE", "WHEN", "THEN",
+    "ELSE", "END", "BETWEEN", "LIKE", "ILIKE", "SIMILAR", "DISTINCT", "ALL", "ANY", "SOME", "EXISTS",
+    "TRUE", "FALSE", "FILTER", "OVER", "PARTITION", "BY", "ORDER", "ASC", "DESC", "NULLS", "FIRST",
+    "LAST", "ROWS", "RANGE", "PRECEDING", "FOLLOWING", "UNBOUNDED", "INTERVAL", "CURRENT_DATE",
+    "CURRENT_TIME", "CURRENT_TIMESTAMP", "LOCALTIMESTAMP", "AT", "ZONE", "COLLATE", "ISNULL", "NOTNULL"
+  ]);
+  const AGGREGATES = /^(COUNT|SUM|AVG|MIN|MAX|BOOL_AND|BOOL_OR|EVERY|STRING_AGG|ARRAY_AGG|JSON_AGG|JSONB_AGG|JSON_OBJECT_AGG|JSONB_OBJECT_AGG|STDDEV|STDDEV_POP|STDDEV_SAMP|VARIANCE|VAR_POP|VAR_SAMP|PERCENTILE_CONT|PERCENTILE_DISC|MODE)$/;
+
+  function innerText(groupText) {
+    return groupText.slice(1, -1).trim();
+  }
+
+  function isQuery(text) {
+    return /^\(*\s*(SELECT|WITH|VALUES)\b/i.test(text);
+  }
+
+  function sourceKey(s) {
+    return `${s.table}.${s.column}`;
+  }
+
+  function addSources(into, sources) {
+    for (const s of sources) {
+      if (!into.some(x => sourceKey(x) === sourceKey(s))) into.push(s);
+    }
+  }
+
+  // Qualified word "hr.tree_id" / "public.trees.id" → ["hr", "tree_id"]
+  function refParts(text) {
+    const parts = SqlImport.splitQualified(text);
+    return parts.length > 2 ? parts.slice(-2) : parts;
+  }
+
+  // ==========================================================================
+  // RELATIONS - tables, views, CTEs and subqueries in FROM
+  // ==========================================================================
+  // A relation is { name, kind, columns: [{ name, sources, via }] } where sources
+  // are the base table columns behind each column.
+  function tableRelation(table) {
+    return {
+      name: table.name,
+      kind: "table",
+      columns: (table.columns || []).map(c => ({ name: c.name, sources: [{ table: table.name, column: c.name }], via: [] }))
+    };
+  }
+
+  function queryRelation(name, kind, result) {
+    return {
+      name,
+      kind,
+      columns: result.columns.map(c => ({
+        name: c.name,
+        kind: c.kind,
+        expression: c.expression,
+        sources: c.sources,
+        via: [name].concat(c.via || [])
+      }))
+    };
+  }
+
+  function resolveRelation(ctx, scope, name) {
+    for (let s = scope; s; s = s.outer) {
+      if (s.ctes.has(name)) return s.ctes.get(name);
+    }
+    if (ctx.tables.has(name)) return tableRelation(ctx.tables.get(name));
+    if (ctx.views.has(name)) {
+      const result = analyzeViewCached(ctx, ctx.views.get(name));
+      return queryRelation(name, "view", result);
+    }
+    return { name, kind: "unknown", columns: [] };
+  }
+
+  function renameColumns(rel, names) {
+    if (!names) return rel;
+    rel.columns = rel.columns.map((c, i) => (i < names.length ? Object.assign({}, c, { name: names[i] }) : c));
+    return rel;
+  }
+
+  // Parses the FROM list tokens[from, end) into [{ alias, rel }].
+  function parseRelations(ctx, scope, tokens, from, end, out) {
+    let j = from;
+    while (j < end) {
+      const t = tokens[j];
+      if (t.text === "," || JOIN_WORDS.test(t.upper)) { j++; continue; }
+      if (t.upper === "ON") {
+        j++;
+        while (j < end && tokens[j].text !== "," && !JOIN_WORDS.test(tokens[j].upper)) j++;
+        continue;
+      }
+      if (t.upper === "USING") { j += 2; continue; }
+
+      let name = null;
+      let rel = null;
+      let sub = null;
+      if (t.kind === "group") {
+        const body = innerText(t.text);
+        if (!isQuery(body)) {
+          // Parenthesised join: (a JOIN b ON ...)
+          const inner = SqlImport.tokenize(body);
+          parseRelations(ctx, scope, inner, 0, inner.length, out);
+          j++;
+          continue;
+        }
+        sub = analyzeQuery(ctx, body, scope);
+      } else if (tokens[j + 1] && tokens[j + 1].kind === "group" && j + 1 < end) {
+        // Set-returning function such as generate_series(...)
+        name = SqlImport.identName(t.text);
+        rel = { name, kind: "function", columns: [] };
+        j++;
+      } else {
+        name = SqlImport.objectName(t.text);
+        rel = resolveRelation(ctx, scope, name);
+      }
+      j++;
+
+      // An unaliased audit.change_log is referenced as change_log
+      let alias = name && SqlImport.identName(t.text);
+      let names = null;
+      if (j < end && tokens[j].upper === "AS") j++;
+      if (j < end && (tokens[j].kind === "word" || tokens[j].kind === "ident") && !NOT_ALIAS.test(tokens[j].upper)) {
+        alias = SqlImport.identName(tokens[j].text);
+        j++;
+        if (j < end && tokens[j].kind === "group") {
+          names = SqlImport.groupIdents(tokens[j].text);
+          j++;
+        }
+      }
+      if (sub) rel = queryRelation(alias || "subquery", "subquery", sub);
+      out.push({ alias: alias || rel.name, rel: renameColumns(rel, names) });
+    }
+    return out;
+  }
+
+  // ==========================================================================
+  // EXPRESSIONS - column references inside a select item
+  // ==========================================================================
+  function findColumn(scope, alias, column) {
+    for (let s = scope; s; s = s.outer) {
+      for (const r of s.relations) {
+        if (alias && r.alias !== alias) continue;
+        const col = r.rel.columns.find(c => c.name === column);
+        if (col) return col;
+      }
+      // An alias that exists in this scope but lacks the column stops the search
+      if (alias && s.relations.some(r => r.alias === alias)) return null;
+    }
+    return null;
+  }
+
+  // Collects the sources (and intermediate relations) an expression reads.
+  function collectRefs(ctx, text, scope, acc) {
+    const toks = SqlImport.tokenize(text);
+    for (let k = 0; k < toks.length; k++) {
+      const t = toks[k];
+      if (t.kind === "group") {
+        const body = innerText(t.text);
+        if (isQuery(body)) {
+          const sub = analyzeQuery(ctx, body, scope);
+          for (const c of sub.columns) {
+            addSources(acc.sources, c.sources);
+            acc.via.push(...(c.via || []));
+          }
+          acc.subquery = true;
+        } else {
+          collectRefs(ctx, body, scope, acc);
+        }
+        continue;
+      }
+      if (t.kind !== "word" && t.kind !== "ident") continue;
+      const prev = toks[k - 1];
+      const next = toks[k + 1];
+      if (prev && prev.text === "::") continue;
+      if (/^[0-9.]/.test(t.text)) continue;
+      if (t.kind === "word" && next && next.kind === "group" && !t.text.includes(".")) {
+        if (AGGREGATES.test(t.upper)) acc.aggregate = true;
+        if (next && toks[k + 2] && toks[k + 2].upper === "OVER") acc.window = true;
+        continue;
+      }
+      if (t.kind === "word" && KEYWORDS.has(t.upper)) {
+        if (t.upper === "OVER") acc.window = true;
+        continue;
+      }
+      const parts = refParts(t.text);
+      const col = parts.length === 2 ? findColumn(scope, parts[0], parts[1]) : findColumn(scope, null, parts[0]);
+      if (!col) continue;
+      acc.refs++;
+      acc.last = col;
+      addSources(acc.sources, col.sources);
+      acc.via.push(...(col.via || []));
+    }
+    return acc;
+  }
+
+  // Splits "expr AS alias" / "expr alias" into { expression, alias }.
+  function splitAlias(text) {
+    const toks = SqlImport.tokenize(text);
+    const last = toks[toks.length - 1];
+    const prev = toks[toks.length - 2];
+    if (prev && prev.upper === "AS" && (last.kind === "word" || last.kind === "ident")) {
+      return { expression: text.slice(0, prev.start).trim(), alias: SqlImport.identName(last.text) };
+    }
+    if (toks.length >= 2 && (last.kind === "word" || last.kind === "ident") && !KEYWORDS.has(last.upper) &&
+        !last.text.includes(".") && prev.kind !== "op" && !KEYWORDS.has(prev.upper)) {
+      return { expression: text.slice(0, last.start).trim(), alias: SqlImport.identName(last.text) };
+    }
+    return { expression: text.trim(), alias: null };
+  }
+
+  // Postgres' default output name: the column for a bare reference, the function
+  // name for a call, "?column?" otherwise.
+  function defaultName(expression) {
+    const toks = SqlImport.tokenize(expression.replace(/::.*$/, ""));
+    if (toks.length === 1 && (toks[0].kind === "word" || toks[0].kind === "ident")) {
+      const parts = refParts(toks[0].text);
+      return parts[parts.length - 1];
+    }
+    if (toks.length === 2 && toks[0].kind === "word" && toks[1].kind === "group") return toks[0].text.toLowerCase();
+    if (toks.length && toks[0].upper === "CASE") return "case";
+    return "?column?";
+  }
+
+  function analyzeItem(ctx, item, scope) {
+    const star = /^(?:(.+)\.)?\*$/.exec(item.trim());
+    if (star) {
+      const alias = star[1] ? SqlImport.identName(star[1]) : null;
+      const rels = scope.relations.filter(r => !alias || r.alias === alias);
+      return rels.flatMap(r => r.rel.columns.map(c => ({
+        name: c.name,
+        expression: `${r.alias}.${c.name}`,
+        kind: c.kind || "direct",
+        sources: c.sources,
+        via: c.via || []
+      })));
+    }
+
+    const { expression, alias } = splitAlias(item);
+    const acc = collectRefs(ctx, expression, scope, { sources: [], via: [], refs: 0, aggregate: false, window: false, subquery: false });
+    const bare = SqlImport.tokenize(expression).length === 1 && acc.refs === 1;
+    let kind = "expression";
+    let shown = expression;
+    // A plain reference to a CTE/subquery column keeps that column's kind and expression
+    if (bare) {
+      kind = acc.last.kind || "direct";
+      if (kind !== "direct" && acc.last.expression) shown = acc.last.expression;
+    }
+    else if (acc.window) kind = "window";
+    else if (acc.aggregate) kind = "aggregate";
+    else if (!acc.sources.length) kind = "constant";
+    return [{
+      name: alias || defaultName(expression),
+      expression: shown,
+      kind,
+      sources: acc.sources,
+      via: Array.from(new Set(acc.via))
+    }];
+  }
+
+  // ==========================================================================
+  // QUERIES - WITH, SELECT, set operations
+  // ==========================================================================
+  function analyzeSelect(ctx, sql, tokens, from, to, scope) {
+    let i = from;
+    while (i < to && tokens[i].upper !== "SELECT") i++;
+    if (i >= to) {
+      // VALUES (...) or TABLE name
+      return { columns: [], relations: [] };
+    }
+    i++;
+    if (tokens[i] && tokens[i].upper === "ALL") i++;
+    if (tokens[i] && tokens[i].upper === "DISTINCT") {
+      i++;
+      if (tokens[i] && tokens[i].upper === "ON") i += 2;
+    }
+
+    let fromIdx = i;
+    // Skip the FROM of "a IS DISTINCT FROM b"
+    while (fromIdx < to && !(tokens[fromIdx].upper === "FROM" && tokens[fromIdx - 1].upper !== "DISTINCT")) fromIdx++;
+    let endIdx = fromIdx + 1;
+    while (endIdx < to && !FROM_END.test(tokens[endIdx].upper)) endIdx++;
+
+    const local = { relations: [], ctes: new Map(), outer: scope };
+    if (fromIdx < to) parseRelations(ctx, local, tokens, fromIdx + 1, Math.min(endIdx, to), local.relations);
+
+    const listEnd = fromIdx < to ? tokens[fromIdx].start : (tokens[to - 1] ? tokens[to - 1].end : sql.length);
+    const listText = i < tokens.length ? sql.slice(tokens[i].start, listEnd) : "";
+    const columns = SqlImport.splitTopLevel(listText).flatMap(item => analyzeItem(ctx, item, local));
+    return { columns, relations: local.relations.map(r => ({ alias: r.alias, name: r.rel.name, kind: r.rel.kind })) };
+  }
+
+  function analyzeQuery(ctx, sql, scope) {
+    sql = sql.trim();
+    // A whole query wrapped in parentheses
+    while (/^\(/.test(sql)) {
+      const toks = SqlImport.tokenize(sql);
+      if (toks.length !== 1) break;
+      sql = innerText(sql);
+    }
+    const tokens = SqlImport.tokenize(sql);
+    const local = { relations: [], ctes: new Map(), outer: scope };
+
+    let i = 0;
+    if (tokens[0] && tokens[0].upper === "WITH") {
+      i = 1;
+      if (tokens[i] && tokens[i].upper === "RECURSIVE") i++;
+      while (i < tokens.length) {
+        const name = SqlImport.identName(tokens[i].text);
+        i++;
+        let names = null;
+        if (tokens[i] && tokens[i].kind === "group") {
+          names = SqlImport.groupIdents(tokens[i].text);
+          i++;
+        }
+        if (tokens[i] && tokens[i].upper === "AS") i++;
+        if (tokens[i] && tokens[i].upper === "NOT") i++;
+        if (tokens[i] && tokens[i].upper === "MATERIALIZED") i++;
+        if (!tokens[i] || tokens[i].kind !== "group") break;
+        const body = innerText(tokens[i].text);
+        i++;
+        const rel = renameColumns(queryRelation(name, "cte", analyzeQuery(ctx, body, local)), names);
+        local.ctes.set(name, rel);
+        if (tokens[i] && tokens[i].text === ",") i++;
+        else break;
+      }
+    }
+
+    // Set operations: the first branch names the columns, later ones add sources
+    const branches = [];
+    let start = i;
+    for (let k = i; k < tokens.length; k++) {
+      if (!SET_OPS.test(tokens[k].upper)) continue;
+      branches.push([start, k]);
+      start = k + 1;
+      if (tokens[start] && /^(ALL|DISTINCT)$/.test(tokens[start].upper)) start++;
+    }
+    branches.push([start, tokens.length]);
+
+    const results = branches.map(([from, to]) => analyzeSelect(ctx, sql, tokens, from, to, local));
+    const first = results[0];
+    for (const other of results.slice(1)) {
+      other.columns.forEach((c, idx) => {
+        const target = first.columns[idx];
+        if (!target) return;
+        addSources(target.sources, c.sources);
+        target.via = Array.from(new Set(target.via.concat(c.via)));
+        if (target.kind === "direct" && c.kind !== "direct") target.kind = "expression";
+      });
+    }
+    return {
+      columns: first.columns,
+      relations: results.flatMap(r => r.relations),
+      ctes: Array.from(local.ctes.keys())
+    };
+  }
+
+  // No SELECT to parse: the view's declared base tables, flagged as such
+  function baseTablesOnly(ctx, view) {
+    const relations = (view.baseTables || []).map(name => ({
+      alias: name, name, kind: ctx.views.has(name) ? "view" : ctx.tables.has(name) ? "table" : "unknown"
+    }));
+    return { columns: [], relations, ctes: [], baseTablesOnly: true };
+  }
+
+  function analyzeViewCached(ctx, view) {
+    if (ctx.cache.has(view.name)) return ctx.cache.get(view.name);
+    // Guard against views that (wrongly) reference themselves
+    ctx.cache.set(view.name, { columns: [], relations: [], ctes: [] });
+    let result;
+    try {
+      result = view.definition ? analyzeQuery(ctx, SqlImport.stripComments(view.definition).replace(/;\s*$/, ""), null)
+        : baseTablesOnly(ctx, view);
+    } catch (err) {
+      result = { columns: [], relations: [], ctes: [], error: err.message };
+    }
+    ctx.cache.set(view.name, result);
+    return result;
+  }
+
+  function createContext(objects) {
+    const named = type => new Map(objects.filter(o => o.type === type).map(o => [o.name, o]));
+    return { tables: named("table"), views: named("view"), cache: new Map() };
+  }
+
+  /**
+   * Traces the output columns of a view ({ name, definition }) back to base
+   * table columns, using `objects` (the SCHEMA objects) to resolve names.
+   * Returns {
+   *   columns:   [{ name, expression, kind, sources: [{ table, column }], via: [cte/view/subquery names] }],
+   *   relations: [{ alias, name, kind }]  relations read by the outermost SELECT,
+   *   ctes:      [names],
+   *   baseTablesOnly?: true when the view has no definition and relations are its baseTables,
+   *   error?:    parse failure message
+   * }
+   * kind is "direct" (a plain column), "expression", "aggregate", "window" or "constant".
+   */
+  function analyzeView(view, objects) {
+    return analyzeViewCached(createContext(objects || []), view);
+  }
+
+  /** Lineage for every view in the schema: Map view name → analyzeView result. */
+  function analyzeAll(objects) {
+    const ctx = createContext(objects || []);
+    const out = new Map();
+    for (const v of ctx.views.values()) out.set(v.name, analyzeViewCached(ctx, v));
+    return out;
+  }
+
+  const ViewLineage = { analyzeView, analyzeAll };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ViewLineage;
+  }
+  root.ViewLineage = ViewLineage;
+})(typeof window !== "undefined" ? window : globalThis);
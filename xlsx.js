@@ -0,0 +1,168 @@
+/* Adams Apples v2 — XLSX writer
+ * Builds an Excel workbook (Office Open XML) locally, without a library or a service:
+ * - one worksheet per sheet, text as inline strings and numbers as numbers
+ * - a bold header row that stays frozen while scrolling, with filter buttons
+ * - column widths per sheet; long text wraps
+ * The package is a ZIP of XML parts, written with zip.js.
+ * Runs in the browser (window.XlsxWriter, after zip.js) and in Node (require("./xlsx.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  const NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+  const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  // Cell styles in styles.xml: 0 plain, 1 header, 2 wrapped text
+  const STYLE_HEADER = 1;
+  const STYLE_WRAP = 2;
+
+  function zipWriter() {
+    if (root.ZipWriter) return root.ZipWriter;
+    return require("./zip.js");
+  }
+
+  // Escapes text for XML and drops control characters XML 1.0 can't hold
+  function xml(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  // 0 → "A", 25 → "Z", 26 → "AA"
+  function columnLetter(index) {
+    let n = index + 1;
+    let out = "";
+    while (n > 0) {
+      const r = (n - 1) % 26;
+      out = String.fromCharCode(65 + r) + out;
+      n = Math.floor((n - 1) / 26);
+    }
+    return out;
+  }
+
+  // Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique in the workbook
+  function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+      const base = String(sheet.name || `Sheet${i + 1}`).replace(/[:\\/?*[\]]/g, " ").trim().slice(0, 31) || `Sheet${i + 1}`;
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  function cell(ref, value, style) {
+    const s = style ? ` s="${style}"` : "";
+    if (value === null || value === undefined || value === "") return "";
+    if (typeof value === "number" && isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    const text = String(value);
+    const space = /^\s|\s$|\n/.test(text) ? ' xml:space="preserve"' : "";
+    return `<c r="${ref}"${s} t="inlineStr"><is><t${space}>${xml(text)}</t></is></c>`;
+  }
+
+  /**
+   * One worksheet. sheet.columns is [{ header, width, wrap }]; sheet.rows are arrays of
+   * strings and numbers in column order.
+   */
+  function worksheet(sheet) {
+    const columns = sheet.columns;
+    const last = columnLetter(Math.max(columns.length, 1) - 1);
+    const lastRow = sheet.rows.length + 1;
+    const rows = [`<row r="1">${columns.map((c, i) => cell(`${columnLetter(i)}1`, c.header, STYLE_HEADER)).join("")}</row>`];
+    sheet.rows.forEach((values, r) => {
+      const cells = columns.map((c, i) => cell(`${columnLetter(i)}${r + 2}`, values[i], c.wrap ? STYLE_WRAP : 0)).join("");
+      rows.push(`<row r="${r + 2}">${cells}</row>`);
+    });
+    const cols = columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || 14}" customWidth="1"/>`).join("");
+    return XML_HEAD +
+      `<worksheet xmlns="${NS}" xmlns:r="${REL_NS}">` +
+      `<dimension ref="A1:${last}${lastRow}"/>` +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      '<sheetFormatPr defaultRowHeight="15"/>' +
+      (cols ? `<cols>${cols}</cols>` : "") +
+      `<sheetData>${rows.join("")}</sheetData>` +
+      `<autoFilter ref="A1:${last}${lastRow}"/>` +
+      "</worksheet>";
+  }
+
+  const STYLES = XML_HEAD +
+    `<styleSheet xmlns="${NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFE8EEF4"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>' +
+    "</cellXfs>" +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    "</styleSheet>";
+
+  /**
+   * Builds a workbook from [{ name, columns: [{ header, width, wrap }], rows: [[...]] }].
+   * Returns the .xlsx file as a Uint8Array.
+   */
+  function createWorkbook(sheets, { date } = {}) {
+    const names = sheetNames(sheets);
+    const sheetList = names.map((name, i) => `<sheet name="${xml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("");
+    // The hidden _FilterDatabase names are how Excel remembers each sheet's filter range
+    const filters = sheets.map((sheet, i) => {
+      const range = `$A$1:$${columnLetter(Math.max(sheet.columns.length, 1) - 1)}$${sheet.rows.length + 1}`;
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${xml(names[i].replace(/'/g, "''"))}'!${range}</definedName>`;
+    }).join("");
+
+    const files = [
+      {
+        path: "[Content_Types].xml",
+        content: XML_HEAD +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") +
+          "</Types>"
+      },
+      {
+        path: "_rels/.rels",
+        content: XML_HEAD +
+          `<Relationships xmlns="${PKG_REL_NS}">` +
+          `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+          "</Relationships>"
+      },
+      {
+        path: "xl/workbook.xml",
+        content: XML_HEAD +
+          `<workbook xmlns="${NS}" xmlns:r="${REL_NS}">` +
+          '<bookViews><workbookView activeTab="0"/></bookViews>' +
+          `<sheets>${sheetList}</sheets>` +
+          `<definedNames>${filters}</definedNames>` +
+          "</workbook>"
+      },
+      {
+        path: "xl/_rels/workbook.xml.rels",
+        content: XML_HEAD +
+          `<Relationships xmlns="${PKG_REL_NS}">` +
+          sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+          `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+          "</Relationships>"
+      },
+      { path: "xl/styles.xml", content: STYLES },
+      ...sheets.map((sheet, i) => ({ path: `xl/worksheets/sheet${i + 1}.xml`, content: worksheet(sheet) }))
+    ];
+    return zipWriter().createZip(files, date ? { date } : {});
+  }
+
+  const XlsxWriter = { createWorkbook, columnLetter };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = XlsxWriter;
+  }
+  root.XlsxWriter = XlsxWriter;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,111 @@
+/* Adams Apples v2 — ZIP writer
+ * Packs generated files into a .zip archive without a library, for downloads that are
+ * really folders (the Markdown docs site) and for .xlsx packages:
+ * - stored entries (no compression) with CRC-32 and UTF-8 file names
+ * - paths with "/" create folders inside the archive
+ * Runs in the browser (window.ZipWriter) and in Node (require("./zip.js")).
+ */
+
+(function (root) {
+  "use strict";
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date and time fields (2-second resolution, local time)
+  function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Builds a ZIP archive. `files` is [{ path, content }] where content is a string (written
+   * as UTF-8) or a Uint8Array. Returns the archive as a Uint8Array.
+   */
+  function createZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(date);
+    const entries = files.map(file => {
+      const name = encoder.encode(file.path);
+      const data = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+      return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    const u16 = v => { view.setUint16(pos, v, true); pos += 2; };
+    const u32 = v => { view.setUint32(pos, v, true); pos += 4; };
+    const bytes = b => { out.set(b, pos); pos += b.length; };
+
+    // Fields shared by the local header and the central directory record
+    const common = e => {
+      u16(20);              // version needed to extract
+      u16(0x0800);          // flags: UTF-8 names
+      u16(0);               // method: stored
+      u16(stamp.time);
+      u16(stamp.date);
+      u32(e.crc);
+      u32(e.data.length);   // compressed size
+      u32(e.data.length);   // uncompressed size
+      u16(e.name.length);
+      u16(0);               // extra field length
+    };
+
+    for (const e of entries) {
+      e.offset = pos;
+      u32(0x04034B50);
+      common(e);
+      bytes(e.name);
+      bytes(e.data);
+    }
+
+    const centralStart = pos;
+    for (const e of entries) {
+      u32(0x02014B50);
+      u16(20);              // version made by
+      common(e);
+      u16(0);               // comment length
+      u16(0);               // disk number
+      u16(0);               // internal attributes
+      u32(0);               // external attributes
+      u32(e.offset);
+      bytes(e.name);
+    }
+
+    u32(0x06054B50);
+    u16(0);
+    u16(0);
+    u16(entries.length);
+    u16(entries.length);
+    u32(centralSize);
+    u32(centralStart);
+    u16(0);
+    return out;
+  }
+
+  const ZipWriter = { createZip, crc32 };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ZipWriter;
+  }
+  root.ZipWriter = ZipWriter;
+})(typeof window !== "undefined" ? window : globalThis);